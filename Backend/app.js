@@ -0,0 +1,196 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import morgan from 'morgan';
+import rateLimit from 'express-rate-limit';
+
+import { initDatabase } from './config/database.js';
+import { setMailer, createMailerFromEnv } from './services/mailer.js';
+import { setKeyProvider } from './services/rewardVerification.js';
+import authRoutes from './routes/auth.js';
+import statsRoutes from './routes/stats.js';
+import unlocksRoutes from './routes/unlocks.js';
+import leaderboardRoutes from './routes/leaderboard.js';
+import quotesRoutes from './routes/quotes.js';
+import devicesRoutes from './routes/devices.js';
+import friendsRoutes from './routes/friends.js';
+import challengesRoutes from './routes/challenges.js';
+import achievementsRoutes from './routes/achievements.js';
+import configRoutes from './routes/config.js';
+import adminRoutes from './routes/admin.js';
+import goalsRoutes from './routes/goals.js';
+import insightsRoutes from './routes/insights.js';
+
+// Build the Express app without listening. server.js runs it for real; tests
+// create one per suite against an in-memory database (`dbPath: ':memory:'`).
+//
+// Options:
+//   dbPath          SQLite file path, or ':memory:'
+//   mailer          replaces the mailer configured from MAIL_TRANSPORT
+//   rewardKeyProvider replaces the rewarded-ad verifier key source
+//   enableRateLimit set to false to skip the rate limiters (tests)
+//   enableLogging   set to false to silence request logging (tests)
+export function createApp({
+  dbPath,
+  mailer,
+  rewardKeyProvider,
+  enableRateLimit = true,
+  enableLogging = true,
+} = {}) {
+  const NODE_ENV = process.env.NODE_ENV || 'development';
+
+  initDatabase(dbPath);
+
+  // Without a mailer passed in, build the one MAIL_TRANSPORT names now, so a
+  // bad mail setup stops startup rather than the first email
+  setMailer(mailer || createMailerFromEnv());
+
+  if (rewardKeyProvider) {
+    setKeyProvider(rewardKeyProvider);
+  }
+
+  const app = express();
+
+  // -------------------------------------------------------------------------
+  // Global middleware
+  // -------------------------------------------------------------------------
+
+  // Security headers
+  app.use(helmet());
+
+  // CORS - allow all origins in dev, restrict in production as needed
+  app.use(cors({
+    origin: NODE_ENV === 'production' ? process.env.ALLOWED_ORIGINS?.split(',') : '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['ETag'],
+  }));
+
+  // Request logging
+  if (enableLogging) {
+    app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
+  }
+
+  // Body parsing. Account and quote imports parse their own, larger bodies
+  // once the caller is authenticated, so the general parsers leave them alone.
+  const OWN_BODY_PATHS = ['/api/auth/me/import', '/api/quotes/import'];
+  const unlessImport = (parser) => (req, res, next) => (
+    OWN_BODY_PATHS.includes(req.path) ? next() : parser(req, res, next)
+  );
+  app.use(unlessImport(express.json({ limit: '1mb' })));
+  app.use(unlessImport(express.urlencoded({ extended: true, limit: '1mb' })));
+
+  // -------------------------------------------------------------------------
+  // Rate limiting
+  // -------------------------------------------------------------------------
+
+  if (enableRateLimit) {
+    // General API rate limit: 100 requests per 15-minute window
+    const generalLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000,
+      max: 100,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: {
+        success: false,
+        error: 'Too many requests. Please try again later.',
+      },
+    });
+
+    // Stricter limit for auth endpoints: 20 requests per 15-minute window
+    const authLimiter = rateLimit({
+      windowMs: 15 * 60 * 1000,
+      max: 20,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: {
+        success: false,
+        error: 'Too many authentication attempts. Please try again later.',
+      },
+    });
+
+    app.use('/api/', generalLimiter);
+    app.use('/api/auth/login', authLimiter);
+    app.use('/api/auth/register', authLimiter);
+    app.use('/api/auth/refresh', authLimiter);
+    app.use('/api/auth/password', authLimiter);
+    app.use('/api/auth/email', authLimiter);
+    // Invite codes are short, so guessing them gets the stricter limit too
+    app.use('/api/friends/invites', authLimiter);
+  }
+
+  // -------------------------------------------------------------------------
+  // Health check
+  // -------------------------------------------------------------------------
+  app.get('/api/health', (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        status: 'ok',
+        environment: NODE_ENV,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+      },
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // API Routes
+  // -------------------------------------------------------------------------
+  app.use('/api/auth', authRoutes);
+  app.use('/api/stats', statsRoutes);
+  app.use('/api/unlocks', unlocksRoutes);
+  app.use('/api/leaderboard', leaderboardRoutes);
+  app.use('/api/quotes', quotesRoutes);
+  app.use('/api/devices', devicesRoutes);
+  app.use('/api/friends', friendsRoutes);
+  app.use('/api/challenges', challengesRoutes);
+  app.use('/api/achievements', achievementsRoutes);
+  app.use('/api/config', configRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/goals', goalsRoutes);
+  app.use('/api/insights', insightsRoutes);
+
+  // -------------------------------------------------------------------------
+  // 404 handler
+  // -------------------------------------------------------------------------
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: `Route ${req.method} ${req.originalUrl} not found`,
+    });
+  });
+
+  // -------------------------------------------------------------------------
+  // Global error handler
+  // -------------------------------------------------------------------------
+  app.use((err, req, res, _next) => {
+    console.error('Unhandled error:', err);
+
+    // Handle JSON parse errors
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid JSON in request body',
+      });
+    }
+
+    // Handle payload too large
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'Request payload too large',
+      });
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+    res.status(statusCode).json({
+      success: false,
+      error: NODE_ENV === 'production' ? 'Internal server error' : err.message,
+    });
+  });
+
+  return app;
+}
+
+export default createApp;
@@ -0,0 +1,113 @@
+import defaultMigrations from '../migrations/index.js';
+
+// Applied versions are tracked in `schema_migrations`. Each migration runs in
+// its own transaction with foreign keys switched off, so table rebuilds don't
+// cascade deletes; integrity is checked before the transaction commits.
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+function validateMigrations(migrations) {
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.version} (${migration.name}) must export up() and down()`);
+    }
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration versions must be strictly increasing (found ${migration.version})`);
+    }
+  });
+}
+
+function getAppliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Set(db.prepare('SELECT version FROM schema_migrations').all().map((row) => row.version));
+}
+
+function runInTransaction(db, fn) {
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      fn();
+      const violations = db.pragma('foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Foreign key check failed on table ${violations[0].table}`);
+      }
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+}
+
+export function getCurrentVersion(db) {
+  const applied = [...getAppliedVersions(db)];
+  return applied.length > 0 ? Math.max(...applied) : 0;
+}
+
+export function getMigrationStatus(db, migrations = defaultMigrations) {
+  ensureMigrationsTable(db);
+  const appliedAt = new Map(
+    db.prepare('SELECT version, applied_at FROM schema_migrations').all().map((row) => [row.version, row.applied_at])
+  );
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null,
+  }));
+}
+
+// Apply every pending migration up to `to` (default: latest). Returns the
+// migrations that ran.
+export function migrateUp(db, { to = Infinity, migrations = defaultMigrations } = {}) {
+  validateMigrations(migrations);
+  const applied = getAppliedVersions(db);
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (migration.version > to) break;
+    if (applied.has(migration.version)) continue;
+
+    runInTransaction(db, () => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    });
+    ran.push(migration);
+  }
+
+  return ran;
+}
+
+// Revert applied migrations, newest first, until the schema is at version `to`
+export function migrateDown(db, { to, migrations = defaultMigrations } = {}) {
+  if (!Number.isInteger(to) || to < 0) {
+    throw new Error('Target version for down migration must be a non-negative integer');
+  }
+
+  validateMigrations(migrations);
+  const applied = getAppliedVersions(db);
+  const reverted = [];
+
+  for (const migration of [...migrations].reverse()) {
+    if (migration.version <= to) break;
+    if (!applied.has(migration.version)) continue;
+
+    runInTransaction(db, () => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    });
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+export default { getCurrentVersion, getMigrationStatus, migrateUp, migrateDown };
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { getDb } from '../config/database.js';
+import { isSessionActive } from '../services/sessions.js';
 
 export default function authenticate(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -23,8 +24,17 @@ export default function authenticate(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session so they die with it on logout/revoke
+    if (!decoded.sid || !isSessionActive(decoded.sid, decoded.userId)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked',
+      });
+    }
+
     const db = getDb();
-    const user = db.prepare('SELECT id, username, email, display_name, created_at FROM users WHERE id = ?').get(decoded.userId);
+    const user = db.prepare('SELECT id, username, email, display_name, timezone, role, status, created_at FROM users WHERE id = ?').get(decoded.userId);
 
     if (!user) {
       return res.status(401).json({
@@ -33,7 +43,19 @@ export default function authenticate(req, res, next) {
       });
     }
 
+    // Deactivating signs out every session, but an access token can outlive
+    // that by a few minutes
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: user.status === 'suspended'
+          ? 'This account has been suspended'
+          : 'This account is deactivated. Log in again to reactivate it.',
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
@@ -54,3 +76,10 @@ export default function authenticate(req, res, next) {
     });
   }
 }
+
+// For public endpoints that personalise the response when a token is sent.
+// A bad token is still rejected rather than silently ignored.
+export function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) return next();
+  return authenticate(req, res, next);
+}
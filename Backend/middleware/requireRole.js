@@ -0,0 +1,14 @@
+export const ROLES = ['user', 'admin'];
+
+// Use after authenticate: only lets through users with one of `roles`
+export default function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to do that',
+      });
+    }
+    next();
+  };
+}
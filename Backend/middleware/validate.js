@@ -1,4 +1,17 @@
 import { body, query, validationResult } from 'express-validator';
+import { isValidTimezone, weekOf, daysBetween } from '../utils/dates.js';
+import { LEADERBOARD_PERIODS } from '../services/leaderboard.js';
+import {
+  CHALLENGE_METRICS,
+  GOAL_COMPARISONS,
+  GOAL_PERIODS,
+  MAX_CHALLENGE_DAYS,
+} from '../services/challenges.js';
+import { EXPORT_FORMAT, EXPORT_VERSION } from '../services/dataPortability.js';
+import { ACCOUNT_STATUSES } from '../services/accounts.js';
+import { GOAL_METRICS, APP_GOAL_METRICS, GOAL_PERIODS as PERSONAL_GOAL_PERIODS } from '../services/goals.js';
+import { INSIGHT_TYPES } from '../services/insights.js';
+import { ROLES } from './requireRole.js';
 
 // Middleware that checks for validation errors and returns 400 if any exist
 export function handleValidationErrors(req, res, next) {
@@ -16,6 +29,25 @@ export function handleValidationErrors(req, res, next) {
   next();
 }
 
+// Optional IANA timezone name, e.g. "Europe/Berlin"
+export function timezoneField() {
+  return body('timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('timezone must be a valid IANA timezone name');
+}
+
+// Calendar datetimes SQLite's datetime() can read: date and time joined by 'T'
+// or a space, optional seconds and fraction, and 'Z' or a +HH:MM offset. Other
+// ISO 8601 forms (week or ordinal dates, +HHMM offsets) come back NULL from it.
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?(?:Z|[+-]\d{2}:\d{2})?$/;
+
+function isTimestamp(value) {
+  return typeof value === 'string'
+    && TIMESTAMP_PATTERN.test(value)
+    && !Number.isNaN(Date.parse(value.replace(' ', 'T')));
+}
+
 export const registerValidation = [
   body('username')
     .trim()
@@ -24,6 +56,7 @@ export const registerValidation = [
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage('Username can only contain letters, numbers, and underscores'),
   body('email')
+    .optional({ values: 'falsy' })
     .trim()
     .isEmail()
     .normalizeEmail()
@@ -36,15 +69,34 @@ export const registerValidation = [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Display name must be between 1 and 50 characters'),
+  timezoneField(),
   handleValidationErrors,
 ];
 
-export const loginValidation = [
-  body('email')
+// Login takes `identifier` (username or email). Older clients send `email`,
+// and the iOS app sends `username`; both are folded into `identifier`.
+function identifierField() {
+  return body('identifier')
+    .customSanitizer((value, { req }) => value ?? req.body.email ?? req.body.username)
+    .isString()
+    .withMessage('identifier is required')
+    .bail()
     .trim()
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Must be a valid email address'),
+    .notEmpty()
+    .withMessage('identifier is required')
+    .bail()
+    .if((value) => value.includes('@'))
+    .normalizeEmail();
+}
+
+function newPasswordField(field) {
+  return body(field)
+    .isLength({ min: 8, max: 128 })
+    .withMessage(`${field} must be between 8 and 128 characters`);
+}
+
+export const loginValidation = [
+  identifierField(),
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
@@ -57,16 +109,88 @@ export const statsValidation = [
     .withMessage('Date must be in YYYY-MM-DD format'),
   body('total_unlocks')
     .isInt({ min: 0 })
-    .withMessage('total_unlocks must be a non-negative integer'),
+    .withMessage('total_unlocks must be a non-negative integer')
+    .toInt(),
   body('total_ad_time_seconds')
     .isInt({ min: 0 })
-    .withMessage('total_ad_time_seconds must be a non-negative integer'),
+    .withMessage('total_ad_time_seconds must be a non-negative integer')
+    .toInt(),
   body('apps_blocked_count')
     .isInt({ min: 0 })
-    .withMessage('apps_blocked_count must be a non-negative integer'),
+    .withMessage('apps_blocked_count must be a non-negative integer')
+    .toInt(),
   body('time_saved_seconds')
     .isInt({ min: 0 })
-    .withMessage('time_saved_seconds must be a non-negative integer'),
+    .withMessage('time_saved_seconds must be a non-negative integer')
+    .toInt(),
+  body('revision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('revision must be a non-negative integer')
+    .toInt(),
+  body('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('device_id must be a positive integer'),
+  handleValidationErrors,
+];
+
+export const BATCH_SYNC_MAX_DAYS = 400;
+export const BATCH_SYNC_MAX_UNLOCKS = 1000;
+
+export const batchSyncValidation = [
+  body('days')
+    .optional()
+    .isArray({ max: BATCH_SYNC_MAX_DAYS })
+    .withMessage(`days must be an array of at most ${BATCH_SYNC_MAX_DAYS} entries`),
+  body('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('device_id must be a positive integer'),
+  body('unlocks')
+    .optional()
+    .isArray({ max: BATCH_SYNC_MAX_UNLOCKS })
+    .withMessage(`unlocks must be an array of at most ${BATCH_SYNC_MAX_UNLOCKS} entries`),
+  body()
+    .custom((value) => (value.days?.length || 0) + (value.unlocks?.length || 0) > 0)
+    .withMessage('Provide at least one entry in days or unlocks'),
+  body('days.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  body([
+    'days.*.total_unlocks',
+    'days.*.total_ad_time_seconds',
+    'days.*.apps_blocked_count',
+    'days.*.time_saved_seconds',
+  ])
+    .isInt({ min: 0 })
+    .withMessage('Day counters must be non-negative integers')
+    .toInt(),
+  body('days.*.revision')
+    .isInt({ min: 0 })
+    .withMessage('revision must be a non-negative integer')
+    .toInt(),
+  body('unlocks.*.client_event_id')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('client_event_id must be between 1 and 64 characters'),
+  body('unlocks.*.app_name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('app_name must be between 1 and 255 characters'),
+  body('unlocks.*.ad_duration_seconds')
+    .isInt({ min: 0 })
+    .withMessage('ad_duration_seconds must be a non-negative integer')
+    .toInt(),
+  body('unlocks.*.unlocked_at')
+    .custom(isTimestamp)
+    .withMessage('unlocked_at must be an ISO 8601 datetime like 2026-03-01T10:00:00Z'),
+  body('unlocks.*.expires_at')
+    .optional({ values: 'null' })
+    .custom(isTimestamp)
+    .withMessage('expires_at must be an ISO 8601 datetime like 2026-03-01T10:00:00Z'),
   handleValidationErrors,
 ];
 
@@ -84,6 +208,174 @@ export const unlockLogValidation = [
     .optional()
     .isISO8601()
     .withMessage('expires_at must be a valid ISO 8601 datetime'),
+  body('ssv_nonce')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('ssv_nonce must be 8 to 128 characters'),
+  body('group_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('group_id must be a positive integer')
+    .toInt(),
+  handleValidationErrors,
+];
+
+export const unlockQuoteValidation = [
+  body('app_name')
+    .trim()
+    .notEmpty()
+    .withMessage('app_name is required')
+    .isLength({ max: 255 })
+    .withMessage('app_name must be 255 characters or fewer'),
+  body('group_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('group_id must be a positive integer')
+    .toInt(),
+  handleValidationErrors,
+];
+
+// Escalation settings, shared by the user's policy and per-group unlock
+// rules (under `prefix`, where null means "use the user's policy")
+function unlockRuleFields(prefix = '', { nullable = false } = {}) {
+  const optional = nullable ? { values: 'null' } : {};
+  return [
+    body(`${prefix}tiers`)
+      .optional(optional)
+      .isArray({ min: 1, max: 10 })
+      .withMessage(`${prefix}tiers must be a list of 1 to 10 ad durations`),
+    body(`${prefix}tiers.*`)
+      .isInt({ min: 0, max: 3600 })
+      .withMessage('Each tier must be between 0 and 3600 seconds')
+      .toInt(),
+    body(`${prefix}reset_window_minutes`)
+      .optional(optional)
+      .isInt({ min: 1, max: 1440 })
+      .withMessage(`${prefix}reset_window_minutes must be between 1 and 1440`)
+      .toInt(),
+    body(`${prefix}access_seconds`)
+      .optional(optional)
+      .isInt({ min: 60, max: 7200 })
+      .withMessage(`${prefix}access_seconds must be between 60 and 7200`)
+      .toInt(),
+  ];
+}
+
+export const unlockPolicyValidation = [
+  ...unlockRuleFields(),
+  handleValidationErrors,
+];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// The config field helpers take a path prefix so the same rules can check
+// groups and schedules nested inside an import archive.
+function configNameField(prefix = '') {
+  return body(`${prefix}name`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('name must be between 1 and 60 characters');
+}
+
+function enabledField(path) {
+  return body(path)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_enabled must be true or false');
+}
+
+function appGroupFields(prefix = '') {
+  return [
+    enabledField(`${prefix}is_enabled`),
+    // Names are trimmed first, so "X" and "X " count as the same app
+    body(`${prefix}apps.*.app_name`)
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('app_name must be between 1 and 255 characters'),
+    body(`${prefix}apps`)
+      .optional()
+      .isArray({ max: 500 })
+      .withMessage('apps must be a list of at most 500 apps')
+      .bail()
+      .custom((apps) => new Set(apps.map((app) => app?.app_name)).size === apps.length)
+      .withMessage('apps must not list the same app twice'),
+    body(`${prefix}apps.*.token_data`)
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 10000 })
+      .withMessage('token_data must be a string of at most 10000 characters'),
+    enabledField(`${prefix}apps.*.is_enabled`),
+    body(`${prefix}unlock_rules`)
+      .optional({ values: 'null' })
+      .isObject()
+      .withMessage('unlock_rules must be an object or null'),
+    ...unlockRuleFields(`${prefix}unlock_rules.`, { nullable: true }),
+  ];
+}
+
+export const appGroupCreateValidation = [
+  configNameField(),
+  ...appGroupFields(),
+  handleValidationErrors,
+];
+
+export const appGroupUpdateValidation = [
+  configNameField().optional(),
+  ...appGroupFields(),
+  handleValidationErrors,
+];
+
+// With `partial`, days_of_week and time_ranges may be left out (updates)
+function scheduleFields({ partial = false, prefix = '' } = {}) {
+  return [
+    body(`${prefix}days_of_week`)
+      .optional(partial)
+      .isArray({ min: 1, max: 7 })
+      .withMessage('days_of_week must list 1 to 7 days')
+      .bail()
+      .custom((days) => new Set(days).size === days.length)
+      .withMessage('days_of_week must not repeat a day'),
+    body(`${prefix}days_of_week.*`)
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Each day must be 0 (Sunday) through 6 (Saturday)')
+      .toInt(),
+    body(`${prefix}time_ranges`)
+      .optional(partial)
+      .isArray({ min: 1, max: 10 })
+      .withMessage('time_ranges must list 1 to 10 ranges'),
+    body(`${prefix}time_ranges.*.start`)
+      .matches(TIME_OF_DAY)
+      .withMessage('start must be a time in HH:MM format'),
+    body(`${prefix}time_ranges.*.end`)
+      .matches(TIME_OF_DAY)
+      .withMessage('end must be a time in HH:MM format'),
+    body(`${prefix}time_ranges.*`)
+      .custom((range) => range?.start !== range?.end)
+      .withMessage('A time range must not start and end at the same time'),
+    body(`${prefix}group_ids`)
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('group_ids must be a list of at most 100 group ids'),
+    body(`${prefix}group_ids.*`)
+      .isInt({ min: 1 })
+      .withMessage('Each group id must be a positive integer')
+      .toInt(),
+    enabledField(`${prefix}is_enabled`),
+  ];
+}
+
+export const scheduleCreateValidation = [
+  configNameField(),
+  ...scheduleFields(),
+  handleValidationErrors,
+];
+
+export const scheduleUpdateValidation = [
+  configNameField().optional(),
+  ...scheduleFields({ partial: true }),
   handleValidationErrors,
 ];
 
@@ -100,5 +392,550 @@ export const historyQueryValidation = [
     .optional()
     .isInt({ min: 1, max: 365 })
     .withMessage('limit must be between 1 and 365'),
+  query('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('device_id must be a positive integer'),
+  handleValidationErrors,
+];
+
+export const leaderboardQueryValidation = [
+  query('period')
+    .optional()
+    .isIn(LEADERBOARD_PERIODS)
+    .withMessage(`period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`),
+  query('week_start')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('week_start must be in YYYY-MM-DD format')
+    .bail()
+    .custom((value) => weekOf(value).weekStart === value)
+    .withMessage('week_start must be a Monday'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+    .toInt(),
+  handleValidationErrors,
+];
+
+export const deviceFilterValidation = [
+  query('device_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('device_id must be a positive integer'),
+  handleValidationErrors,
+];
+
+export const deviceRegisterValidation = [
+  body('device_uid')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('device_uid must be between 1 and 128 characters'),
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('name must be between 1 and 50 characters'),
+  body('platform')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('platform must be 30 characters or fewer'),
+  body('model')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('model must be 50 characters or fewer'),
+  handleValidationErrors,
+];
+
+export const friendRequestValidation = [
+  body('username')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('username is required'),
+  handleValidationErrors,
+];
+
+export const challengeCreateValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('name must be between 1 and 60 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('description must be 500 characters or fewer'),
+  body('goal_metric')
+    .isIn(CHALLENGE_METRICS)
+    .withMessage(`goal_metric must be one of: ${CHALLENGE_METRICS.join(', ')}`),
+  body('goal_comparison')
+    .isIn(GOAL_COMPARISONS)
+    .withMessage(`goal_comparison must be one of: ${GOAL_COMPARISONS.join(', ')}`),
+  body('goal_value')
+    .isInt({ min: 0 })
+    .withMessage('goal_value must be a non-negative integer')
+    .toInt(),
+  body('goal_period')
+    .optional()
+    .isIn(GOAL_PERIODS)
+    .withMessage(`goal_period must be one of: ${GOAL_PERIODS.join(', ')}`),
+  body('start_date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('start_date must be in YYYY-MM-DD format'),
+  body('end_date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('end_date must be in YYYY-MM-DD format')
+    .bail()
+    .custom((value, { req }) => {
+      const days = daysBetween(req.body.start_date, value) + 1;
+      return days >= 1 && days <= MAX_CHALLENGE_DAYS;
+    })
+    .withMessage(`end_date must be on or after start_date, at most ${MAX_CHALLENGE_DAYS} days later`),
+  handleValidationErrors,
+];
+
+export const challengeUpdateValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('name must be between 1 and 60 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('description must be 500 characters or fewer'),
+  handleValidationErrors,
+];
+
+export const refreshTokenValidation = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('refresh_token is required'),
+  handleValidationErrors,
+];
+
+export const forgotPasswordValidation = [
+  identifierField(),
+  handleValidationErrors,
+];
+
+export const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('token is required'),
+  newPasswordField('password'),
+  handleValidationErrors,
+];
+
+export const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('token is required'),
+  handleValidationErrors,
+];
+
+export const changePasswordValidation = [
+  body('current_password')
+    .notEmpty()
+    .withMessage('current_password is required'),
+  newPasswordField('new_password'),
+  handleValidationErrors,
+];
+
+export const IMPORT_MAX_ROWS = 100000;
+
+function archiveList(field) {
+  return body(field)
+    .optional()
+    .isArray({ max: IMPORT_MAX_ROWS })
+    .withMessage(`${field} must be a list of at most ${IMPORT_MAX_ROWS} rows`);
+}
+
+function archiveTimestamp(field, { nullable = false } = {}) {
+  const chain = body(field);
+  if (nullable) chain.optional({ values: 'null' });
+  return chain
+    .custom(isTimestamp)
+    .withMessage('Timestamps must be ISO 8601 datetimes');
+}
+
+function archiveCount(field, { optional = false } = {}) {
+  const chain = body(field);
+  if (optional) chain.optional({ values: 'null' });
+  return chain
+    .isInt({ min: 0 })
+    .withMessage('Counts must be non-negative integers');
+}
+
+// A data export being imported. Everything but the format marker is
+// optional so partial archives can be restored; rows that are present have
+// to be complete.
+export const importArchiveValidation = [
+  body('format')
+    .equals(EXPORT_FORMAT)
+    .withMessage(`format must be "${EXPORT_FORMAT}"`),
+  body('version')
+    .isInt({ min: 1, max: EXPORT_VERSION })
+    .withMessage(`version must be between 1 and ${EXPORT_VERSION}`)
+    .toInt(),
+  body('profile')
+    .optional()
+    .isObject()
+    .withMessage('profile must be an object'),
+  body('profile.display_name')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Display name must be between 1 and 50 characters'),
+  body('profile.timezone')
+    .optional()
+    .custom(isValidTimezone)
+    .withMessage('timezone must be a valid IANA timezone name'),
+
+  archiveList('devices'),
+  body('devices.*.id').isInt({ min: 1 }).withMessage('Device ids must be positive integers'),
+  body('devices.*.device_uid')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('device_uid must be between 1 and 128 characters'),
+  body('devices.*.name')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('name must be between 1 and 50 characters'),
+  body('devices.*.platform').optional({ values: 'null' }).isString().isLength({ max: 30 }),
+  body('devices.*.model').optional({ values: 'null' }).isString().isLength({ max: 50 }),
+  archiveTimestamp('devices.*.created_at', { nullable: true }),
+  archiveTimestamp('devices.*.last_seen_at', { nullable: true }),
+
+  archiveList('daily_stats'),
+  body('daily_stats.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('date must be in YYYY-MM-DD format'),
+  archiveCount('daily_stats.*.device_id', { optional: true }),
+  archiveCount('daily_stats.*.total_unlocks'),
+  archiveCount('daily_stats.*.total_ad_time_seconds'),
+  archiveCount('daily_stats.*.apps_blocked_count'),
+  archiveCount('daily_stats.*.time_saved_seconds'),
+  archiveCount('daily_stats.*.revision', { optional: true }),
+  archiveTimestamp('daily_stats.*.updated_at', { nullable: true }),
+
+  archiveList('unlock_sessions'),
+  body('unlock_sessions.*.id').isInt({ min: 1 }).withMessage('Session ids must be positive integers'),
+  body('unlock_sessions.*.app_name')
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('app_name must be between 1 and 255 characters'),
+  archiveCount('unlock_sessions.*.ad_duration_seconds'),
+  archiveTimestamp('unlock_sessions.*.unlocked_at'),
+  archiveTimestamp('unlock_sessions.*.expires_at', { nullable: true }),
+  archiveTimestamp('unlock_sessions.*.ended_at', { nullable: true }),
+  body('unlock_sessions.*.client_event_id')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('client_event_id must be between 1 and 64 characters'),
+  archiveCount('unlock_sessions.*.tier', { optional: true }),
+  archiveCount('unlock_sessions.*.required_ad_seconds', { optional: true }),
+
+  archiveList('unlock_extensions'),
+  body('unlock_extensions.*.session_id').isInt({ min: 1 }).withMessage('session_id must be a positive integer'),
+  archiveCount('unlock_extensions.*.ad_duration_seconds'),
+  archiveCount('unlock_extensions.*.tier'),
+  archiveCount('unlock_extensions.*.required_ad_seconds'),
+  archiveTimestamp('unlock_extensions.*.previous_expires_at'),
+  archiveTimestamp('unlock_extensions.*.new_expires_at'),
+  archiveTimestamp('unlock_extensions.*.created_at'),
+
+  archiveList('leaderboard_entries'),
+
+  archiveList('achievements'),
+
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('settings must be an object'),
+  body('settings.unlock_policy')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('unlock_policy must be an object or null'),
+  ...unlockRuleFields('settings.unlock_policy.'),
+  body('settings.app_groups')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('app_groups must be a list of at most 100 groups'),
+  body('settings.app_groups.*.id').isInt({ min: 1 }).withMessage('Group ids must be positive integers'),
+  configNameField('settings.app_groups.*.'),
+  ...appGroupFields('settings.app_groups.*.'),
+  body('settings.focus_schedules')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('focus_schedules must be a list of at most 100 schedules'),
+  configNameField('settings.focus_schedules.*.'),
+  ...scheduleFields({ prefix: 'settings.focus_schedules.*.' }),
+  handleValidationErrors,
+];
+
+// limit/offset paging, up to 100 rows a page
+function pageFields() {
+  return [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit must be between 1 and 100')
+      .toInt(),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('offset must be a non-negative integer')
+      .toInt(),
+  ];
+}
+
+export const adminUserQueryValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('q must be 100 characters or fewer'),
+  query('status')
+    .optional()
+    .isIn(ACCOUNT_STATUSES)
+    .withMessage(`status must be one of: ${ACCOUNT_STATUSES.join(', ')}`),
+  query('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  ...pageFields(),
+  handleValidationErrors,
+];
+
+export const suspendUserValidation = [
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('reason must be between 1 and 500 characters'),
+  handleValidationErrors,
+];
+
+export const auditLogQueryValidation = [
+  query('action')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('action must not be empty'),
+  query('admin_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('admin_id must be a positive integer')
+    .toInt(),
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('user_id must be a positive integer')
+    .toInt(),
+  ...pageFields(),
+  handleValidationErrors,
+];
+
+// Quote categories and tags are lower-case slugs of up to 30 characters like
+// "focus" or "digital-wellbeing"; locales are language tags like "en" or "pt-BR"
+const QUOTE_SLUG = /^(?=.{1,30}$)[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const LOCALE_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+export const QUOTE_IMPORT_MAX = 5000;
+
+function quoteFields({ partial = false, prefix = '' } = {}) {
+  return [
+    body(`${prefix}text`)
+      .optional(partial)
+      .isString()
+      .withMessage('text is required')
+      .bail()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('text must be between 1 and 500 characters'),
+    body(`${prefix}author`)
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('author must be between 1 and 100 characters'),
+    body(`${prefix}category`)
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(QUOTE_SLUG)
+      .withMessage('category must be a lower-case slug of at most 30 characters, e.g. "focus"'),
+    body(`${prefix}tags`)
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('tags must be a list of at most 10 tags'),
+    body(`${prefix}tags.*`)
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(QUOTE_SLUG)
+      .withMessage('Tags must be lower-case slugs of at most 30 characters, e.g. "sleep"'),
+    body(`${prefix}locale`)
+      .optional()
+      .isString()
+      .trim()
+      .matches(LOCALE_PATTERN)
+      .withMessage('locale must be a language tag such as "en" or "pt-BR"'),
+  ];
+}
+
+function quoteFilterFields() {
+  return [
+    query('category')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(QUOTE_SLUG)
+      .withMessage('category must be a lower-case slug'),
+    query('tag')
+      .optional()
+      .trim()
+      .toLowerCase()
+      .matches(QUOTE_SLUG)
+      .withMessage('tag must be a lower-case slug'),
+    query('lang')
+      .optional()
+      .trim()
+      .matches(LOCALE_PATTERN)
+      .withMessage('lang must be a language tag such as "en" or "pt-BR"'),
+  ];
+}
+
+export const quoteFilterValidation = [...quoteFilterFields(), handleValidationErrors];
+
+export const quoteRandomValidation = [
+  ...quoteFilterFields(),
+  query('weighted')
+    .optional()
+    .isBoolean()
+    .withMessage('weighted must be true or false')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+export const quoteHistoryValidation = [...pageFields(), handleValidationErrors];
+
+export const quoteListValidation = [
+  ...quoteFilterFields(),
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('q must be 100 characters or fewer'),
+  ...pageFields(),
+  handleValidationErrors,
+];
+
+export const quoteCreateValidation = [...quoteFields(), handleValidationErrors];
+
+export const quoteUpdateValidation = [...quoteFields({ partial: true }), handleValidationErrors];
+
+export const quoteImportValidation = [
+  body('quotes')
+    .isArray({ min: 1, max: QUOTE_IMPORT_MAX })
+    .withMessage(`quotes must be a list of 1 to ${QUOTE_IMPORT_MAX} quotes`),
+  ...quoteFields({ prefix: 'quotes.*.' }),
+  handleValidationErrors,
+];
+
+function goalFields({ partial = false } = {}) {
+  return [
+    body('name')
+      .optional(partial)
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 60 })
+      .withMessage('name must be between 1 and 60 characters'),
+    body('comparison')
+      .optional(partial)
+      .isIn(GOAL_COMPARISONS)
+      .withMessage(`comparison must be one of: ${GOAL_COMPARISONS.join(', ')}`),
+    body('target')
+      .optional(partial)
+      .isInt({ min: 0 })
+      .withMessage('target must be a non-negative integer')
+      .toInt(),
+    body('period')
+      .optional()
+      .isIn(PERSONAL_GOAL_PERIODS)
+      .withMessage(`period must be one of: ${PERSONAL_GOAL_PERIODS.join(', ')}`),
+  ];
+}
+
+export const goalCreateValidation = [
+  ...goalFields(),
+  body('metric')
+    .isIn(GOAL_METRICS)
+    .withMessage(`metric must be one of: ${GOAL_METRICS.join(', ')}`),
+  // Per-app metrics need the app; the others must not name one
+  body('app_name')
+    .custom((value, { req }) => {
+      if (!APP_GOAL_METRICS.includes(req.body.metric)) return value === undefined || value === null;
+      return typeof value === 'string' && value.trim().length >= 1 && value.trim().length <= 100;
+    })
+    .withMessage(`app_name is required for ${APP_GOAL_METRICS.join(' and ')} goals, and only for them`)
+    .customSanitizer((value) => (typeof value === 'string' ? value.trim() : value)),
+  handleValidationErrors,
+];
+
+// What a goal measures can't change, so its history stays meaningful
+export const goalUpdateValidation = [
+  ...goalFields({ partial: true }),
+  body(['metric', 'app_name'])
+    .not()
+    .exists()
+    .withMessage('A goal\'s metric and app_name cannot be changed; create a new goal instead'),
+  handleValidationErrors,
+];
+
+export const goalProgressQueryValidation = [
+  query('periods')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('periods must be between 1 and 90')
+    .toInt(),
+  handleValidationErrors,
+];
+
+// ?types=app_trend,unusual_day limits which insights are worked out
+export const insightsQueryValidation = [
+  query('types')
+    .optional()
+    .isString()
+    .customSanitizer((value) => value.split(',').map((type) => type.trim()).filter(Boolean))
+    .custom((types) => types.length > 0 && types.every((type) => INSIGHT_TYPES.includes(type)))
+    .withMessage(`types must be a comma-separated list of: ${INSIGHT_TYPES.join(', ')}`),
   handleValidationErrors,
 ];
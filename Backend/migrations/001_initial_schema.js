@@ -0,0 +1,114 @@
+// Baseline schema. Tables use IF NOT EXISTS so databases created before
+// migrations existed are adopted as-is; 002 then brings their users table up
+// to date.
+export const version = 1;
+export const name = 'initial_schema';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      email TEXT UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      email_verified_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      family_id TEXT NOT NULL,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      rotated_at TEXT,
+      revoked_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_family_id ON sessions(family_id);
+
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      consumed_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose);
+
+    CREATE TABLE IF NOT EXISTS unlock_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      app_name TEXT NOT NULL,
+      ad_duration_seconds INTEGER NOT NULL DEFAULT 0,
+      unlocked_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_unlock_sessions_user_id ON unlock_sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_unlock_sessions_unlocked_at ON unlock_sessions(unlocked_at);
+
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      total_unlocks INTEGER NOT NULL DEFAULT 0,
+      total_ad_time_seconds INTEGER NOT NULL DEFAULT 0,
+      apps_blocked_count INTEGER NOT NULL DEFAULT 0,
+      time_saved_seconds INTEGER NOT NULL DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_daily_stats_user_date ON daily_stats(user_id, date);
+
+    CREATE TABLE IF NOT EXISTS leaderboard_cache (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      username TEXT NOT NULL,
+      display_name TEXT,
+      streak_days INTEGER NOT NULL DEFAULT 0,
+      total_time_saved INTEGER NOT NULL DEFAULT 0,
+      week_start TEXT NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, week_start)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_leaderboard_week ON leaderboard_cache(week_start, total_time_saved DESC);
+
+    CREATE TABLE IF NOT EXISTS motivational_quotes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      text TEXT NOT NULL UNIQUE,
+      author TEXT NOT NULL
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS motivational_quotes;
+    DROP TABLE IF EXISTS leaderboard_cache;
+    DROP TABLE IF EXISTS daily_stats;
+    DROP TABLE IF EXISTS unlock_sessions;
+    DROP TABLE IF EXISTS auth_tokens;
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS users;
+  `);
+}
@@ -0,0 +1,43 @@
+// Databases created before email became optional still have `email NOT NULL`
+// and lack the lockout and verification columns. SQLite can't drop a
+// constraint in place, so the table is rebuilt and existing rows are copied
+// across. Fresh databases already match and are left alone.
+export const version = 2;
+export const name = 'upgrade_legacy_users';
+
+const ADDED_COLUMNS = ['failed_login_attempts', 'locked_until', 'email_verified_at'];
+
+export function up(db) {
+  const columns = db.prepare('PRAGMA table_info(users)').all();
+  const email = columns.find((c) => c.name === 'email');
+  const hasAllColumns = ADDED_COLUMNS.every((column) => columns.some((c) => c.name === column));
+
+  if (!email.notnull && hasAllColumns) return;
+
+  const shared = columns.map((c) => c.name).join(', ');
+
+  db.exec(`
+    CREATE TABLE users_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      email TEXT UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      display_name TEXT,
+      failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      email_verified_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    INSERT INTO users_new (${shared}) SELECT ${shared} FROM users;
+    DROP TABLE users;
+    ALTER TABLE users_new RENAME TO users;
+
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+  `);
+}
+
+// The old NOT NULL constraint is not restored
+export function down() {}
@@ -0,0 +1,27 @@
+// Batch sync: daily_stats rows carry the client revision they were last
+// written with, and unlock events carry a client-generated id so retried
+// uploads are not counted twice.
+export const version = 3;
+export const name = 'stats_sync_revisions';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE daily_stats ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE daily_stats ADD COLUMN updated_at TEXT;
+
+    ALTER TABLE unlock_sessions ADD COLUMN client_event_id TEXT;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_unlock_sessions_client_event
+      ON unlock_sessions(user_id, client_event_id)
+      WHERE client_event_id IS NOT NULL;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_unlock_sessions_client_event;
+    ALTER TABLE unlock_sessions DROP COLUMN client_event_id;
+    ALTER TABLE daily_stats DROP COLUMN updated_at;
+    ALTER TABLE daily_stats DROP COLUMN revision;
+  `);
+}
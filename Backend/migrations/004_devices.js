@@ -0,0 +1,86 @@
+// Multi-device support. Stats rows become per device: daily_stats is rebuilt
+// so its unique key includes device_id. Rows synced before devices existed
+// keep device_id 0 ("unattributed"), which is why the column has no foreign
+// key. Removing a device keeps its stats so history totals don't change.
+export const version = 4;
+export const name = 'devices';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE devices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      device_uid TEXT NOT NULL,
+      name TEXT NOT NULL,
+      platform TEXT,
+      model TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_seen_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, device_uid)
+    );
+
+    CREATE TABLE daily_stats_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      device_id INTEGER NOT NULL DEFAULT 0,
+      date TEXT NOT NULL,
+      total_unlocks INTEGER NOT NULL DEFAULT 0,
+      total_ad_time_seconds INTEGER NOT NULL DEFAULT 0,
+      apps_blocked_count INTEGER NOT NULL DEFAULT 0,
+      time_saved_seconds INTEGER NOT NULL DEFAULT 0,
+      revision INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, device_id, date)
+    );
+
+    INSERT INTO daily_stats_new (id, user_id, device_id, date, total_unlocks, total_ad_time_seconds,
+      apps_blocked_count, time_saved_seconds, revision, updated_at)
+    SELECT id, user_id, 0, date, total_unlocks, total_ad_time_seconds,
+      apps_blocked_count, time_saved_seconds, revision, updated_at
+    FROM daily_stats;
+
+    DROP TABLE daily_stats;
+    ALTER TABLE daily_stats_new RENAME TO daily_stats;
+
+    CREATE INDEX idx_daily_stats_user_date ON daily_stats(user_id, date);
+
+    ALTER TABLE unlock_sessions ADD COLUMN device_id INTEGER REFERENCES devices(id) ON DELETE SET NULL;
+  `);
+}
+
+// Per-device rows for the same day are summed back into one row
+export function down(db) {
+  db.exec(`
+    ALTER TABLE unlock_sessions DROP COLUMN device_id;
+
+    CREATE TABLE daily_stats_old (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      date TEXT NOT NULL,
+      total_unlocks INTEGER NOT NULL DEFAULT 0,
+      total_ad_time_seconds INTEGER NOT NULL DEFAULT 0,
+      apps_blocked_count INTEGER NOT NULL DEFAULT 0,
+      time_saved_seconds INTEGER NOT NULL DEFAULT 0,
+      revision INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, date)
+    );
+
+    INSERT INTO daily_stats_old (user_id, date, total_unlocks, total_ad_time_seconds,
+      apps_blocked_count, time_saved_seconds, revision, updated_at)
+    SELECT user_id, date, SUM(total_unlocks), SUM(total_ad_time_seconds),
+      SUM(apps_blocked_count), SUM(time_saved_seconds), MAX(revision), MAX(updated_at)
+    FROM daily_stats
+    GROUP BY user_id, date;
+
+    DROP TABLE daily_stats;
+    ALTER TABLE daily_stats_old RENAME TO daily_stats;
+
+    CREATE INDEX idx_daily_stats_user_date ON daily_stats(user_id, date);
+
+    DROP TABLE devices;
+  `);
+}
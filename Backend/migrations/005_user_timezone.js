@@ -0,0 +1,16 @@
+// IANA timezone per user, used to bucket stats into the user's own days and
+// weeks. Existing users start on UTC until the app reports their zone.
+export const version = 5;
+export const name = 'user_timezone';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC';
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE users DROP COLUMN timezone;
+  `);
+}
@@ -0,0 +1,28 @@
+// Past weeks are frozen into leaderboard_cache once they end. A row in
+// leaderboard_snapshots marks a week whose cache holds the complete, final
+// standings (the /refresh cache for the current week only holds the top 50).
+export const version = 6;
+export const name = 'leaderboard_snapshots';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE leaderboard_cache ADD COLUMN rank INTEGER;
+    ALTER TABLE leaderboard_cache ADD COLUMN total_unlocks INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE leaderboard_cache ADD COLUMN days_active INTEGER NOT NULL DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+      week_start TEXT PRIMARY KEY,
+      entry_count INTEGER NOT NULL,
+      frozen_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS leaderboard_snapshots;
+    ALTER TABLE leaderboard_cache DROP COLUMN days_active;
+    ALTER TABLE leaderboard_cache DROP COLUMN total_unlocks;
+    ALTER TABLE leaderboard_cache DROP COLUMN rank;
+  `);
+}
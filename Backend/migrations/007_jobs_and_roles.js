@@ -0,0 +1,37 @@
+// Background job bookkeeping (a lock per job so runs can't overlap, and a
+// history of runs) plus a role on users so maintenance endpoints can be
+// limited to admins.
+export const version = 7;
+export const name = 'jobs_and_roles';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';
+
+    CREATE TABLE IF NOT EXISTS job_locks (
+      job_name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      locked_until TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      result TEXT,
+      error TEXT,
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      finished_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS job_runs;
+    DROP TABLE IF EXISTS job_locks;
+    ALTER TABLE users DROP COLUMN role;
+  `);
+}
@@ -0,0 +1,41 @@
+// Friend graph. A friendship is one row per pair, owned by whoever asked;
+// it's 'pending' until the other side accepts. Invite codes let someone
+// become friends with the inviter directly.
+export const version = 8;
+export const name = 'friends';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS friendships (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      requester_id INTEGER NOT NULL,
+      addressee_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      responded_at TEXT,
+      FOREIGN KEY (requester_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (addressee_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(requester_id, addressee_id),
+      CHECK (requester_id <> addressee_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id, status);
+
+    CREATE TABLE IF NOT EXISTS friend_invites (
+      code TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_friend_invites_user ON friend_invites(user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS friend_invites;
+    DROP TABLE IF EXISTS friendships;
+  `);
+}
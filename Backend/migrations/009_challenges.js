@@ -0,0 +1,45 @@
+// Group challenges: a shared goal over a date range on one daily_stats
+// counter, e.g. "total_unlocks at_most 20 per day". Members have a role:
+// 'owner' (the creator), 'admin' or 'member'.
+export const version = 9;
+export const name = 'challenges';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS challenges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      join_code TEXT NOT NULL UNIQUE,
+      goal_metric TEXT NOT NULL,
+      goal_comparison TEXT NOT NULL,
+      goal_value INTEGER NOT NULL,
+      goal_period TEXT NOT NULL DEFAULT 'daily',
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL,
+      created_by INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS challenge_members (
+      challenge_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL DEFAULT 'member',
+      joined_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (challenge_id, user_id),
+      FOREIGN KEY (challenge_id) REFERENCES challenges(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_challenge_members_user ON challenge_members(user_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS challenge_members;
+    DROP TABLE IF EXISTS challenges;
+  `);
+}
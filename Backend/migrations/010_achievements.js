@@ -0,0 +1,22 @@
+// Achievements a user has earned. The rules themselves live in code
+// (services/achievements.js); only the award and when it happened is stored.
+export const version = 10;
+export const name = 'achievements';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_achievements (
+      user_id INTEGER NOT NULL,
+      achievement_key TEXT NOT NULL,
+      earned_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (user_id, achievement_key),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS user_achievements;
+  `);
+}
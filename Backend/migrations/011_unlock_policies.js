@@ -0,0 +1,32 @@
+// Server-owned unlock escalation. A user without a row in unlock_policies
+// gets the defaults in services/unlockPolicy.js. Logged unlocks remember the
+// tier and ad length that applied.
+export const version = 11;
+export const name = 'unlock_policies';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS unlock_policies (
+      user_id INTEGER PRIMARY KEY,
+      tiers TEXT NOT NULL,
+      reset_window_minutes INTEGER NOT NULL,
+      access_seconds INTEGER NOT NULL,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    ALTER TABLE unlock_sessions ADD COLUMN tier INTEGER;
+    ALTER TABLE unlock_sessions ADD COLUMN required_ad_seconds INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_unlock_sessions_app ON unlock_sessions(user_id, app_name, unlocked_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_unlock_sessions_app;
+    ALTER TABLE unlock_sessions DROP COLUMN required_ad_seconds;
+    ALTER TABLE unlock_sessions DROP COLUMN tier;
+    DROP TABLE IF EXISTS unlock_policies;
+  `);
+}
@@ -0,0 +1,31 @@
+// Unlock sessions can be relocked early (ended_at) and extended by watching
+// another ad. Each extension is kept so escalation can count it.
+export const version = 12;
+export const name = 'unlock_session_lifecycle';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE unlock_sessions ADD COLUMN ended_at TEXT;
+
+    CREATE TABLE IF NOT EXISTS unlock_extensions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL,
+      ad_duration_seconds INTEGER NOT NULL DEFAULT 0,
+      tier INTEGER NOT NULL,
+      required_ad_seconds INTEGER NOT NULL,
+      previous_expires_at TEXT NOT NULL,
+      new_expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (session_id) REFERENCES unlock_sessions(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_unlock_extensions_session ON unlock_extensions(session_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS unlock_extensions;
+    ALTER TABLE unlock_sessions DROP COLUMN ended_at;
+  `);
+}
@@ -0,0 +1,43 @@
+// Rewarded-ad server-side verification. Each signed callback from the ad
+// network is stored once per transaction_id. The app passes a nonce as the
+// callback's custom_data and with its unlock, which is how the two are
+// linked; a session is verified once a reward with its nonce arrives.
+export const version = 13;
+export const name = 'reward_verification';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS reward_transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL UNIQUE,
+      user_id INTEGER,
+      ad_network TEXT,
+      ad_unit TEXT,
+      reward_item TEXT,
+      reward_amount INTEGER NOT NULL DEFAULT 0,
+      custom_data TEXT,
+      key_id TEXT NOT NULL,
+      signed_at TEXT,
+      unlock_session_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (unlock_session_id) REFERENCES unlock_sessions(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reward_transactions_user_nonce ON reward_transactions(user_id, custom_data);
+
+    ALTER TABLE unlock_sessions ADD COLUMN ssv_nonce TEXT;
+    ALTER TABLE unlock_sessions ADD COLUMN verified INTEGER NOT NULL DEFAULT 0;
+
+    CREATE INDEX IF NOT EXISTS idx_unlock_sessions_user_nonce ON unlock_sessions(user_id, ssv_nonce);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_unlock_sessions_user_nonce;
+    ALTER TABLE unlock_sessions DROP COLUMN verified;
+    ALTER TABLE unlock_sessions DROP COLUMN ssv_nonce;
+    DROP TABLE IF EXISTS reward_transactions;
+  `);
+}
@@ -0,0 +1,79 @@
+// Blocking configuration synced from the app: groups of blocked apps with
+// optional unlock rules, and focus schedules that enforce groups at set
+// times. config_versions holds one counter per user that every change bumps;
+// it's what the config API's ETags are made from. Unlocks remember which
+// group they were attributed to.
+export const version = 14;
+export const name = 'user_config';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS config_versions (
+      user_id INTEGER PRIMARY KEY,
+      version INTEGER NOT NULL DEFAULT 0,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS app_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      is_enabled INTEGER NOT NULL DEFAULT 1,
+      unlock_tiers TEXT,
+      reset_window_minutes INTEGER,
+      access_seconds INTEGER,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS app_group_apps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      app_name TEXT NOT NULL,
+      token_data TEXT,
+      is_enabled INTEGER NOT NULL DEFAULT 1,
+      UNIQUE (group_id, app_name),
+      FOREIGN KEY (group_id) REFERENCES app_groups(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS focus_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      days_of_week TEXT NOT NULL,
+      time_ranges TEXT NOT NULL,
+      is_enabled INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS focus_schedule_groups (
+      schedule_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      PRIMARY KEY (schedule_id, group_id),
+      FOREIGN KEY (schedule_id) REFERENCES focus_schedules(id) ON DELETE CASCADE,
+      FOREIGN KEY (group_id) REFERENCES app_groups(id) ON DELETE CASCADE
+    );
+
+    ALTER TABLE unlock_sessions ADD COLUMN group_id INTEGER REFERENCES app_groups(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_unlock_sessions_group ON unlock_sessions(user_id, group_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_unlock_sessions_group;
+    ALTER TABLE unlock_sessions DROP COLUMN group_id;
+    DROP TABLE IF EXISTS focus_schedule_groups;
+    DROP TABLE IF EXISTS focus_schedules;
+    DROP TABLE IF EXISTS app_group_apps;
+    DROP TABLE IF EXISTS app_groups;
+    DROP TABLE IF EXISTS config_versions;
+  `);
+}
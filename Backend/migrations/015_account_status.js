@@ -0,0 +1,24 @@
+// Accounts can be deactivated without losing data: paused by the user, or
+// pending deletion until deletion_scheduled_for, when the purge job removes
+// them for real. Logging in again reactivates either.
+export const version = 15;
+export const name = 'account_status';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+    ALTER TABLE users ADD COLUMN deactivated_at TEXT;
+    ALTER TABLE users ADD COLUMN deletion_scheduled_for TEXT;
+
+    CREATE INDEX IF NOT EXISTS idx_users_status ON users(status, deletion_scheduled_for);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_users_status;
+    ALTER TABLE users DROP COLUMN deletion_scheduled_for;
+    ALTER TABLE users DROP COLUMN deactivated_at;
+    ALTER TABLE users DROP COLUMN status;
+  `);
+}
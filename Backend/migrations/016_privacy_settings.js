@@ -0,0 +1,22 @@
+// Leaderboard privacy. leaderboard_visibility is 'public', 'friends' or
+// 'hidden'; with show_alias set, boards show `alias` instead of the username
+// and display name. The alias is generated the first time it's turned on and
+// then kept, so it stays recognisable week to week.
+export const version = 16;
+export const name = 'privacy_settings';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN leaderboard_visibility TEXT NOT NULL DEFAULT 'public';
+    ALTER TABLE users ADD COLUMN show_alias INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN alias TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE users DROP COLUMN alias;
+    ALTER TABLE users DROP COLUMN show_alias;
+    ALTER TABLE users DROP COLUMN leaderboard_visibility;
+  `);
+}
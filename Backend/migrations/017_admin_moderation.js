@@ -0,0 +1,33 @@
+// Admin moderation: a log of every admin action, a reason kept with
+// suspensions (users.status 'suspended'), and leaderboard_reset_on, the last
+// local day whose stats no longer count towards a user's leaderboard entries.
+export const version = 17;
+export const name = 'admin_moderation';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+    ALTER TABLE users ADD COLUMN leaderboard_reset_on TEXT;
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id INTEGER,
+      details TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS admin_audit_log;
+    ALTER TABLE users DROP COLUMN leaderboard_reset_on;
+    ALTER TABLE users DROP COLUMN suspension_reason;
+  `);
+}
@@ -0,0 +1,80 @@
+// Quotes become a managed catalog: a category and locale on each quote, any
+// number of tags in quote_tags, and timestamps for edits made through the API.
+// Quotes seeded before this get the category the seed now gives them, and
+// all existing quotes count as created now.
+export const version = 18;
+export const name = 'quote_catalog';
+
+const SEED_CATEGORIES = {
+  discipline: [
+    'The secret of getting ahead is getting started.',
+    'Discipline is choosing between what you want now and what you want most.',
+    'He who has a why to live can bear almost any how.',
+    'Self-discipline is the magic power that makes you virtually unstoppable.',
+    'We are what we repeatedly do. Excellence, then, is not an act, but a habit.',
+  ],
+  time: [
+    'It is not that we have a short time to live, but that we waste a good deal of it.',
+    'Lack of direction, not lack of time, is the problem. We all have twenty-four hour days.',
+    'The price of anything is the amount of life you exchange for it.',
+  ],
+  'digital-wellbeing': [
+    'Almost everything will work again if you unplug it for a few minutes, including you.',
+    'Technology is a useful servant but a dangerous master.',
+    'Disconnect to reconnect.',
+    'What information consumes is rather obvious: it consumes the attention of its recipients.',
+  ],
+  focus: [
+    'The ability to concentrate and to use time well is everything.',
+    'You will never reach your destination if you stop and throw stones at every dog that barks.',
+    'Focus on being productive instead of busy.',
+    'The successful warrior is the average man, with laser-like focus.',
+    'Where focus goes, energy flows.',
+    'Starve your distractions, feed your focus.',
+    'You cannot overestimate the unimportance of practically everything.',
+  ],
+  mindfulness: [
+    'Your mind is a garden, your thoughts are the seeds. You can grow flowers or you can grow weeds.',
+    'The greatest weapon against stress is our ability to choose one thought over another.',
+    'Do not dwell in the past, do not dream of the future, concentrate the mind on the present moment.',
+    'The mind is everything. What you think you become.',
+    'Be where you are, not where you think you should be.',
+    'The present moment is the only moment available to us, and it is the door to all moments.',
+  ],
+};
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE motivational_quotes ADD COLUMN category TEXT;
+    ALTER TABLE motivational_quotes ADD COLUMN locale TEXT NOT NULL DEFAULT 'en';
+    ALTER TABLE motivational_quotes ADD COLUMN created_at TEXT;
+    ALTER TABLE motivational_quotes ADD COLUMN updated_at TEXT;
+
+    CREATE TABLE IF NOT EXISTS quote_tags (
+      quote_id INTEGER NOT NULL REFERENCES motivational_quotes(id) ON DELETE CASCADE,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (quote_id, tag)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_quote_tags_tag ON quote_tags(tag);
+    CREATE INDEX IF NOT EXISTS idx_quotes_category ON motivational_quotes(category, locale);
+
+    UPDATE motivational_quotes SET created_at = datetime('now') WHERE created_at IS NULL;
+  `);
+
+  const setCategory = db.prepare('UPDATE motivational_quotes SET category = ? WHERE text = ? AND category IS NULL');
+  for (const [category, texts] of Object.entries(SEED_CATEGORIES)) {
+    for (const text of texts) setCategory.run(category, text);
+  }
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_quotes_category;
+    DROP TABLE IF EXISTS quote_tags;
+    ALTER TABLE motivational_quotes DROP COLUMN updated_at;
+    ALTER TABLE motivational_quotes DROP COLUMN created_at;
+    ALTER TABLE motivational_quotes DROP COLUMN locale;
+    ALTER TABLE motivational_quotes DROP COLUMN category;
+  `);
+}
@@ -0,0 +1,47 @@
+// Per-user quote delivery. quote_history has a row per quote a user has been
+// shown; in_cycle marks the ones shown since their pool of quotes was last
+// used up, which are skipped until it is. quote_preferences holds favorites
+// and hidden quotes. daily_quotes stores each day's pick per filter set, so
+// adding or removing other quotes doesn't change it.
+export const version = 19;
+export const name = 'quote_personalization';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS quote_history (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      quote_id INTEGER NOT NULL REFERENCES motivational_quotes(id) ON DELETE CASCADE,
+      shown_at TEXT NOT NULL,
+      times_shown INTEGER NOT NULL DEFAULT 1,
+      in_cycle INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY (user_id, quote_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_quote_history_shown ON quote_history(user_id, shown_at DESC);
+
+    CREATE TABLE IF NOT EXISTS quote_preferences (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      quote_id INTEGER NOT NULL REFERENCES motivational_quotes(id) ON DELETE CASCADE,
+      preference TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (user_id, quote_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_quote_preferences_user ON quote_preferences(user_id, preference);
+
+    CREATE TABLE IF NOT EXISTS daily_quotes (
+      date TEXT NOT NULL,
+      filter_key TEXT NOT NULL,
+      quote_id INTEGER NOT NULL REFERENCES motivational_quotes(id) ON DELETE CASCADE,
+      PRIMARY KEY (date, filter_key)
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS daily_quotes;
+    DROP TABLE IF EXISTS quote_preferences;
+    DROP TABLE IF EXISTS quote_history;
+  `);
+}
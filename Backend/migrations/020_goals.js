@@ -0,0 +1,32 @@
+// Personal goals, e.g. "total_unlocks at_most 10 per day" or "app_unlocks
+// of Instagram at_most 3 per day". Progress is computed from daily_stats or
+// unlock_sessions when asked for, so nothing else is stored. Archived goals
+// keep their row but drop out of progress.
+export const version = 20;
+export const name = 'goals';
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS goals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      app_name TEXT,
+      comparison TEXT NOT NULL,
+      target INTEGER NOT NULL,
+      period TEXT NOT NULL DEFAULT 'daily',
+      archived_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_goals_user ON goals(user_id, archived_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS goals;
+  `);
+}
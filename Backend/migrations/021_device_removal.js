@@ -0,0 +1,18 @@
+// Removing a device now only marks it removed. Its daily_stats rows stay
+// keyed to its id, so when the same device_uid registers again it gets that
+// id back instead of a new one, and its days aren't counted twice.
+export const version = 21;
+export const name = 'device_removal';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE devices ADD COLUMN removed_at TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DELETE FROM devices WHERE removed_at IS NOT NULL;
+    ALTER TABLE devices DROP COLUMN removed_at;
+  `);
+}
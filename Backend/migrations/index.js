@@ -0,0 +1,47 @@
+// Every migration, in order. Add new files here with the next version number;
+// never edit a migration once it has shipped.
+import * as initialSchema from './001_initial_schema.js';
+import * as upgradeLegacyUsers from './002_upgrade_legacy_users.js';
+import * as statsSyncRevisions from './003_stats_sync_revisions.js';
+import * as devices from './004_devices.js';
+import * as userTimezone from './005_user_timezone.js';
+import * as leaderboardSnapshots from './006_leaderboard_snapshots.js';
+import * as jobsAndRoles from './007_jobs_and_roles.js';
+import * as friends from './008_friends.js';
+import * as challenges from './009_challenges.js';
+import * as achievements from './010_achievements.js';
+import * as unlockPolicies from './011_unlock_policies.js';
+import * as unlockSessionLifecycle from './012_unlock_session_lifecycle.js';
+import * as rewardVerification from './013_reward_verification.js';
+import * as userConfig from './014_user_config.js';
+import * as accountStatus from './015_account_status.js';
+import * as privacySettings from './016_privacy_settings.js';
+import * as adminModeration from './017_admin_moderation.js';
+import * as quoteCatalog from './018_quote_catalog.js';
+import * as quotePersonalization from './019_quote_personalization.js';
+import * as goals from './020_goals.js';
+import * as deviceRemoval from './021_device_removal.js';
+
+export default [
+  initialSchema,
+  upgradeLegacyUsers,
+  statsSyncRevisions,
+  devices,
+  userTimezone,
+  leaderboardSnapshots,
+  jobsAndRoles,
+  friends,
+  challenges,
+  achievements,
+  unlockPolicies,
+  unlockSessionLifecycle,
+  rewardVerification,
+  userConfig,
+  accountStatus,
+  privacySettings,
+  adminModeration,
+  quoteCatalog,
+  quotePersonalization,
+  goals,
+  deviceRemoval,
+];
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import authenticate from '../middleware/auth.js';
+import { listAchievements } from '../services/achievements.js';
+
+const router = Router();
+
+// GET / - every achievement, earned or not, with progress towards it
+router.get('/', authenticate, (req, res) => {
+  try {
+    const achievements = listAchievements(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        count: achievements.length,
+        earned_count: achievements.filter((a) => a.earned).length,
+        achievements,
+      },
+    });
+  } catch (err) {
+    console.error('Achievements error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve achievements',
+    });
+  }
+});
+
+export default router;
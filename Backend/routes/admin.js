@@ -0,0 +1,225 @@
+import { Router } from 'express';
+import { param } from 'express-validator';
+import authenticate from '../middleware/auth.js';
+import requireRole from '../middleware/requireRole.js';
+import {
+  handleValidationErrors,
+  adminUserQueryValidation,
+  suspendUserValidation,
+  auditLogQueryValidation,
+} from '../middleware/validate.js';
+import { searchUsers, getUserDetails, getSystemStats } from '../services/admin.js';
+import { suspendAccount, reactivateAccount } from '../services/accounts.js';
+import { resetLeaderboardEntries } from '../services/leaderboard.js';
+import { recordAdminAction, listAdminActions } from '../services/audit.js';
+
+const router = Router();
+
+const adminOnly = [authenticate, requireRole('admin')];
+const userIdParam = [param('id').isInt({ min: 1 }).withMessage('User id must be a positive integer'), handleValidationErrors];
+
+// Loads the target user into req.target
+function loadUser(req, res, next) {
+  const target = getUserDetails(req.params.id);
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found',
+    });
+  }
+
+  req.target = target;
+  next();
+}
+
+// GET /users - search users (?q= matches username, email or display name;
+// ?status=, ?role=), newest first, paginated with limit/offset
+router.get('/users', adminOnly, adminUserQueryValidation, (req, res) => {
+  try {
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    const { total, users } = searchUsers({
+      search: req.query.q,
+      status: req.query.status,
+      role: req.query.role,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit,
+        offset,
+        next_offset: offset + users.length < total ? offset + users.length : null,
+        count: users.length,
+        users,
+      },
+    });
+  } catch (err) {
+    console.error('Admin list users error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve users',
+    });
+  }
+});
+
+// GET /users/:id - one user with a summary of their activity
+router.get('/users/:id', adminOnly, userIdParam, loadUser, (req, res) => {
+  res.json({
+    success: true,
+    data: { user: req.target },
+  });
+});
+
+// POST /users/:id/suspend - deactivate an account until an admin lifts it.
+// The user is signed out everywhere and can't log back in.
+router.post('/users/:id/suspend', adminOnly, userIdParam, suspendUserValidation, loadUser, (req, res) => {
+  try {
+    if (req.target.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot suspend your own account',
+      });
+    }
+    if (req.target.status === 'suspended') {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already suspended',
+      });
+    }
+
+    const reason = req.body.reason ?? null;
+    const account = suspendAccount(req.target.id, reason);
+    recordAdminAction(req.user.id, 'user.suspend', {
+      targetType: 'user',
+      targetId: req.target.id,
+      details: { reason, previous_status: req.target.status },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'User suspended',
+        status: account.status,
+        suspension_reason: account.suspension_reason,
+      },
+    });
+  } catch (err) {
+    console.error('Admin suspend user error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to suspend user',
+    });
+  }
+});
+
+// POST /users/:id/unsuspend - lift a suspension; the account is active again
+router.post('/users/:id/unsuspend', adminOnly, userIdParam, loadUser, (req, res) => {
+  try {
+    if (req.target.status !== 'suspended') {
+      return res.status(409).json({
+        success: false,
+        error: 'User is not suspended',
+      });
+    }
+
+    reactivateAccount(req.target.id);
+    recordAdminAction(req.user.id, 'user.unsuspend', { targetType: 'user', targetId: req.target.id });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Suspension lifted',
+        status: 'active',
+      },
+    });
+  } catch (err) {
+    console.error('Admin unsuspend user error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lift suspension',
+    });
+  }
+});
+
+// POST /users/:id/leaderboard/reset - remove the user's leaderboard entries.
+// Their stats are kept, but only days after the reset count towards boards.
+router.post('/users/:id/leaderboard/reset', adminOnly, userIdParam, loadUser, (req, res) => {
+  try {
+    const result = resetLeaderboardEntries(req.target.id);
+    recordAdminAction(req.user.id, 'user.leaderboard_reset', {
+      targetType: 'user',
+      targetId: req.target.id,
+      details: result,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Leaderboard entries reset',
+        ...result,
+      },
+    });
+  } catch (err) {
+    console.error('Admin reset leaderboard error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset leaderboard entries',
+    });
+  }
+});
+
+// GET /stats - user, activity and content totals plus the last run of each job
+router.get('/stats', adminOnly, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getSystemStats(),
+    });
+  } catch (err) {
+    console.error('Admin stats error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve system stats',
+    });
+  }
+});
+
+// GET /audit-log - admin actions, newest first (?action=, ?admin_id=,
+// ?user_id= for actions taken on a user), paginated with limit/offset
+router.get('/audit-log', adminOnly, auditLogQueryValidation, (req, res) => {
+  try {
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    const { total, entries } = listAdminActions({
+      action: req.query.action,
+      adminId: req.query.admin_id,
+      userId: req.query.user_id,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit,
+        offset,
+        next_offset: offset + entries.length < total ? offset + entries.length : null,
+        count: entries.length,
+        entries,
+      },
+    });
+  } catch (err) {
+    console.error('Admin audit log error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve audit log',
+    });
+  }
+});
+
+export default router;
@@ -1,18 +1,59 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { getDb } from '../config/database.js';
 import authenticate from '../middleware/auth.js';
-import { registerValidation, loginValidation } from '../middleware/validate.js';
-import { body } from 'express-validator';
+import {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  changePasswordValidation,
+  importArchiveValidation,
+  timezoneField,
+} from '../middleware/validate.js';
+import { body, param, query } from 'express-validator';
 import { handleValidationErrors } from '../middleware/validate.js';
+import {
+  createSession,
+  rotateSession,
+  findFamilyByRefreshToken,
+  revokeFamily,
+  revokeAllSessions,
+  listSessions,
+} from '../services/sessions.js';
+import { getLockoutRemaining, recordFailedLogin, clearFailedLogins } from '../services/accountLockout.js';
+import { issueAuthToken, consumeAuthToken, TOKEN_PURPOSES } from '../services/authTokens.js';
+import { getMailer } from '../services/mailer.js';
+import {
+  pauseAccount,
+  scheduleAccountDeletion,
+  reactivateAccount,
+  DELETION_GRACE_DAYS,
+} from '../services/accounts.js';
+import {
+  buildExport,
+  buildExportZip,
+  importArchive,
+  ARCHIVE_FILE_NAME,
+} from '../services/dataPortability.js';
+import { evaluateAchievements } from '../services/achievements.js';
+import { LEADERBOARD_VISIBILITIES, generateAlias } from '../services/privacy.js';
+import { DEFAULT_TIMEZONE, todayIn } from '../utils/dates.js';
+import { readZip } from '../utils/zip.js';
 
 const router = Router();
-const SALT_ROUNDS = 12;
-const TOKEN_EXPIRY = '30d';
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const PROFILE_COLUMNS = `id, username, email, display_name, timezone, leaderboard_visibility, show_alias, alias,
+  email_verified_at, created_at, updated_at`;
 
-function generateToken(userId) {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: TOKEN_EXPIRY });
+function sessionContext(req) {
+  return {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+  };
 }
 
 function sanitizeUser(user) {
@@ -21,21 +62,63 @@ function sanitizeUser(user) {
     username: user.username,
     email: user.email,
     display_name: user.display_name,
+    timezone: user.timezone,
+    leaderboard_visibility: user.leaderboard_visibility,
+    show_alias: Boolean(user.show_alias),
+    alias: user.alias,
+    email_verified: Boolean(user.email_verified_at),
     created_at: user.created_at,
     updated_at: user.updated_at,
   };
 }
 
+async function sendVerificationEmail(user) {
+  const token = issueAuthToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFY);
+  await getMailer().send({
+    to: user.email,
+    subject: 'Confirm your ScreenBreak email address',
+    text: [
+      `Hi ${user.display_name || user.username},`,
+      '',
+      'Confirm your email address by opening this link:',
+      `${APP_URL}/verify-email?token=${token}`,
+      '',
+      `Or enter this code in the app: ${token}`,
+      '',
+      'The link expires in 48 hours.',
+    ].join('\n'),
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = issueAuthToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+  await getMailer().send({
+    to: user.email,
+    subject: 'Reset your ScreenBreak password',
+    text: [
+      `Hi ${user.display_name || user.username},`,
+      '',
+      'Someone asked to reset the password for your ScreenBreak account.',
+      'If that was you, open this link to choose a new password:',
+      `${APP_URL}/reset-password?token=${token}`,
+      '',
+      `Or enter this code in the app: ${token}`,
+      '',
+      'The link expires in 1 hour. If you did not ask for this, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
 // POST /register
 router.post('/register', registerValidation, async (req, res) => {
   try {
-    const { username, email, password, display_name } = req.body;
+    const { username, email, password, display_name, timezone } = req.body;
     const db = getDb();
 
-    // Check for existing user
+    // Check for existing user (email is optional, and NULL never matches)
     const existingUser = db.prepare(
       'SELECT id FROM users WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE'
-    ).get(username, email);
+    ).get(username, email || null);
 
     if (existingUser) {
       return res.status(409).json({
@@ -47,20 +130,28 @@ router.post('/register', registerValidation, async (req, res) => {
     const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     const result = db.prepare(
-      `INSERT INTO users (username, email, password_hash, display_name)
-       VALUES (?, ?, ?, ?)`
-    ).run(username, email, passwordHash, display_name || username);
+      `INSERT INTO users (username, email, password_hash, display_name, timezone)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(username, email || null, passwordHash, display_name || username, timezone || DEFAULT_TIMEZONE);
 
     const user = db.prepare(
-      'SELECT id, username, email, display_name, created_at, updated_at FROM users WHERE id = ?'
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`
     ).get(result.lastInsertRowid);
 
-    const token = generateToken(user.id);
+    const tokens = createSession(user.id, sessionContext(req));
+
+    // Sent in the background: a slow or failing mail server shouldn't hold
+    // up sign-up, the address just stays unverified
+    if (user.email) {
+      sendVerificationEmail(user).catch((mailErr) => {
+        console.error('Verification email error:', mailErr);
+      });
+    }
 
     res.status(201).json({
       success: true,
       data: {
-        token,
+        ...tokens,
         user: sanitizeUser(user),
       },
     });
@@ -73,41 +164,75 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
-// POST /login
+// POST /login - accepts a username or email as `identifier`
 router.post('/login', loginValidation, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { identifier, password } = req.body;
     const db = getDb();
 
     const user = db.prepare(
-      'SELECT * FROM users WHERE email = ? COLLATE NOCASE'
-    ).get(email);
+      'SELECT * FROM users WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE'
+    ).get(identifier, identifier);
 
     if (!user) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'Invalid username/email or password',
+      });
+    }
+
+    const lockedFor = getLockoutRemaining(user);
+    if (lockedFor > 0) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({
+        success: false,
+        error: 'Account temporarily locked due to repeated failed logins. Please try again later.',
       });
     }
 
     const validPassword = await bcrypt.compare(password, user.password_hash);
     if (!validPassword) {
+      const lockSeconds = recordFailedLogin(user);
+      if (lockSeconds > 0) {
+        res.set('Retry-After', String(lockSeconds));
+        return res.status(429).json({
+          success: false,
+          error: 'Account temporarily locked due to repeated failed logins. Please try again later.',
+        });
+      }
       return res.status(401).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'Invalid username/email or password',
+      });
+    }
+
+    clearFailedLogins(user.id);
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been suspended',
       });
     }
 
+    // Logging in is how a paused account, or one waiting to be deleted, is
+    // brought back
+    const reactivated = user.status !== 'active';
+    if (reactivated) {
+      reactivateAccount(user.id);
+    }
+
     // Update updated_at timestamp
     db.prepare('UPDATE users SET updated_at = datetime(\'now\') WHERE id = ?').run(user.id);
 
-    const token = generateToken(user.id);
+    const tokens = createSession(user.id, sessionContext(req));
 
     res.json({
       success: true,
       data: {
-        token,
+        ...tokens,
         user: sanitizeUser(user),
+        reactivated,
       },
     });
   } catch (err) {
@@ -119,12 +244,239 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// POST /refresh - exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', refreshTokenValidation, (req, res) => {
+  try {
+    const result = rotateSession(req.body.refresh_token, sessionContext(req));
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens,
+    });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token',
+    });
+  }
+});
+
+// POST /logout - revoke the session the refresh token belongs to
+router.post('/logout', refreshTokenValidation, (req, res) => {
+  try {
+    const session = findFamilyByRefreshToken(req.body.refresh_token);
+
+    // Unknown tokens are treated as already logged out
+    if (session) {
+      revokeFamily(session.family_id);
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Logged out successfully' },
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+    });
+  }
+});
+
+// POST /password/forgot - email a password reset link. Always responds the same
+// way so the endpoint can't be used to discover which accounts exist; the mail
+// goes out in the background so neither its timing nor a failed send shows.
+router.post('/password/forgot', forgotPasswordValidation, (req, res) => {
+  try {
+    const { identifier } = req.body;
+    const db = getDb();
+
+    const user = db.prepare(
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE`
+    ).get(identifier, identifier);
+
+    if (user && user.email) {
+      sendPasswordResetEmail(user).catch((mailErr) => {
+        console.error('Password reset email error:', mailErr);
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'If an account with an email address exists, a reset link has been sent' },
+    });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start password reset',
+    });
+  }
+});
+
+// POST /password/reset - set a new password using a reset token
+router.post('/password/reset', resetPasswordValidation, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const db = getDb();
+
+    const userId = consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired',
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    db.prepare(
+      `UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?`
+    ).run(passwordHash, userId);
+
+    // Whoever triggered the reset may not be the only one holding the old password
+    clearFailedLogins(userId);
+    revokeAllSessions(userId);
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset. Please log in again.' },
+    });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+    });
+  }
+});
+
+// POST /email/verify - confirm an email address using a verification token
+router.post('/email/verify', verifyEmailValidation, (req, res) => {
+  try {
+    const db = getDb();
+
+    const userId = consumeAuthToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFY);
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is invalid or has expired',
+      });
+    }
+
+    db.prepare(
+      `UPDATE users SET email_verified_at = datetime('now'), updated_at = datetime('now') WHERE id = ?`
+    ).run(userId);
+
+    const user = db.prepare(`SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`).get(userId);
+
+    res.json({
+      success: true,
+      data: { user: sanitizeUser(user) },
+    });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email',
+    });
+  }
+});
+
+// GET /sessions - list signed-in devices for the current user
+router.get('/sessions', authenticate, (req, res) => {
+  try {
+    const sessions = listSessions(req.user.id).map((session) => ({
+      ...session,
+      current: session.id === req.sessionId,
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        count: sessions.length,
+        sessions,
+      },
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve sessions',
+    });
+  }
+});
+
+// DELETE /sessions - sign out every device except the current one
+router.delete('/sessions', authenticate, (req, res) => {
+  try {
+    const revoked = revokeAllSessions(req.user.id, { exceptFamilyId: req.sessionId });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Other sessions revoked',
+        sessions_revoked: revoked,
+      },
+    });
+  } catch (err) {
+    console.error('Revoke sessions error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+    });
+  }
+});
+
+// DELETE /sessions/:id - sign out a single device
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  [
+    param('id').isUUID().withMessage('Session id must be a valid UUID'),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const ownsSession = listSessions(req.user.id).some((session) => session.id === req.params.id);
+
+      if (!ownsSession) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+        });
+      }
+
+      revokeFamily(req.params.id);
+
+      res.json({
+        success: true,
+        data: { message: 'Session revoked' },
+      });
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke session',
+      });
+    }
+  }
+);
+
 // GET /me
 router.get('/me', authenticate, (req, res) => {
   try {
     const db = getDb();
     const user = db.prepare(
-      'SELECT id, username, email, display_name, created_at, updated_at FROM users WHERE id = ?'
+      `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`
     ).get(req.user.id);
 
     if (!user) {
@@ -147,7 +499,8 @@ router.get('/me', authenticate, (req, res) => {
   }
 });
 
-// PUT /me
+// PUT /me - profile and leaderboard privacy settings. The alias shown in
+// place of the username is generated the first time show_alias is turned on.
 router.put(
   '/me',
   authenticate,
@@ -157,26 +510,51 @@ router.put(
       .trim()
       .isLength({ min: 1, max: 50 })
       .withMessage('Display name must be between 1 and 50 characters'),
+    timezoneField(),
+    body('leaderboard_visibility')
+      .optional()
+      .isIn(LEADERBOARD_VISIBILITIES)
+      .withMessage(`leaderboard_visibility must be one of: ${LEADERBOARD_VISIBILITIES.join(', ')}`),
+    body('show_alias')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('show_alias must be a boolean'),
     handleValidationErrors,
   ],
   (req, res) => {
     try {
-      const { display_name } = req.body;
+      const { display_name, timezone, leaderboard_visibility, show_alias } = req.body;
       const db = getDb();
 
-      if (display_name === undefined) {
+      if ([display_name, timezone, leaderboard_visibility, show_alias].every((value) => value === undefined)) {
         return res.status(400).json({
           success: false,
-          error: 'No fields to update. Provide display_name.',
+          error: 'No fields to update. Provide display_name, timezone, leaderboard_visibility or show_alias.',
         });
       }
 
-      db.prepare(
-        `UPDATE users SET display_name = ?, updated_at = datetime('now') WHERE id = ?`
-      ).run(display_name, req.user.id);
+      const showAlias = show_alias === undefined ? null : Number(show_alias);
+      db.prepare(`
+        UPDATE users SET
+          display_name = COALESCE(?, display_name),
+          timezone = COALESCE(?, timezone),
+          leaderboard_visibility = COALESCE(?, leaderboard_visibility),
+          show_alias = COALESCE(?, show_alias),
+          alias = CASE WHEN ? = 1 THEN COALESCE(alias, ?) ELSE alias END,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        display_name ?? null,
+        timezone ?? null,
+        leaderboard_visibility ?? null,
+        showAlias,
+        showAlias,
+        generateAlias(),
+        req.user.id
+      );
 
       const user = db.prepare(
-        'SELECT id, username, email, display_name, created_at, updated_at FROM users WHERE id = ?'
+        `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`
       ).get(req.user.id);
 
       res.json({
@@ -193,24 +571,159 @@ router.put(
   }
 );
 
-// DELETE /me
-router.delete('/me', authenticate, (req, res) => {
+// PUT /me/password - change password for the signed-in user
+router.put('/me/password', authenticate, changePasswordValidation, async (req, res) => {
   try {
+    const { current_password, new_password } = req.body;
     const db = getDb();
 
-    // Foreign key ON DELETE CASCADE handles related rows
-    const result = db.prepare('DELETE FROM users WHERE id = ?').run(req.user.id);
+    const { password_hash } = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(req.user.id);
 
-    if (result.changes === 0) {
-      return res.status(404).json({
+    const validPassword = await bcrypt.compare(current_password, password_hash);
+    if (!validPassword) {
+      return res.status(400).json({
         success: false,
-        error: 'User not found',
+        error: 'Current password is incorrect',
       });
     }
 
+    const passwordHash = await bcrypt.hash(new_password, SALT_ROUNDS);
+    db.prepare(
+      `UPDATE users SET password_hash = ?, updated_at = datetime('now') WHERE id = ?`
+    ).run(passwordHash, req.user.id);
+
+    // Keep this device signed in, sign out everywhere else
+    revokeAllSessions(req.user.id, { exceptFamilyId: req.sessionId });
+
     res.json({
       success: true,
-      data: { message: 'Account deleted successfully' },
+      data: { message: 'Password updated successfully' },
+    });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+    });
+  }
+});
+
+// GET /me/export - download everything stored for the signed-in user, as a
+// JSON archive (default) or ?format=csv for a zip of CSVs plus that archive
+router.get(
+  '/me/export',
+  authenticate,
+  [
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const archive = buildExport(req.user.id);
+      const baseName = `screenbreak-export-${archive.profile.username}-${todayIn(DEFAULT_TIMEZONE)}`;
+
+      if (req.query.format === 'csv') {
+        res.attachment(`${baseName}.zip`);
+        res.type('application/zip');
+        return res.send(buildExportZip(archive));
+      }
+
+      res.attachment(`${baseName}.json`);
+      res.json(archive);
+    } catch (err) {
+      console.error('Export account error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export account data',
+      });
+    }
+  }
+);
+
+// Import accepts the JSON archive, or the zip from ?format=csv, whose JSON
+// copy is what gets read. A whole data export is larger than app.js lets
+// other bodies be, so the body is parsed here, only once the caller is
+// authenticated.
+const parseArchiveUpload = [
+  express.json({ limit: '25mb' }),
+  express.raw({ type: 'application/zip', limit: '25mb' }),
+];
+
+function readArchiveUpload(req, res, next) {
+  if (!Buffer.isBuffer(req.body)) return next();
+
+  try {
+    const entry = readZip(req.body).get(ARCHIVE_FILE_NAME);
+    if (!entry) throw new Error(`Missing ${ARCHIVE_FILE_NAME}`);
+    req.body = JSON.parse(entry.toString('utf8'));
+    next();
+  } catch {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid export archive',
+    });
+  }
+}
+
+// POST /me/import - restore an export into the signed-in account. Rows the
+// account already has are skipped, so it's safe to run more than once.
+// Achievements aren't taken from the archive but earned from what it restored.
+router.post('/me/import', authenticate, parseArchiveUpload, readArchiveUpload, importArchiveValidation, (req, res) => {
+  try {
+    const summary = importArchive(req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        new_achievements: evaluateAchievements(req.user.id),
+      },
+    });
+  } catch (err) {
+    console.error('Import account error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import account data',
+    });
+  }
+});
+
+// POST /me/pause - deactivate the account until the user logs in again.
+// Nothing is deleted.
+router.post('/me/pause', authenticate, (req, res) => {
+  try {
+    const account = pauseAccount(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Account paused. Log in again to reactivate it.',
+        status: account.status,
+        deactivated_at: account.deactivated_at,
+      },
+    });
+  } catch (err) {
+    console.error('Pause account error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause account',
+    });
+  }
+});
+
+// DELETE /me - deactivate the account and delete it for good once the grace
+// period is over. Logging in before then cancels the deletion.
+router.delete('/me', authenticate, (req, res) => {
+  try {
+    const account = scheduleAccountDeletion(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: `Account scheduled for deletion. Log in within ${DELETION_GRACE_DAYS} days to keep it.`,
+        status: account.status,
+        deletion_scheduled_for: account.deletion_scheduled_for,
+      },
     });
   } catch (err) {
     console.error('Delete account error:', err);
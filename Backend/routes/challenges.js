@@ -0,0 +1,378 @@
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { getDb } from '../config/database.js';
+import authenticate from '../middleware/auth.js';
+import {
+  handleValidationErrors,
+  challengeCreateValidation,
+  challengeUpdateValidation,
+} from '../middleware/validate.js';
+import {
+  createChallenge,
+  findChallenge,
+  getMembership,
+  listUserChallenges,
+  joinChallenge,
+  removeMember,
+  computeChallengeStandings,
+} from '../services/challenges.js';
+import { PUBLIC_NAME_COLUMNS } from '../services/privacy.js';
+
+const router = Router();
+
+const challengeIdParam = param('id').isInt({ min: 1 }).withMessage('Challenge id must be a positive integer');
+const memberIdParam = param('userId').isInt({ min: 1 }).withMessage('userId must be a positive integer');
+
+// Loads the challenge into req.challenge and the caller's membership into
+// req.membership. Non-members get a 404 so challenges can't be probed by id.
+// With `roles`, the caller must also hold one of them.
+function loadChallenge(...roles) {
+  return (req, res, next) => {
+    const challenge = findChallenge(req.params.id);
+    const membership = challenge && getMembership(challenge.id, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Challenge not found',
+      });
+    }
+    if (roles.length > 0 && !roles.includes(membership.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to do that',
+      });
+    }
+
+    req.challenge = challenge;
+    req.membership = membership;
+    next();
+  };
+}
+
+// POST / - create a challenge; the creator becomes its owner
+router.post('/', authenticate, challengeCreateValidation, (req, res) => {
+  try {
+    const challenge = createChallenge(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { challenge },
+    });
+  } catch (err) {
+    console.error('Create challenge error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create challenge',
+    });
+  }
+});
+
+// GET / - challenges the current user belongs to
+router.get('/', authenticate, (req, res) => {
+  try {
+    const challenges = listUserChallenges(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        count: challenges.length,
+        challenges,
+      },
+    });
+  } catch (err) {
+    console.error('List challenges error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve challenges',
+    });
+  }
+});
+
+// POST /join - join with a challenge's code
+router.post(
+  '/join',
+  authenticate,
+  [body('code').isString().trim().notEmpty().withMessage('code is required'), handleValidationErrors],
+  (req, res) => {
+    try {
+      const result = joinChallenge(req.body.code, req.user.id);
+
+      if (result.error === 'invalid') {
+        return res.status(404).json({
+          success: false,
+          error: 'Challenge not found',
+        });
+      }
+      if (result.error) {
+        return res.status(409).json({
+          success: false,
+          error: result.error === 'finished' ? 'This challenge has already ended' : 'You are already in this challenge',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { challenge: result.challenge },
+      });
+    } catch (err) {
+      console.error('Join challenge error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to join challenge',
+      });
+    }
+  }
+);
+
+// GET /:id - challenge details and member list, with aliases for members
+// who use one
+router.get('/:id', authenticate, [challengeIdParam, handleValidationErrors], loadChallenge(), (req, res) => {
+  try {
+    const db = getDb();
+    const members = db.prepare(`
+      SELECT cm.user_id, ${PUBLIC_NAME_COLUMNS}, cm.role, cm.joined_at
+      FROM challenge_members cm
+      INNER JOIN users u ON u.id = cm.user_id
+      WHERE cm.challenge_id = ?
+      ORDER BY cm.joined_at ASC
+    `).all(req.challenge.id);
+
+    res.json({
+      success: true,
+      data: {
+        challenge: req.challenge,
+        role: req.membership.role,
+        members,
+      },
+    });
+  } catch (err) {
+    console.error('Get challenge error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve challenge',
+    });
+  }
+});
+
+// PUT /:id - rename or re-describe (owner or admin). Goals and dates are
+// fixed once created so progress stays comparable.
+router.put(
+  '/:id',
+  authenticate,
+  [challengeIdParam, handleValidationErrors],
+  challengeUpdateValidation,
+  loadChallenge('owner', 'admin'),
+  (req, res) => {
+    try {
+      const { name, description } = req.body;
+      if (name === undefined && description === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'No fields to update. Provide name or description.',
+        });
+      }
+
+      const db = getDb();
+      db.prepare(`
+        UPDATE challenges SET
+          name = COALESCE(?, name),
+          description = CASE WHEN ? THEN ? ELSE description END,
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(name ?? null, description !== undefined ? 1 : 0, description || null, req.challenge.id);
+
+      res.json({
+        success: true,
+        data: { challenge: findChallenge(req.challenge.id) },
+      });
+    } catch (err) {
+      console.error('Update challenge error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update challenge',
+      });
+    }
+  }
+);
+
+// DELETE /:id - delete the challenge (owner only)
+router.delete('/:id', authenticate, [challengeIdParam, handleValidationErrors], loadChallenge('owner'), (req, res) => {
+  try {
+    const db = getDb();
+    db.prepare('DELETE FROM challenges WHERE id = ?').run(req.challenge.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Challenge deleted' },
+    });
+  } catch (err) {
+    console.error('Delete challenge error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete challenge',
+    });
+  }
+});
+
+// POST /:id/leave - leave a challenge. The owner has to delete it instead.
+router.post('/:id/leave', authenticate, [challengeIdParam, handleValidationErrors], loadChallenge(), (req, res) => {
+  try {
+    if (req.membership.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'The owner cannot leave a challenge; delete it instead',
+      });
+    }
+
+    removeMember(req.challenge.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: { message: 'Left challenge' },
+    });
+  } catch (err) {
+    console.error('Leave challenge error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave challenge',
+    });
+  }
+});
+
+// PUT /:id/members/:userId - make a member an admin or back (owner only)
+router.put(
+  '/:id/members/:userId',
+  authenticate,
+  [
+    challengeIdParam,
+    memberIdParam,
+    body('role').isIn(['admin', 'member']).withMessage('role must be admin or member'),
+    handleValidationErrors,
+  ],
+  loadChallenge('owner'),
+  (req, res) => {
+    try {
+      const target = getMembership(req.challenge.id, req.params.userId);
+      if (!target || target.role === 'owner') {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found',
+        });
+      }
+
+      const db = getDb();
+      db.prepare(
+        'UPDATE challenge_members SET role = ? WHERE challenge_id = ? AND user_id = ?'
+      ).run(req.body.role, req.challenge.id, target.user_id);
+
+      res.json({
+        success: true,
+        data: { member: getMembership(req.challenge.id, target.user_id) },
+      });
+    } catch (err) {
+      console.error('Update challenge member error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update member',
+      });
+    }
+  }
+);
+
+// DELETE /:id/members/:userId - remove a member (owner or admin; admins can
+// only remove plain members)
+router.delete(
+  '/:id/members/:userId',
+  authenticate,
+  [challengeIdParam, memberIdParam, handleValidationErrors],
+  loadChallenge('owner', 'admin'),
+  (req, res) => {
+    try {
+      const target = getMembership(req.challenge.id, req.params.userId);
+      if (!target || target.role === 'owner') {
+        return res.status(404).json({
+          success: false,
+          error: 'Member not found',
+        });
+      }
+      if (req.membership.role === 'admin' && target.role !== 'member') {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to do that',
+        });
+      }
+
+      removeMember(req.challenge.id, target.user_id);
+
+      res.json({
+        success: true,
+        data: { message: 'Member removed' },
+      });
+    } catch (err) {
+      console.error('Remove challenge member error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove member',
+      });
+    }
+  }
+);
+
+// GET /:id/leaderboard - members ranked by progress towards the goal so far
+router.get('/:id/leaderboard', authenticate, [challengeIdParam, handleValidationErrors], loadChallenge(), (req, res) => {
+  try {
+    const { total_days, elapsed_days, standings } = computeChallengeStandings(req.challenge);
+
+    res.json({
+      success: true,
+      data: {
+        challenge: req.challenge,
+        total_days,
+        elapsed_days,
+        count: standings.length,
+        leaderboard: standings,
+      },
+    });
+  } catch (err) {
+    console.error('Challenge leaderboard error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve challenge leaderboard',
+    });
+  }
+});
+
+// GET /:id/results - final standings, once the challenge has ended
+router.get('/:id/results', authenticate, [challengeIdParam, handleValidationErrors], loadChallenge(), (req, res) => {
+  try {
+    if (req.challenge.status !== 'finished') {
+      return res.status(409).json({
+        success: false,
+        error: 'This challenge has not ended yet',
+      });
+    }
+
+    const { total_days, standings } = computeChallengeStandings(req.challenge);
+    const completed = standings.filter((entry) => entry.goal_met);
+
+    res.json({
+      success: true,
+      data: {
+        challenge: req.challenge,
+        total_days,
+        completed_count: completed.length,
+        winners: standings.filter((entry) => entry.rank === 1).map((entry) => entry.user_id),
+        results: standings,
+      },
+    });
+  } catch (err) {
+    console.error('Challenge results error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve challenge results',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,304 @@
+import { Router } from 'express';
+import { param } from 'express-validator';
+import authenticate from '../middleware/auth.js';
+import {
+  handleValidationErrors,
+  appGroupCreateValidation,
+  appGroupUpdateValidation,
+  scheduleCreateValidation,
+  scheduleUpdateValidation,
+} from '../middleware/validate.js';
+import {
+  getConfigVersion,
+  getConfig,
+  listGroups,
+  findGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  listSchedules,
+  findSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+} from '../services/userConfig.js';
+
+const router = Router();
+
+const groupIdParam = param('id').isInt({ min: 1 }).withMessage('Group id must be a positive integer');
+const scheduleIdParam = param('id').isInt({ min: 1 }).withMessage('Schedule id must be a positive integer');
+
+// The whole configuration shares one version, so every response carries the
+// same ETag until something changes. GETs honour If-None-Match; writes honour
+// If-Match so an app editing a stale copy gets a 412 instead of clobbering a
+// newer change made on another device.
+function etagFor(version) {
+  return `"${version}"`;
+}
+
+function matchesEtag(header, version) {
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === '*' || tag === etagFor(version));
+}
+
+function sendVersioned(req, res, data, status = 200) {
+  const version = getConfigVersion(req.user.id);
+  res.set('ETag', etagFor(version));
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (req.method === 'GET' && ifNoneMatch && matchesEtag(ifNoneMatch, version)) {
+    return res.status(304).end();
+  }
+
+  res.status(status).json({
+    success: true,
+    data,
+  });
+}
+
+function checkIfMatch(req, res, next) {
+  const ifMatch = req.get('If-Match');
+  const version = getConfigVersion(req.user.id);
+
+  if (ifMatch && !matchesEtag(ifMatch, version)) {
+    res.set('ETag', etagFor(version));
+    return res.status(412).json({
+      success: false,
+      error: 'Configuration has changed since it was fetched',
+      data: { version },
+    });
+  }
+  next();
+}
+
+function sendGroupError(res, error) {
+  if (error === 'not_found') {
+    return res.status(404).json({
+      success: false,
+      error: 'App group not found',
+    });
+  }
+  if (error === 'duplicate_app') {
+    return res.status(409).json({
+      success: false,
+      error: 'A group can only list each app once',
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'You already have a group with that name',
+  });
+}
+
+function sendScheduleError(res, error) {
+  if (error === 'not_found') {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found',
+    });
+  }
+  if (error === 'unknown_group') {
+    return res.status(400).json({
+      success: false,
+      error: 'group_ids must only contain your own groups',
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'You already have a schedule with that name',
+  });
+}
+
+// GET / - groups and schedules in one go, for restoring on a new device
+router.get('/', authenticate, (req, res) => {
+  try {
+    const { version, groups, schedules } = getConfig(req.user.id);
+    sendVersioned(req, res, { version, groups, schedules });
+  } catch (err) {
+    console.error('Get config error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve configuration',
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// App groups
+// ---------------------------------------------------------------------------
+
+// GET /groups - the user's blocked-app groups
+router.get('/groups', authenticate, (req, res) => {
+  try {
+    const groups = listGroups(req.user.id);
+    sendVersioned(req, res, { count: groups.length, groups });
+  } catch (err) {
+    console.error('List app groups error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve app groups',
+    });
+  }
+});
+
+// POST /groups - create a group, optionally with its apps and unlock rules
+router.post('/groups', authenticate, appGroupCreateValidation, checkIfMatch, (req, res) => {
+  try {
+    const result = createGroup(req.user.id, req.body);
+    if (result.error) return sendGroupError(res, result.error);
+
+    sendVersioned(req, res, { group: result.group }, 201);
+  } catch (err) {
+    console.error('Create app group error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create app group',
+    });
+  }
+});
+
+// GET /groups/:id - one group
+router.get('/groups/:id', authenticate, [groupIdParam, handleValidationErrors], (req, res) => {
+  try {
+    const group = findGroup(req.user.id, req.params.id);
+    if (!group) return sendGroupError(res, 'not_found');
+
+    sendVersioned(req, res, { group });
+  } catch (err) {
+    console.error('Get app group error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve app group',
+    });
+  }
+});
+
+// PUT /groups/:id - rename, enable/disable, replace apps or change unlock rules
+router.put(
+  '/groups/:id',
+  authenticate,
+  [groupIdParam, handleValidationErrors],
+  appGroupUpdateValidation,
+  checkIfMatch,
+  (req, res) => {
+    try {
+      const result = updateGroup(req.user.id, req.params.id, req.body);
+      if (result.error) return sendGroupError(res, result.error);
+
+      sendVersioned(req, res, { group: result.group });
+    } catch (err) {
+      console.error('Update app group error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update app group',
+      });
+    }
+  }
+);
+
+// DELETE /groups/:id - delete a group; its unlocks stay, unattributed
+router.delete('/groups/:id', authenticate, [groupIdParam, handleValidationErrors], checkIfMatch, (req, res) => {
+  try {
+    if (!deleteGroup(req.user.id, req.params.id)) return sendGroupError(res, 'not_found');
+
+    sendVersioned(req, res, { message: 'App group deleted' });
+  } catch (err) {
+    console.error('Delete app group error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete app group',
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Focus schedules
+// ---------------------------------------------------------------------------
+
+// GET /schedules - the user's focus schedules
+router.get('/schedules', authenticate, (req, res) => {
+  try {
+    const schedules = listSchedules(req.user.id);
+    sendVersioned(req, res, { count: schedules.length, schedules });
+  } catch (err) {
+    console.error('List schedules error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve schedules',
+    });
+  }
+});
+
+// POST /schedules - create a schedule
+router.post('/schedules', authenticate, scheduleCreateValidation, checkIfMatch, (req, res) => {
+  try {
+    const result = createSchedule(req.user.id, req.body);
+    if (result.error) return sendScheduleError(res, result.error);
+
+    sendVersioned(req, res, { schedule: result.schedule }, 201);
+  } catch (err) {
+    console.error('Create schedule error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule',
+    });
+  }
+});
+
+// GET /schedules/:id - one schedule
+router.get('/schedules/:id', authenticate, [scheduleIdParam, handleValidationErrors], (req, res) => {
+  try {
+    const schedule = findSchedule(req.user.id, req.params.id);
+    if (!schedule) return sendScheduleError(res, 'not_found');
+
+    sendVersioned(req, res, { schedule });
+  } catch (err) {
+    console.error('Get schedule error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve schedule',
+    });
+  }
+});
+
+// PUT /schedules/:id - change any of a schedule's fields
+router.put(
+  '/schedules/:id',
+  authenticate,
+  [scheduleIdParam, handleValidationErrors],
+  scheduleUpdateValidation,
+  checkIfMatch,
+  (req, res) => {
+    try {
+      const result = updateSchedule(req.user.id, req.params.id, req.body);
+      if (result.error) return sendScheduleError(res, result.error);
+
+      sendVersioned(req, res, { schedule: result.schedule });
+    } catch (err) {
+      console.error('Update schedule error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update schedule',
+      });
+    }
+  }
+);
+
+// DELETE /schedules/:id - delete a schedule
+router.delete('/schedules/:id', authenticate, [scheduleIdParam, handleValidationErrors], checkIfMatch, (req, res) => {
+  try {
+    if (!deleteSchedule(req.user.id, req.params.id)) return sendScheduleError(res, 'not_found');
+
+    sendVersioned(req, res, { message: 'Schedule deleted' });
+  } catch (err) {
+    console.error('Delete schedule error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule',
+    });
+  }
+});
+
+export default router;
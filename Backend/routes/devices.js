@@ -0,0 +1,164 @@
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { getDb } from '../config/database.js';
+import authenticate from '../middleware/auth.js';
+import { handleValidationErrors, deviceRegisterValidation } from '../middleware/validate.js';
+import { findUserDevice } from '../services/devices.js';
+
+const router = Router();
+
+const deviceIdParam = param('id').isInt({ min: 1 }).withMessage('Device id must be a positive integer');
+
+// POST / - register this device (idempotent per device_uid)
+router.post('/', authenticate, deviceRegisterValidation, (req, res) => {
+  try {
+    const { device_uid, name, platform, model } = req.body;
+    const db = getDb();
+
+    const existing = db.prepare(
+      'SELECT id FROM devices WHERE user_id = ? AND device_uid = ?'
+    ).get(req.user.id, device_uid);
+
+    // Re-registering refreshes the hardware details but keeps a user-chosen
+    // name. A removed device comes back under its old id, so the stats it
+    // synced before are still its own; it takes the name it registers with.
+    if (existing) {
+      db.prepare(`
+        UPDATE devices SET
+          name = CASE WHEN removed_at IS NOT NULL THEN ? ELSE name END,
+          platform = COALESCE(?, platform),
+          model = COALESCE(?, model),
+          removed_at = NULL,
+          last_seen_at = datetime('now')
+        WHERE id = ?
+      `).run(name, platform || null, model || null, existing.id);
+
+      return res.json({
+        success: true,
+        data: { device: findUserDevice(req.user.id, existing.id) },
+      });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO devices (user_id, device_uid, name, platform, model)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(req.user.id, device_uid, name, platform || null, model || null);
+
+    res.status(201).json({
+      success: true,
+      data: { device: findUserDevice(req.user.id, result.lastInsertRowid) },
+    });
+  } catch (err) {
+    console.error('Register device error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register device',
+    });
+  }
+});
+
+// GET / - list the current user's devices
+router.get('/', authenticate, (req, res) => {
+  try {
+    const db = getDb();
+
+    const devices = db.prepare(`
+      SELECT
+        d.*,
+        (SELECT MAX(ds.date) FROM daily_stats ds WHERE ds.user_id = d.user_id AND ds.device_id = d.id) AS last_synced_date
+      FROM devices d
+      WHERE d.user_id = ? AND d.removed_at IS NULL
+      ORDER BY d.last_seen_at DESC
+    `).all(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        count: devices.length,
+        devices,
+      },
+    });
+  } catch (err) {
+    console.error('List devices error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve devices',
+    });
+  }
+});
+
+// PUT /:id - rename a device
+router.put(
+  '/:id',
+  authenticate,
+  [
+    deviceIdParam,
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('name must be between 1 and 50 characters'),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const db = getDb();
+
+      const result = db.prepare(
+        'UPDATE devices SET name = ? WHERE id = ? AND user_id = ? AND removed_at IS NULL'
+      ).run(req.body.name, req.params.id, req.user.id);
+
+      if (result.changes === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Device not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { device: findUserDevice(req.user.id, req.params.id) },
+      });
+    } catch (err) {
+      console.error('Rename device error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rename device',
+      });
+    }
+  }
+);
+
+// DELETE /:id - remove a device. Its synced stats are kept so totals and
+// streaks don't change, and the row is only marked removed so the device
+// gets the same id back if it registers again.
+router.delete('/:id', authenticate, [deviceIdParam, handleValidationErrors], (req, res) => {
+  try {
+    const db = getDb();
+
+    const result = db.prepare(`
+      UPDATE devices SET removed_at = datetime('now')
+      WHERE id = ? AND user_id = ? AND removed_at IS NULL
+    `).run(req.params.id, req.user.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { message: 'Device removed' },
+    });
+  } catch (err) {
+    console.error('Remove device error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove device',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import { Router } from 'express';
+import { param } from 'express-validator';
+import { getDb } from '../config/database.js';
+import authenticate from '../middleware/auth.js';
+import { handleValidationErrors, friendRequestValidation } from '../middleware/validate.js';
+import {
+  sendFriendRequest,
+  respondToFriendRequest,
+  cancelFriendRequest,
+  removeFriend,
+  listFriends,
+  listFriendRequests,
+  createInvite,
+  acceptInvite,
+} from '../services/friends.js';
+
+const router = Router();
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const requestIdParam = [
+  param('id').isInt({ min: 1 }).withMessage('Request id must be a positive integer'),
+  handleValidationErrors,
+];
+
+// GET / - accepted friends
+router.get('/', authenticate, (req, res) => {
+  try {
+    const friends = listFriends(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        count: friends.length,
+        friends,
+      },
+    });
+  } catch (err) {
+    console.error('List friends error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve friends',
+    });
+  }
+});
+
+// GET /requests - pending requests, both received and sent
+router.get('/requests', authenticate, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listFriendRequests(req.user.id),
+    });
+  } catch (err) {
+    console.error('List friend requests error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve friend requests',
+    });
+  }
+});
+
+// POST /requests - send a friend request by username
+router.post('/requests', authenticate, friendRequestValidation, (req, res) => {
+  try {
+    const db = getDb();
+    const target = db.prepare(
+      'SELECT id FROM users WHERE username = ? COLLATE NOCASE'
+    ).get(req.body.username);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const result = sendFriendRequest(req.user.id, target.id);
+
+    if (result.error === 'self') {
+      return res.status(400).json({
+        success: false,
+        error: "You can't add yourself as a friend",
+      });
+    }
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error === 'already_friends' ? 'You are already friends' : 'Friend request already sent',
+      });
+    }
+
+    res.status(result.status === 'pending' ? 201 : 200).json({
+      success: true,
+      data: { status: result.status },
+    });
+  } catch (err) {
+    console.error('Send friend request error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send friend request',
+    });
+  }
+});
+
+function respondHandler(accepted) {
+  return (req, res) => {
+    try {
+      if (!respondToFriendRequest(req.params.id, req.user.id, accepted)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Friend request not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { status: accepted ? 'accepted' : 'declined' },
+      });
+    } catch (err) {
+      console.error('Respond to friend request error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to respond to friend request',
+      });
+    }
+  };
+}
+
+// POST /requests/:id/accept and /requests/:id/decline - answer a request sent to you
+router.post('/requests/:id/accept', authenticate, requestIdParam, respondHandler(true));
+router.post('/requests/:id/decline', authenticate, requestIdParam, respondHandler(false));
+
+// DELETE /requests/:id - cancel a request you sent
+router.delete('/requests/:id', authenticate, requestIdParam, (req, res) => {
+  try {
+    if (!cancelFriendRequest(req.params.id, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Friend request not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { status: 'cancelled' },
+    });
+  } catch (err) {
+    console.error('Cancel friend request error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel friend request',
+    });
+  }
+});
+
+// POST /invites - create an invite code and shareable link
+router.post('/invites', authenticate, (req, res) => {
+  try {
+    const invite = createInvite(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invite,
+        link: `${APP_URL}/invite/${invite.code}`,
+      },
+    });
+  } catch (err) {
+    console.error('Create invite error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create invite',
+    });
+  }
+});
+
+// POST /invites/:code/accept - become friends with the inviter
+router.post('/invites/:code/accept', authenticate, (req, res) => {
+  try {
+    const result = acceptInvite(req.params.code, req.user.id);
+
+    if (result.error === 'self') {
+      return res.status(400).json({
+        success: false,
+        error: "You can't accept your own invite",
+      });
+    }
+    if (result.error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found or expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { friend_id: result.inviterId },
+    });
+  } catch (err) {
+    console.error('Accept invite error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept invite',
+    });
+  }
+});
+
+// DELETE /:userId - unfriend
+router.delete(
+  '/:userId',
+  authenticate,
+  [param('userId').isInt({ min: 1 }).withMessage('userId must be a positive integer'), handleValidationErrors],
+  (req, res) => {
+    try {
+      if (!removeFriend(req.user.id, Number(req.params.userId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Friend not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { message: 'Friend removed' },
+      });
+    } catch (err) {
+      console.error('Remove friend error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove friend',
+      });
+    }
+  }
+);
+
+export default router;
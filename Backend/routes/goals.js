@@ -0,0 +1,190 @@
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import authenticate from '../middleware/auth.js';
+import {
+  handleValidationErrors,
+  goalCreateValidation,
+  goalUpdateValidation,
+  goalProgressQueryValidation,
+} from '../middleware/validate.js';
+import {
+  MAX_ACTIVE_GOALS,
+  findGoal,
+  listGoals,
+  createGoal,
+  updateGoal,
+  setGoalArchived,
+  evaluateGoal,
+  getGoalsProgress,
+} from '../services/goals.js';
+
+const router = Router();
+
+const goalIdParam = param('id').isInt({ min: 1 }).withMessage('Goal id must be a positive integer');
+
+const tooManyGoals = {
+  success: false,
+  error: `You can have at most ${MAX_ACTIVE_GOALS} active goals. Archive one first.`,
+};
+
+// Loads the caller's goal into req.goal; other users' goals are a 404
+function loadGoal(req, res, next) {
+  const goal = findGoal(req.user.id, req.params.id);
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      error: 'Goal not found',
+    });
+  }
+
+  req.goal = goal;
+  next();
+}
+
+// GET / - the current user's goals, archived ones too with ?include_archived=true
+router.get(
+  '/',
+  authenticate,
+  [
+    query('include_archived').optional().isBoolean().withMessage('include_archived must be true or false').toBoolean(),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const goals = listGoals(req.user.id, { includeArchived: req.query.include_archived === true });
+
+      res.json({
+        success: true,
+        data: {
+          count: goals.length,
+          goals,
+        },
+      });
+    } catch (err) {
+      console.error('List goals error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve goals',
+      });
+    }
+  }
+);
+
+// POST / - create a goal
+router.post('/', authenticate, goalCreateValidation, (req, res) => {
+  try {
+    const result = createGoal(req.user.id, req.body);
+    if (result.error) return res.status(409).json(tooManyGoals);
+
+    res.status(201).json({
+      success: true,
+      data: { goal: result.goal },
+    });
+  } catch (err) {
+    console.error('Create goal error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create goal',
+    });
+  }
+});
+
+// GET /progress - every active goal with its current period, streaks and
+// the last ?periods= periods (default 14), in the user's timezone
+router.get('/progress', authenticate, goalProgressQueryValidation, (req, res) => {
+  try {
+    const goals = getGoalsProgress(req.user, { historyLength: req.query.periods });
+
+    res.json({
+      success: true,
+      data: {
+        timezone: req.user.timezone,
+        count: goals.length,
+        goals,
+      },
+    });
+  } catch (err) {
+    console.error('Goal progress error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve goal progress',
+    });
+  }
+});
+
+// GET /:id - one goal with its progress
+router.get(
+  '/:id',
+  authenticate,
+  [goalIdParam, handleValidationErrors],
+  goalProgressQueryValidation,
+  loadGoal,
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          goal: req.goal,
+          progress: evaluateGoal(req.user, req.goal, { historyLength: req.query.periods }),
+        },
+      });
+    } catch (err) {
+      console.error('Get goal error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve goal',
+      });
+    }
+  }
+);
+
+// PUT /:id - change a goal's name, comparison, target or period
+router.put('/:id', authenticate, [goalIdParam, handleValidationErrors], goalUpdateValidation, loadGoal, (req, res) => {
+  try {
+    const { name, comparison, target, period } = req.body;
+    if ([name, comparison, target, period].every((value) => value === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update. Provide name, comparison, target or period.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { goal: updateGoal(req.user.id, req.goal.id, req.body) },
+    });
+  } catch (err) {
+    console.error('Update goal error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update goal',
+    });
+  }
+});
+
+// POST /:id/archive and /:id/restore - archived goals are kept but drop
+// out of progress
+function setArchived(archived) {
+  return (req, res) => {
+    try {
+      const result = setGoalArchived(req.user.id, req.goal.id, archived);
+      if (result.error) return res.status(409).json(tooManyGoals);
+
+      res.json({
+        success: true,
+        data: { goal: result.goal },
+      });
+    } catch (err) {
+      console.error(`${archived ? 'Archive' : 'Restore'} goal error:`, err);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${archived ? 'archive' : 'restore'} goal`,
+      });
+    }
+  };
+}
+
+router.post('/:id/archive', authenticate, [goalIdParam, handleValidationErrors], loadGoal, setArchived(true));
+router.post('/:id/restore', authenticate, [goalIdParam, handleValidationErrors], loadGoal, setArchived(false));
+
+export default router;
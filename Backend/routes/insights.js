@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import authenticate from '../middleware/auth.js';
+import { insightsQueryValidation } from '../middleware/validate.js';
+import { computeInsights } from '../services/insights.js';
+
+const router = Router();
+
+// GET / - trends, risky times and unusual days from the user's unlocks and
+// synced stats, in their timezone
+router.get('/', authenticate, insightsQueryValidation, (req, res) => {
+  try {
+    const { today, insights } = computeInsights(req.user, { types: req.query.types });
+
+    res.json({
+      success: true,
+      data: {
+        date: today,
+        timezone: req.user.timezone,
+        count: insights.length,
+        insights,
+      },
+    });
+  } catch (err) {
+    console.error('Insights error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute insights',
+    });
+  }
+});
+
+export default router;
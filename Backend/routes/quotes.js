@@ -1,24 +1,88 @@
-import { Router } from 'express';
-import { getDb } from '../config/database.js';
+import express, { Router } from 'express';
+import { param } from 'express-validator';
+import authenticate, { optionalAuthenticate } from '../middleware/auth.js';
+import requireRole from '../middleware/requireRole.js';
+import {
+  handleValidationErrors,
+  quoteFilterValidation,
+  quoteRandomValidation,
+  quoteHistoryValidation,
+  quoteListValidation,
+  quoteCreateValidation,
+  quoteUpdateValidation,
+  quoteImportValidation,
+} from '../middleware/validate.js';
+import {
+  listQuotes,
+  findQuote,
+  randomQuote,
+  listCategories,
+  listTags,
+  createQuote,
+  updateQuote,
+  deleteQuote,
+  importQuotes,
+} from '../services/quotes.js';
+import {
+  pickQuoteFor,
+  dailyQuoteFor,
+  listQuoteHistory,
+  clearQuoteHistory,
+  listQuotesWithPreference,
+  setQuotePreference,
+  clearQuotePreference,
+} from '../services/quoteDelivery.js';
+import { recordAdminAction } from '../services/audit.js';
+import { parseCsvObjects } from '../utils/csv.js';
+import { DEFAULT_TIMEZONE, todayIn } from '../utils/dates.js';
 
 const router = Router();
 
-// GET /random - get a random motivational quote
-router.get('/random', (req, res) => {
-  try {
-    const db = getDb();
+const adminOnly = [authenticate, requireRole('admin')];
+const QUOTE_FIELDS = ['text', 'author', 'category', 'tags', 'locale'];
+const quoteIdParam = [param('id').isInt({ min: 1 }).withMessage('Quote id must be a positive integer'), handleValidationErrors];
+
+function filtersFrom(query) {
+  return {
+    category: query.category,
+    tag: query.tag,
+    lang: query.lang,
+  };
+}
+
+function sendNoQuotes(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'No quotes available',
+  });
+}
+
+function sendQuoteError(res, error) {
+  if (error === 'not_found') {
+    return res.status(404).json({
+      success: false,
+      error: 'Quote not found',
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'A quote with that text already exists',
+  });
+}
 
-    const quote = db.prepare(`
-      SELECT id, text, author FROM motivational_quotes
-      ORDER BY RANDOM()
-      LIMIT 1
-    `).get();
+// GET /random - get a random motivational quote (?category=, ?tag=, ?lang=).
+// Signed-in users aren't shown a quote again until they've seen every
+// matching one, never get quotes they hid, and with ?weighted=true get
+// more quotes from the categories they favorite.
+router.get('/random', optionalAuthenticate, quoteRandomValidation, (req, res) => {
+  try {
+    const filters = filtersFrom(req.query);
+    const quote = req.user
+      ? pickQuoteFor(req.user.id, filters, { weighted: req.query.weighted })
+      : randomQuote(filters);
 
     if (!quote) {
-      return res.status(404).json({
-        success: false,
-        error: 'No quotes available',
-      });
+      return sendNoQuotes(res);
     }
 
     res.json({
@@ -34,53 +98,400 @@ router.get('/random', (req, res) => {
   }
 });
 
-// GET /daily - get the quote of the day (deterministic by date)
-router.get('/daily', (req, res) => {
+// GET /daily - the quote of the day, with the same filters as /random. It
+// stays the same all day even as quotes are added. Signed-in users get it
+// for their own timezone's day.
+router.get('/daily', optionalAuthenticate, quoteFilterValidation, (req, res) => {
+  try {
+    const date = todayIn(req.user ? req.user.timezone : DEFAULT_TIMEZONE);
+    const quote = dailyQuoteFor(date, filtersFrom(req.query), req.user ? req.user.id : null);
+
+    if (!quote) {
+      return sendNoQuotes(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        quote,
+        date,
+      },
+    });
+  } catch (err) {
+    console.error('Daily quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve daily quote',
+    });
+  }
+});
+
+// GET /categories - categories in use with their quote counts (?lang=)
+router.get('/categories', quoteFilterValidation, (req, res) => {
   try {
-    const db = getDb();
+    const categories = listCategories(filtersFrom(req.query));
+
+    res.json({
+      success: true,
+      data: {
+        count: categories.length,
+        categories,
+      },
+    });
+  } catch (err) {
+    console.error('List quote categories error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve categories',
+    });
+  }
+});
 
-    const totalQuotes = db.prepare('SELECT COUNT(*) AS cnt FROM motivational_quotes').get().cnt;
+// GET /tags - tags in use with their quote counts (?lang=, ?category=)
+router.get('/tags', quoteFilterValidation, (req, res) => {
+  try {
+    const tags = listTags(filtersFrom(req.query));
 
-    if (totalQuotes === 0) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      data: {
+        count: tags.length,
+        tags,
+      },
+    });
+  } catch (err) {
+    console.error('List quote tags error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve tags',
+    });
+  }
+});
+
+// GET /history - quotes the signed-in user has been shown, most recent first
+router.get('/history', authenticate, quoteHistoryValidation, (req, res) => {
+  try {
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    const { total, entries } = listQuoteHistory(req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit,
+        offset,
+        next_offset: offset + entries.length < total ? offset + entries.length : null,
+        count: entries.length,
+        history: entries,
+      },
+    });
+  } catch (err) {
+    console.error('Quote history error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve quote history',
+    });
+  }
+});
+
+// DELETE /history - forget which quotes have been shown
+router.delete('/history', authenticate, (req, res) => {
+  try {
+    const cleared = clearQuoteHistory(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Quote history cleared',
+        entries_cleared: cleared,
+      },
+    });
+  } catch (err) {
+    console.error('Clear quote history error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear quote history',
+    });
+  }
+});
+
+// Handler listing the signed-in user's quotes marked with `preference`
+function listMarked(preference) {
+  return (req, res) => {
+    try {
+      const quotes = listQuotesWithPreference(req.user.id, preference);
+
+      res.json({
+        success: true,
+        data: {
+          count: quotes.length,
+          quotes,
+        },
+      });
+    } catch (err) {
+      console.error('List marked quotes error:', err);
+      res.status(500).json({
         success: false,
-        error: 'No quotes available',
+        error: 'Failed to retrieve quotes',
       });
     }
+  };
+}
+
+// GET /favorites
+router.get('/favorites', authenticate, listMarked('favorite'));
+
+// GET /hidden
+router.get('/hidden', authenticate, listMarked('hidden'));
 
-    // Deterministic selection based on date:
-    // Convert today's date to a number and modulo by total quotes
-    const today = new Date();
-    const dateString = today.toISOString().split('T')[0]; // YYYY-MM-DD
-    const year = today.getFullYear();
-    const month = today.getMonth() + 1;
-    const day = today.getDate();
-
-    // Simple deterministic hash from date components
-    const daysSinceEpoch = Math.floor(today.getTime() / (1000 * 60 * 60 * 24));
-    const index = daysSinceEpoch % totalQuotes;
-
-    // Fetch the quote at that offset (ordered by id for consistency)
-    const quote = db.prepare(`
-      SELECT id, text, author FROM motivational_quotes
-      ORDER BY id ASC
-      LIMIT 1 OFFSET ?
-    `).get(index);
+// GET / - browse the catalog (?category=, ?tag=, ?lang=, ?q= searches text
+// and author), paginated with limit/offset
+router.get('/', quoteListValidation, (req, res) => {
+  try {
+    const limit = req.query.limit ?? 50;
+    const offset = req.query.offset ?? 0;
+    const { total, quotes } = listQuotes({ ...filtersFrom(req.query), search: req.query.q, limit, offset });
 
     res.json({
       success: true,
       data: {
-        quote,
-        date: dateString,
+        total,
+        limit,
+        offset,
+        next_offset: offset + quotes.length < total ? offset + quotes.length : null,
+        count: quotes.length,
+        quotes,
       },
     });
   } catch (err) {
-    console.error('Daily quote error:', err);
+    console.error('List quotes error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve daily quote',
+      error: 'Failed to retrieve quotes',
+    });
+  }
+});
+
+// Import accepts { quotes: [...] } as JSON, or text/csv with a header row
+// (text, author, category, tags, locale; tags separated by ";"). Empty
+// cells are treated as not given. The body is parsed here, with a larger
+// limit than app.js gives other bodies, once the caller is an admin.
+const parseQuoteUpload = [
+  express.json({ limit: '5mb' }),
+  express.text({ type: 'text/csv', limit: '5mb' }),
+];
+
+function readCsvUpload(req, res, next) {
+  if (typeof req.body !== 'string') return next();
+
+  try {
+    const rows = parseCsvObjects(req.body);
+    if (rows.length > 0 && !('text' in rows[0])) throw new Error('Missing text column');
+
+    req.body = {
+      quotes: rows.map((row) => {
+        const quote = {};
+        for (const field of ['text', 'author', 'category', 'locale']) {
+          if (row[field]) quote[field] = row[field];
+        }
+        if (row.tags) quote.tags = row.tags.split(';').map((tag) => tag.trim()).filter(Boolean);
+        return quote;
+      }),
+    };
+    next();
+  } catch {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid CSV. Expected a header row with at least a text column.',
+    });
+  }
+}
+
+// POST /import - create or update many quotes at once (admins only). Quotes
+// are matched on their text; the whole import fails if any row is invalid.
+router.post('/import', adminOnly, parseQuoteUpload, readCsvUpload, quoteImportValidation, (req, res) => {
+  try {
+    const summary = importQuotes(req.body.quotes);
+    recordAdminAction(req.user.id, 'quote.import', { targetType: 'quote', details: summary });
+
+    res.json({
+      success: true,
+      data: { summary },
+    });
+  } catch (err) {
+    console.error('Import quotes error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import quotes',
+    });
+  }
+});
+
+// POST / - add a quote (admins only)
+router.post('/', adminOnly, quoteCreateValidation, (req, res) => {
+  try {
+    const result = createQuote(req.body);
+    if (result.error) {
+      return sendQuoteError(res, result.error);
+    }
+
+    recordAdminAction(req.user.id, 'quote.create', { targetType: 'quote', targetId: result.quote.id });
+
+    res.status(201).json({
+      success: true,
+      data: { quote: result.quote },
+    });
+  } catch (err) {
+    console.error('Create quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create quote',
+    });
+  }
+});
+
+// GET /:id
+router.get('/:id', quoteIdParam, (req, res) => {
+  try {
+    const quote = findQuote(req.params.id);
+    if (!quote) {
+      return sendQuoteError(res, 'not_found');
+    }
+
+    res.json({
+      success: true,
+      data: { quote },
+    });
+  } catch (err) {
+    console.error('Get quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve quote',
     });
   }
 });
 
+// PUT /:id - change any of text, author, category, tags or locale (admins
+// only). Tags, when given, replace the existing ones.
+router.put('/:id', adminOnly, quoteIdParam, quoteUpdateValidation, (req, res) => {
+  try {
+    const fields = QUOTE_FIELDS.filter((field) => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `No fields to update. Provide ${QUOTE_FIELDS.join(', ')}.`,
+      });
+    }
+
+    const result = updateQuote(req.params.id, req.body);
+    if (result.error) {
+      return sendQuoteError(res, result.error);
+    }
+
+    recordAdminAction(req.user.id, 'quote.update', {
+      targetType: 'quote',
+      targetId: result.quote.id,
+      details: { fields },
+    });
+
+    res.json({
+      success: true,
+      data: { quote: result.quote },
+    });
+  } catch (err) {
+    console.error('Update quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update quote',
+    });
+  }
+});
+
+// DELETE /:id (admins only)
+router.delete('/:id', adminOnly, quoteIdParam, (req, res) => {
+  try {
+    const quote = findQuote(req.params.id);
+    if (!quote) {
+      return sendQuoteError(res, 'not_found');
+    }
+
+    deleteQuote(quote.id);
+    recordAdminAction(req.user.id, 'quote.delete', {
+      targetType: 'quote',
+      targetId: quote.id,
+      details: { text: quote.text, author: quote.author },
+    });
+
+    res.json({
+      success: true,
+      data: { message: 'Quote deleted' },
+    });
+  } catch (err) {
+    console.error('Delete quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete quote',
+    });
+  }
+});
+
+// Handlers marking a quote for the signed-in user, or unmarking it. A quote
+// is a favorite or hidden, not both.
+function markQuote(preference) {
+  return (req, res) => {
+    try {
+      const quote = findQuote(req.params.id);
+      if (!quote) {
+        return sendQuoteError(res, 'not_found');
+      }
+
+      setQuotePreference(req.user.id, quote.id, preference);
+
+      res.json({
+        success: true,
+        data: { quote_id: quote.id, preference },
+      });
+    } catch (err) {
+      console.error('Mark quote error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update quote',
+      });
+    }
+  };
+}
+
+function unmarkQuote(preference) {
+  return (req, res) => {
+    try {
+      if (!clearQuotePreference(req.user.id, req.params.id, preference)) {
+        return res.status(404).json({
+          success: false,
+          error: preference === 'favorite' ? 'Quote is not a favorite' : 'Quote is not hidden',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { quote_id: Number(req.params.id), preference: null },
+      });
+    } catch (err) {
+      console.error('Unmark quote error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update quote',
+      });
+    }
+  };
+}
+
+// PUT /:id/favorite, DELETE /:id/favorite
+router.put('/:id/favorite', authenticate, quoteIdParam, markQuote('favorite'));
+router.delete('/:id/favorite', authenticate, quoteIdParam, unmarkQuote('favorite'));
+
+// PUT /:id/hidden, DELETE /:id/hidden - hidden quotes are never delivered
+router.put('/:id/hidden', authenticate, quoteIdParam, markQuote('hidden'));
+router.delete('/:id/hidden', authenticate, quoteIdParam, unmarkQuote('hidden'));
+
 export default router;
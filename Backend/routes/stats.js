@@ -1,36 +1,73 @@
 import { Router } from 'express';
 import { getDb } from '../config/database.js';
 import authenticate from '../middleware/auth.js';
-import { statsValidation, historyQueryValidation } from '../middleware/validate.js';
+import {
+  statsValidation,
+  historyQueryValidation,
+  batchSyncValidation,
+  deviceFilterValidation,
+} from '../middleware/validate.js';
+import { applySyncDay, applySyncBatch } from '../services/statsSync.js';
+import { resolveDeviceParam, touchDevice, acrossDevices } from '../services/devices.js';
+import { evaluateAchievements } from '../services/achievements.js';
+import { todayIn, currentWeek, computeStreaks } from '../utils/dates.js';
 
 const router = Router();
 
-// POST /sync - upsert daily stats from iOS app
+// Stats are stored per device. Reads sum every device unless `device_id`
+// narrows them to one; this builds the matching WHERE fragment.
+function deviceScope(device) {
+  return device
+    ? { clause: ' AND device_id = ?', params: [device.id] }
+    : { clause: '', params: [] };
+}
+
+// Per-day totals across the selected devices. `revision` is the highest of
+// the day's rows, which for a single device is the one batch sync compares
+// against; a day spread over several devices has no single row id.
+const DAY_TOTALS_COLUMNS = `
+  CASE WHEN COUNT(*) = 1 THEN MAX(id) END AS id,
+  user_id,
+  date,
+  SUM(total_unlocks) AS total_unlocks,
+  SUM(total_ad_time_seconds) AS total_ad_time_seconds,
+  ${acrossDevices('apps_blocked_count')} AS apps_blocked_count,
+  SUM(time_saved_seconds) AS time_saved_seconds,
+  MAX(revision) AS revision,
+  COUNT(*) AS device_count,
+  MAX(updated_at) AS updated_at
+`;
+
+// POST /sync - upsert one day of stats from the iOS app. Conflicts with the
+// stored day are resolved like batch sync (see services/statsSync.js), so
+// a stale device can't overwrite newer numbers; `sync` says what happened.
 router.post('/sync', authenticate, statsValidation, (req, res) => {
   try {
-    const { date, total_unlocks, total_ad_time_seconds, apps_blocked_count, time_saved_seconds } = req.body;
+    const { date, total_unlocks, total_ad_time_seconds, apps_blocked_count, time_saved_seconds, revision } = req.body;
     const db = getDb();
 
-    // Upsert: insert or replace on (user_id, date) conflict
-    const stmt = db.prepare(`
-      INSERT INTO daily_stats (user_id, date, total_unlocks, total_ad_time_seconds, apps_blocked_count, time_saved_seconds)
-      VALUES (?, ?, ?, ?, ?, ?)
-      ON CONFLICT(user_id, date) DO UPDATE SET
-        total_unlocks = excluded.total_unlocks,
-        total_ad_time_seconds = excluded.total_ad_time_seconds,
-        apps_blocked_count = excluded.apps_blocked_count,
-        time_saved_seconds = excluded.time_saved_seconds
-    `);
+    const device = resolveDeviceParam(req, res, req.body.device_id);
+    if (device === undefined) return;
+    const deviceId = device ? device.id : 0;
+
+    const sync = applySyncDay(req.user.id, {
+      deviceId,
+      day: { date, total_unlocks, total_ad_time_seconds, apps_blocked_count, time_saved_seconds, revision },
+    });
 
-    stmt.run(req.user.id, date, total_unlocks, total_ad_time_seconds, apps_blocked_count, time_saved_seconds);
+    if (device) touchDevice(device.id);
 
     const saved = db.prepare(
-      'SELECT * FROM daily_stats WHERE user_id = ? AND date = ?'
-    ).get(req.user.id, date);
+      'SELECT * FROM daily_stats WHERE user_id = ? AND device_id = ? AND date = ?'
+    ).get(req.user.id, deviceId, date);
 
     res.json({
       success: true,
-      data: { stats: saved },
+      data: {
+        stats: saved,
+        sync,
+        new_achievements: evaluateAchievements(req.user.id),
+      },
     });
   } catch (err) {
     console.error('Stats sync error:', err);
@@ -41,13 +78,49 @@ router.post('/sync', authenticate, statsValidation, (req, res) => {
   }
 });
 
+// POST /sync/batch - upload many days and unlock events in one transaction,
+// e.g. after the phone has been offline. See services/statsSync.js for how
+// conflicting days are resolved.
+router.post('/sync/batch', authenticate, batchSyncValidation, (req, res) => {
+  try {
+    const device = resolveDeviceParam(req, res, req.body.device_id);
+    if (device === undefined) return;
+
+    const result = applySyncBatch(req.user.id, {
+      deviceId: device ? device.id : 0,
+      days: req.body.days,
+      unlocks: req.body.unlocks,
+    });
+
+    if (device) touchDevice(device.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        new_achievements: evaluateAchievements(req.user.id),
+      },
+    });
+  } catch (err) {
+    console.error('Batch stats sync error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync stats batch',
+    });
+  }
+});
+
 // GET /summary - aggregated stats for user
-router.get('/summary', authenticate, (req, res) => {
+router.get('/summary', authenticate, deviceFilterValidation, (req, res) => {
   try {
     const db = getDb();
     const userId = req.user.id;
 
-    // Aggregate totals
+    const device = resolveDeviceParam(req, res, req.query.device_id);
+    if (device === undefined) return;
+    const scope = deviceScope(device);
+
+    // Aggregate totals, over the per-day totals
     const totals = db.prepare(`
       SELECT
         COALESCE(SUM(total_unlocks), 0) AS total_unlocks,
@@ -55,60 +128,27 @@ router.get('/summary', authenticate, (req, res) => {
         COALESCE(SUM(apps_blocked_count), 0) AS total_apps_blocked,
         COALESCE(SUM(time_saved_seconds), 0) AS total_time_saved_seconds,
         COUNT(*) AS days_tracked
-      FROM daily_stats
-      WHERE user_id = ?
-    `).get(userId);
+      FROM (
+        SELECT ${DAY_TOTALS_COLUMNS} FROM daily_stats
+        WHERE user_id = ?${scope.clause}
+        GROUP BY date
+      )
+    `).get(userId, ...scope.params);
 
     // Calculate current streak: consecutive days ending at today (or yesterday)
     const allDates = db.prepare(`
       SELECT date FROM daily_stats
-      WHERE user_id = ? AND time_saved_seconds > 0
+      WHERE user_id = ?${scope.clause}
+      GROUP BY date
+      HAVING SUM(time_saved_seconds) > 0
       ORDER BY date DESC
-    `).all(userId);
-
-    let streakDays = 0;
-    if (allDates.length > 0) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      // The most recent date the user has data for
-      const mostRecent = new Date(allDates[0].date + 'T00:00:00');
-      const diffFromToday = Math.floor((today - mostRecent) / (1000 * 60 * 60 * 24));
-
-      // Streak is valid only if most recent entry is today or yesterday
-      if (diffFromToday <= 1) {
-        streakDays = 1;
-        for (let i = 1; i < allDates.length; i++) {
-          const current = new Date(allDates[i - 1].date + 'T00:00:00');
-          const previous = new Date(allDates[i].date + 'T00:00:00');
-          const gap = Math.floor((current - previous) / (1000 * 60 * 60 * 24));
-          if (gap === 1) {
-            streakDays++;
-          } else {
-            break;
-          }
-        }
-      }
-    }
+    `).all(userId, ...scope.params);
 
-    // Best streak ever
-    let bestStreak = 0;
-    if (allDates.length > 0) {
-      const sortedAsc = [...allDates].reverse();
-      let currentRun = 1;
-      bestStreak = 1;
-      for (let i = 1; i < sortedAsc.length; i++) {
-        const prev = new Date(sortedAsc[i - 1].date + 'T00:00:00');
-        const curr = new Date(sortedAsc[i].date + 'T00:00:00');
-        const gap = Math.floor((curr - prev) / (1000 * 60 * 60 * 24));
-        if (gap === 1) {
-          currentRun++;
-          bestStreak = Math.max(bestStreak, currentRun);
-        } else {
-          currentRun = 1;
-        }
-      }
-    }
+    // "Today" is the user's calendar day, not the server's
+    const streaks = computeStreaks(
+      allDates.map((row) => row.date),
+      todayIn(req.user.timezone)
+    );
 
     // Average daily stats
     const daysTracked = totals.days_tracked || 1;
@@ -129,8 +169,8 @@ router.get('/summary', authenticate, (req, res) => {
           days_tracked: totals.days_tracked,
         },
         streaks: {
-          current_streak_days: streakDays,
-          best_streak_days: bestStreak,
+          current_streak_days: streaks.current,
+          best_streak_days: streaks.best,
         },
         averages,
       },
@@ -151,8 +191,12 @@ router.get('/history', authenticate, historyQueryValidation, (req, res) => {
     const userId = req.user.id;
     const { start_date, end_date, limit } = req.query;
 
-    let sql = 'SELECT * FROM daily_stats WHERE user_id = ?';
-    const params = [userId];
+    const device = resolveDeviceParam(req, res, req.query.device_id);
+    if (device === undefined) return;
+    const scope = deviceScope(device);
+
+    let sql = `SELECT ${DAY_TOTALS_COLUMNS} FROM daily_stats WHERE user_id = ?${scope.clause}`;
+    const params = [userId, ...scope.params];
 
     if (start_date) {
       sql += ' AND date >= ?';
@@ -163,7 +207,7 @@ router.get('/history', authenticate, historyQueryValidation, (req, res) => {
       params.push(end_date);
     }
 
-    sql += ' ORDER BY date DESC';
+    sql += ' GROUP BY date ORDER BY date DESC';
 
     if (limit) {
       sql += ' LIMIT ?';
@@ -191,23 +235,17 @@ router.get('/history', authenticate, historyQueryValidation, (req, res) => {
 });
 
 // GET /weekly - current week summary (Monday to Sunday)
-router.get('/weekly', authenticate, (req, res) => {
+router.get('/weekly', authenticate, deviceFilterValidation, (req, res) => {
   try {
     const db = getDb();
     const userId = req.user.id;
 
-    // Compute Monday of the current week
-    const now = new Date();
-    const dayOfWeek = now.getDay(); // 0=Sunday, 1=Monday, ...
-    const mondayOffset = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
-    const monday = new Date(now);
-    monday.setDate(now.getDate() + mondayOffset);
-    monday.setHours(0, 0, 0, 0);
-    const weekStart = monday.toISOString().split('T')[0];
+    const device = resolveDeviceParam(req, res, req.query.device_id);
+    if (device === undefined) return;
+    const scope = deviceScope(device);
 
-    const sunday = new Date(monday);
-    sunday.setDate(monday.getDate() + 6);
-    const weekEnd = sunday.toISOString().split('T')[0];
+    // Monday to Sunday of the current week in the user's timezone
+    const { weekStart, weekEnd } = currentWeek(req.user.timezone);
 
     const weeklyTotals = db.prepare(`
       SELECT
@@ -216,15 +254,19 @@ router.get('/weekly', authenticate, (req, res) => {
         COALESCE(SUM(apps_blocked_count), 0) AS total_apps_blocked,
         COALESCE(SUM(time_saved_seconds), 0) AS total_time_saved_seconds,
         COUNT(*) AS days_active
-      FROM daily_stats
-      WHERE user_id = ? AND date >= ? AND date <= ?
-    `).get(userId, weekStart, weekEnd);
+      FROM (
+        SELECT ${DAY_TOTALS_COLUMNS} FROM daily_stats
+        WHERE user_id = ? AND date >= ? AND date <= ?${scope.clause}
+        GROUP BY date
+      )
+    `).get(userId, weekStart, weekEnd, ...scope.params);
 
     const dailyBreakdown = db.prepare(`
-      SELECT * FROM daily_stats
-      WHERE user_id = ? AND date >= ? AND date <= ?
+      SELECT ${DAY_TOTALS_COLUMNS} FROM daily_stats
+      WHERE user_id = ? AND date >= ? AND date <= ?${scope.clause}
+      GROUP BY date
       ORDER BY date ASC
-    `).all(userId, weekStart, weekEnd);
+    `).all(userId, weekStart, weekEnd, ...scope.params);
 
     res.json({
       success: true,
@@ -1,26 +1,209 @@
 import { Router } from 'express';
+import { body, param, query } from 'express-validator';
 import { getDb } from '../config/database.js';
 import authenticate from '../middleware/auth.js';
-import { unlockLogValidation } from '../middleware/validate.js';
+import {
+  handleValidationErrors,
+  unlockLogValidation,
+  unlockQuoteValidation,
+  unlockPolicyValidation,
+} from '../middleware/validate.js';
+import { evaluateAchievements } from '../services/achievements.js';
+import { getUnlockPolicy, saveUnlockPolicy, quoteUnlock } from '../services/unlockPolicy.js';
+import {
+  listActiveSessions,
+  endSession,
+  extendSession,
+  UNLOCKED_SECONDS_SQL,
+} from '../services/unlockSessions.js';
+import { verifyRewardCallback, recordReward, claimReward } from '../services/rewardVerification.js';
+import { findGroup } from '../services/userConfig.js';
+import { zonedParts, parseUtcTimestamp } from '../utils/dates.js';
 
 const router = Router();
 
-// POST /log - log an unlock event from the iOS app
-router.post('/log', authenticate, unlockLogValidation, (req, res) => {
+const sessionIdParam = param('id').isInt({ min: 1 }).withMessage('Session id must be a positive integer');
+
+// A group_id sent by the client has to be one of the user's groups
+function requireOwnGroup(req, res, next) {
+  if (req.body.group_id !== undefined && !findGroup(req.user.id, req.body.group_id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'App group not found',
+    });
+  }
+  next();
+}
+
+function sendSessionError(res, error) {
+  if (error === 'not_found') {
+    return res.status(404).json({
+      success: false,
+      error: 'Unlock session not found',
+    });
+  }
+  return res.status(409).json({
+    success: false,
+    error: 'Unlock session has already ended',
+  });
+}
+
+// 402 with the price, for an ad shorter than the quote asks for
+function sendAdTooShort(res, action, quote) {
+  return res.status(402).json({
+    success: false,
+    error: `${action} takes a ${quote.required_ad_seconds} second ad`,
+    data: { quote },
+  });
+}
+
+// POST /quote - price of the next unlock of an app under the user's policy,
+// or its group's unlock rules
+router.post('/quote', authenticate, unlockQuoteValidation, requireOwnGroup, (req, res) => {
   try {
-    const { app_name, ad_duration_seconds, expires_at } = req.body;
+    const quote = quoteUnlock(req.user.id, req.body.app_name, { groupId: req.body.group_id });
+
+    res.json({
+      success: true,
+      data: { quote },
+    });
+  } catch (err) {
+    console.error('Unlock quote error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to quote unlock',
+    });
+  }
+});
+
+// GET /policy - the user's escalation tiers, reset window and access time
+router.get('/policy', authenticate, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { policy: getUnlockPolicy(req.user.id) },
+    });
+  } catch (err) {
+    console.error('Unlock policy error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve unlock policy',
+    });
+  }
+});
+
+// PUT /policy - change any of tiers, reset_window_minutes and access_seconds
+router.put('/policy', authenticate, unlockPolicyValidation, (req, res) => {
+  try {
+    const changes = {};
+    for (const field of ['tiers', 'reset_window_minutes', 'access_seconds']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update. Provide tiers, reset_window_minutes or access_seconds.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { policy: saveUnlockPolicy(req.user.id, changes) },
+    });
+  } catch (err) {
+    console.error('Update unlock policy error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update unlock policy',
+    });
+  }
+});
+
+// GET /ssv - signed rewarded-ad callback from the ad network. Public: the
+// signature is the authentication. Anything but a 200 makes the network
+// retry, so replays of a known transaction still succeed.
+router.get('/ssv', async (req, res) => {
+  try {
+    // Verify against the query string exactly as sent, not re-encoded
+    const queryAt = req.originalUrl.indexOf('?');
+    const verification = await verifyRewardCallback(queryAt === -1 ? '' : req.originalUrl.slice(queryAt + 1));
+
+    if (verification.error) {
+      return res.status(verification.error === 'unsigned' ? 400 : 403).json({
+        success: false,
+        error: verification.error === 'unsigned' ? 'Callback is not signed' : 'Invalid callback signature',
+      });
+    }
+    if (!verification.params.transaction_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'transaction_id is required',
+      });
+    }
+
+    const { transaction, duplicate } = recordReward(verification.params);
+
+    res.json({
+      success: true,
+      data: { transaction, duplicate },
+    });
+  } catch (err) {
+    console.error('Reward verification error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify reward',
+    });
+  }
+});
+
+// POST /log - log an unlock event from the iOS app. The tier is priced here,
+// before the insert, so it reflects the unlocks that came before this one.
+// An ad shorter than the tier asks for doesn't unlock anything, and a client
+// expires_at can shorten the access window but not stretch it.
+// ssv_nonce is the custom_data the app put on the rewarded ad; the session
+// is verified once the matching callback arrives, whichever comes first.
+// Without a group_id the unlock is attributed to the group blocking the app.
+router.post('/log', authenticate, unlockLogValidation, requireOwnGroup, (req, res) => {
+  try {
+    const { app_name, ad_duration_seconds, expires_at, ssv_nonce, group_id } = req.body;
     const db = getDb();
 
+    const quote = quoteUnlock(req.user.id, app_name, { groupId: group_id });
+    if (ad_duration_seconds < quote.required_ad_seconds) {
+      return sendAdTooShort(res, 'Unlocking this app', quote);
+    }
+
+    const accessWindow = `+${quote.access_seconds} seconds`;
     const result = db.prepare(`
-      INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at, expires_at)
-      VALUES (?, ?, ?, datetime('now'), ?)
-    `).run(req.user.id, app_name, ad_duration_seconds, expires_at || null);
+      INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at, expires_at,
+        tier, required_ad_seconds, ssv_nonce, group_id)
+      VALUES (?, ?, ?, datetime('now'), COALESCE(MIN(datetime(?), datetime('now', ?)), datetime('now', ?)), ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      app_name,
+      ad_duration_seconds,
+      expires_at || null,
+      accessWindow,
+      accessWindow,
+      quote.tier,
+      quote.required_ad_seconds,
+      ssv_nonce || null,
+      quote.group_id
+    );
+
+    if (ssv_nonce) {
+      claimReward(req.user.id, result.lastInsertRowid, ssv_nonce);
+    }
 
     const session = db.prepare('SELECT * FROM unlock_sessions WHERE id = ?').get(result.lastInsertRowid);
 
     res.status(201).json({
       success: true,
-      data: { session },
+      data: {
+        session,
+        new_achievements: evaluateAchievements(req.user.id),
+      },
     });
   } catch (err) {
     console.error('Unlock log error:', err);
@@ -31,17 +214,48 @@ router.post('/log', authenticate, unlockLogValidation, (req, res) => {
   }
 });
 
-// GET /recent - last 50 unlock sessions for current user
-router.get('/recent', authenticate, (req, res) => {
-  try {
-    const db = getDb();
+// GET /recent - last 50 unlock sessions for current user, optionally only
+// those attributed to ?group_id
+router.get(
+  '/recent',
+  authenticate,
+  [
+    query('group_id').optional().isInt({ min: 1 }).withMessage('group_id must be a positive integer'),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const db = getDb();
+      const groupId = req.query.group_id ? Number(req.query.group_id) : null;
 
-    const sessions = db.prepare(`
-      SELECT * FROM unlock_sessions
-      WHERE user_id = ?
-      ORDER BY unlocked_at DESC
-      LIMIT 50
-    `).all(req.user.id);
+      const sessions = db.prepare(`
+        SELECT * FROM unlock_sessions
+        WHERE user_id = ? AND (? IS NULL OR group_id = ?)
+        ORDER BY unlocked_at DESC
+        LIMIT 50
+      `).all(req.user.id, groupId, groupId);
+
+      res.json({
+        success: true,
+        data: {
+          count: sessions.length,
+          sessions,
+        },
+      });
+    } catch (err) {
+      console.error('Recent unlocks error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve recent unlocks',
+      });
+    }
+  }
+);
+
+// GET /active - sessions that are still granting access
+router.get('/active', authenticate, (req, res) => {
+  try {
+    const sessions = listActiveSessions(req.user.id);
 
     res.json({
       success: true,
@@ -51,14 +265,68 @@ router.get('/recent', authenticate, (req, res) => {
       },
     });
   } catch (err) {
-    console.error('Recent unlocks error:', err);
+    console.error('Active unlocks error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve active unlocks',
+    });
+  }
+});
+
+// POST /:id/end - relock before the session expires
+router.post('/:id/end', authenticate, [sessionIdParam, handleValidationErrors], (req, res) => {
+  try {
+    const result = endSession(req.user.id, req.params.id);
+    if (result.error) return sendSessionError(res, result.error);
+
+    res.json({
+      success: true,
+      data: { session: result.session },
+    });
+  } catch (err) {
+    console.error('End unlock error:', err);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve recent unlocks',
+      error: 'Failed to end unlock session',
     });
   }
 });
 
+// POST /:id/extend - watch another ad to keep a running session open longer
+router.post(
+  '/:id/extend',
+  authenticate,
+  [
+    sessionIdParam,
+    body('ad_duration_seconds')
+      .isInt({ min: 0 })
+      .withMessage('ad_duration_seconds must be a non-negative integer')
+      .toInt(),
+    handleValidationErrors,
+  ],
+  (req, res) => {
+    try {
+      const result = extendSession(req.user.id, req.params.id, req.body.ad_duration_seconds);
+      if (result.error === 'ad_too_short') return sendAdTooShort(res, 'Extending this session', result.quote);
+      if (result.error) return sendSessionError(res, result.error);
+
+      res.json({
+        success: true,
+        data: {
+          session: result.session,
+          extension: result.extension,
+        },
+      });
+    } catch (err) {
+      console.error('Extend unlock error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to extend unlock session',
+      });
+    }
+  }
+);
+
 // GET /stats - unlock statistics: most unlocked apps, average ad time, unlock frequency
 router.get('/stats', authenticate, (req, res) => {
   try {
@@ -71,7 +339,8 @@ router.get('/stats', authenticate, (req, res) => {
         app_name,
         COUNT(*) AS unlock_count,
         COALESCE(SUM(ad_duration_seconds), 0) AS total_ad_time_seconds,
-        ROUND(AVG(ad_duration_seconds), 2) AS avg_ad_duration_seconds
+        ROUND(AVG(ad_duration_seconds), 2) AS avg_ad_duration_seconds,
+        COALESCE(SUM(${UNLOCKED_SECONDS_SQL}), 0) AS total_unlocked_seconds
       FROM unlock_sessions
       WHERE user_id = ?
       GROUP BY app_name
@@ -79,6 +348,21 @@ router.get('/stats', authenticate, (req, res) => {
       LIMIT 10
     `).all(userId);
 
+    // Unlocks per app group; group_id is null for apps outside any group
+    const byGroup = db.prepare(`
+      SELECT
+        s.group_id,
+        g.name AS group_name,
+        COUNT(*) AS unlock_count,
+        COALESCE(SUM(s.ad_duration_seconds), 0) AS total_ad_time_seconds,
+        COALESCE(SUM(${UNLOCKED_SECONDS_SQL}), 0) AS total_unlocked_seconds
+      FROM unlock_sessions s
+      LEFT JOIN app_groups g ON g.id = s.group_id
+      WHERE s.user_id = ?
+      GROUP BY s.group_id
+      ORDER BY unlock_count DESC
+    `).all(userId);
+
     // Overall unlock stats
     const overall = db.prepare(`
       SELECT
@@ -86,32 +370,40 @@ router.get('/stats', authenticate, (req, res) => {
         COALESCE(SUM(ad_duration_seconds), 0) AS total_ad_time_seconds,
         ROUND(AVG(ad_duration_seconds), 2) AS avg_ad_duration_seconds,
         MIN(unlocked_at) AS first_unlock,
-        MAX(unlocked_at) AS last_unlock
+        MAX(unlocked_at) AS last_unlock,
+        COALESCE(SUM(${UNLOCKED_SECONDS_SQL}), 0) AS total_unlocked_seconds,
+        ROUND(AVG(${UNLOCKED_SECONDS_SQL}), 2) AS avg_unlocked_seconds,
+        COUNT(ended_at) AS ended_early_count,
+        COALESCE(SUM(verified), 0) AS verified_count,
+        (SELECT COUNT(*) FROM unlock_extensions e
+          INNER JOIN unlock_sessions s ON s.id = e.session_id
+          WHERE s.user_id = ?) AS extension_count
       FROM unlock_sessions
       WHERE user_id = ?
-    `).get(userId);
+    `).get(userId, userId);
 
-    // Unlock frequency by hour of day (0-23)
-    const hourlyFrequency = db.prepare(`
-      SELECT
-        CAST(strftime('%H', unlocked_at) AS INTEGER) AS hour,
-        COUNT(*) AS unlock_count
-      FROM unlock_sessions
-      WHERE user_id = ?
-      GROUP BY hour
-      ORDER BY hour ASC
-    `).all(userId);
+    // Frequency by hour of day (0-23) and day of week (0=Sunday through
+    // 6=Saturday). unlocked_at is UTC, so bucket in the user's timezone here
+    // rather than with strftime.
+    const hourCounts = new Map();
+    const weekdayCounts = new Map();
+    const unlockTimes = db.prepare(
+      'SELECT unlocked_at FROM unlock_sessions WHERE user_id = ?'
+    ).all(userId);
 
-    // Unlock frequency by day of week (0=Sunday through 6=Saturday)
-    const dailyFrequency = db.prepare(`
-      SELECT
-        CAST(strftime('%w', unlocked_at) AS INTEGER) AS day_of_week,
-        COUNT(*) AS unlock_count
-      FROM unlock_sessions
-      WHERE user_id = ?
-      GROUP BY day_of_week
-      ORDER BY day_of_week ASC
-    `).all(userId);
+    for (const { unlocked_at } of unlockTimes) {
+      const { hour, dayOfWeek } = zonedParts(parseUtcTimestamp(unlocked_at), req.user.timezone);
+      hourCounts.set(hour, (hourCounts.get(hour) || 0) + 1);
+      weekdayCounts.set(dayOfWeek, (weekdayCounts.get(dayOfWeek) || 0) + 1);
+    }
+
+    const hourlyFrequency = [...hourCounts]
+      .sort(([a], [b]) => a - b)
+      .map(([hour, unlock_count]) => ({ hour, unlock_count }));
+
+    const dailyFrequency = [...weekdayCounts]
+      .sort(([a], [b]) => a - b)
+      .map(([day_of_week, unlock_count]) => ({ day_of_week, unlock_count }));
 
     const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const dailyFrequencyNamed = dailyFrequency.map((row) => ({
@@ -139,6 +431,7 @@ router.get('/stats', authenticate, (req, res) => {
       data: {
         overall,
         top_apps: topApps,
+        by_group: byGroup,
         hourly_frequency: hourlyFrequency,
         daily_frequency: dailyFrequencyNamed,
         trend: {
@@ -0,0 +1,63 @@
+// Schema migration CLI.
+//
+//   npm run migrate              apply all pending migrations
+//   npm run migrate -- up [N]    apply pending migrations up to version N
+//   npm run migrate -- down N    revert applied migrations down to version N
+//   npm run migrate -- status    list migrations and whether they are applied
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { openDatabase } from '../config/database.js';
+import { getCurrentVersion, getMigrationStatus, migrateUp, migrateDown } from '../config/migrator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    console.error(`Invalid version: ${value}`);
+    process.exit(1);
+  }
+  return version;
+}
+
+const [command = 'up', target] = process.argv.slice(2);
+const db = openDatabase(process.env.DB_PATH || path.join(__dirname, '..', 'data', 'screenbreak.db'));
+
+try {
+  switch (command) {
+    case 'status': {
+      for (const migration of getMigrationStatus(db)) {
+        const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(32)} ${state}`);
+      }
+      console.log(`Current version: ${getCurrentVersion(db)}`);
+      break;
+    }
+    case 'up': {
+      const ran = migrateUp(db, { to: target === undefined ? Infinity : parseVersion(target) });
+      ran.forEach((m) => console.log(`Applied ${m.version} ${m.name}`));
+      console.log(ran.length ? `Now at version ${getCurrentVersion(db)}` : 'Already up to date');
+      break;
+    }
+    case 'down': {
+      if (target === undefined) {
+        console.error('Usage: npm run migrate -- down <version>');
+        process.exit(1);
+      }
+      const reverted = migrateDown(db, { to: parseVersion(target) });
+      reverted.forEach((m) => console.log(`Reverted ${m.version} ${m.name}`));
+      console.log(`Now at version ${getCurrentVersion(db)}`);
+      break;
+    }
+    default:
+      console.error(`Unknown command "${command}". Use status, up or down.`);
+      process.exit(1);
+  }
+} catch (err) {
+  console.error('Migration failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
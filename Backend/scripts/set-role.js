@@ -0,0 +1,37 @@
+// Grant or revoke a role.
+//
+//   npm run set-role -- <username> <role>    role is one of: user, admin
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { openDatabase } from '../config/database.js';
+import { ROLES } from '../middleware/requireRole.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const [username, role] = process.argv.slice(2);
+if (!username || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const db = openDatabase(process.env.DB_PATH || path.join(__dirname, '..', 'data', 'screenbreak.db'));
+
+try {
+  const result = db.prepare(
+    `UPDATE users SET role = ?, updated_at = datetime('now') WHERE username = ? COLLATE NOCASE`
+  ).run(role, username);
+
+  if (result.changes === 0) {
+    console.error(`No user named "${username}"`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${username} is now ${role}`);
+  }
+} catch (err) {
+  console.error('Failed to set role:', err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -1,19 +1,11 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import morgan from 'morgan';
-import rateLimit from 'express-rate-limit';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { initDatabase } from './config/database.js';
-import authRoutes from './routes/auth.js';
-import statsRoutes from './routes/stats.js';
-import unlocksRoutes from './routes/unlocks.js';
-import leaderboardRoutes from './routes/leaderboard.js';
-import quotesRoutes from './routes/quotes.js';
+import { createApp } from './app.js';
+import { createScheduler } from './services/scheduler.js';
+import { jobs } from './services/jobs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,130 +25,20 @@ if (!fs.existsSync(dataDir)) {
 }
 
 // ---------------------------------------------------------------------------
-// Initialize database
+// Build app (initializes the database)
 // ---------------------------------------------------------------------------
-initDatabase(process.env.DB_PATH || path.join(dataDir, 'screenbreak.db'));
-
-// ---------------------------------------------------------------------------
-// Express app
-// ---------------------------------------------------------------------------
-const app = express();
-
-// ---------------------------------------------------------------------------
-// Global middleware
-// ---------------------------------------------------------------------------
-
-// Security headers
-app.use(helmet());
-
-// CORS - allow all origins in dev, restrict in production as needed
-app.use(cors({
-  origin: NODE_ENV === 'production' ? process.env.ALLOWED_ORIGINS?.split(',') : '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-}));
-
-// Request logging
-app.use(morgan(NODE_ENV === 'production' ? 'combined' : 'dev'));
-
-// Body parsing
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
-
-// ---------------------------------------------------------------------------
-// Rate limiting
-// ---------------------------------------------------------------------------
-
-// General API rate limit: 100 requests per 15-minute window
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    success: false,
-    error: 'Too many requests. Please try again later.',
-  },
-});
-
-// Stricter limit for auth endpoints: 20 requests per 15-minute window
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 20,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: {
-    success: false,
-    error: 'Too many authentication attempts. Please try again later.',
-  },
+const app = createApp({
+  dbPath: process.env.DB_PATH || path.join(dataDir, 'screenbreak.db'),
 });
 
-app.use('/api/', generalLimiter);
-app.use('/api/auth/login', authLimiter);
-app.use('/api/auth/register', authLimiter);
-
 // ---------------------------------------------------------------------------
-// Health check
+// Background jobs (leaderboard cache, weekly snapshots, pruning). Set
+// SCHEDULER_ENABLED=false on extra instances if you'd rather run them in one
+// place; overlapping runs are skipped either way.
 // ---------------------------------------------------------------------------
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      status: 'ok',
-      environment: NODE_ENV,
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-    },
-  });
-});
-
-// ---------------------------------------------------------------------------
-// API Routes
-// ---------------------------------------------------------------------------
-app.use('/api/auth', authRoutes);
-app.use('/api/stats', statsRoutes);
-app.use('/api/unlocks', unlocksRoutes);
-app.use('/api/leaderboard', leaderboardRoutes);
-app.use('/api/quotes', quotesRoutes);
-
-// ---------------------------------------------------------------------------
-// 404 handler
-// ---------------------------------------------------------------------------
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: `Route ${req.method} ${req.originalUrl} not found`,
-  });
-});
-
-// ---------------------------------------------------------------------------
-// Global error handler
-// ---------------------------------------------------------------------------
-app.use((err, req, res, _next) => {
-  console.error('Unhandled error:', err);
-
-  // Handle JSON parse errors
-  if (err.type === 'entity.parse.failed') {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid JSON in request body',
-    });
-  }
-
-  // Handle payload too large
-  if (err.type === 'entity.too.large') {
-    return res.status(413).json({
-      success: false,
-      error: 'Request payload too large',
-    });
-  }
-
-  const statusCode = err.statusCode || err.status || 500;
-  res.status(statusCode).json({
-    success: false,
-    error: NODE_ENV === 'production' ? 'Internal server error' : err.message,
-  });
-});
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  createScheduler({ jobs }).start();
+}
 
 // ---------------------------------------------------------------------------
 // Start server
@@ -0,0 +1,43 @@
+import { getDb } from '../config/database.js';
+
+// Per-account lockout on top of the IP-based authLimiter. After
+// LOGIN_LOCKOUT_THRESHOLD consecutive failures the account is locked, and each
+// further failure doubles the lock (1m, 2m, 4m, ...) up to the maximum.
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+
+// Seconds until the account unlocks, or 0 if it isn't locked
+export function getLockoutRemaining(user) {
+  if (!user.locked_until) return 0;
+  const remainingMs = new Date(user.locked_until + 'Z').getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+// Record a failed attempt; returns the lock duration in seconds (0 if not
+// locked). The count is incremented in SQL, not from the row read before the
+// password check, so concurrent wrong guesses each count.
+export function recordFailedLogin(user) {
+  const db = getDb();
+  const { failed_login_attempts: attempts } = db.prepare(`
+    UPDATE users SET failed_login_attempts = failed_login_attempts + 1
+    WHERE id = ?
+    RETURNING failed_login_attempts
+  `).get(user.id);
+
+  let lockSeconds = 0;
+  if (attempts >= LOCKOUT_THRESHOLD) {
+    const exponent = attempts - LOCKOUT_THRESHOLD;
+    lockSeconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+    db.prepare(`UPDATE users SET locked_until = datetime('now', ?) WHERE id = ?`).run(`+${lockSeconds} seconds`, user.id);
+  }
+
+  return lockSeconds;
+}
+
+export function clearFailedLogins(userId) {
+  const db = getDb();
+  db.prepare(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?'
+  ).run(userId);
+}
@@ -0,0 +1,71 @@
+import { getDb } from '../config/database.js';
+import { revokeAllSessions } from './sessions.js';
+
+// 'paused' and 'pending_deletion' accounts are deactivated: signed out
+// everywhere, refused by authenticate and left off leaderboards until the
+// owner logs in again. 'suspended' works the same way, except that only an
+// admin can lift it.
+export const ACCOUNT_STATUSES = ['active', 'paused', 'pending_deletion', 'suspended'];
+
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+function deactivate(userId, status, { deletionScheduledFor = null, suspensionReason = null } = {}) {
+  const db = getDb();
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET
+        status = ?,
+        deactivated_at = datetime('now'),
+        deletion_scheduled_for = ?,
+        suspension_reason = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `).run(status, deletionScheduledFor, suspensionReason, userId);
+
+    revokeAllSessions(userId);
+  })();
+
+  return db.prepare(
+    'SELECT status, deactivated_at, deletion_scheduled_for, suspension_reason FROM users WHERE id = ?'
+  ).get(userId);
+}
+
+export function pauseAccount(userId) {
+  return deactivate(userId, 'paused');
+}
+
+// Nothing is deleted yet: purgeDeletedAccounts does that once the grace
+// period is over, unless the owner logs back in first
+export function scheduleAccountDeletion(userId, graceDays = DELETION_GRACE_DAYS) {
+  const { at } = getDb().prepare(`SELECT datetime('now', ?) AS at`).get(`+${graceDays} days`);
+  return deactivate(userId, 'pending_deletion', { deletionScheduledFor: at });
+}
+
+// Suspending replaces any pending deletion; the account is kept until an
+// admin lifts the suspension
+export function suspendAccount(userId, reason = null) {
+  return deactivate(userId, 'suspended', { suspensionReason: reason });
+}
+
+export function reactivateAccount(userId) {
+  getDb().prepare(`
+    UPDATE users SET
+      status = 'active',
+      deactivated_at = NULL,
+      deletion_scheduled_for = NULL,
+      suspension_reason = NULL,
+      updated_at = datetime('now')
+    WHERE id = ?
+  `).run(userId);
+}
+
+// Hard-delete accounts whose grace period has run out. Foreign keys cascade
+// to everything they own.
+export function purgeDeletedAccounts() {
+  const result = getDb().prepare(`
+    DELETE FROM users
+    WHERE status = 'pending_deletion' AND deletion_scheduled_for <= datetime('now')
+  `).run();
+  return { deleted: result.changes };
+}
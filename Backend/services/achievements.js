@@ -0,0 +1,185 @@
+import { getDb } from '../config/database.js';
+import { todayIn, computeStreaks } from '../utils/dates.js';
+
+// Facts about a user that rules are evaluated against. Each one is a query,
+// so they're computed on first use and shared between rules.
+function createContext(db, user) {
+  const cache = new Map();
+  const memo = (key, compute) => {
+    if (!cache.has(key)) cache.set(key, compute());
+    return cache.get(key);
+  };
+
+  return {
+    bestStreak: () => memo('bestStreak', () => {
+      const dates = db.prepare(`
+        SELECT date FROM daily_stats
+        WHERE user_id = ?
+        GROUP BY date
+        HAVING SUM(time_saved_seconds) > 0
+        ORDER BY date DESC
+      `).all(user.id).map((row) => row.date);
+      return computeStreaks(dates, todayIn(user.timezone)).best;
+    }),
+
+    // Only finished days count: today is still 0 unlocks until the first one
+    zeroUnlockDays: () => memo('zeroUnlockDays', () => db.prepare(`
+      SELECT COUNT(*) AS n FROM (
+        SELECT date FROM daily_stats WHERE user_id = ? AND date < ? GROUP BY date HAVING SUM(total_unlocks) = 0
+      )
+    `).get(user.id, todayIn(user.timezone)).n),
+
+    totalTimeSaved: () => memo('totalTimeSaved', () => db.prepare(
+      'SELECT COALESCE(SUM(time_saved_seconds), 0) AS n FROM daily_stats WHERE user_id = ?'
+    ).get(user.id).n),
+
+    // Most time saved in any Monday-to-Sunday week
+    bestWeekTimeSaved: () => memo('bestWeekTimeSaved', () => db.prepare(`
+      SELECT COALESCE(MAX(week_total), 0) AS n FROM (
+        SELECT SUM(time_saved_seconds) AS week_total
+        FROM daily_stats
+        WHERE user_id = ?
+        GROUP BY date(date, 'weekday 0', '-6 days')
+      )
+    `).get(user.id).n),
+
+    totalAdSeconds: () => memo('totalAdSeconds', () => db.prepare(
+      'SELECT COALESCE(SUM(ad_duration_seconds), 0) AS n FROM unlock_sessions WHERE user_id = ?'
+    ).get(user.id).n),
+  };
+}
+
+const HOUR = 3600;
+
+// Each rule reports progress as { current, target }; it's earned once
+// current reaches target. Keys are stored, so never rename one.
+export const ACHIEVEMENTS = [
+  {
+    key: 'streak_7',
+    title: 'One Week Strong',
+    description: 'Save time 7 days in a row',
+    category: 'streak',
+    progress: (ctx) => ({ current: ctx.bestStreak(), target: 7 }),
+  },
+  {
+    key: 'streak_30',
+    title: 'Habit Formed',
+    description: 'Save time 30 days in a row',
+    category: 'streak',
+    progress: (ctx) => ({ current: ctx.bestStreak(), target: 30 }),
+  },
+  {
+    key: 'streak_100',
+    title: 'Centurion',
+    description: 'Save time 100 days in a row',
+    category: 'streak',
+    progress: (ctx) => ({ current: ctx.bestStreak(), target: 100 }),
+  },
+  {
+    key: 'zero_unlock_day',
+    title: 'Untouched',
+    description: 'Get through a whole day without unlocking a blocked app',
+    category: 'unlocks',
+    progress: (ctx) => ({ current: ctx.zeroUnlockDays(), target: 1 }),
+  },
+  {
+    key: 'week_10h_saved',
+    title: 'Ten Hour Week',
+    description: 'Save 10 hours in a single week',
+    category: 'time_saved',
+    progress: (ctx) => ({ current: ctx.bestWeekTimeSaved(), target: 10 * HOUR }),
+  },
+  {
+    key: 'total_100h_saved',
+    title: 'Hundred Hours',
+    description: 'Save 100 hours in total',
+    category: 'time_saved',
+    progress: (ctx) => ({ current: ctx.totalTimeSaved(), target: 100 * HOUR }),
+  },
+  {
+    key: 'ad_patience_1h',
+    title: 'Patience Pays',
+    description: 'Sit through a full hour of unlock ads',
+    category: 'unlocks',
+    progress: (ctx) => ({ current: ctx.totalAdSeconds(), target: HOUR }),
+  },
+];
+
+function summarize(rule) {
+  return {
+    key: rule.key,
+    title: rule.title,
+    description: rule.description,
+    category: rule.category,
+  };
+}
+
+function loadUser(db, userId) {
+  return db.prepare('SELECT id, timezone FROM users WHERE id = ?').get(userId);
+}
+
+function earnedKeys(db, userId) {
+  const rows = db.prepare(
+    'SELECT achievement_key, earned_at FROM user_achievements WHERE user_id = ?'
+  ).all(userId);
+  return new Map(rows.map((row) => [row.achievement_key, row.earned_at]));
+}
+
+// Award anything newly earned and return it. Called after writes that can
+// change progress. Awarding is best-effort: a broken rule shouldn't fail the
+// sync that triggered it, so errors are logged and nothing is returned.
+export function evaluateAchievements(userId) {
+  try {
+    const db = getDb();
+    const user = loadUser(db, userId);
+    const earned = earnedKeys(db, userId);
+    const ctx = createContext(db, user);
+
+    const insert = db.prepare(
+      'INSERT OR IGNORE INTO user_achievements (user_id, achievement_key) VALUES (?, ?)'
+    );
+
+    const awarded = [];
+    for (const rule of ACHIEVEMENTS) {
+      if (earned.has(rule.key)) continue;
+
+      const { current, target } = rule.progress(ctx);
+      if (current >= target && insert.run(userId, rule.key).changes > 0) {
+        awarded.push(rule.key);
+      }
+    }
+
+    if (awarded.length === 0) return [];
+
+    const earnedAt = earnedKeys(db, userId);
+    return ACHIEVEMENTS
+      .filter((rule) => awarded.includes(rule.key))
+      .map((rule) => ({ ...summarize(rule), earned_at: earnedAt.get(rule.key) }));
+  } catch (err) {
+    console.error('Achievement evaluation error:', err);
+    return [];
+  }
+}
+
+// Every achievement with whether it's earned and progress towards it
+export function listAchievements(userId) {
+  const db = getDb();
+  const earned = earnedKeys(db, userId);
+  const ctx = createContext(db, loadUser(db, userId));
+
+  return ACHIEVEMENTS.map((rule) => {
+    const { current, target } = rule.progress(ctx);
+    const isEarned = earned.has(rule.key);
+
+    return {
+      ...summarize(rule),
+      earned: isEarned,
+      earned_at: earned.get(rule.key) || null,
+      progress: {
+        current: Math.min(current, target),
+        target,
+        percent: isEarned ? 100 : Math.floor((Math.min(current, target) / target) * 100),
+      },
+    };
+  });
+}
@@ -0,0 +1,117 @@
+import { getDb } from '../config/database.js';
+import { ACCOUNT_STATUSES } from './accounts.js';
+import { ROLES } from '../middleware/requireRole.js';
+
+const ADMIN_USER_COLUMNS = `
+  u.id, u.username, u.email, u.display_name, u.timezone, u.role, u.status, u.suspension_reason,
+  u.deactivated_at, u.deletion_scheduled_for, u.leaderboard_visibility, u.leaderboard_reset_on,
+  u.email_verified_at, u.created_at, u.updated_at
+`;
+
+// Users matching `search` (username, email or display name), newest first
+export function searchUsers({ search, status, role, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(`(u.username LIKE ? ESCAPE '\\' OR u.email LIKE ? ESCAPE '\\' OR u.display_name LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern, pattern);
+  }
+  if (status) {
+    conditions.push('u.status = ?');
+    params.push(status);
+  }
+  if (role) {
+    conditions.push('u.role = ?');
+    params.push(role);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const users = db.prepare(`
+    SELECT ${ADMIN_USER_COLUMNS}
+    FROM users u
+    ${where}
+    ORDER BY u.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM users u ${where}`).get(...params);
+
+  return { total, users };
+}
+
+// One user with a summary of what they have stored
+export function getUserDetails(userId) {
+  const db = getDb();
+  const user = db.prepare(`SELECT ${ADMIN_USER_COLUMNS} FROM users u WHERE u.id = ?`).get(userId);
+  if (!user) return null;
+
+  const activity = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM devices WHERE user_id = ? AND removed_at IS NULL) AS devices,
+      (SELECT COUNT(DISTINCT date) FROM daily_stats WHERE user_id = ?) AS days_synced,
+      (SELECT MAX(date) FROM daily_stats WHERE user_id = ?) AS last_synced_date,
+      (SELECT COUNT(*) FROM unlock_sessions WHERE user_id = ?) AS unlock_sessions,
+      (SELECT COUNT(*) FROM leaderboard_cache WHERE user_id = ?) AS leaderboard_entries,
+      (SELECT COUNT(*) FROM friendships WHERE (requester_id = ? OR addressee_id = ?) AND status = 'accepted') AS friends
+  `).get(userId, userId, userId, userId, userId, userId, userId);
+
+  return { ...user, activity };
+}
+
+function countBy(db, column, values) {
+  const rows = db.prepare(`SELECT ${column} AS value, COUNT(*) AS n FROM users GROUP BY ${column}`).all();
+  const counts = Object.fromEntries(values.map((value) => [value, 0]));
+  for (const row of rows) counts[row.value] = row.n;
+  return counts;
+}
+
+// Headline numbers for the admin dashboard
+export function getSystemStats() {
+  const db = getDb();
+
+  const users = db.prepare(`
+    SELECT
+      COUNT(*) AS total,
+      SUM(created_at >= datetime('now', '-7 days')) AS new_last_7_days
+    FROM users
+  `).get();
+
+  // Active means synced stats in the window
+  const activity = db.prepare(`
+    SELECT
+      (SELECT COUNT(DISTINCT user_id) FROM daily_stats WHERE updated_at >= datetime('now', '-1 day')) AS active_users_last_day,
+      (SELECT COUNT(DISTINCT user_id) FROM daily_stats WHERE updated_at >= datetime('now', '-7 days')) AS active_users_last_7_days,
+      (SELECT COUNT(*) FROM unlock_sessions WHERE unlocked_at >= datetime('now', '-1 day')) AS unlocks_last_day,
+      (SELECT COUNT(*) FROM daily_stats) AS daily_stats_rows
+  `).get();
+
+  const content = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM motivational_quotes) AS quotes,
+      (SELECT COUNT(*) FROM challenges) AS challenges,
+      (SELECT COUNT(*) FROM friendships WHERE status = 'accepted') AS friendships
+  `).get();
+
+  // Latest run of each background job
+  const jobs = db.prepare(`
+    SELECT job_name, status, started_at, finished_at, error
+    FROM job_runs r
+    WHERE id = (SELECT MAX(id) FROM job_runs WHERE job_name = r.job_name)
+    ORDER BY job_name
+  `).all();
+
+  return {
+    users: {
+      total: users.total,
+      new_last_7_days: users.new_last_7_days || 0,
+      by_status: countBy(db, 'status', ACCOUNT_STATUSES),
+      by_role: countBy(db, 'role', ROLES),
+    },
+    activity,
+    content,
+    jobs,
+  };
+}
@@ -0,0 +1,46 @@
+import { getDb } from '../config/database.js';
+
+// Record an admin action. `details` is stored as JSON.
+export function recordAdminAction(adminId, action, { targetType = null, targetId = null, details = null } = {}) {
+  getDb().prepare(`
+    INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(adminId, action, targetType, targetId, details === null ? null : JSON.stringify(details));
+}
+
+// Newest first, optionally filtered by action, admin or target user
+export function listAdminActions({ action, adminId, userId, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = [];
+
+  if (action) {
+    conditions.push('a.action = ?');
+    params.push(action);
+  }
+  if (adminId) {
+    conditions.push('a.admin_id = ?');
+    params.push(adminId);
+  }
+  if (userId) {
+    conditions.push(`a.target_type = 'user' AND a.target_id = ?`);
+    params.push(userId);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const entries = db.prepare(`
+    SELECT a.*, u.username AS admin_username
+    FROM admin_audit_log a
+    LEFT JOIN users u ON u.id = a.admin_id
+    ${where}
+    ORDER BY a.id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM admin_audit_log a ${where}`).get(...params);
+
+  return {
+    total,
+    entries: entries.map((entry) => ({ ...entry, details: entry.details && JSON.parse(entry.details) })),
+  };
+}
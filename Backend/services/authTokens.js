@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { getDb } from '../config/database.js';
+import { hashToken } from './sessions.js';
+
+// Single-use tokens for email links (password reset, email verification).
+// Only the hash is stored; issuing a new token invalidates older unused ones
+// for the same purpose.
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFY: 'email_verify',
+};
+
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60,
+  [TOKEN_PURPOSES.EMAIL_VERIFY]: 48 * 60,
+};
+
+export function issueAuthToken(userId, purpose) {
+  const db = getDb();
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE auth_tokens SET consumed_at = datetime('now')
+      WHERE user_id = ? AND purpose = ? AND consumed_at IS NULL
+    `).run(userId, purpose);
+
+    db.prepare(`
+      INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, purpose, hashToken(token), `+${TOKEN_TTL_MINUTES[purpose]} minutes`);
+  })();
+
+  return token;
+}
+
+// Mark a token as used and return its user id, or null if it is unknown,
+// already used, expired or issued for a different purpose
+export function consumeAuthToken(token, purpose) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    UPDATE auth_tokens SET consumed_at = datetime('now')
+    WHERE token_hash = ? AND purpose = ?
+      AND consumed_at IS NULL AND expires_at > datetime('now')
+    RETURNING user_id
+  `).get(hashToken(token), purpose);
+
+  return result ? result.user_id : null;
+}
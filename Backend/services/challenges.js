@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { getDb } from '../config/database.js';
+import { PUBLIC_NAME_COLUMNS } from './privacy.js';
+import { acrossDevices } from './devices.js';
+import { DEFAULT_TIMEZONE, todayIn, daysBetween, addDays } from '../utils/dates.js';
+
+// Counters a challenge goal can be set on. These are daily_stats columns and
+// are interpolated into SQL, so only ever use values from this list.
+export const CHALLENGE_METRICS = ['total_unlocks', 'time_saved_seconds', 'total_ad_time_seconds', 'apps_blocked_count'];
+export const GOAL_COMPARISONS = ['at_most', 'at_least'];
+// 'daily': every day must meet the goal. 'total': the sum over the whole
+// challenge must.
+export const GOAL_PERIODS = ['daily', 'total'];
+export const CHALLENGE_ROLES = ['owner', 'admin', 'member'];
+
+export const MAX_CHALLENGE_DAYS = 366;
+
+function generateJoinCode() {
+  return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+// Challenge days follow the shared UTC calendar, like the global leaderboard
+export function challengeStatus(challenge, today = todayIn(DEFAULT_TIMEZONE)) {
+  if (today < challenge.start_date) return 'upcoming';
+  if (today > challenge.end_date) return 'finished';
+  return 'active';
+}
+
+function withStatus(challenge) {
+  return challenge && { ...challenge, status: challengeStatus(challenge) };
+}
+
+export function findChallenge(challengeId) {
+  const db = getDb();
+  const challenge = db.prepare(`
+    SELECT c.*, (SELECT COUNT(*) FROM challenge_members cm WHERE cm.challenge_id = c.id) AS member_count
+    FROM challenges c
+    WHERE c.id = ?
+  `).get(challengeId);
+  return withStatus(challenge) || null;
+}
+
+export function getMembership(challengeId, userId) {
+  const db = getDb();
+  return db.prepare(
+    'SELECT * FROM challenge_members WHERE challenge_id = ? AND user_id = ?'
+  ).get(challengeId, userId) || null;
+}
+
+export function createChallenge(userId, fields) {
+  const db = getDb();
+
+  const create = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO challenges (name, description, join_code, goal_metric, goal_comparison, goal_value,
+        goal_period, start_date, end_date, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      fields.name,
+      fields.description || null,
+      generateJoinCode(),
+      fields.goal_metric,
+      fields.goal_comparison,
+      fields.goal_value,
+      fields.goal_period || 'daily',
+      fields.start_date,
+      fields.end_date,
+      userId
+    );
+
+    db.prepare(
+      `INSERT INTO challenge_members (challenge_id, user_id, role) VALUES (?, ?, 'owner')`
+    ).run(result.lastInsertRowid, userId);
+
+    return result.lastInsertRowid;
+  });
+
+  return findChallenge(create());
+}
+
+export function listUserChallenges(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT c.*, cm.role,
+      (SELECT COUNT(*) FROM challenge_members m WHERE m.challenge_id = c.id) AS member_count
+    FROM challenges c
+    INNER JOIN challenge_members cm ON cm.challenge_id = c.id AND cm.user_id = ?
+    ORDER BY c.start_date DESC, c.id DESC
+  `).all(userId).map(withStatus);
+}
+
+// Returns { challenge } or { error: 'invalid' | 'finished' | 'already_member' }
+export function joinChallenge(code, userId) {
+  const db = getDb();
+  const row = db.prepare('SELECT id FROM challenges WHERE join_code = ?').get(code.toUpperCase());
+  if (!row) return { error: 'invalid' };
+
+  const challenge = findChallenge(row.id);
+  if (challenge.status === 'finished') return { error: 'finished' };
+  if (getMembership(challenge.id, userId)) return { error: 'already_member' };
+
+  db.prepare(
+    'INSERT INTO challenge_members (challenge_id, user_id) VALUES (?, ?)'
+  ).run(challenge.id, userId);
+
+  return { challenge: findChallenge(challenge.id) };
+}
+
+export function removeMember(challengeId, userId) {
+  const db = getDb();
+  db.prepare('DELETE FROM challenge_members WHERE challenge_id = ? AND user_id = ?').run(challengeId, userId);
+}
+
+function meetsGoal(value, comparison, goal) {
+  return comparison === 'at_most' ? value <= goal : value >= goal;
+}
+
+// Per-member progress from synced stats, best first. Members tie (and share
+// a rank) when both their progress and their total are equal.
+export function computeChallengeStandings(challenge) {
+  const db = getDb();
+  const metric = challenge.goal_metric;
+  if (!CHALLENGE_METRICS.includes(metric)) {
+    throw new Error(`Unknown challenge metric "${metric}"`);
+  }
+
+  // Only finished days count: today may be partly synced, and an at_most
+  // goal would look met until the day is over
+  const today = todayIn(DEFAULT_TIMEZONE);
+  const lastDay = today <= challenge.end_date ? addDays(today, -1) : challenge.end_date;
+  const totalDays = daysBetween(challenge.start_date, challenge.end_date) + 1;
+  const elapsedDays = Math.max(0, daysBetween(challenge.start_date, lastDay) + 1);
+
+  // Deactivated members stay in the challenge but off its standings. Members
+  // chose to take part, so their visibility setting doesn't hide them, but
+  // an alias still replaces their name.
+  const members = db.prepare(`
+    SELECT cm.user_id, cm.role, ${PUBLIC_NAME_COLUMNS}
+    FROM challenge_members cm
+    INNER JOIN users u ON u.id = cm.user_id
+    WHERE cm.challenge_id = ? AND u.status = 'active'
+  `).all(challenge.id);
+
+  // Days are combined across devices like the rest of the stats endpoints
+  const dayRows = db.prepare(`
+    SELECT ds.user_id, ds.date, ${acrossDevices(metric, 'ds')} AS value
+    FROM daily_stats ds
+    INNER JOIN challenge_members cm ON cm.user_id = ds.user_id AND cm.challenge_id = ?
+    WHERE ds.date >= ? AND ds.date <= ?
+    GROUP BY ds.user_id, ds.date
+  `).all(challenge.id, challenge.start_date, lastDay);
+
+  const daysByUser = new Map();
+  for (const row of dayRows) {
+    if (!daysByUser.has(row.user_id)) daysByUser.set(row.user_id, []);
+    daysByUser.get(row.user_id).push(row.value);
+  }
+
+  const { goal_comparison: comparison, goal_value: goal } = challenge;
+
+  const standings = members.map((member) => {
+    const values = daysByUser.get(member.user_id) || [];
+    const metricTotal = values.reduce((sum, value) => sum + value, 0);
+
+    let progress;
+    let goalMet;
+    let daysMet = null;
+    if (challenge.goal_period === 'daily') {
+      // A day without synced stats doesn't count as met
+      daysMet = values.filter((value) => meetsGoal(value, comparison, goal)).length;
+      progress = elapsedDays > 0 ? daysMet / elapsedDays : 0;
+      goalMet = daysMet === totalDays;
+    } else if (values.length === 0) {
+      // Like a missing day in daily mode, no synced stats at all isn't a met
+      // goal, or an at_most total would be won by not syncing
+      progress = 0;
+      goalMet = false;
+    } else if (comparison === 'at_least') {
+      progress = goal > 0 ? Math.min(metricTotal / goal, 1) : 1;
+      goalMet = metricTotal >= goal;
+    } else {
+      progress = metricTotal <= goal ? 1 : goal / metricTotal;
+      goalMet = metricTotal <= goal;
+    }
+
+    return {
+      ...member,
+      metric_total: metricTotal,
+      days_tracked: values.length,
+      days_met: daysMet,
+      progress_percent: Math.round(progress * 1000) / 10,
+      goal_met: goalMet,
+    };
+  });
+
+  const direction = comparison === 'at_most' ? 1 : -1;
+  standings.sort((a, b) =>
+    b.progress_percent - a.progress_percent
+    || direction * (a.metric_total - b.metric_total)
+    || a.user_id - b.user_id);
+
+  standings.forEach((entry, i) => {
+    const previous = standings[i - 1];
+    const tied = previous
+      && previous.progress_percent === entry.progress_percent
+      && previous.metric_total === entry.metric_total;
+    entry.rank = tied ? previous.rank : i + 1;
+  });
+
+  return {
+    total_days: totalDays,
+    elapsed_days: elapsedDays,
+    standings,
+  };
+}
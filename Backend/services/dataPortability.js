@@ -0,0 +1,274 @@
+import { getDb } from '../config/database.js';
+import { DEFAULT_TIMEZONE } from '../utils/dates.js';
+import { createZip } from '../utils/zip.js';
+import { toCsv } from '../utils/csv.js';
+import { getUnlockPolicy, saveUnlockPolicy } from './unlockPolicy.js';
+import { listGroups, listSchedules, createGroup, createSchedule } from './userConfig.js';
+
+// A user's data export. The JSON archive is complete and is what import
+// reads back; the zip adds a CSV per table for spreadsheets. Bump
+// EXPORT_VERSION when the shape changes and keep importing older versions.
+export const EXPORT_FORMAT = 'screenbreak-export';
+export const EXPORT_VERSION = 1;
+export const ARCHIVE_FILE_NAME = 'export.json';
+
+// Exported columns per table, in CSV order. Ids are only there so rows can
+// refer to each other within the archive; import assigns new ones.
+const TABLES = {
+  devices: ['id', 'device_uid', 'name', 'platform', 'model', 'created_at', 'last_seen_at'],
+  daily_stats: [
+    'device_id', 'date', 'total_unlocks', 'total_ad_time_seconds', 'apps_blocked_count',
+    'time_saved_seconds', 'revision', 'updated_at',
+  ],
+  unlock_sessions: [
+    'id', 'device_id', 'group_id', 'app_name', 'ad_duration_seconds', 'unlocked_at', 'expires_at',
+    'ended_at', 'client_event_id', 'tier', 'required_ad_seconds', 'verified',
+  ],
+  unlock_extensions: [
+    'session_id', 'ad_duration_seconds', 'tier', 'required_ad_seconds', 'previous_expires_at',
+    'new_expires_at', 'created_at',
+  ],
+  leaderboard_entries: ['week_start', 'rank', 'streak_days', 'total_time_saved', 'total_unlocks', 'days_active'],
+  achievements: ['achievement_key', 'earned_at'],
+};
+
+export function buildExport(userId) {
+  const db = getDb();
+  const profile = db.prepare(
+    `SELECT username, email, display_name, timezone, leaderboard_visibility, show_alias, alias, created_at
+     FROM users WHERE id = ?`
+  ).get(userId);
+  const policy = getUnlockPolicy(userId);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    profile,
+    devices: db.prepare(`
+      SELECT ${TABLES.devices.join(', ')} FROM devices WHERE user_id = ? ORDER BY id
+    `).all(userId),
+    daily_stats: db.prepare(`
+      SELECT ${TABLES.daily_stats.join(', ')} FROM daily_stats WHERE user_id = ? ORDER BY date, device_id
+    `).all(userId),
+    unlock_sessions: db.prepare(`
+      SELECT ${TABLES.unlock_sessions.join(', ')} FROM unlock_sessions WHERE user_id = ? ORDER BY id
+    `).all(userId),
+    unlock_extensions: db.prepare(`
+      SELECT ${TABLES.unlock_extensions.map((column) => `e.${column}`).join(', ')}
+      FROM unlock_extensions e
+      INNER JOIN unlock_sessions s ON s.id = e.session_id
+      WHERE s.user_id = ?
+      ORDER BY e.id
+    `).all(userId),
+    leaderboard_entries: db.prepare(`
+      SELECT ${TABLES.leaderboard_entries.join(', ')} FROM leaderboard_cache WHERE user_id = ? ORDER BY week_start
+    `).all(userId),
+    achievements: db.prepare(`
+      SELECT ${TABLES.achievements.join(', ')} FROM user_achievements WHERE user_id = ? ORDER BY earned_at
+    `).all(userId),
+    settings: {
+      unlock_policy: policy.is_default
+        ? null
+        : { tiers: policy.tiers, reset_window_minutes: policy.reset_window_minutes, access_seconds: policy.access_seconds },
+      app_groups: listGroups(userId),
+      focus_schedules: listSchedules(userId),
+    },
+  };
+}
+
+// The JSON archive plus one CSV per table. Settings are nested, so they're
+// only in the JSON.
+export function buildExportZip(archive) {
+  const profileColumns = Object.keys(archive.profile);
+
+  return createZip([
+    { name: ARCHIVE_FILE_NAME, data: JSON.stringify(archive, null, 2) },
+    { name: 'profile.csv', data: toCsv(profileColumns, [archive.profile]) },
+    ...Object.entries(TABLES).map(([table, columns]) => ({
+      name: `${table}.csv`,
+      data: toCsv(columns, archive[table]),
+    })),
+  ]);
+}
+
+const IMPORT_SECTIONS = [
+  'devices', 'daily_stats', 'app_groups', 'focus_schedules', 'unlock_policy',
+  'unlock_sessions', 'unlock_extensions', 'achievements', 'leaderboard_entries',
+];
+
+function tally(summary, section, imported) {
+  summary[section][imported ? 'imported' : 'skipped'] += 1;
+}
+
+// Restore an archive (already validated) into `userId`'s account. Rows the
+// account already has are skipped rather than overwritten, so importing
+// twice is harmless. Leaderboard entries are derived from daily stats and
+// frozen weeks are history, so they're counted as skipped and rebuilt by
+// the next refresh. Achievements are skipped too: they're earned again from
+// the restored data. Returns a per-section { imported, skipped } summary.
+export function importArchive(userId, archive) {
+  const db = getDb();
+  const summary = Object.fromEntries(IMPORT_SECTIONS.map((section) => [section, { imported: 0, skipped: 0 }]));
+
+  const restore = db.transaction(() => {
+    // Profile fields only replace the defaults a new account starts with:
+    // the username as display name, and UTC
+    const user = db.prepare('SELECT username, display_name, timezone FROM users WHERE id = ?').get(userId);
+    const profile = archive.profile || {};
+    const hasDefaultName = user.display_name === null || user.display_name === user.username;
+    const displayName = hasDefaultName && profile.display_name ? profile.display_name : user.display_name;
+    const timezone = user.timezone === DEFAULT_TIMEZONE && profile.timezone ? profile.timezone : user.timezone;
+    const profileChanged = displayName !== user.display_name || timezone !== user.timezone;
+    if (profileChanged) {
+      db.prepare(`
+        UPDATE users SET display_name = ?, timezone = ?, updated_at = datetime('now') WHERE id = ?
+      `).run(displayName, timezone, userId);
+    }
+    summary.profile = { updated: profileChanged };
+
+    // Timestamps are normalized to the UTC format datetime('now') writes, so
+    // they compare correctly as text. Sessions and extensions with one SQLite
+    // can't read are skipped.
+    const normalizeTime = db.prepare('SELECT datetime(?) AS value');
+    const toUtc = (value) => (value == null ? null : normalizeTime.get(value).value);
+
+    const deviceIds = new Map();
+    for (const device of archive.devices || []) {
+      const existing = db.prepare(
+        'SELECT id FROM devices WHERE user_id = ? AND device_uid = ?'
+      ).get(userId, device.device_uid);
+
+      if (existing) {
+        deviceIds.set(device.id, existing.id);
+      } else {
+        const result = db.prepare(`
+          INSERT INTO devices (user_id, device_uid, name, platform, model, created_at, last_seen_at)
+          VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime('now')), COALESCE(?, datetime('now')))
+        `).run(
+          userId, device.device_uid, device.name, device.platform ?? null, device.model ?? null,
+          toUtc(device.created_at), toUtc(device.last_seen_at)
+        );
+        deviceIds.set(device.id, result.lastInsertRowid);
+      }
+      tally(summary, 'devices', !existing);
+    }
+
+    // Stats from a device missing from the archive land on the legacy
+    // device-less bucket (device_id 0)
+    const insertDay = db.prepare(`
+      INSERT OR IGNORE INTO daily_stats (user_id, device_id, date, total_unlocks, total_ad_time_seconds,
+        apps_blocked_count, time_saved_seconds, revision, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const day of archive.daily_stats || []) {
+      const result = insertDay.run(
+        userId,
+        deviceIds.get(day.device_id) ?? 0,
+        day.date,
+        day.total_unlocks ?? 0,
+        day.total_ad_time_seconds ?? 0,
+        day.apps_blocked_count ?? 0,
+        day.time_saved_seconds ?? 0,
+        day.revision ?? 0,
+        toUtc(day.updated_at)
+      );
+      tally(summary, 'daily_stats', result.changes > 0);
+    }
+
+    const groupIds = new Map();
+    for (const group of archive.settings?.app_groups || []) {
+      const result = createGroup(userId, group);
+      const existing = result.group
+        || db.prepare('SELECT id FROM app_groups WHERE user_id = ? AND name = ?').get(userId, group.name);
+      groupIds.set(group.id, existing.id);
+      tally(summary, 'app_groups', Boolean(result.group));
+    }
+
+    for (const schedule of archive.settings?.focus_schedules || []) {
+      const result = createSchedule(userId, {
+        ...schedule,
+        group_ids: (schedule.group_ids || []).filter((id) => groupIds.has(id)).map((id) => groupIds.get(id)),
+      });
+      tally(summary, 'focus_schedules', Boolean(result.schedule));
+    }
+
+    if (archive.settings?.unlock_policy) {
+      const isDefault = getUnlockPolicy(userId).is_default;
+      if (isDefault) saveUnlockPolicy(userId, archive.settings.unlock_policy);
+      tally(summary, 'unlock_policy', isDefault);
+    }
+
+    // A session is the same one if it has the same client event id, or was
+    // unlocked for the same app at the same moment. Ad verification isn't
+    // carried over: it can't be checked against an archive.
+    const sessionIds = new Map();
+    const findSession = db.prepare(`
+      SELECT id FROM unlock_sessions
+      WHERE user_id = ? AND ((client_event_id IS NOT NULL AND client_event_id = ?) OR (app_name = ? AND unlocked_at = ?))
+    `);
+    const insertSession = db.prepare(`
+      INSERT INTO unlock_sessions (user_id, device_id, group_id, app_name, ad_duration_seconds, unlocked_at,
+        expires_at, ended_at, client_event_id, tier, required_ad_seconds)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const session of archive.unlock_sessions || []) {
+      const times = {
+        unlocked_at: toUtc(session.unlocked_at),
+        expires_at: toUtc(session.expires_at),
+        ended_at: toUtc(session.ended_at),
+      };
+      const unreadable = Object.keys(times).some((field) => session[field] != null && !times[field]);
+      const existing = !unreadable
+        && findSession.get(userId, session.client_event_id ?? null, session.app_name, times.unlocked_at);
+      if (unreadable || existing) {
+        tally(summary, 'unlock_sessions', false);
+        continue;
+      }
+
+      const result = insertSession.run(
+        userId,
+        deviceIds.get(session.device_id) ?? null,
+        groupIds.get(session.group_id) ?? null,
+        session.app_name,
+        session.ad_duration_seconds ?? 0,
+        times.unlocked_at,
+        times.expires_at,
+        times.ended_at,
+        session.client_event_id ?? null,
+        session.tier ?? null,
+        session.required_ad_seconds ?? null
+      );
+      sessionIds.set(session.id, result.lastInsertRowid);
+      tally(summary, 'unlock_sessions', true);
+    }
+
+    // Extensions of skipped sessions are already there with their session
+    const insertExtension = db.prepare(`
+      INSERT INTO unlock_extensions (session_id, ad_duration_seconds, tier, required_ad_seconds,
+        previous_expires_at, new_expires_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const extension of archive.unlock_extensions || []) {
+      const sessionId = sessionIds.get(extension.session_id);
+      const times = [extension.previous_expires_at, extension.new_expires_at, extension.created_at].map(toUtc);
+      const imported = Boolean(sessionId) && times.every(Boolean);
+      if (imported) {
+        insertExtension.run(
+          sessionId,
+          extension.ad_duration_seconds ?? 0,
+          extension.tier,
+          extension.required_ad_seconds,
+          ...times
+        );
+      }
+      tally(summary, 'unlock_extensions', imported);
+    }
+
+    summary.achievements.skipped = (archive.achievements || []).length;
+    summary.leaderboard_entries.skipped = (archive.leaderboard_entries || []).length;
+  });
+
+  restore();
+  return summary;
+}
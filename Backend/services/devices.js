@@ -0,0 +1,40 @@
+import { getDb } from '../config/database.js';
+
+// A day's stats from several devices combine by adding up, except
+// apps_blocked_count: that's how many apps a device is set to block, not a
+// count of events, so the day takes the largest. `column` must be a
+// daily_stats counter; it's interpolated into SQL.
+export function acrossDevices(column, table = '') {
+  const ref = table ? `${table}.${column}` : column;
+  return column === 'apps_blocked_count' ? `MAX(${ref})` : `SUM(${ref})`;
+}
+
+// Removed devices keep their row (see migration 021), but are otherwise gone
+export function findUserDevice(userId, deviceId) {
+  const db = getDb();
+  return db.prepare(
+    'SELECT * FROM devices WHERE id = ? AND user_id = ? AND removed_at IS NULL'
+  ).get(deviceId, userId) || null;
+}
+
+export function touchDevice(deviceId) {
+  const db = getDb();
+  db.prepare(`UPDATE devices SET last_seen_at = datetime('now') WHERE id = ?`).run(deviceId);
+}
+
+// Express helper for endpoints taking an optional `device_id` (query or body).
+// Resolves to the device row, to null when no filter was given, or sends a 404
+// and resolves to undefined when the device isn't the caller's.
+export function resolveDeviceParam(req, res, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const device = findUserDevice(req.user.id, Number(value));
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      error: 'Device not found',
+    });
+    return undefined;
+  }
+  return device;
+}
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import { getDb } from '../config/database.js';
+
+const INVITE_TTL_DAYS = 7;
+
+// Ids of a user's accepted friends; takes the user id twice
+export const FRIEND_IDS_SQL = `
+  SELECT addressee_id FROM friendships WHERE requester_id = ? AND status = 'accepted'
+  UNION
+  SELECT requester_id FROM friendships WHERE addressee_id = ? AND status = 'accepted'
+`;
+
+export function findFriendship(userId, otherId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM friendships
+    WHERE (requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?)
+  `).get(userId, otherId, otherId, userId) || null;
+}
+
+export function areFriends(userId, otherId) {
+  const friendship = findFriendship(userId, otherId);
+  return Boolean(friendship && friendship.status === 'accepted');
+}
+
+function accept(db, friendshipId) {
+  db.prepare(`
+    UPDATE friendships SET status = 'accepted', responded_at = datetime('now') WHERE id = ?
+  `).run(friendshipId);
+}
+
+// Ask `toId` to be friends. If they had already asked us, that request is
+// accepted instead. Returns { status: 'pending' | 'accepted' } or { error }.
+export function sendFriendRequest(fromId, toId) {
+  const db = getDb();
+  if (fromId === toId) return { error: 'self' };
+
+  const existing = findFriendship(fromId, toId);
+  if (existing) {
+    if (existing.status === 'accepted') return { error: 'already_friends' };
+    if (existing.requester_id === fromId) return { error: 'already_requested' };
+
+    accept(db, existing.id);
+    return { status: 'accepted' };
+  }
+
+  db.prepare(
+    'INSERT INTO friendships (requester_id, addressee_id) VALUES (?, ?)'
+  ).run(fromId, toId);
+  return { status: 'pending' };
+}
+
+// Accept or decline a pending request addressed to `userId`. Declining
+// deletes it so it can be sent again later. Returns false if there is no
+// such request.
+export function respondToFriendRequest(requestId, userId, accepted) {
+  const db = getDb();
+  const request = db.prepare(`
+    SELECT id FROM friendships WHERE id = ? AND addressee_id = ? AND status = 'pending'
+  `).get(requestId, userId);
+  if (!request) return false;
+
+  if (accepted) {
+    accept(db, request.id);
+  } else {
+    db.prepare('DELETE FROM friendships WHERE id = ?').run(request.id);
+  }
+  return true;
+}
+
+// Withdraw a pending request `userId` sent. Returns false if there is no
+// such request.
+export function cancelFriendRequest(requestId, userId) {
+  const db = getDb();
+  const result = db.prepare(`
+    DELETE FROM friendships WHERE id = ? AND requester_id = ? AND status = 'pending'
+  `).run(requestId, userId);
+  return result.changes > 0;
+}
+
+export function removeFriend(userId, friendId) {
+  const db = getDb();
+  const result = db.prepare(`
+    DELETE FROM friendships
+    WHERE status = 'accepted'
+      AND ((requester_id = ? AND addressee_id = ?) OR (requester_id = ? AND addressee_id = ?))
+  `).run(userId, friendId, friendId, userId);
+  return result.changes > 0;
+}
+
+export function listFriends(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT u.id AS user_id, u.username, u.display_name, f.responded_at AS friends_since
+    FROM friendships f
+    INNER JOIN users u ON u.id = CASE WHEN f.requester_id = ? THEN f.addressee_id ELSE f.requester_id END
+    WHERE (f.requester_id = ? OR f.addressee_id = ?) AND f.status = 'accepted'
+    ORDER BY u.username COLLATE NOCASE
+  `).all(userId, userId, userId);
+}
+
+export function listFriendRequests(userId) {
+  const db = getDb();
+
+  const incoming = db.prepare(`
+    SELECT f.id, u.id AS user_id, u.username, u.display_name, f.created_at
+    FROM friendships f
+    INNER JOIN users u ON u.id = f.requester_id
+    WHERE f.addressee_id = ? AND f.status = 'pending'
+    ORDER BY f.created_at DESC
+  `).all(userId);
+
+  const outgoing = db.prepare(`
+    SELECT f.id, u.id AS user_id, u.username, u.display_name, f.created_at
+    FROM friendships f
+    INNER JOIN users u ON u.id = f.addressee_id
+    WHERE f.requester_id = ? AND f.status = 'pending'
+    ORDER BY f.created_at DESC
+  `).all(userId);
+
+  return { incoming, outgoing };
+}
+
+// Invite codes are short enough to type, and reusable until they expire
+export function createInvite(userId) {
+  const db = getDb();
+  const code = crypto.randomBytes(6).toString('base64url');
+
+  db.prepare(`
+    INSERT INTO friend_invites (code, user_id, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `).run(code, userId, `+${INVITE_TTL_DAYS} days`);
+
+  return db.prepare('SELECT code, expires_at, created_at FROM friend_invites WHERE code = ?').get(code);
+}
+
+// Become friends with whoever issued `code`. Returns { inviterId } or { error }.
+export function acceptInvite(code, userId) {
+  const db = getDb();
+  const invite = db.prepare(`
+    SELECT user_id FROM friend_invites WHERE code = ? AND expires_at > datetime('now')
+  `).get(code);
+
+  if (!invite) return { error: 'invalid' };
+  if (invite.user_id === userId) return { error: 'self' };
+
+  const existing = findFriendship(invite.user_id, userId);
+  if (existing) {
+    if (existing.status === 'pending') accept(db, existing.id);
+  } else {
+    db.prepare(`
+      INSERT INTO friendships (requester_id, addressee_id, status, responded_at)
+      VALUES (?, ?, 'accepted', datetime('now'))
+    `).run(invite.user_id, userId);
+  }
+
+  return { inviterId: invite.user_id };
+}
@@ -0,0 +1,224 @@
+import { getDb } from '../config/database.js';
+import { CHALLENGE_METRICS } from './challenges.js';
+import { acrossDevices } from './devices.js';
+import { addDays, weekOf, todayIn, zonedParts, parseUtcTimestamp } from '../utils/dates.js';
+
+// Goals on per-app unlock_sessions figures; they need an app_name
+export const APP_GOAL_METRICS = ['app_unlocks', 'app_ad_seconds'];
+// daily_stats counters (the same ones challenges use) plus the per-app ones.
+// These are interpolated into SQL, so only ever use values from this list.
+export const GOAL_METRICS = [...CHALLENGE_METRICS, ...APP_GOAL_METRICS];
+export const GOAL_PERIODS = ['daily', 'weekly'];
+
+export const MAX_ACTIVE_GOALS = 50;
+
+// How far back streaks are counted
+const STREAK_LOOKBACK = { daily: 366, weekly: 104 };
+
+export function findGoal(userId, goalId) {
+  return getDb().prepare('SELECT * FROM goals WHERE id = ? AND user_id = ?').get(goalId, userId) || null;
+}
+
+export function listGoals(userId, { includeArchived = false } = {}) {
+  return getDb().prepare(`
+    SELECT * FROM goals
+    WHERE user_id = ?${includeArchived ? '' : ' AND archived_at IS NULL'}
+    ORDER BY archived_at IS NOT NULL, created_at ASC, id ASC
+  `).all(userId);
+}
+
+function countActiveGoals(db, userId) {
+  return db.prepare('SELECT COUNT(*) AS n FROM goals WHERE user_id = ? AND archived_at IS NULL').get(userId).n;
+}
+
+// Returns { goal } or { error: 'too_many' }
+export function createGoal(userId, fields) {
+  const db = getDb();
+  if (countActiveGoals(db, userId) >= MAX_ACTIVE_GOALS) return { error: 'too_many' };
+
+  const result = db.prepare(`
+    INSERT INTO goals (user_id, name, metric, app_name, comparison, target, period)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    fields.name,
+    fields.metric,
+    APP_GOAL_METRICS.includes(fields.metric) ? fields.app_name : null,
+    fields.comparison,
+    fields.target,
+    fields.period || 'daily'
+  );
+
+  return { goal: findGoal(userId, result.lastInsertRowid) };
+}
+
+// What a goal measures (metric and app) is fixed; the rest can change
+export function updateGoal(userId, goalId, fields) {
+  getDb().prepare(`
+    UPDATE goals SET
+      name = COALESCE(?, name),
+      comparison = COALESCE(?, comparison),
+      target = COALESCE(?, target),
+      period = COALESCE(?, period),
+      updated_at = datetime('now')
+    WHERE id = ? AND user_id = ?
+  `).run(
+    fields.name ?? null,
+    fields.comparison ?? null,
+    fields.target ?? null,
+    fields.period ?? null,
+    goalId,
+    userId
+  );
+  return findGoal(userId, goalId);
+}
+
+// Returns { goal } or { error: 'too_many' } when restoring would go over
+// the limit of active goals
+export function setGoalArchived(userId, goalId, archived) {
+  const db = getDb();
+  if (!archived && countActiveGoals(db, userId) >= MAX_ACTIVE_GOALS) return { error: 'too_many' };
+
+  db.prepare(`
+    UPDATE goals SET
+      archived_at = ${archived ? `COALESCE(archived_at, datetime('now'))` : 'NULL'},
+      updated_at = datetime('now')
+    WHERE id = ? AND user_id = ?
+  `).run(goalId, userId);
+  return { goal: findGoal(userId, goalId) };
+}
+
+// Periods from the one the goal was created in up to the current one,
+// oldest first, at most `limit` of them
+function periodsFor(goal, createdOn, today, limit) {
+  const periods = [];
+  if (goal.period === 'weekly') {
+    const firstWeek = weekOf(createdOn).weekStart;
+    let start = weekOf(today).weekStart;
+    while (start >= firstWeek && periods.length < limit) {
+      periods.unshift({ start, end: addDays(start, 6) });
+      start = addDays(start, -7);
+    }
+  } else {
+    let day = today;
+    while (day >= createdOn && periods.length < limit) {
+      periods.unshift({ start: day, end: day });
+      day = addDays(day, -1);
+    }
+  }
+  return periods;
+}
+
+// The goal's metric per local date from `from` to `to`. Days without synced
+// stats are missing from the map; for per-app metrics every day counts,
+// since no unlocks means zero.
+function valuesByDate(db, userId, goal, from, to, timeZone) {
+  const values = new Map();
+
+  if (!APP_GOAL_METRICS.includes(goal.metric)) {
+    if (!CHALLENGE_METRICS.includes(goal.metric)) {
+      throw new Error(`Unknown goal metric "${goal.metric}"`);
+    }
+    const rows = db.prepare(`
+      SELECT date, ${acrossDevices(goal.metric)} AS value
+      FROM daily_stats
+      WHERE user_id = ? AND date >= ? AND date <= ?
+      GROUP BY date
+    `).all(userId, from, to);
+    for (const row of rows) values.set(row.date, row.value);
+    return values;
+  }
+
+  // unlocked_at is UTC; widen the range by a day either side and bucket
+  // into the user's local dates
+  const sessions = db.prepare(`
+    SELECT unlocked_at, ad_duration_seconds FROM unlock_sessions
+    WHERE user_id = ? AND app_name = ? AND unlocked_at >= datetime(?, '-1 day') AND unlocked_at < datetime(?, '+2 days')
+  `).all(userId, goal.app_name, from, to);
+
+  for (let day = from; day <= to; day = addDays(day, 1)) values.set(day, 0);
+  for (const session of sessions) {
+    const { date } = zonedParts(parseUtcTimestamp(session.unlocked_at), timeZone);
+    if (!values.has(date)) continue;
+    const amount = goal.metric === 'app_unlocks' ? 1 : session.ad_duration_seconds;
+    values.set(date, values.get(date) + amount);
+  }
+  return values;
+}
+
+// Finished periods are 'hit', 'miss' or 'no_data' (no stats synced). The
+// current one is 'hit' once an at_least goal is reached, 'on_track' while
+// an at_most goal is still within budget, 'miss' once it isn't, and
+// 'in_progress' otherwise.
+function statusOf(goal, value, hasData, isCurrent) {
+  if (!hasData) return isCurrent ? 'in_progress' : 'no_data';
+
+  const met = goal.comparison === 'at_most' ? value <= goal.target : value >= goal.target;
+  if (!isCurrent) return met ? 'hit' : 'miss';
+  if (goal.comparison === 'at_most') return met ? 'on_track' : 'miss';
+  return met ? 'hit' : 'in_progress';
+}
+
+function percentOf(value, target) {
+  if (target === 0) return value === 0 ? 100 : null;
+  return Math.round((value / target) * 1000) / 10;
+}
+
+// Current progress, streaks of periods met, and the last `historyLength`
+// periods (newest first) for one goal
+export function evaluateGoal(user, goal, { historyLength = 14, now = new Date() } = {}) {
+  const db = getDb();
+  const today = todayIn(user.timezone, now);
+  const createdOn = zonedParts(parseUtcTimestamp(goal.created_at), user.timezone).date;
+
+  const periods = periodsFor(goal, createdOn, today, STREAK_LOOKBACK[goal.period]);
+  const values = valuesByDate(db, user.id, goal, periods[0].start, periods.at(-1).end, user.timezone);
+
+  const evaluated = periods.map((period, i) => {
+    let value = 0;
+    let hasData = false;
+    for (let day = period.start; day <= period.end; day = addDays(day, 1)) {
+      if (values.has(day)) {
+        value += values.get(day);
+        hasData = true;
+      }
+    }
+
+    return {
+      period_start: period.start,
+      period_end: period.end,
+      value,
+      status: statusOf(goal, value, hasData, i === periods.length - 1),
+    };
+  });
+
+  // The current period only extends a streak once it's actually been hit
+  const counted = evaluated.at(-1).status === 'hit' ? evaluated : evaluated.slice(0, -1);
+  let best = 0;
+  let run = 0;
+  for (const period of counted) {
+    run = period.status === 'hit' ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  const current = evaluated.at(-1).status === 'miss' ? 0 : run;
+
+  const history = evaluated.slice(-historyLength).reverse();
+  const finished = history.filter((period) => ['hit', 'miss'].includes(period.status));
+  const currentPeriod = evaluated.at(-1);
+
+  return {
+    current: {
+      ...currentPeriod,
+      target: goal.target,
+      percent: percentOf(currentPeriod.value, goal.target),
+    },
+    streak: { current, best },
+    hit_count: finished.filter((period) => period.status === 'hit').length,
+    miss_count: finished.filter((period) => period.status === 'miss').length,
+    history,
+  };
+}
+
+export function getGoalsProgress(user, options) {
+  return listGoals(user.id).map((goal) => ({ ...goal, progress: evaluateGoal(user, goal, options) }));
+}
@@ -0,0 +1,243 @@
+import { getDb } from '../config/database.js';
+import { addDays, daysBetween, todayIn, zonedParts, parseUtcTimestamp } from '../utils/dates.js';
+
+export const INSIGHT_TYPES = ['app_trend', 'riskiest_hour', 'riskiest_weekday', 'unusual_day', 'fastest_growing_apps'];
+// 'warning' for habits getting worse, 'positive' for ones getting better,
+// 'info' for the rest. Insights come back in this order.
+export const INSIGHT_SEVERITIES = ['warning', 'positive', 'info'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Everything is worked out from the last 60 days, enough for two 30-day months
+const LOOKBACK_DAYS = 60;
+const TREND_WINDOWS = { week: 7, month: 30 };
+// Ignore changes smaller than this, and apps with fewer unlocks than this in
+// both windows, so small numbers don't produce noisy insights
+const MIN_TREND_PERCENT = 25;
+const MIN_TREND_UNLOCKS = 5;
+// Riskiest hour and weekday are over the last 4 weeks, once there are enough
+// unlocks to say anything
+const PATTERN_DAYS = 28;
+const MIN_PATTERN_UNLOCKS = 10;
+// A day stands out when it's this many standard deviations from the average
+// of the 28 days before it, given at least a week of those days with data
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+const ANOMALY_Z_SCORE = 2;
+const ANOMALY_RECENT_DAYS = 7;
+const ANOMALY_METRICS = ['total_unlocks', 'total_ad_time_seconds'];
+const GROWTH_WINDOW_DAYS = 14;
+const MAX_GROWING_APPS = 3;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function changePercent(current, previous) {
+  if (previous === 0) return current > 0 ? null : 0;
+  return round(((current - previous) / previous) * 100);
+}
+
+// The user's unlocks in the lookback window, with local date, hour and weekday
+function loadUnlocks(db, user, from) {
+  const rows = db.prepare(`
+    SELECT app_name, unlocked_at FROM unlock_sessions
+    WHERE user_id = ? AND unlocked_at >= datetime(?, '-1 day')
+  `).all(user.id, from);
+
+  return rows
+    .map((row) => ({ app_name: row.app_name, ...zonedParts(parseUtcTimestamp(row.unlocked_at), user.timezone) }))
+    .filter((unlock) => unlock.date >= from);
+}
+
+// Per-date totals of synced daily_stats, summed across devices
+function loadDailyStats(db, userId, from, to) {
+  const rows = db.prepare(`
+    SELECT date, SUM(total_unlocks) AS total_unlocks, SUM(total_ad_time_seconds) AS total_ad_time_seconds
+    FROM daily_stats
+    WHERE user_id = ? AND date >= ? AND date <= ?
+    GROUP BY date
+  `).all(userId, from, to);
+  return new Map(rows.map((row) => [row.date, row]));
+}
+
+// Unlocks per app in the `days` days ending `to`
+function countByApp(unlocks, to, days) {
+  const from = addDays(to, 1 - days);
+  const counts = new Map();
+  for (const unlock of unlocks) {
+    if (unlock.date >= from && unlock.date <= to) {
+      counts.set(unlock.app_name, (counts.get(unlock.app_name) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+// Per-app change between this window and the one before, for windows
+// ending `lastDay`
+function compareWindows(unlocks, lastDay, days) {
+  const current = countByApp(unlocks, lastDay, days);
+  const previous = countByApp(unlocks, addDays(lastDay, -days), days);
+  const apps = new Set([...current.keys(), ...previous.keys()]);
+
+  return [...apps].map((app_name) => {
+    const now = current.get(app_name) || 0;
+    const before = previous.get(app_name) || 0;
+    return {
+      app_name,
+      current: now,
+      previous: before,
+      change: now - before,
+      change_percent: changePercent(now, before),
+    };
+  });
+}
+
+function appTrends(unlocks, lastDay) {
+  const insights = [];
+  for (const [period, days] of Object.entries(TREND_WINDOWS)) {
+    // Without any unlocks in the earlier window there's nothing to compare
+    // against yet, and every app would look new
+    const apps = compareWindows(unlocks, lastDay, days);
+    if (apps.every((app) => app.previous === 0)) continue;
+
+    for (const app of apps) {
+      if (Math.max(app.current, app.previous) < MIN_TREND_UNLOCKS) continue;
+      if (app.change_percent !== null && Math.abs(app.change_percent) < MIN_TREND_PERCENT) continue;
+
+      insights.push({
+        type: 'app_trend',
+        severity: app.change > 0 ? 'warning' : 'positive',
+        details: { ...app, period, window_days: days, direction: app.change > 0 ? 'up' : 'down' },
+      });
+    }
+  }
+  return insights;
+}
+
+// The bucket with the most unlocks, compared with an even spread. It's a
+// warning when it has at least twice its even share.
+function riskiest(type, unlocks, bucketCount, keyOf, describe) {
+  if (unlocks.length < MIN_PATTERN_UNLOCKS) return null;
+
+  const counts = new Array(bucketCount).fill(0);
+  for (const unlock of unlocks) counts[keyOf(unlock)] += 1;
+  const top = counts.indexOf(Math.max(...counts));
+
+  const share = counts[top] / unlocks.length;
+  return {
+    type,
+    severity: share >= 2 / bucketCount ? 'warning' : 'info',
+    details: {
+      ...describe(top),
+      unlock_count: counts[top],
+      total_unlocks: unlocks.length,
+      share_percent: round(share * 100),
+      even_share_percent: round(100 / bucketCount),
+      window_days: PATTERN_DAYS,
+    },
+  };
+}
+
+function riskiestPeriods(unlocks, today) {
+  const from = addDays(today, 1 - PATTERN_DAYS);
+  const recent = unlocks.filter((unlock) => unlock.date >= from);
+
+  return [
+    riskiest('riskiest_hour', recent, 24, (unlock) => unlock.hour, (hour) => ({ hour })),
+    riskiest('riskiest_weekday', recent, 7, (unlock) => unlock.dayOfWeek, (day) => ({
+      day_of_week: day,
+      day_name: DAY_NAMES[day],
+    })),
+  ].filter(Boolean);
+}
+
+// Days in the last week whose synced totals are far from the user's rolling
+// baseline. Days without synced stats are left out of the baseline. Today
+// isn't over, and may be partly synced, so it's never one of them.
+function unusualDays(stats, today) {
+  const insights = [];
+
+  for (let offset = ANOMALY_RECENT_DAYS; offset >= 1; offset--) {
+    const date = addDays(today, -offset);
+    const day = stats.get(date);
+    if (!day) continue;
+
+    for (const metric of ANOMALY_METRICS) {
+      const baseline = [];
+      for (let back = 1; back <= BASELINE_DAYS; back++) {
+        const previous = stats.get(addDays(date, -back));
+        if (previous) baseline.push(previous[metric]);
+      }
+      if (baseline.length < MIN_BASELINE_DAYS) continue;
+
+      const mean = baseline.reduce((sum, value) => sum + value, 0) / baseline.length;
+      const variance = baseline.reduce((sum, value) => sum + (value - mean) ** 2, 0) / baseline.length;
+      const stddev = Math.sqrt(variance);
+      if (stddev === 0) continue;
+
+      const zScore = (day[metric] - mean) / stddev;
+      if (Math.abs(zScore) < ANOMALY_Z_SCORE) continue;
+
+      insights.push({
+        type: 'unusual_day',
+        severity: zScore > 0 ? 'warning' : 'positive',
+        details: {
+          date,
+          days_ago: daysBetween(date, today),
+          metric,
+          value: day[metric],
+          baseline_mean: round(mean),
+          baseline_stddev: round(stddev),
+          baseline_days: baseline.length,
+          z_score: round(zScore, 2),
+          direction: zScore > 0 ? 'above' : 'below',
+        },
+      });
+    }
+  }
+
+  return insights;
+}
+
+// Apps with the largest rise in unlocks over the last two weeks
+function fastestGrowingApps(unlocks, lastDay) {
+  const apps = compareWindows(unlocks, lastDay, GROWTH_WINDOW_DAYS)
+    .filter((app) => app.change > 0 && app.current >= MIN_TREND_UNLOCKS)
+    .sort((a, b) => b.change - a.change || a.app_name.localeCompare(b.app_name))
+    .slice(0, MAX_GROWING_APPS);
+
+  if (apps.length === 0) return [];
+  return [{
+    type: 'fastest_growing_apps',
+    severity: 'warning',
+    details: { window_days: GROWTH_WINDOW_DAYS, apps },
+  }];
+}
+
+// Findings about the user's habits, most important first. Each one is
+// { type, severity, details } with the numbers behind it, so clients can
+// word it themselves. `types` limits which kinds are worked out.
+export function computeInsights(user, { types = INSIGHT_TYPES, now = new Date() } = {}) {
+  const db = getDb();
+  const today = todayIn(user.timezone, now);
+  const from = addDays(today, 1 - LOOKBACK_DAYS);
+
+  const unlocks = loadUnlocks(db, user, from).filter((unlock) => unlock.date <= today);
+  const wanted = (type) => types.includes(type);
+  // Trends compare whole days, so they end with the last finished one
+  const yesterday = addDays(today, -1);
+
+  const insights = [
+    ...(wanted('app_trend') ? appTrends(unlocks, yesterday) : []),
+    ...riskiestPeriods(unlocks, today).filter((insight) => wanted(insight.type)),
+    ...(wanted('unusual_day') ? unusualDays(loadDailyStats(db, user.id, from, today), today) : []),
+    ...(wanted('fastest_growing_apps') ? fastestGrowingApps(unlocks, yesterday) : []),
+  ];
+
+  // Stable sort keeps each severity's insights in the order above
+  insights.sort((a, b) => INSIGHT_SEVERITIES.indexOf(a.severity) - INSIGHT_SEVERITIES.indexOf(b.severity));
+
+  return { today, insights };
+}
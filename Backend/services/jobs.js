@@ -0,0 +1,59 @@
+import { getDb } from '../config/database.js';
+import { refreshLeaderboardCache, freezeWeek } from './leaderboard.js';
+import { purgeDeletedAccounts } from './accounts.js';
+import { DEFAULT_TIMEZONE, todayIn, weekOf, addDays } from '../utils/dates.js';
+
+const UNLOCK_RETENTION_DAYS = parseInt(process.env.UNLOCK_RETENTION_DAYS, 10) || 365;
+
+// Freeze every finished week that isn't frozen yet, so its standings stop
+// changing: the week that just ended, and any earlier week with stats whose
+// run was missed (server down, lock held, crash).
+export function snapshotFinishedWeeks() {
+  const currentWeekStart = weekOf(todayIn(DEFAULT_TIMEZONE)).weekStart;
+  const weekStarts = getDb().prepare(`
+    SELECT week_start FROM (
+      SELECT date(date, 'weekday 0', '-6 days') AS week_start FROM daily_stats WHERE date < ?
+      UNION
+      SELECT ?
+    ) AS weeks
+    WHERE NOT EXISTS (SELECT 1 FROM leaderboard_snapshots s WHERE s.week_start = weeks.week_start)
+    ORDER BY week_start
+  `).all(currentWeekStart, addDays(currentWeekStart, -7)).map((row) => row.week_start);
+
+  for (const weekStart of weekStarts) freezeWeek(weekStart);
+  return { week_starts: weekStarts };
+}
+
+// Unlock events older than the retention window are only noise in the charts
+export function pruneUnlockSessions(retentionDays = UNLOCK_RETENTION_DAYS) {
+  const result = getDb().prepare(
+    `DELETE FROM unlock_sessions WHERE unlocked_at < datetime('now', ?)`
+  ).run(`-${retentionDays} days`);
+  return { deleted: result.changes };
+}
+
+// Schedules are UTC (see services/scheduler.js). The snapshot also runs at
+// startup to catch up on weeks missed while the server was down.
+export const jobs = [
+  {
+    name: 'leaderboard-refresh',
+    schedule: '*/15 * * * *',
+    run: () => refreshLeaderboardCache(),
+  },
+  {
+    name: 'leaderboard-snapshot',
+    schedule: '5 0 * * 1',
+    runOnStart: true,
+    run: () => snapshotFinishedWeeks(),
+  },
+  {
+    name: 'prune-unlock-sessions',
+    schedule: '30 3 * * *',
+    run: () => pruneUnlockSessions(),
+  },
+  {
+    name: 'purge-deleted-accounts',
+    schedule: '0 4 * * *',
+    run: () => purgeDeletedAccounts(),
+  },
+];
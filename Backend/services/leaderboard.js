@@ -0,0 +1,307 @@
+import { getDb } from '../config/database.js';
+import { DEFAULT_TIMEZONE, todayIn, addDays, weekOf, computeStreaks } from '../utils/dates.js';
+import { FRIEND_IDS_SQL } from './friends.js';
+import { PUBLIC_NAME_COLUMNS, PUBLICLY_LISTED_SQL } from './privacy.js';
+
+export const LEADERBOARD_PERIODS = ['week', 'month', 'all-time'];
+
+// The leaderboard is shared by everyone, so its weeks and months run on UTC.
+// Each user's synced dates are already their own local days.
+export function resolvePeriod({ period = 'week', weekStart } = {}) {
+  const today = todayIn(DEFAULT_TIMEZONE);
+  const thisWeek = weekOf(today);
+
+  if (weekStart) {
+    return {
+      period: 'week',
+      start: weekStart,
+      end: addDays(weekStart, 6),
+      past: weekStart < thisWeek.weekStart,
+    };
+  }
+
+  if (period === 'month') {
+    const start = today.slice(0, 8) + '01';
+    const [year, month] = start.split('-').map(Number);
+    const nextMonth = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+    return { period, start, end: addDays(nextMonth, -1), past: false };
+  }
+
+  if (period === 'all-time') {
+    return { period, start: null, end: null, past: false };
+  }
+
+  return { period: 'week', start: thisWeek.weekStart, end: thisWeek.weekEnd, past: false };
+}
+
+// Stats a user's leaderboard entries count: those after their last reset
+const COUNTED_STATS_SQL = '(u.leaderboard_reset_on IS NULL OR ds.date > u.leaderboard_reset_on)';
+
+// Ranked standings computed from daily_stats. Streaks come from the cache of
+// `streakWeek` (see refreshLeaderboardCache), since they are expensive to
+// compute live. `circleOf` limits the board to that user and their friends.
+// Only publicly listed users appear, except that friends-only users are
+// shown to their friends and everyone sees themselves on the friends board.
+function liveStandings(range, streakWeek, { circleOf = null } = {}) {
+  const conditions = [COUNTED_STATS_SQL];
+  const params = [streakWeek];
+
+  if (range.start) {
+    conditions.push('ds.date >= ? AND ds.date <= ?');
+    params.push(range.start, range.end);
+  }
+  if (circleOf) {
+    conditions.push(
+      `u.status = 'active'`,
+      `(u.id = ? OR u.id IN (${FRIEND_IDS_SQL}))`,
+      `(u.id = ? OR u.leaderboard_visibility IN ('public', 'friends'))`
+    );
+    params.push(circleOf, circleOf, circleOf, circleOf);
+  } else {
+    conditions.push(PUBLICLY_LISTED_SQL);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  return {
+    sql: `
+      SELECT
+        u.id AS user_id,
+        ${PUBLIC_NAME_COLUMNS},
+        COALESCE(lc.streak_days, 0) AS streak_days,
+        SUM(ds.time_saved_seconds) AS total_time_saved,
+        SUM(ds.total_unlocks) AS total_unlocks,
+        COUNT(DISTINCT ds.date) AS days_active,
+        RANK() OVER (ORDER BY SUM(ds.time_saved_seconds) DESC) AS rank
+      FROM users u
+      INNER JOIN daily_stats ds ON ds.user_id = u.id
+      LEFT JOIN leaderboard_cache lc ON lc.user_id = u.id AND lc.week_start = ?
+      ${where}
+      GROUP BY u.id
+      HAVING SUM(ds.time_saved_seconds) > 0
+    `,
+    params,
+  };
+}
+
+// Names and visibility are applied as they are now, not as they were when
+// the week was frozen
+function frozenStandings(weekStart) {
+  return {
+    sql: `
+      SELECT lc.user_id, ${PUBLIC_NAME_COLUMNS}, lc.streak_days, lc.total_time_saved, lc.total_unlocks,
+        lc.days_active, lc.rank
+      FROM leaderboard_cache lc
+      INNER JOIN users u ON u.id = lc.user_id
+      WHERE lc.week_start = ? AND ${PUBLICLY_LISTED_SQL}
+    `,
+    params: [weekStart],
+  };
+}
+
+// Recompute the current week's cache: everyone with time saved this week and
+// their current streak. Hidden users are left out and names are stored as
+// shown. Friends-only users are kept for their friends' board; reads filter
+// them. Returns the week and how many users were cached.
+export function refreshLeaderboardCache() {
+  const db = getDb();
+  const { weekStart, weekEnd } = weekOf(todayIn(DEFAULT_TIMEZONE));
+
+  const entries = db.prepare(`
+    SELECT
+      u.id AS user_id,
+      ${PUBLIC_NAME_COLUMNS},
+      u.timezone,
+      u.leaderboard_reset_on,
+      SUM(ds.time_saved_seconds) AS total_time_saved,
+      SUM(ds.total_unlocks) AS total_unlocks,
+      COUNT(DISTINCT ds.date) AS days_active
+    FROM users u
+    INNER JOIN daily_stats ds ON ds.user_id = u.id
+    WHERE ds.date >= ? AND ds.date <= ? AND u.status = 'active' AND u.leaderboard_visibility != 'hidden'
+      AND ${COUNTED_STATS_SQL}
+    GROUP BY u.id
+    HAVING SUM(ds.time_saved_seconds) > 0
+  `).all(weekStart, weekEnd);
+
+  const datesStmt = db.prepare(`
+    SELECT date FROM daily_stats
+    WHERE user_id = ? AND date > COALESCE(?, '')
+    GROUP BY date
+    HAVING SUM(time_saved_seconds) > 0
+    ORDER BY date DESC
+  `);
+  const insertStmt = db.prepare(`
+    INSERT INTO leaderboard_cache (user_id, username, display_name, streak_days, total_time_saved,
+      total_unlocks, days_active, week_start)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const refresh = db.transaction(() => {
+    db.prepare('DELETE FROM leaderboard_cache WHERE week_start = ?').run(weekStart);
+
+    for (const entry of entries) {
+      const streaks = computeStreaks(
+        datesStmt.all(entry.user_id, entry.leaderboard_reset_on).map((row) => row.date),
+        todayIn(entry.timezone)
+      );
+
+      insertStmt.run(
+        entry.user_id,
+        entry.username,
+        entry.display_name,
+        streaks.current,
+        entry.total_time_saved,
+        entry.total_unlocks,
+        entry.days_active,
+        weekStart
+      );
+    }
+  });
+
+  refresh();
+
+  return { weekStart, entriesCached: entries.length };
+}
+
+// Wipe a user's leaderboard entries: their cached and frozen rows go, and
+// only stats for days after today (in their timezone) count from now on.
+// The stats themselves are kept. Returns { reset_on, entries_removed }.
+export function resetLeaderboardEntries(userId) {
+  const db = getDb();
+  const { timezone } = db.prepare('SELECT timezone FROM users WHERE id = ?').get(userId);
+  const resetOn = todayIn(timezone);
+
+  const reset = db.transaction(() => {
+    db.prepare('UPDATE users SET leaderboard_reset_on = ? WHERE id = ?').run(resetOn, userId);
+    return db.prepare('DELETE FROM leaderboard_cache WHERE user_id = ?').run(userId).changes;
+  });
+
+  return { reset_on: resetOn, entries_removed: reset() };
+}
+
+// Store the final standings of a finished week. Only the weekly snapshot
+// job calls this; once frozen, late syncs for that week don't change it.
+export function freezeWeek(weekStart) {
+  const db = getDb();
+
+  const freeze = db.transaction(() => {
+    const frozen = db.prepare('SELECT 1 FROM leaderboard_snapshots WHERE week_start = ?').get(weekStart);
+    if (frozen) return;
+
+    const source = liveStandings({ start: weekStart, end: addDays(weekStart, 6) }, weekStart);
+    const entries = db.prepare(source.sql).all(...source.params);
+
+    db.prepare('DELETE FROM leaderboard_cache WHERE week_start = ?').run(weekStart);
+
+    const insert = db.prepare(`
+      INSERT INTO leaderboard_cache (user_id, username, display_name, streak_days, total_time_saved,
+        total_unlocks, days_active, rank, week_start)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const entry of entries) {
+      insert.run(
+        entry.user_id,
+        entry.username,
+        entry.display_name,
+        entry.streak_days,
+        entry.total_time_saved,
+        entry.total_unlocks,
+        entry.days_active,
+        entry.rank,
+        weekStart
+      );
+    }
+
+    db.prepare(
+      'INSERT INTO leaderboard_snapshots (week_start, entry_count) VALUES (?, ?)'
+    ).run(weekStart, entries.length);
+  });
+
+  freeze();
+}
+
+// One page of standings plus, when `userId` is given, that user's own
+// position. Tied users share a rank. A past week reads its snapshot if the
+// job has frozen it, and live standings otherwise; reads never write.
+export function getLeaderboard({ period, weekStart, limit = 50, offset = 0, userId = null } = {}) {
+  const db = getDb();
+  const range = resolvePeriod({ period, weekStart });
+
+  const frozen = range.past
+    && Boolean(db.prepare('SELECT 1 FROM leaderboard_snapshots WHERE week_start = ?').get(range.start));
+  const source = frozen
+    ? frozenStandings(range.start)
+    : liveStandings(range, weekOf(todayIn(DEFAULT_TIMEZONE)).weekStart);
+
+  const withStandings = `WITH standings AS (${source.sql})`;
+
+  const entries = db.prepare(`
+    ${withStandings}
+    SELECT * FROM standings
+    ORDER BY rank ASC, user_id ASC
+    LIMIT ? OFFSET ?
+  `).all(...source.params, limit, offset);
+
+  const { total } = db.prepare(
+    `${withStandings} SELECT COUNT(*) AS total FROM standings`
+  ).get(...source.params);
+
+  let me = null;
+  if (userId) {
+    const own = db.prepare(
+      `${withStandings} SELECT rank, total_time_saved FROM standings WHERE user_id = ?`
+    ).get(...source.params, userId);
+
+    // Percentile: share of ranked users at or below the caller (100 = top)
+    me = {
+      rank: own ? own.rank : null,
+      total_time_saved: own ? own.total_time_saved : 0,
+      percentile: own ? Math.round(((total - own.rank + 1) / total) * 100) : null,
+    };
+  }
+
+  return {
+    period: range.period,
+    start_date: range.start,
+    end_date: range.end,
+    frozen,
+    total,
+    limit,
+    offset,
+    next_offset: offset + entries.length < total ? offset + entries.length : null,
+    entries,
+    me,
+  };
+}
+
+// This week's standings among `userId` and their friends. The user is always
+// listed, ranked last if they haven't saved any time yet.
+export function getFriendsLeaderboard(userId) {
+  const db = getDb();
+  const { weekStart, weekEnd } = weekOf(todayIn(DEFAULT_TIMEZONE));
+
+  const source = liveStandings({ start: weekStart, end: weekEnd }, weekStart, { circleOf: userId });
+  const entries = db.prepare(`
+    ${source.sql}
+    ORDER BY rank ASC, user_id ASC
+  `).all(...source.params);
+
+  if (!entries.some((entry) => entry.user_id === userId)) {
+    const user = db.prepare(`
+      SELECT u.id AS user_id, ${PUBLIC_NAME_COLUMNS}, COALESCE(lc.streak_days, 0) AS streak_days
+      FROM users u
+      LEFT JOIN leaderboard_cache lc ON lc.user_id = u.id AND lc.week_start = ?
+      WHERE u.id = ?
+    `).get(weekStart, userId);
+
+    entries.push({
+      ...user,
+      total_time_saved: 0,
+      total_unlocks: 0,
+      days_active: 0,
+      rank: entries.length + 1,
+    });
+  }
+
+  return { weekStart, weekEnd, entries };
+}
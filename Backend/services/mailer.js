@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// A mailer wraps a transport: any object with `send(message)` returning a
+// promise. Messages are plain objects: { from, to, subject, text }.
+// MAIL_TRANSPORT selects the transport: `smtp`, `file` or `console` (the
+// default outside production; production must pick a real one, since the
+// console transport would log password-reset and verification tokens).
+
+export function createSmtpTransport(options = {}) {
+  const user = options.user || process.env.SMTP_USER;
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+    secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+// Writes each message as a JSON file, handy for inspecting mail in local runs
+export function createFileTransport(dir = process.env.MAIL_FILE_DIR || './data/mail') {
+  const resolvedDir = path.resolve(dir);
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(resolvedDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      const filePath = path.join(resolvedDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { path: filePath };
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return {};
+    },
+  };
+}
+
+export function createMailer({ transport, from } = {}) {
+  const sender = from || process.env.MAIL_FROM || 'ScreenBreak <no-reply@screenbreak.app>';
+
+  return {
+    send({ to, subject, text }) {
+      return transport.send({ from: sender, to, subject, text });
+    },
+  };
+}
+
+export function createMailerFromEnv() {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createMailer({ transport: createSmtpTransport() });
+    case 'file':
+      return createMailer({ transport: createFileTransport() });
+    default:
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set to smtp or file in production');
+      }
+      return createMailer({ transport: createConsoleTransport() });
+  }
+}
+
+let mailer;
+
+export function getMailer() {
+  if (!mailer) {
+    mailer = createMailerFromEnv();
+  }
+  return mailer;
+}
+
+// Swap the active mailer, e.g. to capture messages in tests
+export function setMailer(customMailer) {
+  mailer = customMailer;
+}
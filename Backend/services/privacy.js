@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+export const LEADERBOARD_VISIBILITIES = ['public', 'friends', 'hidden'];
+
+// Columns for how a user appears on a leaderboard, for a query that has the
+// users table as `u`: their alias in place of both names when they asked
+// for one.
+export const PUBLIC_NAME_COLUMNS = `
+  CASE WHEN u.show_alias = 1 THEN u.alias ELSE u.username END AS username,
+  CASE WHEN u.show_alias = 1 THEN NULL ELSE u.display_name END AS display_name
+`;
+
+// Users anyone may see on a board. Friends-only users are added back on the
+// friends board.
+export const PUBLICLY_LISTED_SQL = `u.status = 'active' AND u.leaderboard_visibility = 'public'`;
+
+export function generateAlias() {
+  return `Anonymous-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
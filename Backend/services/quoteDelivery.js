@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { getDb } from '../config/database.js';
+import { QUOTE_COLUMNS, withTags, quoteFilter, findQuote } from './quotes.js';
+
+// Millisecond timestamps, so the quote shown last is known even when
+// several are shown within a second
+const NOW_SQL = `strftime('%Y-%m-%d %H:%M:%f', 'now')`;
+
+const HIDDEN_IDS_SQL = `SELECT quote_id FROM quote_preferences WHERE user_id = ? AND preference = 'hidden'`;
+
+function isFavorite(db, userId, quoteId) {
+  return Boolean(db.prepare(
+    `SELECT 1 FROM quote_preferences WHERE user_id = ? AND quote_id = ? AND preference = 'favorite'`
+  ).get(userId, quoteId));
+}
+
+function recordView(db, userId, quoteId) {
+  db.prepare(`
+    INSERT INTO quote_history (user_id, quote_id, shown_at)
+    VALUES (?, ?, ${NOW_SQL})
+    ON CONFLICT(user_id, quote_id) DO UPDATE SET
+      shown_at = excluded.shown_at,
+      times_shown = times_shown + 1,
+      in_cycle = 1
+  `).run(userId, quoteId);
+}
+
+// The quote as delivered to a signed-in user: recorded in their history
+// and flagged if it's one of their favorites
+function deliver(db, userId, quoteId) {
+  recordView(db, userId, quoteId);
+  return { ...findQuote(quoteId), favorite: isFavorite(db, userId, quoteId) };
+}
+
+// Quotes matching `filters` that the user hasn't hidden, with their history
+function personalPool(db, userId, filters) {
+  const { where, params } = quoteFilter(filters);
+  return db.prepare(`
+    SELECT q.id, q.category, h.shown_at, COALESCE(h.in_cycle, 0) AS in_cycle
+    FROM motivational_quotes q
+    LEFT JOIN quote_history h ON h.quote_id = q.id AND h.user_id = ?
+    ${where ? `${where} AND` : 'WHERE'} q.id NOT IN (${HIDDEN_IDS_SQL})
+  `).all(userId, ...params, userId);
+}
+
+// Favorites per category, used to weight selection towards them
+function favoriteCategoryCounts(db, userId) {
+  const rows = db.prepare(`
+    SELECT q.category, COUNT(*) AS n
+    FROM quote_preferences p
+    INNER JOIN motivational_quotes q ON q.id = p.quote_id
+    WHERE p.user_id = ? AND p.preference = 'favorite' AND q.category IS NOT NULL
+    GROUP BY q.category
+  `).all(userId);
+  return new Map(rows.map((row) => [row.category, row.n]));
+}
+
+function pickWeighted(candidates, weightOf) {
+  const weights = candidates.map(weightOf);
+  let remaining = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < candidates.length; i++) {
+    remaining -= weights[i];
+    if (remaining < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+// A random quote the user hasn't been shown since the pool matching
+// `filters` was last used up. Once it is, a new cycle starts, holding back
+// the quote shown last so it isn't repeated straight away. With `weighted`,
+// each quote counts once plus once per favorite the user has in its
+// category. Returns null when every matching quote is hidden.
+export function pickQuoteFor(userId, filters, { weighted = false } = {}) {
+  const db = getDb();
+
+  const pick = db.transaction(() => {
+    const pool = personalPool(db, userId, filters);
+    if (pool.length === 0) return null;
+
+    let candidates = pool.filter((quote) => !quote.in_cycle);
+    if (candidates.length === 0) {
+      const last = pool.reduce((latest, quote) => (quote.shown_at > latest.shown_at ? quote : latest));
+      const reset = db.prepare('UPDATE quote_history SET in_cycle = 0 WHERE user_id = ? AND quote_id = ?');
+      for (const quote of pool) {
+        if (quote.id !== last.id) reset.run(userId, quote.id);
+      }
+      candidates = pool.length > 1 ? pool.filter((quote) => quote.id !== last.id) : pool;
+    }
+
+    const favorites = weighted ? favoriteCategoryCounts(db, userId) : new Map();
+    const chosen = pickWeighted(candidates, (quote) => 1 + (favorites.get(quote.category) || 0));
+
+    return deliver(db, userId, chosen.id);
+  });
+
+  return pick();
+}
+
+function filterKey({ category, tag, lang } = {}) {
+  return `category=${category || ''}&tag=${tag || ''}&lang=${lang || ''}`;
+}
+
+// Quote ids in a fixed pseudo-random order for `date`. A quote's place
+// depends only on its own id, so adding or removing others doesn't reorder it.
+function orderForDay(date, ids) {
+  const score = (id) => crypto.createHash('sha256').update(`${date}:${id}`).digest('hex');
+  return ids
+    .map((id) => ({ id, score: score(id) }))
+    .sort((a, b) => (a.score < b.score ? -1 : 1))
+    .map((entry) => entry.id);
+}
+
+// The quote of the day for `date` and `filters`. The first request of a day
+// picks and stores it; it's only picked again if it's deleted or stops
+// matching the filters. A signed-in user who hid it gets the next quote in
+// that day's order instead, and the view goes into their history.
+export function dailyQuoteFor(date, filters, userId = null) {
+  const db = getDb();
+
+  const pick = db.transaction(() => {
+    const { where, params } = quoteFilter(filters);
+    const ids = db.prepare(`SELECT q.id FROM motivational_quotes q ${where}`).all(...params).map((row) => row.id);
+    if (ids.length === 0) return null;
+
+    const key = filterKey(filters);
+    const stored = db.prepare('SELECT quote_id FROM daily_quotes WHERE date = ? AND filter_key = ?').get(date, key);
+
+    let quoteId = stored && ids.includes(stored.quote_id) ? stored.quote_id : null;
+    const order = orderForDay(date, ids);
+    if (!quoteId) {
+      quoteId = order[0];
+      db.prepare(`
+        INSERT INTO daily_quotes (date, filter_key, quote_id) VALUES (?, ?, ?)
+        ON CONFLICT(date, filter_key) DO UPDATE SET quote_id = excluded.quote_id
+      `).run(date, key, quoteId);
+    }
+
+    if (!userId) return findQuote(quoteId);
+
+    const hidden = new Set(db.prepare(HIDDEN_IDS_SQL).all(userId).map((row) => row.quote_id));
+    if (hidden.has(quoteId)) {
+      quoteId = order.find((id) => !hidden.has(id));
+      if (!quoteId) return null;
+    }
+
+    return deliver(db, userId, quoteId);
+  });
+
+  return pick();
+}
+
+// Quotes the user has been shown, most recent first
+export function listQuoteHistory(userId, { limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const entries = db.prepare(`
+    SELECT ${QUOTE_COLUMNS}, h.shown_at, h.times_shown
+    FROM quote_history h
+    INNER JOIN motivational_quotes q ON q.id = h.quote_id
+    WHERE h.user_id = ?
+    ORDER BY h.shown_at DESC
+    LIMIT ? OFFSET ?
+  `).all(userId, limit, offset).map(withTags);
+
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM quote_history WHERE user_id = ?').get(userId);
+
+  return { total, entries };
+}
+
+// Forget what the user has been shown, so every quote is new again
+export function clearQuoteHistory(userId) {
+  return getDb().prepare('DELETE FROM quote_history WHERE user_id = ?').run(userId).changes;
+}
+
+// Quotes the user marked 'favorite' or 'hidden', newest first
+export function listQuotesWithPreference(userId, preference) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT ${QUOTE_COLUMNS}, p.created_at AS marked_at
+    FROM quote_preferences p
+    INNER JOIN motivational_quotes q ON q.id = p.quote_id
+    WHERE p.user_id = ? AND p.preference = ?
+    ORDER BY p.created_at DESC, q.id DESC
+  `).all(userId, preference).map(withTags);
+}
+
+// A quote is either a favorite or hidden, so setting one replaces the other
+export function setQuotePreference(userId, quoteId, preference) {
+  getDb().prepare(`
+    INSERT INTO quote_preferences (user_id, quote_id, preference) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, quote_id) DO UPDATE SET
+      preference = excluded.preference,
+      created_at = CASE WHEN preference = excluded.preference THEN created_at ELSE datetime('now') END
+  `).run(userId, quoteId, preference);
+}
+
+export function clearQuotePreference(userId, quoteId, preference) {
+  return getDb().prepare(
+    'DELETE FROM quote_preferences WHERE user_id = ? AND quote_id = ? AND preference = ?'
+  ).run(userId, quoteId, preference).changes > 0;
+}
@@ -0,0 +1,201 @@
+import { getDb } from '../config/database.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const DEFAULT_AUTHOR = 'Unknown';
+
+// Tags come back as one comma-joined string; tags are slugs, so they never
+// contain commas
+export const QUOTE_COLUMNS = `
+  q.id, q.text, q.author, q.category, q.locale, q.created_at, q.updated_at,
+  (SELECT GROUP_CONCAT(tag) FROM (SELECT tag FROM quote_tags WHERE quote_id = q.id ORDER BY tag)) AS tags
+`;
+
+export function withTags(row) {
+  return row && { ...row, tags: row.tags ? row.tags.split(',') : [] };
+}
+
+// WHERE clause for the category/tag/lang filters shared by every read. `lang`
+// matches that locale, its base language ('en' for 'en-US') and its regional
+// variants ('en-GB' for 'en').
+export function quoteFilter({ category, tag, lang } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (category) {
+    conditions.push('q.category = ?');
+    params.push(category);
+  }
+  if (tag) {
+    conditions.push('q.id IN (SELECT quote_id FROM quote_tags WHERE tag = ?)');
+    params.push(tag);
+  }
+  if (lang) {
+    conditions.push('(q.locale = ? OR q.locale = ? OR q.locale LIKE ?)');
+    params.push(lang, lang.split('-')[0], `${lang}-%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+export function findQuote(quoteId) {
+  const db = getDb();
+  return withTags(db.prepare(`SELECT ${QUOTE_COLUMNS} FROM motivational_quotes q WHERE q.id = ?`).get(quoteId)) || null;
+}
+
+function findQuoteIdByText(db, text) {
+  const row = db.prepare('SELECT id FROM motivational_quotes WHERE text = ?').get(text);
+  return row ? row.id : null;
+}
+
+export function listQuotes({ search, limit = 50, offset = 0, ...filters } = {}) {
+  const db = getDb();
+  const filter = quoteFilter(filters);
+  let { where } = filter;
+  const params = [...filter.params];
+
+  if (search) {
+    where += `${where ? ' AND' : 'WHERE'} (q.text LIKE ? ESCAPE '\\' OR q.author LIKE ? ESCAPE '\\')`;
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+
+  const quotes = db.prepare(`
+    SELECT ${QUOTE_COLUMNS} FROM motivational_quotes q
+    ${where}
+    ORDER BY q.id ASC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset).map(withTags);
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM motivational_quotes q ${where}`).get(...params);
+
+  return { total, quotes };
+}
+
+export function randomQuote(filters) {
+  const db = getDb();
+  const { where, params } = quoteFilter(filters);
+  return withTags(db.prepare(`
+    SELECT ${QUOTE_COLUMNS} FROM motivational_quotes q
+    ${where}
+    ORDER BY RANDOM()
+    LIMIT 1
+  `).get(...params)) || null;
+}
+
+// Categories (or tags) in use, with how many quotes each has
+export function listCategories(filters = {}) {
+  const db = getDb();
+  const { where, params } = quoteFilter({ lang: filters.lang });
+  return db.prepare(`
+    SELECT q.category, COUNT(*) AS quote_count
+    FROM motivational_quotes q
+    ${where ? `${where} AND` : 'WHERE'} q.category IS NOT NULL
+    GROUP BY q.category
+    ORDER BY q.category
+  `).all(...params);
+}
+
+export function listTags(filters = {}) {
+  const db = getDb();
+  const { where, params } = quoteFilter({ lang: filters.lang, category: filters.category });
+  return db.prepare(`
+    SELECT t.tag, COUNT(*) AS quote_count
+    FROM quote_tags t
+    INNER JOIN motivational_quotes q ON q.id = t.quote_id
+    ${where}
+    GROUP BY t.tag
+    ORDER BY t.tag
+  `).all(...params);
+}
+
+function replaceTags(db, quoteId, tags) {
+  db.prepare('DELETE FROM quote_tags WHERE quote_id = ?').run(quoteId);
+  const insert = db.prepare('INSERT OR IGNORE INTO quote_tags (quote_id, tag) VALUES (?, ?)');
+  for (const tag of tags) insert.run(quoteId, tag);
+}
+
+function insertQuote(db, fields) {
+  const result = db.prepare(`
+    INSERT INTO motivational_quotes (text, author, category, locale, created_at, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+  `).run(fields.text, fields.author || DEFAULT_AUTHOR, fields.category || null, fields.locale || DEFAULT_LOCALE);
+
+  replaceTags(db, result.lastInsertRowid, fields.tags || []);
+  return result.lastInsertRowid;
+}
+
+// Only the fields given are changed; tags, when given, replace the old set
+function applyUpdate(db, quoteId, fields) {
+  db.prepare(`
+    UPDATE motivational_quotes SET
+      text = COALESCE(?, text),
+      author = COALESCE(?, author),
+      category = CASE WHEN ? THEN ? ELSE category END,
+      locale = COALESCE(?, locale),
+      updated_at = datetime('now')
+    WHERE id = ?
+  `).run(
+    fields.text ?? null,
+    fields.author ?? null,
+    fields.category !== undefined ? 1 : 0,
+    fields.category ?? null,
+    fields.locale ?? null,
+    quoteId
+  );
+
+  if (fields.tags !== undefined) replaceTags(db, quoteId, fields.tags);
+}
+
+// Returns { quote } or { error: 'duplicate' } when the text is taken
+export function createQuote(fields) {
+  const db = getDb();
+  if (findQuoteIdByText(db, fields.text)) return { error: 'duplicate' };
+
+  const quoteId = db.transaction(() => insertQuote(db, fields))();
+  return { quote: findQuote(quoteId) };
+}
+
+// Returns { quote } or { error: 'not_found' | 'duplicate' }
+export function updateQuote(quoteId, fields) {
+  const db = getDb();
+  if (!findQuote(quoteId)) return { error: 'not_found' };
+
+  if (fields.text !== undefined) {
+    const existingId = findQuoteIdByText(db, fields.text);
+    if (existingId && existingId !== Number(quoteId)) return { error: 'duplicate' };
+  }
+
+  db.transaction(() => applyUpdate(db, quoteId, fields))();
+  return { quote: findQuote(quoteId) };
+}
+
+export function deleteQuote(quoteId) {
+  const db = getDb();
+  return db.prepare('DELETE FROM motivational_quotes WHERE id = ?').run(quoteId).changes > 0;
+}
+
+// Load many quotes at once (already validated). A quote whose text already
+// exists is updated with the fields given, so a corrected file can be
+// imported again. All or nothing.
+export function importQuotes(quotes) {
+  const db = getDb();
+  const summary = { created: 0, updated: 0 };
+
+  db.transaction(() => {
+    for (const fields of quotes) {
+      const existingId = findQuoteIdByText(db, fields.text);
+      if (existingId) {
+        applyUpdate(db, existingId, fields);
+        summary.updated += 1;
+      } else {
+        insertQuote(db, fields);
+        summary.created += 1;
+      }
+    }
+  })();
+
+  return summary;
+}
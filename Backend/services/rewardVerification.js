@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { getDb } from '../config/database.js';
+
+// Server-side verification (SSV) for rewarded ads. The ad network calls us
+// with the reward as query parameters, signed with ECDSA/SHA-256. The last
+// two parameters are always `signature` and `key_id`; everything before
+// `&signature=` is the signed message. Public keys are published as
+// { keys: [{ keyId, pem }] }.
+//
+// A key provider is any object with `getKey(keyId)` resolving to a public
+// KeyObject, or null when it doesn't know the id. ADMOB_SSV_KEYS_FILE reads
+// keys from a local file; otherwise they're fetched from ADMOB_SSV_KEYS_URL.
+
+export const DEFAULT_KEYS_URL = 'https://www.gstatic.com/admob/reward/verifier-keys.json';
+
+// Published keys rotate rarely; refetch at most this often
+const KEYS_CACHE_MS = 24 * 60 * 60 * 1000;
+// The SSV callback is public, so unknown key ids (a newly rotated key, or
+// made up ones) and failed fetches retry at most this often
+const REFETCH_INTERVAL_MS = 60 * 1000;
+const KEYS_FETCH_TIMEOUT_MS = 10 * 1000;
+
+function parseKeySet(json) {
+  const keys = new Map();
+  for (const entry of json.keys || []) {
+    keys.set(String(entry.keyId), crypto.createPublicKey(entry.pem));
+  }
+  return keys;
+}
+
+export function createFileKeyProvider(filePath = process.env.ADMOB_SSV_KEYS_FILE) {
+  let keys;
+
+  return {
+    async getKey(keyId) {
+      if (!keys) {
+        keys = parseKeySet(JSON.parse(await fs.promises.readFile(filePath, 'utf8')));
+      }
+      return keys.get(String(keyId)) || null;
+    },
+  };
+}
+
+export function createHttpKeyProvider(url = process.env.ADMOB_SSV_KEYS_URL || DEFAULT_KEYS_URL) {
+  let keys = new Map();
+  let fetchedAt = 0;
+  let attemptedAt = 0;
+
+  async function refresh() {
+    attemptedAt = Date.now();
+    const res = await fetch(url, { signal: AbortSignal.timeout(KEYS_FETCH_TIMEOUT_MS) });
+    if (!res.ok) {
+      throw new Error(`Fetching reward verifier keys failed with status ${res.status}`);
+    }
+    keys = parseKeySet(await res.json());
+    fetchedAt = Date.now();
+  }
+
+  return {
+    async getKey(keyId) {
+      const stale = Date.now() - fetchedAt > KEYS_CACHE_MS;
+      const throttled = Date.now() - attemptedAt < REFETCH_INTERVAL_MS;
+      if ((stale || !keys.has(String(keyId))) && !throttled) {
+        try {
+          await refresh();
+        } catch (err) {
+          // Keys we already have stay valid through a key server outage
+          if (keys.size === 0) throw err;
+          console.error('Reward verifier key refresh error:', err);
+        }
+      }
+      return keys.get(String(keyId)) || null;
+    },
+  };
+}
+
+let keyProvider;
+
+export function getKeyProvider() {
+  if (!keyProvider) {
+    keyProvider = process.env.ADMOB_SSV_KEYS_FILE ? createFileKeyProvider() : createHttpKeyProvider();
+  }
+  return keyProvider;
+}
+
+// Swap the active key provider, e.g. to sign callbacks in tests
+export function setKeyProvider(customProvider) {
+  keyProvider = customProvider;
+}
+
+// Check a callback's raw query string. Returns { params } or
+// { error: 'unsigned' | 'unknown_key' | 'invalid_signature' }.
+export async function verifyRewardCallback(queryString) {
+  const signatureAt = queryString.indexOf('&signature=');
+  if (signatureAt === -1) return { error: 'unsigned' };
+
+  const params = Object.fromEntries(new URLSearchParams(queryString));
+  if (!params.signature || !params.key_id) return { error: 'unsigned' };
+
+  const key = await getKeyProvider().getKey(params.key_id);
+  if (!key) return { error: 'unknown_key' };
+
+  const message = Buffer.from(queryString.slice(0, signatureAt));
+  let valid;
+  try {
+    valid = crypto.verify('sha256', message, key, Buffer.from(params.signature, 'base64url'));
+  } catch {
+    valid = false;
+  }
+
+  return valid ? { params } : { error: 'invalid_signature' };
+}
+
+function findTransaction(db, transactionId) {
+  return db.prepare('SELECT * FROM reward_transactions WHERE transaction_id = ?').get(transactionId);
+}
+
+function markVerified(db, transactionId, sessionId) {
+  db.prepare('UPDATE reward_transactions SET unlock_session_id = ? WHERE id = ?').run(sessionId, transactionId);
+  db.prepare('UPDATE unlock_sessions SET verified = 1 WHERE id = ?').run(sessionId);
+}
+
+// Store a verified reward. The network retries until it gets a 200, so a
+// transaction id seen before is returned as it is. If the user has already
+// logged the unlock carrying this nonce, it's verified now.
+// Returns { transaction, duplicate }.
+export function recordReward(params) {
+  const db = getDb();
+
+  const record = db.transaction(() => {
+    const existing = findTransaction(db, params.transaction_id);
+    if (existing) return { transaction: existing, duplicate: true };
+
+    // user_id is whatever the app set on the ad request; keep rewards for
+    // unknown users so the network stops retrying them
+    const userId = /^\d+$/.test(params.user_id || '')
+      && db.prepare('SELECT id FROM users WHERE id = ?').get(Number(params.user_id))?.id;
+
+    // timestamp is in milliseconds since the epoch
+    const signedAt = new Date(Number(params.timestamp));
+
+    const result = db.prepare(`
+      INSERT INTO reward_transactions (transaction_id, user_id, ad_network, ad_unit, reward_item,
+        reward_amount, custom_data, key_id, signed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      params.transaction_id,
+      userId || null,
+      params.ad_network || null,
+      params.ad_unit || null,
+      params.reward_item || null,
+      parseInt(params.reward_amount, 10) || 0,
+      params.custom_data || null,
+      params.key_id,
+      Number.isNaN(signedAt.getTime()) ? null : signedAt.toISOString()
+    );
+
+    if (userId && params.custom_data) {
+      const session = db.prepare(`
+        SELECT id FROM unlock_sessions
+        WHERE user_id = ? AND ssv_nonce = ? AND verified = 0
+        ORDER BY id ASC LIMIT 1
+      `).get(userId, params.custom_data);
+      if (session) markVerified(db, result.lastInsertRowid, session.id);
+    }
+
+    return { transaction: findTransaction(db, params.transaction_id), duplicate: false };
+  });
+
+  return record();
+}
+
+// Verify a just-logged session against a reward that arrived before it.
+// Returns true if one was waiting.
+export function claimReward(userId, sessionId, nonce) {
+  const db = getDb();
+  const reward = db.prepare(`
+    SELECT id FROM reward_transactions
+    WHERE user_id = ? AND custom_data = ? AND unlock_session_id IS NULL
+    ORDER BY id ASC LIMIT 1
+  `).get(userId, nonce);
+
+  if (!reward) return false;
+  markVerified(db, reward.id, sessionId);
+  return true;
+}
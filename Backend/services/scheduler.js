@@ -0,0 +1,159 @@
+import { randomUUID } from 'crypto';
+import { getDb } from '../config/database.js';
+
+// Minimal in-process job scheduler. Schedules are standard five-field cron
+// expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Each run takes a row lock in job_locks, so overlapping runs are skipped even
+// across processes sharing the database, and is recorded in job_runs.
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 },
+];
+
+function parseCronField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(Number);
+    } else {
+      from = Number(range);
+      to = stepText === undefined ? from : max;
+    }
+
+    if (![from, to, step].every(Number.isInteger) || from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name} "${value}"`);
+    }
+    for (let n = from; n <= to; n += step) allowed.add(n);
+  }
+
+  return { allowed, wildcard: value === '*' };
+}
+
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+  return parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+}
+
+export function cronMatches(fields, date) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+
+  if (!minute.allowed.has(date.getUTCMinutes())) return false;
+  if (!hour.allowed.has(date.getUTCHours())) return false;
+  if (!month.allowed.has(date.getUTCMonth() + 1)) return false;
+
+  // As in cron, when both day fields are restricted either one may match
+  const domMatch = dayOfMonth.allowed.has(date.getUTCDate());
+  const dowMatch = dayOfWeek.allowed.has(date.getUTCDay());
+  if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+function acquireLock(db, jobName, owner, ttlSeconds) {
+  const result = db.prepare(`
+    INSERT INTO job_locks (job_name, owner, locked_until)
+    VALUES (?, ?, datetime('now', ?))
+    ON CONFLICT(job_name) DO UPDATE SET
+      owner = excluded.owner,
+      locked_until = excluded.locked_until
+    WHERE job_locks.locked_until <= datetime('now')
+  `).run(jobName, owner, `+${ttlSeconds} seconds`);
+  return result.changes === 1;
+}
+
+function releaseLock(db, jobName, owner) {
+  db.prepare('DELETE FROM job_locks WHERE job_name = ? AND owner = ?').run(jobName, owner);
+}
+
+// `jobs` is a list of { name, schedule, run, runOnStart }. `run` may be
+// async; whatever it returns is stored as the run's result. Jobs with
+// `runOnStart` also run once when the scheduler starts. `lockTtlSeconds` bounds how long a
+// crashed run can hold its lock.
+export function createScheduler({ jobs, lockTtlSeconds = 3600, logger = console }) {
+  const owner = randomUUID();
+  const scheduled = jobs.map((job) => ({ ...job, fields: parseCron(job.schedule) }));
+  let timer = null;
+
+  async function runJob(name) {
+    const job = scheduled.find((j) => j.name === name);
+    if (!job) throw new Error(`Unknown job "${name}"`);
+
+    const db = getDb();
+    if (!acquireLock(db, job.name, owner, lockTtlSeconds)) {
+      logger.warn(`Job ${job.name} skipped: previous run still in progress`);
+      return { status: 'skipped' };
+    }
+
+    const runId = db.prepare(
+      `INSERT INTO job_runs (job_name, status) VALUES (?, 'running')`
+    ).run(job.name).lastInsertRowid;
+
+    try {
+      const result = await job.run();
+      db.prepare(`
+        UPDATE job_runs SET status = 'succeeded', result = ?, finished_at = datetime('now')
+        WHERE id = ?
+      `).run(result === undefined ? null : JSON.stringify(result), runId);
+      return { id: runId, status: 'succeeded', result };
+    } catch (err) {
+      logger.error(`Job ${job.name} failed:`, err);
+      db.prepare(`
+        UPDATE job_runs SET status = 'failed', error = ?, finished_at = datetime('now')
+        WHERE id = ?
+      `).run(err.message, runId);
+      return { id: runId, status: 'failed', error: err.message };
+    } finally {
+      releaseLock(db, job.name, owner);
+    }
+  }
+
+  // Start every job due at `now`. Runs are not awaited, so a slow job doesn't
+  // delay the others.
+  function tick(now = new Date()) {
+    for (const job of scheduled) {
+      if (cronMatches(job.fields, now)) {
+        runJob(job.name).catch((err) => logger.error(`Job ${job.name} error:`, err));
+      }
+    }
+  }
+
+  function scheduleNextTick() {
+    const delay = 60000 - (Date.now() % 60000);
+    timer = setTimeout(() => {
+      tick(new Date());
+      scheduleNextTick();
+    }, delay);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      scheduleNextTick();
+      for (const job of scheduled.filter((j) => j.runOnStart)) {
+        runJob(job.name).catch((err) => logger.error(`Job ${job.name} error:`, err));
+      }
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+    runJob,
+    tick,
+  };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getDb } from '../config/database.js';
+
+// Access tokens are short-lived JWTs. Refresh tokens are opaque random strings;
+// only their SHA-256 hash is stored. Every refresh rotates the token: the old
+// row is marked rotated and a new row is inserted in the same family. A family
+// is one signed-in device, and its id is carried in the access token as `sid`.
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function signAccessToken(userId, familyId) {
+  return jwt.sign({ userId, sid: familyId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+}
+
+function insertRefreshToken(db, { userId, familyId, userAgent, ipAddress }) {
+  const refreshToken = generateRefreshToken();
+
+  db.prepare(`
+    INSERT INTO sessions (user_id, family_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+  `).run(
+    userId,
+    familyId,
+    hashToken(refreshToken),
+    userAgent || null,
+    ipAddress || null,
+    `+${REFRESH_TOKEN_TTL_DAYS} days`
+  );
+
+  return {
+    token: signAccessToken(userId, familyId),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+// Start a new session family for a freshly authenticated user
+export function createSession(userId, { userAgent, ipAddress } = {}) {
+  const db = getDb();
+  return insertRefreshToken(db, {
+    userId,
+    familyId: crypto.randomUUID(),
+    userAgent,
+    ipAddress,
+  });
+}
+
+// Exchange a refresh token for a new token pair. Presenting a token that was
+// already rotated means it leaked, so the whole family is revoked.
+// Returns { tokens } on success or { error } describing why it was refused.
+export function rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+  const db = getDb();
+
+  const rotate = db.transaction(() => {
+    const row = db.prepare(`
+      SELECT *, (expires_at <= datetime('now')) AS expired
+      FROM sessions WHERE refresh_token_hash = ?
+    `).get(hashToken(refreshToken));
+
+    if (!row || row.revoked_at) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (row.rotated_at) {
+      revokeFamily(row.family_id);
+      return { error: 'Refresh token has already been used. Session revoked.' };
+    }
+
+    if (row.expired) {
+      return { error: 'Refresh token has expired' };
+    }
+
+    db.prepare(`UPDATE sessions SET rotated_at = datetime('now') WHERE id = ?`).run(row.id);
+
+    return {
+      userId: row.user_id,
+      tokens: insertRefreshToken(db, {
+        userId: row.user_id,
+        familyId: row.family_id,
+        userAgent: userAgent || row.user_agent,
+        ipAddress: ipAddress || row.ip_address,
+      }),
+    };
+  });
+
+  return rotate();
+}
+
+// Look up the family a refresh token belongs to, without rotating it
+export function findFamilyByRefreshToken(refreshToken) {
+  const db = getDb();
+  const row = db.prepare(
+    'SELECT family_id, user_id FROM sessions WHERE refresh_token_hash = ?'
+  ).get(hashToken(refreshToken));
+  return row || null;
+}
+
+export function isSessionActive(familyId, userId) {
+  const db = getDb();
+  const row = db.prepare(`
+    SELECT 1 FROM sessions
+    WHERE family_id = ? AND user_id = ?
+      AND rotated_at IS NULL AND revoked_at IS NULL
+      AND expires_at > datetime('now')
+  `).get(familyId, userId);
+  return Boolean(row);
+}
+
+export function revokeFamily(familyId) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE sessions SET revoked_at = datetime('now')
+    WHERE family_id = ? AND revoked_at IS NULL
+  `).run(familyId).changes;
+}
+
+// Revoke every session of a user, optionally keeping one family alive.
+// Returns the number of live sessions that were signed out.
+export function revokeAllSessions(userId, { exceptFamilyId = null } = {}) {
+  const db = getDb();
+
+  const revoke = db.transaction(() => {
+    const live = db.prepare(`
+      SELECT COUNT(DISTINCT family_id) AS cnt FROM sessions
+      WHERE user_id = ? AND family_id IS NOT ?
+        AND rotated_at IS NULL AND revoked_at IS NULL
+        AND expires_at > datetime('now')
+    `).get(userId, exceptFamilyId);
+
+    db.prepare(`
+      UPDATE sessions SET revoked_at = datetime('now')
+      WHERE user_id = ? AND revoked_at IS NULL AND family_id IS NOT ?
+    `).run(userId, exceptFamilyId);
+
+    return live.cnt;
+  });
+
+  return revoke();
+}
+
+// One entry per live family: the current (unrotated) token row describes the device
+export function listSessions(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT
+      s.family_id AS id,
+      s.user_agent,
+      s.ip_address,
+      (SELECT MIN(f.created_at) FROM sessions f WHERE f.family_id = s.family_id) AS created_at,
+      s.created_at AS last_used_at,
+      s.expires_at
+    FROM sessions s
+    WHERE s.user_id = ?
+      AND s.rotated_at IS NULL AND s.revoked_at IS NULL
+      AND s.expires_at > datetime('now')
+    ORDER BY s.created_at DESC
+  `).all(userId);
+}
@@ -0,0 +1,163 @@
+import { getDb } from '../config/database.js';
+
+// Conflict policy for stats sync
+// ------------------------------
+// Each day carries the client's `revision`, a counter the device bumps every
+// time it edits that day.
+//
+//   - No stored row: the day is inserted                         -> accepted
+//   - Incoming revision is newer than the stored one: the day
+//     replaces the stored counters (last writer wins)             -> accepted
+//   - Incoming revision is the same or older: each counter keeps
+//     the larger of the stored and incoming value, so a stale
+//     device can add what it saw but never lower newer numbers    -> merged
+//     ...and if no counter went up, nothing changes               -> rejected
+//
+// Days are resolved per device: two devices never conflict with each other,
+// their rows are summed when read.
+//
+// Unlock events are append-only and identified by `client_event_id`; an id the
+// server has already stored is rejected as a duplicate, so retries are safe.
+
+export const DAY_COUNTERS = [
+  'total_unlocks',
+  'total_ad_time_seconds',
+  'apps_blocked_count',
+  'time_saved_seconds',
+];
+
+function resolveDay(stored, incoming) {
+  if (!stored) {
+    return { status: 'accepted', values: incoming, revision: incoming.revision };
+  }
+
+  if (incoming.revision > stored.revision) {
+    return { status: 'accepted', values: incoming, revision: incoming.revision };
+  }
+
+  const merged = {};
+  let changed = false;
+  for (const counter of DAY_COUNTERS) {
+    merged[counter] = Math.max(stored[counter], incoming[counter]);
+    if (merged[counter] !== stored[counter]) changed = true;
+  }
+
+  return changed
+    ? { status: 'merged', values: merged, revision: stored.revision }
+    : { status: 'rejected', reason: 'stale_revision', revision: stored.revision };
+}
+
+function applyDay(db, userId, deviceId, day) {
+  const stored = db.prepare(
+    'SELECT * FROM daily_stats WHERE user_id = ? AND device_id = ? AND date = ?'
+  ).get(userId, deviceId, day.date);
+
+  const resolution = resolveDay(stored, day);
+
+  if (resolution.status !== 'rejected') {
+    const { values } = resolution;
+    db.prepare(`
+      INSERT INTO daily_stats (user_id, device_id, date, total_unlocks, total_ad_time_seconds, apps_blocked_count,
+        time_saved_seconds, revision, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      ON CONFLICT(user_id, device_id, date) DO UPDATE SET
+        total_unlocks = excluded.total_unlocks,
+        total_ad_time_seconds = excluded.total_ad_time_seconds,
+        apps_blocked_count = excluded.apps_blocked_count,
+        time_saved_seconds = excluded.time_saved_seconds,
+        revision = excluded.revision,
+        updated_at = excluded.updated_at
+    `).run(
+      userId,
+      deviceId,
+      day.date,
+      values.total_unlocks,
+      values.total_ad_time_seconds,
+      values.apps_blocked_count,
+      values.time_saved_seconds,
+      resolution.revision
+    );
+  }
+
+  return {
+    date: day.date,
+    status: resolution.status,
+    revision: resolution.revision,
+    ...(resolution.reason && { reason: resolution.reason }),
+  };
+}
+
+function applyUnlock(db, userId, deviceId, event) {
+  const existing = db.prepare(
+    'SELECT id FROM unlock_sessions WHERE user_id = ? AND client_event_id = ?'
+  ).get(userId, event.client_event_id);
+
+  if (existing) {
+    return {
+      client_event_id: event.client_event_id,
+      status: 'rejected',
+      reason: 'duplicate',
+      session_id: existing.id,
+    };
+  }
+
+  // Normalize client timestamps to the same UTC format as datetime('now'), so
+  // they compare correctly as text. One SQLite can't read is rejected rather
+  // than failing the whole batch.
+  const times = db.prepare('SELECT datetime(?) AS unlocked_at, datetime(?) AS expires_at')
+    .get(event.unlocked_at, event.expires_at ?? null);
+  if (!times.unlocked_at || (event.expires_at && !times.expires_at)) {
+    return {
+      client_event_id: event.client_event_id,
+      status: 'rejected',
+      reason: 'invalid_timestamp',
+    };
+  }
+
+  const result = db.prepare(`
+    INSERT INTO unlock_sessions (user_id, device_id, app_name, ad_duration_seconds, unlocked_at, expires_at, client_event_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    deviceId || null,
+    event.app_name,
+    event.ad_duration_seconds,
+    times.unlocked_at,
+    times.expires_at,
+    event.client_event_id
+  );
+
+  return {
+    client_event_id: event.client_event_id,
+    status: 'accepted',
+    session_id: result.lastInsertRowid,
+  };
+}
+
+// Apply one day, e.g. from the single-day sync endpoint, under the same
+// policy as a batch. Without a revision the day counts as revision 0, so it
+// can raise counters but never lower ones a newer revision stored.
+export function applySyncDay(userId, { deviceId = 0, day }) {
+  const db = getDb();
+  return db.transaction(() => applyDay(db, userId, deviceId, { ...day, revision: day.revision ?? 0 }))();
+}
+
+// Apply a whole batch in one transaction. `deviceId` 0 means the rows aren't
+// attributed to a registered device. Returns per-item results plus a count of
+// each status.
+export function applySyncBatch(userId, { deviceId = 0, days = [], unlocks = [] }) {
+  const db = getDb();
+
+  const run = db.transaction(() => ({
+    days: days.map((day) => applyDay(db, userId, deviceId, { revision: 0, ...day })),
+    unlocks: unlocks.map((event) => applyUnlock(db, userId, deviceId, event)),
+  }));
+
+  const results = run();
+  const summary = { accepted: 0, merged: 0, rejected: 0 };
+  for (const item of [...results.days, ...results.unlocks]) {
+    summary[item.status] += 1;
+  }
+
+  return { ...results, summary };
+}
@@ -0,0 +1,96 @@
+import { getDb } from '../config/database.js';
+import { findGroup, findGroupForApp } from './userConfig.js';
+
+// Matches the escalation the iOS app used to apply on its own: 1, 3 and then
+// 5 minute ads within a rolling hour, each unlock granting 15 minutes.
+export const DEFAULT_POLICY = {
+  tiers: [60, 180, 300],
+  reset_window_minutes: 60,
+  access_seconds: 900,
+};
+
+export function getUnlockPolicy(userId) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM unlock_policies WHERE user_id = ?').get(userId);
+  if (!row) return { ...DEFAULT_POLICY, is_default: true };
+
+  return {
+    tiers: JSON.parse(row.tiers),
+    reset_window_minutes: row.reset_window_minutes,
+    access_seconds: row.access_seconds,
+    is_default: false,
+  };
+}
+
+// Update some or all of the policy; omitted fields keep their current value
+export function saveUnlockPolicy(userId, changes) {
+  const db = getDb();
+  const policy = { ...getUnlockPolicy(userId), ...changes };
+
+  db.prepare(`
+    INSERT INTO unlock_policies (user_id, tiers, reset_window_minutes, access_seconds, updated_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(user_id) DO UPDATE SET
+      tiers = excluded.tiers,
+      reset_window_minutes = excluded.reset_window_minutes,
+      access_seconds = excluded.access_seconds,
+      updated_at = excluded.updated_at
+  `).run(userId, JSON.stringify(policy.tiers), policy.reset_window_minutes, policy.access_seconds);
+
+  return getUnlockPolicy(userId);
+}
+
+// A group's unlock rules override the user's policy field by field
+function policyFor(userId, group) {
+  const policy = getUnlockPolicy(userId);
+  const rules = group?.unlock_rules;
+  if (!rules) return policy;
+
+  return {
+    ...policy,
+    tiers: rules.tiers ?? policy.tiers,
+    reset_window_minutes: rules.reset_window_minutes ?? policy.reset_window_minutes,
+    access_seconds: rules.access_seconds ?? policy.access_seconds,
+  };
+}
+
+// What the next unlock of `appName` costs: the tier is picked by how many
+// times the app was unlocked or extended within the reset window, across all
+// devices. The app is attributed to `groupId` if given, otherwise to the
+// group that blocks it, and that group's rules apply.
+export function quoteUnlock(userId, appName, { groupId } = {}) {
+  const db = getDb();
+  const group = groupId ? findGroup(userId, groupId) : findGroupForApp(userId, appName);
+  const policy = policyFor(userId, group);
+  const window = `-${policy.reset_window_minutes} minutes`;
+
+  const recent = db.prepare(`
+    SELECT COUNT(*) AS count, MIN(at) AS oldest FROM (
+      SELECT unlocked_at AS at
+      FROM unlock_sessions
+      WHERE user_id = ? AND app_name = ? AND unlocked_at > datetime('now', ?)
+      UNION ALL
+      SELECT e.created_at
+      FROM unlock_extensions e
+      INNER JOIN unlock_sessions s ON s.id = e.session_id
+      WHERE s.user_id = ? AND s.app_name = ? AND e.created_at > datetime('now', ?)
+    )
+  `).get(userId, appName, window, userId, appName, window);
+
+  const tierIndex = Math.min(recent.count, policy.tiers.length - 1);
+
+  // Once the oldest unlock in the window ages out, the price drops a tier
+  const resetsAt = recent.oldest
+    ? db.prepare('SELECT datetime(?, ?) AS at').get(recent.oldest, `+${policy.reset_window_minutes} minutes`).at
+    : null;
+
+  return {
+    app_name: appName,
+    group_id: group ? group.id : null,
+    tier: tierIndex + 1,
+    required_ad_seconds: policy.tiers[tierIndex],
+    access_seconds: policy.access_seconds,
+    unlocks_in_window: recent.count,
+    window_resets_at: resetsAt,
+  };
+}
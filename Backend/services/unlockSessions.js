@@ -0,0 +1,93 @@
+import { getDb } from '../config/database.js';
+import { quoteUnlock } from './unlockPolicy.js';
+
+// expires_at arrives from clients as ISO 8601 or is written by SQLite as
+// 'YYYY-MM-DD HH:MM:SS'. julianday() reads both, so compare through it.
+const ACTIVE_SQL = `
+  ended_at IS NULL
+  AND expires_at IS NOT NULL
+  AND julianday(expires_at) > julianday('now')
+`;
+
+const SESSION_COLUMNS = `
+  *,
+  CAST(ROUND((julianday(expires_at) - julianday('now')) * 86400) AS INTEGER) AS remaining_seconds
+`;
+
+// When a session actually stopped granting access: relocked, expired, or
+// still running (now). NULL for old sessions logged without an expiry.
+export const SESSION_END_SQL = `MIN(julianday(COALESCE(ended_at, expires_at)), julianday('now'))`;
+
+// Seconds a session kept its app unlocked
+export const UNLOCKED_SECONDS_SQL = `MAX(0, CAST(ROUND((${SESSION_END_SQL} - julianday(unlocked_at)) * 86400) AS INTEGER))`;
+
+export function listActiveSessions(userId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT ${SESSION_COLUMNS} FROM unlock_sessions
+    WHERE user_id = ? AND ${ACTIVE_SQL}
+    ORDER BY julianday(expires_at) ASC
+  `).all(userId);
+}
+
+function findActiveSession(db, userId, sessionId) {
+  return db.prepare(`
+    SELECT ${SESSION_COLUMNS} FROM unlock_sessions
+    WHERE id = ? AND user_id = ? AND ${ACTIVE_SQL}
+  `).get(sessionId, userId);
+}
+
+function sessionExists(db, userId, sessionId) {
+  return Boolean(db.prepare('SELECT 1 FROM unlock_sessions WHERE id = ? AND user_id = ?').get(sessionId, userId));
+}
+
+// Relock early. Returns { session } or { error: 'not_found' | 'not_active' }.
+export function endSession(userId, sessionId) {
+  const db = getDb();
+  if (!findActiveSession(db, userId, sessionId)) {
+    return { error: sessionExists(db, userId, sessionId) ? 'not_active' : 'not_found' };
+  }
+
+  db.prepare(`UPDATE unlock_sessions SET ended_at = datetime('now') WHERE id = ?`).run(sessionId);
+  return { session: db.prepare('SELECT * FROM unlock_sessions WHERE id = ?').get(sessionId) };
+}
+
+// Add another access window to a running session. The extension is priced
+// like a fresh unlock of the same app, so extending escalates too, and an ad
+// shorter than that price doesn't extend anything.
+// Returns { session, extension }, { error: 'ad_too_short', quote } or
+// { error: 'not_found' | 'not_active' }.
+export function extendSession(userId, sessionId, adDurationSeconds) {
+  const db = getDb();
+
+  const extend = db.transaction(() => {
+    const session = findActiveSession(db, userId, sessionId);
+    if (!session) {
+      return { error: sessionExists(db, userId, sessionId) ? 'not_active' : 'not_found' };
+    }
+
+    const quote = quoteUnlock(userId, session.app_name, { groupId: session.group_id });
+    if (adDurationSeconds < quote.required_ad_seconds) {
+      return { error: 'ad_too_short', quote };
+    }
+
+    const { newExpiresAt } = db.prepare(
+      'SELECT datetime(?, ?) AS newExpiresAt'
+    ).get(session.expires_at, `+${quote.access_seconds} seconds`);
+
+    db.prepare('UPDATE unlock_sessions SET expires_at = ? WHERE id = ?').run(newExpiresAt, session.id);
+
+    const result = db.prepare(`
+      INSERT INTO unlock_extensions (session_id, ad_duration_seconds, tier, required_ad_seconds,
+        previous_expires_at, new_expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(session.id, adDurationSeconds, quote.tier, quote.required_ad_seconds, session.expires_at, newExpiresAt);
+
+    return {
+      session: findActiveSession(db, userId, session.id),
+      extension: db.prepare('SELECT * FROM unlock_extensions WHERE id = ?').get(result.lastInsertRowid),
+    };
+  });
+
+  return extend();
+}
@@ -0,0 +1,312 @@
+import { getDb } from '../config/database.js';
+
+// Every change to a user's groups or schedules bumps one version number, so
+// a single ETag covers the whole configuration.
+export function getConfigVersion(userId) {
+  const db = getDb();
+  const row = db.prepare('SELECT version FROM config_versions WHERE user_id = ?').get(userId);
+  return row ? row.version : 0;
+}
+
+function bumpVersion(db, userId) {
+  db.prepare(`
+    INSERT INTO config_versions (user_id, version, updated_at) VALUES (?, 1, datetime('now'))
+    ON CONFLICT(user_id) DO UPDATE SET version = version + 1, updated_at = excluded.updated_at
+  `).run(userId);
+}
+
+// Run `change` in a transaction that bumps the version when it succeeds.
+// Results carrying an error leave the version alone.
+function versioned(db, userId, change) {
+  return db.transaction(() => {
+    const result = change();
+    if (!result.error) bumpVersion(db, userId);
+    return result;
+  })();
+}
+
+// SQLite names the columns as table.column in the message
+function isUniqueViolation(err, table) {
+  return err.code === 'SQLITE_CONSTRAINT_UNIQUE' && err.message.includes(`${table}.`);
+}
+
+function groupConflict(err) {
+  if (isUniqueViolation(err, 'app_group_apps')) return 'duplicate_app';
+  if (isUniqueViolation(err, 'app_groups')) return 'duplicate_name';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// App groups
+// ---------------------------------------------------------------------------
+
+// Unset rule fields fall back to the user's unlock policy
+function formatGroup(row, apps) {
+  const hasRules = row.unlock_tiers !== null || row.reset_window_minutes !== null || row.access_seconds !== null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    is_enabled: Boolean(row.is_enabled),
+    apps: apps.map((app) => ({
+      app_name: app.app_name,
+      token_data: app.token_data,
+      is_enabled: Boolean(app.is_enabled),
+    })),
+    unlock_rules: hasRules
+      ? {
+        tiers: row.unlock_tiers === null ? null : JSON.parse(row.unlock_tiers),
+        reset_window_minutes: row.reset_window_minutes,
+        access_seconds: row.access_seconds,
+      }
+      : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function groupApps(db, groupId) {
+  return db.prepare('SELECT * FROM app_group_apps WHERE group_id = ? ORDER BY app_name COLLATE NOCASE').all(groupId);
+}
+
+export function findGroup(userId, groupId) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM app_groups WHERE id = ? AND user_id = ?').get(groupId, userId);
+  return row ? formatGroup(row, groupApps(db, row.id)) : null;
+}
+
+export function listGroups(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM app_groups WHERE user_id = ? ORDER BY name COLLATE NOCASE')
+    .all(userId)
+    .map((row) => formatGroup(row, groupApps(db, row.id)));
+}
+
+function replaceApps(db, groupId, apps) {
+  db.prepare('DELETE FROM app_group_apps WHERE group_id = ?').run(groupId);
+  const insert = db.prepare(
+    'INSERT INTO app_group_apps (group_id, app_name, token_data, is_enabled) VALUES (?, ?, ?, ?)'
+  );
+  for (const app of apps) {
+    insert.run(groupId, app.app_name, app.token_data ?? null, app.is_enabled === false ? 0 : 1);
+  }
+}
+
+function writeRules(db, groupId, rules) {
+  db.prepare(`
+    UPDATE app_groups SET unlock_tiers = ?, reset_window_minutes = ?, access_seconds = ? WHERE id = ?
+  `).run(
+    rules?.tiers ? JSON.stringify(rules.tiers) : null,
+    rules?.reset_window_minutes ?? null,
+    rules?.access_seconds ?? null,
+    groupId
+  );
+}
+
+// Returns { group } or { error: 'duplicate_name' | 'duplicate_app' }
+export function createGroup(userId, fields) {
+  const db = getDb();
+  try {
+    return versioned(db, userId, () => {
+      const result = db.prepare(
+        'INSERT INTO app_groups (user_id, name, is_enabled) VALUES (?, ?, ?)'
+      ).run(userId, fields.name, fields.is_enabled === false ? 0 : 1);
+
+      replaceApps(db, result.lastInsertRowid, fields.apps || []);
+      writeRules(db, result.lastInsertRowid, fields.unlock_rules);
+      return { group: findGroup(userId, result.lastInsertRowid) };
+    });
+  } catch (err) {
+    const conflict = groupConflict(err);
+    if (conflict) return { error: conflict };
+    throw err;
+  }
+}
+
+// Omitted fields are left alone; `apps` replaces the whole list and
+// `unlock_rules: null` clears the group's rules.
+// Returns { group } or { error: 'not_found' | 'duplicate_name' | 'duplicate_app' }.
+export function updateGroup(userId, groupId, fields) {
+  const db = getDb();
+  try {
+    return versioned(db, userId, () => {
+      if (!findGroup(userId, groupId)) return { error: 'not_found' };
+
+      db.prepare(`
+        UPDATE app_groups SET
+          name = COALESCE(?, name),
+          is_enabled = COALESCE(?, is_enabled),
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(fields.name ?? null, fields.is_enabled === undefined ? null : Number(fields.is_enabled), groupId);
+
+      if (fields.apps !== undefined) replaceApps(db, groupId, fields.apps);
+      if (fields.unlock_rules !== undefined) writeRules(db, groupId, fields.unlock_rules);
+      return { group: findGroup(userId, groupId) };
+    });
+  } catch (err) {
+    const conflict = groupConflict(err);
+    if (conflict) return { error: conflict };
+    throw err;
+  }
+}
+
+// Unlocks attributed to the group keep their history with group_id cleared.
+// Returns false if there is no such group.
+export function deleteGroup(userId, groupId) {
+  const db = getDb();
+  const result = versioned(db, userId, () => {
+    const deleted = db.prepare('DELETE FROM app_groups WHERE id = ? AND user_id = ?').run(groupId, userId);
+    return deleted.changes > 0 ? {} : { error: 'not_found' };
+  });
+  return !result.error;
+}
+
+// The enabled group an app is blocked by, for attributing its unlocks. If
+// several groups list the app, the oldest wins.
+export function findGroupForApp(userId, appName) {
+  const db = getDb();
+  const row = db.prepare(`
+    SELECT g.id FROM app_groups g
+    INNER JOIN app_group_apps a ON a.group_id = g.id
+    WHERE g.user_id = ? AND g.is_enabled = 1 AND a.app_name = ? AND a.is_enabled = 1
+    ORDER BY g.id ASC
+    LIMIT 1
+  `).get(userId, appName);
+  return row ? findGroup(userId, row.id) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Focus schedules
+// ---------------------------------------------------------------------------
+
+// days_of_week uses 0=Sunday through 6=Saturday; time ranges are local
+// 'HH:MM' wall-clock times, and a range ending before it starts runs past
+// midnight.
+function formatSchedule(row, groupIds) {
+  return {
+    id: row.id,
+    name: row.name,
+    days_of_week: JSON.parse(row.days_of_week),
+    time_ranges: JSON.parse(row.time_ranges),
+    group_ids: groupIds,
+    is_enabled: Boolean(row.is_enabled),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function scheduleGroupIds(db, scheduleId) {
+  return db.prepare('SELECT group_id FROM focus_schedule_groups WHERE schedule_id = ? ORDER BY group_id')
+    .all(scheduleId)
+    .map((row) => row.group_id);
+}
+
+export function findSchedule(userId, scheduleId) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM focus_schedules WHERE id = ? AND user_id = ?').get(scheduleId, userId);
+  return row ? formatSchedule(row, scheduleGroupIds(db, row.id)) : null;
+}
+
+export function listSchedules(userId) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM focus_schedules WHERE user_id = ? ORDER BY name COLLATE NOCASE')
+    .all(userId)
+    .map((row) => formatSchedule(row, scheduleGroupIds(db, row.id)));
+}
+
+function ownsGroups(db, userId, groupIds) {
+  const unique = [...new Set(groupIds)];
+  if (unique.length === 0) return true;
+
+  const owned = db.prepare(
+    `SELECT COUNT(*) AS n FROM app_groups WHERE user_id = ? AND id IN (${unique.map(() => '?').join(', ')})`
+  ).get(userId, ...unique).n;
+  return owned === unique.length;
+}
+
+function replaceScheduleGroups(db, scheduleId, groupIds) {
+  db.prepare('DELETE FROM focus_schedule_groups WHERE schedule_id = ?').run(scheduleId);
+  const insert = db.prepare('INSERT INTO focus_schedule_groups (schedule_id, group_id) VALUES (?, ?)');
+  for (const groupId of new Set(groupIds)) insert.run(scheduleId, groupId);
+}
+
+// Returns { schedule } or { error: 'duplicate_name' | 'unknown_group' }
+export function createSchedule(userId, fields) {
+  const db = getDb();
+  try {
+    return versioned(db, userId, () => {
+      if (!ownsGroups(db, userId, fields.group_ids || [])) return { error: 'unknown_group' };
+
+      const result = db.prepare(`
+        INSERT INTO focus_schedules (user_id, name, days_of_week, time_ranges, is_enabled)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(
+        userId,
+        fields.name,
+        JSON.stringify(fields.days_of_week),
+        JSON.stringify(fields.time_ranges),
+        fields.is_enabled === false ? 0 : 1
+      );
+
+      replaceScheduleGroups(db, result.lastInsertRowid, fields.group_ids || []);
+      return { schedule: findSchedule(userId, result.lastInsertRowid) };
+    });
+  } catch (err) {
+    if (isUniqueViolation(err, 'focus_schedules')) return { error: 'duplicate_name' };
+    throw err;
+  }
+}
+
+// Omitted fields are left alone; `group_ids` replaces the whole list.
+// Returns { schedule } or { error: 'not_found' | 'duplicate_name' | 'unknown_group' }.
+export function updateSchedule(userId, scheduleId, fields) {
+  const db = getDb();
+  try {
+    return versioned(db, userId, () => {
+      if (!findSchedule(userId, scheduleId)) return { error: 'not_found' };
+      if (fields.group_ids && !ownsGroups(db, userId, fields.group_ids)) return { error: 'unknown_group' };
+
+      db.prepare(`
+        UPDATE focus_schedules SET
+          name = COALESCE(?, name),
+          days_of_week = COALESCE(?, days_of_week),
+          time_ranges = COALESCE(?, time_ranges),
+          is_enabled = COALESCE(?, is_enabled),
+          updated_at = datetime('now')
+        WHERE id = ?
+      `).run(
+        fields.name ?? null,
+        fields.days_of_week ? JSON.stringify(fields.days_of_week) : null,
+        fields.time_ranges ? JSON.stringify(fields.time_ranges) : null,
+        fields.is_enabled === undefined ? null : Number(fields.is_enabled),
+        scheduleId
+      );
+
+      if (fields.group_ids !== undefined) replaceScheduleGroups(db, scheduleId, fields.group_ids);
+      return { schedule: findSchedule(userId, scheduleId) };
+    });
+  } catch (err) {
+    if (isUniqueViolation(err, 'focus_schedules')) return { error: 'duplicate_name' };
+    throw err;
+  }
+}
+
+// Returns false if there is no such schedule
+export function deleteSchedule(userId, scheduleId) {
+  const db = getDb();
+  const result = versioned(db, userId, () => {
+    const deleted = db.prepare('DELETE FROM focus_schedules WHERE id = ? AND user_id = ?').run(scheduleId, userId);
+    return deleted.changes > 0 ? {} : { error: 'not_found' };
+  });
+  return !result.error;
+}
+
+// Everything the app needs to restore its blocking setup
+export function getConfig(userId) {
+  return {
+    version: getConfigVersion(userId),
+    groups: listGroups(userId),
+    schedules: listSchedules(userId),
+  };
+}
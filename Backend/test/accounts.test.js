@@ -0,0 +1,124 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { purgeDeletedAccounts } from '../services/accounts.js';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('account deactivation', () => {
+  let api;
+  let session;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    session = await registerUser(api);
+    await api.post('/api/stats/sync').set(bearer(session.token)).send(statsFor(localDate(0)));
+  });
+
+  function login(username = session.user.username) {
+    return api.post('/api/auth/login').send({ identifier: username, password: 'password123' });
+  }
+
+  function userRow(id = session.user.id) {
+    return getDb().prepare('SELECT status, deactivated_at, deletion_scheduled_for FROM users WHERE id = ?').get(id);
+  }
+
+  describe('DELETE /api/auth/me', () => {
+    it('schedules deletion after the grace period instead of deleting', async () => {
+      const res = await api.delete('/api/auth/me').set(bearer(session.token));
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'pending_deletion');
+      const daysAway = (Date.parse(`${res.body.data.deletion_scheduled_for}Z`) - Date.now()) / 86400000;
+      assert.ok(daysAway > 13.9 && daysAway <= 14, `deletion in ${daysAway} days`);
+
+      assert.equal(userRow().status, 'pending_deletion');
+      const stats = getDb().prepare('SELECT COUNT(*) AS n FROM daily_stats WHERE user_id = ?').get(session.user.id);
+      assert.equal(stats.n, 1);
+    });
+
+    it('signs out every session', async () => {
+      await api.delete('/api/auth/me').set(bearer(session.token));
+
+      const me = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(me.status, 401);
+      const refresh = await api.post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+      assert.equal(refresh.status, 401);
+    });
+
+    it('is cancelled by logging in again', async () => {
+      await api.delete('/api/auth/me').set(bearer(session.token));
+
+      const res = await login();
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.reactivated, true);
+      assert.deepEqual(userRow(), { status: 'active', deactivated_at: null, deletion_scheduled_for: null });
+
+      const history = await api.get('/api/stats/history').set(bearer(res.body.data.token));
+      assert.equal(history.body.data.history.length, 1);
+    });
+  });
+
+  describe('POST /api/auth/me/pause', () => {
+    it('deactivates the account until the next login', async () => {
+      const res = await api.post('/api/auth/me/pause').set(bearer(session.token));
+
+      assert.equal(res.status, 200);
+      assert.equal(userRow().status, 'paused');
+      assert.equal(userRow().deletion_scheduled_for, null);
+
+      const again = await login();
+      assert.equal(again.body.data.reactivated, true);
+      assert.equal(userRow().status, 'active');
+    });
+
+    it('is not purged', async () => {
+      await api.post('/api/auth/me/pause').set(bearer(session.token));
+
+      assert.deepEqual(purgeDeletedAccounts(), { deleted: 0 });
+      assert.equal(userRow().status, 'paused');
+    });
+  });
+
+  it('refuses access tokens of deactivated accounts', async () => {
+    getDb().prepare(`UPDATE users SET status = 'paused' WHERE id = ?`).run(session.user.id);
+
+    const res = await api.get('/api/auth/me').set(bearer(session.token));
+    assert.equal(res.status, 403);
+  });
+
+  it('reports ordinary logins as not reactivated', async () => {
+    const res = await login();
+    assert.equal(res.body.data.reactivated, false);
+  });
+
+  it('hides deactivated accounts from leaderboards', async () => {
+    const other = await registerUser(api);
+    await api.post('/api/stats/sync').set(bearer(other.token)).send(statsFor(localDate(0)));
+
+    await api.post('/api/auth/me/pause').set(bearer(session.token));
+
+    const res = await api.get('/api/leaderboard');
+    assert.deepEqual(res.body.data.leaderboard.map((entry) => entry.user_id), [other.user.id]);
+
+    await login();
+    const after = await api.get('/api/leaderboard');
+    assert.equal(after.body.data.leaderboard.length, 2);
+  });
+
+  describe('purgeDeletedAccounts', () => {
+    it('deletes accounts once their grace period is over', async () => {
+      const other = await registerUser(api);
+      await api.delete('/api/auth/me').set(bearer(session.token));
+      await api.delete('/api/auth/me').set(bearer(other.token));
+      getDb().prepare(
+        `UPDATE users SET deletion_scheduled_for = datetime('now', '-1 minute') WHERE id = ?`
+      ).run(session.user.id);
+
+      assert.deepEqual(purgeDeletedAccounts(), { deleted: 1 });
+      assert.equal(userRow(), undefined);
+      assert.equal(userRow(other.user.id).status, 'pending_deletion');
+      const stats = getDb().prepare('SELECT COUNT(*) AS n FROM daily_stats WHERE user_id = ?').get(session.user.id);
+      assert.equal(stats.n, 0);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('achievements', () => {
+  let api;
+  let auth;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token } = await registerUser(api);
+    auth = bearer(token);
+  });
+
+  async function sync(date, overrides) {
+    const res = await api.post('/api/stats/sync').set(auth).send(statsFor(date, overrides));
+    assert.equal(res.status, 200);
+    return res.body.data.new_achievements.map((a) => a.key);
+  }
+
+  it('awards a badge once, in the sync that earned it', async () => {
+    assert.deepEqual(await sync(localDate(0), { total_unlocks: 2 }), []);
+    assert.deepEqual(await sync(localDate(-1), { total_unlocks: 0 }), ['zero_unlock_day']);
+    assert.deepEqual(await sync(localDate(-2), { total_unlocks: 0 }), []);
+  });
+
+  it("doesn't count today as a zero-unlock day before it's over", async () => {
+    assert.deepEqual(await sync(localDate(0), { total_unlocks: 0 }), []);
+  });
+
+  it('awards streak milestones', async () => {
+    const earned = [];
+    for (let offset = -6; offset <= 0; offset++) {
+      earned.push(...await sync(localDate(offset)));
+    }
+    assert.deepEqual(earned, ['streak_7']);
+  });
+
+  it('reports batch sync awards', async () => {
+    const res = await api.post('/api/stats/sync/batch').set(auth).send({
+      days: [statsFor('2026-03-02', { revision: 1, time_saved_seconds: 36000 })],
+    });
+
+    assert.deepEqual(res.body.data.new_achievements.map((a) => a.key), ['week_10h_saved']);
+  });
+
+  it('awards unlock-driven badges from POST /api/unlocks/log', async () => {
+    const log = () => api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 1800 });
+
+    assert.deepEqual((await log()).body.data.new_achievements, []);
+    const second = await log();
+    assert.equal(second.body.data.new_achievements[0].key, 'ad_patience_1h');
+    assert.ok(second.body.data.new_achievements[0].earned_at);
+  });
+
+  it('lists every achievement with progress', async () => {
+    await sync(localDate(-1));
+    await sync(localDate(0));
+
+    const res = await api.get('/api/achievements').set(auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.earned_count, 0);
+
+    const streak = res.body.data.achievements.find((a) => a.key === 'streak_7');
+    assert.deepEqual(streak.progress, { current: 2, target: 7, percent: 28 });
+    assert.equal(streak.earned, false);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('admin routes', () => {
+  let api;
+  let admin;
+  let alice;
+  let bob;
+
+  async function sync(session, date, timeSaved) {
+    const res = await api.post('/api/stats/sync').set(bearer(session.token))
+      .send(statsFor(date, { time_saved_seconds: timeSaved }));
+    assert.equal(res.status, 200);
+  }
+
+  function auditActions() {
+    return getDb().prepare('SELECT action, admin_id, target_id FROM admin_audit_log ORDER BY id').all();
+  }
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    admin = await registerUser(api, { username: 'admin' });
+    alice = await registerUser(api, { username: 'alice', display_name: 'Alice Smith' });
+    bob = await registerUser(api, { username: 'bob' });
+    getDb().prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(admin.user.id);
+  });
+
+  it('is limited to admins', async () => {
+    const anonymous = await api.get('/api/admin/users');
+    assert.equal(anonymous.status, 401);
+
+    const user = await api.get('/api/admin/stats').set(bearer(alice.token));
+    assert.equal(user.status, 403);
+  });
+
+  describe('GET /users', () => {
+    it('searches by username, email or display name', async () => {
+      const res = await api.get('/api/admin/users').set(bearer(admin.token)).query({ q: 'smith' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.total, 1);
+      assert.equal(res.body.data.users[0].username, 'alice');
+      assert.equal(res.body.data.users[0].password_hash, undefined);
+    });
+
+    it('filters by role and status and pages', async () => {
+      const admins = await api.get('/api/admin/users').set(bearer(admin.token)).query({ role: 'admin' });
+      assert.deepEqual(admins.body.data.users.map((u) => u.username), ['admin']);
+
+      const page = await api.get('/api/admin/users').set(bearer(admin.token)).query({ status: 'active', limit: 2 });
+      assert.equal(page.body.data.total, 3);
+      assert.deepEqual(page.body.data.users.map((u) => u.username), ['bob', 'alice']);
+      assert.equal(page.body.data.next_offset, 2);
+    });
+
+    it('treats LIKE wildcards literally', async () => {
+      const res = await api.get('/api/admin/users').set(bearer(admin.token)).query({ q: '%' });
+      assert.equal(res.body.data.total, 0);
+    });
+
+    it('validates filters', async () => {
+      const res = await api.get('/api/admin/users').set(bearer(admin.token)).query({ status: 'gone', limit: 0 });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['limit', 'status']);
+    });
+  });
+
+  it('GET /users/:id includes an activity summary', async () => {
+    await sync(alice, localDate(0), 300);
+
+    const res = await api.get(`/api/admin/users/${alice.user.id}`).set(bearer(admin.token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.activity.days_synced, 1);
+
+    const missing = await api.get('/api/admin/users/9999').set(bearer(admin.token));
+    assert.equal(missing.status, 404);
+  });
+
+  describe('suspension', () => {
+    it('signs the user out and blocks logging back in until lifted', async () => {
+      const res = await api.post(`/api/admin/users/${alice.user.id}/suspend`).set(bearer(admin.token))
+        .send({ reason: 'Spam' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'suspended');
+
+      const me = await api.get('/api/auth/me').set(bearer(alice.token));
+      assert.equal(me.status, 401);
+
+      const login = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+      assert.equal(login.status, 403);
+      assert.equal(login.body.error, 'This account has been suspended');
+
+      const lifted = await api.post(`/api/admin/users/${alice.user.id}/unsuspend`).set(bearer(admin.token));
+      assert.equal(lifted.status, 200);
+
+      const again = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+      assert.equal(again.status, 200);
+    });
+
+    it('leaves suspended users off the leaderboard', async () => {
+      await sync(alice, localDate(0), 300);
+      await sync(bob, localDate(0), 200);
+
+      await api.post(`/api/admin/users/${alice.user.id}/suspend`).set(bearer(admin.token));
+
+      const res = await api.get('/api/leaderboard');
+      assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['bob']);
+    });
+
+    it('refuses to suspend yourself or suspend twice', async () => {
+      const self = await api.post(`/api/admin/users/${admin.user.id}/suspend`).set(bearer(admin.token));
+      assert.equal(self.status, 400);
+
+      await api.post(`/api/admin/users/${alice.user.id}/suspend`).set(bearer(admin.token));
+      const twice = await api.post(`/api/admin/users/${alice.user.id}/suspend`).set(bearer(admin.token));
+      assert.equal(twice.status, 409);
+
+      const notSuspended = await api.post(`/api/admin/users/${bob.user.id}/unsuspend`).set(bearer(admin.token));
+      assert.equal(notSuspended.status, 409);
+    });
+  });
+
+  it('POST /users/:id/leaderboard/reset drops existing entries but keeps stats', async () => {
+    await sync(alice, localDate(0), 300);
+    await sync(bob, localDate(0), 200);
+    await api.post('/api/leaderboard/refresh').set(bearer(admin.token));
+
+    const res = await api.post(`/api/admin/users/${alice.user.id}/leaderboard/reset`).set(bearer(admin.token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.entries_removed, 1);
+    assert.equal(res.body.data.reset_on, localDate(0));
+
+    const board = await api.get('/api/leaderboard');
+    assert.deepEqual(board.body.data.leaderboard.map((e) => e.username), ['bob']);
+
+    const refresh = await api.post('/api/leaderboard/refresh').set(bearer(admin.token));
+    assert.equal(refresh.body.data.entries_cached, 1);
+
+    const history = await api.get('/api/stats/history').set(bearer(alice.token));
+    assert.equal(history.body.data.history.length, 1);
+  });
+
+  it('GET /stats reports user counts', async () => {
+    await api.post(`/api/admin/users/${bob.user.id}/suspend`).set(bearer(admin.token));
+    await sync(alice, localDate(0), 300);
+
+    const res = await api.get('/api/admin/stats').set(bearer(admin.token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.users.total, 3);
+    assert.equal(res.body.data.users.by_status.suspended, 1);
+    assert.equal(res.body.data.users.by_role.admin, 1);
+    assert.equal(res.body.data.activity.active_users_last_7_days, 1);
+    assert.ok(res.body.data.content.quotes > 0);
+  });
+
+  it('records every admin action in the audit log', async () => {
+    await api.post(`/api/admin/users/${alice.user.id}/suspend`).set(bearer(admin.token)).send({ reason: 'Spam' });
+    await api.post(`/api/admin/users/${alice.user.id}/unsuspend`).set(bearer(admin.token));
+    await api.post(`/api/admin/users/${bob.user.id}/leaderboard/reset`).set(bearer(admin.token));
+    await api.post('/api/leaderboard/refresh').set(bearer(admin.token));
+
+    assert.deepEqual(auditActions(), [
+      { action: 'user.suspend', admin_id: admin.user.id, target_id: alice.user.id },
+      { action: 'user.unsuspend', admin_id: admin.user.id, target_id: alice.user.id },
+      { action: 'user.leaderboard_reset', admin_id: admin.user.id, target_id: bob.user.id },
+      { action: 'leaderboard.refresh', admin_id: admin.user.id, target_id: null },
+    ]);
+
+    const res = await api.get('/api/admin/audit-log').set(bearer(admin.token)).query({ user_id: alice.user.id });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.entries.map((e) => e.action), ['user.unsuspend', 'user.suspend']);
+    assert.deepEqual(res.body.data.entries[1].details, { reason: 'Spam', previous_status: 'active' });
+    assert.equal(res.body.data.entries[1].admin_username, 'admin');
+  });
+});
@@ -0,0 +1,386 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer } from './helpers.js';
+
+function tokenFromMail(message) {
+  return message.text.match(/code in the app: (\S+)/)[1];
+}
+
+describe('auth routes', () => {
+  let api;
+  let mailbox;
+
+  beforeEach(() => {
+    ({ api, mailbox } = createTestApp());
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('creates a username-only account and returns a token pair', async () => {
+      const res = await api.post('/api/auth/register').send({ username: 'alice', password: 'password123' });
+
+      assert.equal(res.status, 201);
+      assert.ok(res.body.data.token);
+      assert.ok(res.body.data.refresh_token);
+      assert.equal(res.body.data.token_type, 'Bearer');
+      assert.equal(res.body.data.user.username, 'alice');
+      assert.equal(res.body.data.user.email, null);
+      assert.equal(res.body.data.user.display_name, 'alice');
+      assert.equal(mailbox.length, 0);
+    });
+
+    it('sends a verification email when an address is given', async () => {
+      const res = await api.post('/api/auth/register').send({
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'password123',
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.user.email_verified, false);
+      assert.equal(mailbox.length, 1);
+      assert.equal(mailbox[0].to, 'alice@example.com');
+    });
+
+    it("doesn't wait for the verification email to send", async () => {
+      const stalled = createTestApp({ mailer: { send: () => new Promise(() => {}) } });
+      const res = await stalled.api.post('/api/auth/register').send({
+        username: 'alice',
+        email: 'alice@example.com',
+        password: 'password123',
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.user.email_verified, false);
+    });
+
+    it('rejects duplicate usernames and emails', async () => {
+      await registerUser(api, { username: 'alice', email: 'alice@example.com' });
+
+      const sameName = await api.post('/api/auth/register').send({ username: 'ALICE', password: 'password123' });
+      assert.equal(sameName.status, 409);
+
+      const sameEmail = await api.post('/api/auth/register').send({
+        username: 'alice2',
+        email: 'alice@example.com',
+        password: 'password123',
+      });
+      assert.equal(sameEmail.status, 409);
+    });
+
+    it('reports every invalid field', async () => {
+      const res = await api.post('/api/auth/register').send({
+        username: 'a!',
+        email: 'not-an-email',
+        password: 'short',
+      });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Validation failed');
+      const fields = res.body.data.map((e) => e.field);
+      assert.ok(fields.includes('username'));
+      assert.ok(fields.includes('email'));
+      assert.ok(fields.includes('password'));
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+      await registerUser(api, { username: 'alice', email: 'alice@example.com' });
+    });
+
+    for (const [label, body] of [
+      ['identifier as username', { identifier: 'alice' }],
+      ['identifier as email', { identifier: 'Alice@Example.com' }],
+      ['legacy email field', { email: 'alice@example.com' }],
+      ['iOS username field', { username: 'alice' }],
+    ]) {
+      it(`accepts ${label}`, async () => {
+        const res = await api.post('/api/auth/login').send({ ...body, password: 'password123' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.user.username, 'alice');
+        assert.ok(res.body.data.refresh_token);
+      });
+    }
+
+    it('rejects a wrong password', async () => {
+      const res = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'wrong-password' });
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects an unknown account', async () => {
+      const res = await api.post('/api/auth/login').send({ identifier: 'nobody', password: 'password123' });
+      assert.equal(res.status, 401);
+    });
+
+    it('requires an identifier and password', async () => {
+      const res = await api.post('/api/auth/login').send({});
+      assert.equal(res.status, 400);
+      const fields = res.body.data.map((e) => e.field);
+      assert.deepEqual(fields.sort(), ['identifier', 'password']);
+    });
+
+    it('locks the account after repeated failures', async () => {
+      const statuses = [];
+      for (let i = 0; i < 5; i++) {
+        const res = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'wrong-password' });
+        statuses.push(res.status);
+      }
+      assert.deepEqual(statuses, [401, 401, 401, 401, 429]);
+
+      const locked = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+      assert.equal(locked.status, 429);
+      assert.ok(Number(locked.headers['retry-after']) > 0);
+    });
+
+    it('counts every failure when wrong passwords arrive at once', async () => {
+      // A costlier hash keeps the password checks running side by side
+      getDb().prepare(`UPDATE users SET password_hash = ? WHERE username = 'alice'`)
+        .run(bcrypt.hashSync('password123', 10));
+
+      const attempts = Array.from({ length: 8 }, () =>
+        api.post('/api/auth/login').send({ identifier: 'alice', password: 'wrong-password' }));
+      const statuses = (await Promise.all(attempts)).map((res) => res.status);
+      assert.ok(statuses.includes(429));
+
+      const { failed_login_attempts: failures } = getDb()
+        .prepare(`SELECT failed_login_attempts FROM users WHERE username = 'alice'`).get();
+      // Requests arriving once the account is locked are turned away uncounted
+      assert.ok(failures >= 5);
+
+      const locked = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+      assert.equal(locked.status, 429);
+    });
+  });
+
+  describe('authentication middleware', () => {
+    it('requires an Authorization header', async () => {
+      const res = await api.get('/api/auth/me');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Authorization header is required');
+    });
+
+    it('requires the Bearer scheme', async () => {
+      const res = await api.get('/api/auth/me').set('Authorization', 'Token abc');
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects malformed tokens', async () => {
+      const res = await api.get('/api/auth/me').set(bearer('not-a-jwt'));
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'Invalid token');
+    });
+  });
+
+  describe('profile', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await registerUser(api, { username: 'alice' });
+    });
+
+    it('returns the current user', async () => {
+      const res = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.username, 'alice');
+    });
+
+    it('updates the display name', async () => {
+      const res = await api.put('/api/auth/me').set(bearer(session.token)).send({ display_name: 'Alice A.' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.display_name, 'Alice A.');
+    });
+
+    it('rejects empty and invalid updates', async () => {
+      const empty = await api.put('/api/auth/me').set(bearer(session.token)).send({});
+      assert.equal(empty.status, 400);
+
+      const tooLong = await api.put('/api/auth/me').set(bearer(session.token)).send({ display_name: 'x'.repeat(51) });
+      assert.equal(tooLong.status, 400);
+    });
+
+    it('deletes the account', async () => {
+      const res = await api.delete('/api/auth/me').set(bearer(session.token));
+      assert.equal(res.status, 200);
+
+      const after = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(after.status, 401);
+    });
+  });
+
+  describe('refresh tokens and sessions', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await registerUser(api, { username: 'alice' });
+    });
+
+    it('rotates the refresh token', async () => {
+      const res = await api.post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+      assert.equal(res.status, 200);
+      assert.notEqual(res.body.data.refresh_token, session.refresh_token);
+
+      const me = await api.get('/api/auth/me').set(bearer(res.body.data.token));
+      assert.equal(me.status, 200);
+    });
+
+    it('revokes the whole family when a rotated token is reused', async () => {
+      const first = await api.post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+      const reuse = await api.post('/api/auth/refresh').send({ refresh_token: session.refresh_token });
+      assert.equal(reuse.status, 401);
+
+      const next = await api.post('/api/auth/refresh').send({ refresh_token: first.body.data.refresh_token });
+      assert.equal(next.status, 401);
+
+      const me = await api.get('/api/auth/me').set(bearer(first.body.data.token));
+      assert.equal(me.status, 401);
+    });
+
+    it('rejects unknown refresh tokens', async () => {
+      const res = await api.post('/api/auth/refresh').send({ refresh_token: 'nope' });
+      assert.equal(res.status, 401);
+
+      const missing = await api.post('/api/auth/refresh').send({});
+      assert.equal(missing.status, 400);
+    });
+
+    it('logs out on the server', async () => {
+      const res = await api.post('/api/auth/logout').send({ refresh_token: session.refresh_token });
+      assert.equal(res.status, 200);
+
+      const me = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(me.status, 401);
+    });
+
+    it('lists sessions and revokes other devices', async () => {
+      const phone = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+
+      const list = await api.get('/api/auth/sessions').set(bearer(session.token));
+      assert.equal(list.status, 200);
+      assert.equal(list.body.data.count, 2);
+      assert.equal(list.body.data.sessions.filter((s) => s.current).length, 1);
+
+      const revoke = await api.delete('/api/auth/sessions').set(bearer(session.token));
+      assert.equal(revoke.body.data.sessions_revoked, 1);
+
+      const phoneMe = await api.get('/api/auth/me').set(bearer(phone.body.data.token));
+      assert.equal(phoneMe.status, 401);
+
+      const stillIn = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(stillIn.status, 200);
+    });
+
+    it('revokes a single session by id', async () => {
+      const phone = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'password123' });
+      const list = await api.get('/api/auth/sessions').set(bearer(session.token));
+      const phoneSession = list.body.data.sessions.find((s) => !s.current);
+
+      const res = await api.delete(`/api/auth/sessions/${phoneSession.id}`).set(bearer(session.token));
+      assert.equal(res.status, 200);
+
+      const phoneMe = await api.get('/api/auth/me').set(bearer(phone.body.data.token));
+      assert.equal(phoneMe.status, 401);
+
+      const unknown = await api.delete(`/api/auth/sessions/${crypto.randomUUID()}`).set(bearer(session.token));
+      assert.equal(unknown.status, 404);
+
+      const invalid = await api.delete('/api/auth/sessions/not-a-uuid').set(bearer(session.token));
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('password and email flows', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await registerUser(api, { username: 'alice', email: 'alice@example.com' });
+    });
+
+    it('verifies the email address once', async () => {
+      const token = tokenFromMail(mailbox[0]);
+
+      const res = await api.post('/api/auth/email/verify').send({ token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.email_verified, true);
+
+      const again = await api.post('/api/auth/email/verify').send({ token });
+      assert.equal(again.status, 400);
+    });
+
+    it('resets a forgotten password and signs out every session', async () => {
+      const forgot = await api.post('/api/auth/password/forgot').send({ identifier: 'alice@example.com' });
+      assert.equal(forgot.status, 200);
+
+      const resetMail = mailbox.find((m) => m.subject.includes('Reset'));
+      const reset = await api.post('/api/auth/password/reset').send({
+        token: tokenFromMail(resetMail),
+        password: 'brand-new-password',
+      });
+      assert.equal(reset.status, 200);
+
+      const me = await api.get('/api/auth/me').set(bearer(session.token));
+      assert.equal(me.status, 401);
+
+      const login = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'brand-new-password' });
+      assert.equal(login.status, 200);
+    });
+
+    it('does not reveal whether an account exists', async () => {
+      const res = await api.post('/api/auth/password/forgot').send({ identifier: 'nobody@example.com' });
+      assert.equal(res.status, 200);
+      assert.equal(mailbox.length, 1);
+    });
+
+    it('answers the same when the reset email fails to send', async () => {
+      const failing = createTestApp({
+        mailer: { send: async () => { throw new Error('SMTP down'); } },
+      });
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        await registerUser(failing.api, { username: 'carol', email: 'carol@example.com' });
+        const res = await failing.api.post('/api/auth/password/forgot').send({ identifier: 'carol@example.com' });
+        assert.equal(res.status, 200);
+      } finally {
+        console.error = originalError;
+      }
+    });
+
+    it('rejects invalid reset tokens', async () => {
+      const res = await api.post('/api/auth/password/reset').send({ token: 'bogus', password: 'brand-new-password' });
+      assert.equal(res.status, 400);
+    });
+
+    it('changes the password when the current one is right', async () => {
+      const wrong = await api.put('/api/auth/me/password').set(bearer(session.token)).send({
+        current_password: 'incorrect',
+        new_password: 'brand-new-password',
+      });
+      assert.equal(wrong.status, 400);
+
+      const res = await api.put('/api/auth/me/password').set(bearer(session.token)).send({
+        current_password: 'password123',
+        new_password: 'brand-new-password',
+      });
+      assert.equal(res.status, 200);
+
+      const login = await api.post('/api/auth/login').send({ identifier: 'alice', password: 'brand-new-password' });
+      assert.equal(login.status, 200);
+    });
+  });
+
+  describe('mail configuration', () => {
+    it('refuses to start in production without a real mail transport', () => {
+      const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.MAIL_TRANSPORT;
+      try {
+        assert.throws(() => createTestApp({ mailer: undefined }), /MAIL_TRANSPORT/);
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (MAIL_TRANSPORT !== undefined) process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+      }
+    });
+  });
+});
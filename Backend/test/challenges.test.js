@@ -0,0 +1,180 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('challenges routes', () => {
+  let api;
+  let owner;
+  let member;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    owner = await registerUser(api, { username: 'owner' });
+    member = await registerUser(api, { username: 'member' });
+  });
+
+  async function create(overrides = {}) {
+    const res = await api.post('/api/challenges').set(bearer(owner.token)).send({
+      name: 'Fewer unlocks',
+      goal_metric: 'total_unlocks',
+      goal_comparison: 'at_most',
+      goal_value: 20,
+      start_date: localDate(-2),
+      end_date: localDate(11),
+      ...overrides,
+    });
+    assert.equal(res.status, 201);
+    return res.body.data.challenge;
+  }
+
+  async function join(session, challenge) {
+    const res = await api.post('/api/challenges/join').set(bearer(session.token)).send({ code: challenge.join_code });
+    assert.equal(res.status, 200);
+  }
+
+  async function sync(session, date, overrides) {
+    await api.post('/api/stats/sync').set(bearer(session.token)).send(statsFor(date, overrides));
+  }
+
+  it('creates a challenge and makes the creator its owner', async () => {
+    const challenge = await create();
+    assert.equal(challenge.status, 'active');
+    assert.equal(challenge.goal_period, 'daily');
+    assert.match(challenge.join_code, /^[0-9A-F]{8}$/);
+
+    const list = await api.get('/api/challenges').set(bearer(owner.token));
+    assert.equal(list.body.data.challenges[0].role, 'owner');
+  });
+
+  it('validates the goal and dates', async () => {
+    const res = await api.post('/api/challenges').set(bearer(owner.token)).send({
+      name: 'Bad',
+      goal_metric: 'password_hash',
+      goal_comparison: 'exactly',
+      goal_value: -1,
+      start_date: '2026-03-10',
+      end_date: '2026-03-01',
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['end_date', 'goal_comparison', 'goal_metric', 'goal_value']);
+  });
+
+  it('joins by code and leaves', async () => {
+    const challenge = await create();
+    await join(member, challenge);
+
+    const again = await api.post('/api/challenges/join').set(bearer(member.token)).send({ code: challenge.join_code });
+    assert.equal(again.status, 409);
+
+    const leave = await api.post(`/api/challenges/${challenge.id}/leave`).set(bearer(member.token));
+    assert.equal(leave.status, 200);
+
+    const ownerLeave = await api.post(`/api/challenges/${challenge.id}/leave`).set(bearer(owner.token));
+    assert.equal(ownerLeave.status, 400);
+  });
+
+  it('hides challenges from non-members', async () => {
+    const challenge = await create();
+    const res = await api.get(`/api/challenges/${challenge.id}`).set(bearer(member.token));
+    assert.equal(res.status, 404);
+  });
+
+  it('lists members under their alias', async () => {
+    const challenge = await create();
+    await join(member, challenge);
+    const profile = await api.put('/api/auth/me').set(bearer(member.token)).send({ show_alias: true });
+
+    const res = await api.get(`/api/challenges/${challenge.id}`).set(bearer(owner.token));
+    const listed = res.body.data.members.find((m) => m.user_id === member.user.id);
+    assert.equal(listed.username, profile.body.data.user.alias);
+    assert.equal(listed.display_name, null);
+  });
+
+  it('lets only the owner and admins manage the challenge', async () => {
+    const challenge = await create();
+    await join(member, challenge);
+
+    const denied = await api.put(`/api/challenges/${challenge.id}`).set(bearer(member.token)).send({ name: 'Mine' });
+    assert.equal(denied.status, 403);
+
+    const promoted = await api.put(`/api/challenges/${challenge.id}/members/${member.user.id}`)
+      .set(bearer(owner.token)).send({ role: 'admin' });
+    assert.equal(promoted.body.data.member.role, 'admin');
+
+    const renamed = await api.put(`/api/challenges/${challenge.id}`).set(bearer(member.token)).send({ name: 'Ours' });
+    assert.equal(renamed.body.data.challenge.name, 'Ours');
+
+    const deleteByAdmin = await api.delete(`/api/challenges/${challenge.id}`).set(bearer(member.token));
+    assert.equal(deleteByAdmin.status, 403);
+  });
+
+  it('ranks members by progress on a daily goal', async () => {
+    const challenge = await create();
+    await join(member, challenge);
+
+    // Owner meets the goal on both finished days, member on one
+    for (const offset of [-2, -1]) {
+      await sync(owner, localDate(offset), { total_unlocks: 5 });
+    }
+    await sync(member, localDate(-2), { total_unlocks: 10 });
+    await sync(member, localDate(-1), { total_unlocks: 40 });
+
+    const res = await api.get(`/api/challenges/${challenge.id}/leaderboard`).set(bearer(member.token));
+    assert.equal(res.body.data.elapsed_days, 2);
+    assert.deepEqual(
+      res.body.data.leaderboard.map((e) => [e.username, e.rank, e.days_met, e.progress_percent]),
+      [['owner', 1, 2, 100], ['member', 2, 1, 50]]
+    );
+  });
+
+  it("doesn't count today, which may be partly synced, as a finished day", async () => {
+    const challenge = await create({ start_date: localDate(-1) });
+    await join(member, challenge);
+
+    await sync(member, localDate(-1), { total_unlocks: 40 });
+    // Only the morning has synced so far
+    await sync(member, localDate(0), { total_unlocks: 2 });
+
+    const res = await api.get(`/api/challenges/${challenge.id}/leaderboard`).set(bearer(member.token));
+    assert.equal(res.body.data.elapsed_days, 1);
+    const entry = res.body.data.leaderboard.find((e) => e.username === 'member');
+    assert.deepEqual([entry.days_met, entry.progress_percent, entry.metric_total], [0, 0, 40]);
+  });
+
+  it('does not count a member without synced stats as meeting an at_most total', async () => {
+    const challenge = await create({ goal_period: 'total', goal_value: 50 });
+    await join(member, challenge);
+    await sync(owner, localDate(-1), { total_unlocks: 20 });
+
+    const res = await api.get(`/api/challenges/${challenge.id}/leaderboard`).set(bearer(owner.token));
+    assert.deepEqual(
+      res.body.data.leaderboard.map((e) => [e.username, e.rank, e.progress_percent, e.goal_met]),
+      [['owner', 1, 100, true], ['member', 2, 0, false]]
+    );
+  });
+
+  it('reports final results once finished', async () => {
+    const active = await create();
+    const early = await api.get(`/api/challenges/${active.id}/results`).set(bearer(owner.token));
+    assert.equal(early.status, 409);
+
+    const challenge = await create({
+      goal_metric: 'time_saved_seconds',
+      goal_comparison: 'at_least',
+      goal_value: 1000,
+      goal_period: 'total',
+      start_date: localDate(-5),
+      end_date: localDate(-1),
+    });
+
+    await sync(owner, localDate(-3), { time_saved_seconds: 600 });
+    await sync(owner, localDate(-2), { time_saved_seconds: 600 });
+
+    const res = await api.get(`/api/challenges/${challenge.id}/results`).set(bearer(owner.token));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.completed_count, 1);
+    assert.deepEqual(res.body.data.winners, [owner.user.id]);
+    assert.equal(res.body.data.results[0].metric_total, 1200);
+  });
+});
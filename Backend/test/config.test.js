@@ -0,0 +1,270 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer } from './helpers.js';
+import { createGroup as createGroupFor } from '../services/userConfig.js';
+
+describe('config routes', () => {
+  let api;
+  let auth;
+  let userId;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token, user } = await registerUser(api);
+    auth = bearer(token);
+    userId = user.id;
+  });
+
+  function createGroup(fields = {}) {
+    return api.post('/api/config/groups').set(auth).send({
+      name: 'Social',
+      apps: [{ app_name: 'Instagram', token_data: 'abc=' }, { app_name: 'TikTok' }],
+      ...fields,
+    });
+  }
+
+  function createSchedule(fields = {}) {
+    return api.post('/api/config/schedules').set(auth).send({
+      name: 'Work hours',
+      days_of_week: [1, 2, 3, 4, 5],
+      time_ranges: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:30' }],
+      ...fields,
+    });
+  }
+
+  describe('app groups', () => {
+    it('creates a group with its apps', async () => {
+      const res = await createGroup();
+
+      assert.equal(res.status, 201);
+      const { group } = res.body.data;
+      assert.equal(group.name, 'Social');
+      assert.equal(group.is_enabled, true);
+      assert.deepEqual(group.apps.map((app) => app.app_name), ['Instagram', 'TikTok']);
+      assert.equal(group.apps[0].token_data, 'abc=');
+      assert.equal(group.unlock_rules, null);
+    });
+
+    it('rejects duplicate names and duplicate apps', async () => {
+      await createGroup();
+      assert.equal((await createGroup()).status, 409);
+
+      const res = await createGroup({ name: 'Games', apps: [{ app_name: 'Chess' }, { app_name: 'Chess' }] });
+      assert.equal(res.status, 400);
+
+      const padded = await createGroup({ name: 'Games', apps: [{ app_name: 'Chess' }, { app_name: 'Chess ' }] });
+      assert.equal(padded.status, 400);
+      assert.equal(padded.body.data[0].field, 'apps');
+    });
+
+    it('tells a duplicate app apart from a duplicate group name', () => {
+      const result = createGroupFor(userId, { name: 'Games', apps: [{ app_name: 'Chess' }, { app_name: 'Chess' }] });
+      assert.deepEqual(result, { error: 'duplicate_app' });
+    });
+
+    it('updates apps and unlock rules, and clears the rules with null', async () => {
+      const { body } = await createGroup();
+      const id = body.data.group.id;
+
+      const updated = await api.put(`/api/config/groups/${id}`).set(auth).send({
+        apps: [{ app_name: 'Reddit', is_enabled: false }],
+        unlock_rules: { tiers: [120, 600], access_seconds: 300 },
+      });
+      assert.equal(updated.status, 200);
+      assert.deepEqual(updated.body.data.group.apps, [{ app_name: 'Reddit', token_data: null, is_enabled: false }]);
+      assert.deepEqual(updated.body.data.group.unlock_rules, {
+        tiers: [120, 600],
+        reset_window_minutes: null,
+        access_seconds: 300,
+      });
+
+      const cleared = await api.put(`/api/config/groups/${id}`).set(auth).send({ unlock_rules: null });
+      assert.equal(cleared.body.data.group.unlock_rules, null);
+      assert.equal(cleared.body.data.group.name, 'Social');
+    });
+
+    it('validates unlock rules', async () => {
+      const res = await createGroup({ unlock_rules: { tiers: [], access_seconds: 5 } });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        res.body.data.map((e) => e.field).sort(),
+        ['unlock_rules.access_seconds', 'unlock_rules.tiers']
+      );
+    });
+
+    it('hides other users\' groups', async () => {
+      const { body } = await createGroup();
+      const other = await registerUser(api);
+
+      const res = await api.get(`/api/config/groups/${body.data.group.id}`).set(bearer(other.token));
+      assert.equal(res.status, 404);
+      const del = await api.delete(`/api/config/groups/${body.data.group.id}`).set(bearer(other.token));
+      assert.equal(del.status, 404);
+    });
+  });
+
+  describe('focus schedules', () => {
+    it('creates a schedule linked to groups', async () => {
+      const group = await createGroup();
+      const res = await createSchedule({ group_ids: [group.body.data.group.id] });
+
+      assert.equal(res.status, 201);
+      const { schedule } = res.body.data;
+      assert.deepEqual(schedule.days_of_week, [1, 2, 3, 4, 5]);
+      assert.equal(schedule.time_ranges.length, 2);
+      assert.deepEqual(schedule.group_ids, [group.body.data.group.id]);
+    });
+
+    it('allows ranges that run past midnight', async () => {
+      const res = await createSchedule({ name: 'Night', days_of_week: [0, 6], time_ranges: [{ start: '22:00', end: '07:00' }] });
+      assert.equal(res.status, 201);
+    });
+
+    it('validates days and times', async () => {
+      const res = await createSchedule({
+        days_of_week: [1, 1, 9],
+        time_ranges: [{ start: '25:00', end: '10:00' }, { start: '10:00', end: '10:00' }],
+      });
+
+      assert.equal(res.status, 400);
+      const fields = res.body.data.map((e) => e.field);
+      assert.ok(fields.includes('days_of_week'));
+      assert.ok(fields.includes('days_of_week[2]'));
+      assert.ok(fields.includes('time_ranges[0].start'));
+      assert.ok(fields.includes('time_ranges[1]'));
+    });
+
+    it('only links the user\'s own groups', async () => {
+      const other = await registerUser(api);
+      const theirs = await api.post('/api/config/groups').set(bearer(other.token)).send({ name: 'Theirs' });
+
+      const res = await createSchedule({ group_ids: [theirs.body.data.group.id] });
+      assert.equal(res.status, 400);
+    });
+
+    it('updates some fields and unlinks deleted groups', async () => {
+      const group = await createGroup();
+      const { body } = await createSchedule({ group_ids: [group.body.data.group.id] });
+      const id = body.data.schedule.id;
+
+      const res = await api.put(`/api/config/schedules/${id}`).set(auth).send({ days_of_week: [6] });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.schedule.days_of_week, [6]);
+      assert.equal(res.body.data.schedule.time_ranges.length, 2);
+
+      await api.delete(`/api/config/groups/${group.body.data.group.id}`).set(auth);
+      const after = await api.get(`/api/config/schedules/${id}`).set(auth);
+      assert.deepEqual(after.body.data.schedule.group_ids, []);
+    });
+  });
+
+  describe('versioning', () => {
+    it('returns the whole configuration with an ETag', async () => {
+      await createGroup();
+      await createSchedule();
+
+      const res = await api.get('/api/config').set(auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.etag, '"2"');
+      assert.equal(res.body.data.version, 2);
+      assert.equal(res.body.data.groups.length, 1);
+      assert.equal(res.body.data.schedules.length, 1);
+    });
+
+    it('answers conditional GETs with 304 until something changes', async () => {
+      const first = await api.get('/api/config').set(auth);
+
+      const unchanged = await api.get('/api/config').set(auth).set('If-None-Match', first.headers.etag);
+      assert.equal(unchanged.status, 304);
+
+      await createGroup();
+      const changed = await api.get('/api/config/groups').set(auth).set('If-None-Match', first.headers.etag);
+      assert.equal(changed.status, 200);
+      assert.notEqual(changed.headers.etag, first.headers.etag);
+    });
+
+    it('rejects writes based on a stale version', async () => {
+      const { body, headers } = await createGroup();
+      const staleEtag = headers.etag;
+
+      await api.put(`/api/config/groups/${body.data.group.id}`).set(auth).set('If-Match', staleEtag).send({ name: 'Fun' });
+
+      const res = await api.put(`/api/config/groups/${body.data.group.id}`).set(auth)
+        .set('If-Match', staleEtag)
+        .send({ name: 'Feeds' });
+      assert.equal(res.status, 412);
+      assert.equal(res.body.data.version, 2);
+
+      const group = await api.get(`/api/config/groups/${body.data.group.id}`).set(auth);
+      assert.equal(group.body.data.group.name, 'Fun');
+    });
+
+    it('does not bump the version for failed writes', async () => {
+      await createGroup();
+      await createGroup();
+
+      const res = await api.get('/api/config').set(auth);
+      assert.equal(res.body.data.version, 1);
+    });
+
+    it('keeps versions per user', async () => {
+      await createGroup();
+      const other = await registerUser(api);
+
+      const res = await api.get('/api/config').set(bearer(other.token));
+      assert.equal(res.body.data.version, 0);
+    });
+  });
+
+  describe('unlock attribution', () => {
+    it('attributes unlocks to the group blocking the app and applies its rules', async () => {
+      const { body } = await createGroup({ unlock_rules: { tiers: [15] } });
+      const groupId = body.data.group.id;
+
+      const quote = await api.post('/api/unlocks/quote').set(auth).send({ app_name: 'Instagram' });
+      assert.equal(quote.body.data.quote.group_id, groupId);
+      assert.equal(quote.body.data.quote.required_ad_seconds, 15);
+      assert.equal(quote.body.data.quote.access_seconds, 900);
+
+      const logged = await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 15 });
+      assert.equal(logged.body.data.session.group_id, groupId);
+      assert.equal(logged.body.data.session.required_ad_seconds, 15);
+
+      const outside = await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Safari', ad_duration_seconds: 60 });
+      assert.equal(outside.body.data.session.group_id, null);
+    });
+
+    it('accepts an explicit group, but only the user\'s own', async () => {
+      const { body } = await createGroup({ name: 'Games', apps: [] });
+
+      const res = await api.post('/api/unlocks/log').set(auth).send({
+        app_name: 'Chess', ad_duration_seconds: 60, group_id: body.data.group.id,
+      });
+      assert.equal(res.body.data.session.group_id, body.data.group.id);
+
+      const other = await registerUser(api);
+      const denied = await api.post('/api/unlocks/log').set(bearer(other.token)).send({
+        app_name: 'Chess', ad_duration_seconds: 60, group_id: body.data.group.id,
+      });
+      assert.equal(denied.status, 404);
+    });
+
+    it('filters and breaks down unlocks by group', async () => {
+      const { body } = await createGroup();
+      const groupId = body.data.group.id;
+      await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 60 });
+      await api.post('/api/unlocks/log').set(auth).send({ app_name: 'TikTok', ad_duration_seconds: 60 });
+      await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Safari', ad_duration_seconds: 60 });
+
+      const recent = await api.get(`/api/unlocks/recent?group_id=${groupId}`).set(auth);
+      assert.equal(recent.body.data.count, 2);
+
+      const stats = await api.get('/api/unlocks/stats').set(auth);
+      const social = stats.body.data.by_group.find((row) => row.group_id === groupId);
+      assert.equal(social.group_name, 'Social');
+      assert.equal(social.unlock_count, 2);
+      assert.equal(stats.body.data.by_group.find((row) => row.group_id === null).unlock_count, 1);
+    });
+  });
+});
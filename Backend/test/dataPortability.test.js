@@ -0,0 +1,264 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { readZip, createZip } from '../utils/zip.js';
+import { createTestApp, registerUser, bearer, statsFor } from './helpers.js';
+
+// Collect binary response bodies (the zip export) into a Buffer
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('account export and import', () => {
+  let api;
+  let auth;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token } = await registerUser(api, { display_name: 'Source', timezone: 'Europe/Berlin' });
+    auth = bearer(token);
+  });
+
+  async function seedAccount() {
+    const device = await api.post('/api/devices').set(auth).send({ device_uid: 'phone-1', name: 'iPhone' });
+    await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02'), device_id: device.body.data.device.id });
+    await api.post('/api/stats/sync').set(auth).send(statsFor('2026-03-03', { time_saved_seconds: 900 }));
+
+    const group = await api.post('/api/config/groups').set(auth).send({
+      name: 'Social',
+      apps: [{ app_name: 'Instagram' }],
+      unlock_rules: { tiers: [30] },
+    });
+    await api.post('/api/config/schedules').set(auth).send({
+      name: 'Evenings',
+      days_of_week: [1, 2],
+      time_ranges: [{ start: '19:00', end: '23:00' }],
+      group_ids: [group.body.data.group.id],
+    });
+    await api.put('/api/unlocks/policy').set(auth).send({ tiers: [45, 90] });
+
+    const unlock = await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 30 });
+    await api.post(`/api/unlocks/${unlock.body.data.session.id}/extend`).set(auth).send({ ad_duration_seconds: 30 });
+    await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Safari', ad_duration_seconds: 45 });
+
+    getDb().prepare(
+      `INSERT INTO user_achievements (user_id, achievement_key) SELECT id, 'streak_7' FROM users WHERE display_name = 'Source'`
+    ).run();
+  }
+
+  describe('GET /api/auth/me/export', () => {
+    it('exports everything as a JSON archive', async () => {
+      await seedAccount();
+      const res = await api.get('/api/auth/me/export').set(auth);
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-disposition'], /attachment; filename="screenbreak-export-user\d+-\d{4}-\d{2}-\d{2}\.json"/);
+      const archive = res.body;
+      assert.equal(archive.format, 'screenbreak-export');
+      assert.equal(archive.version, 1);
+      assert.equal(archive.profile.display_name, 'Source');
+      assert.equal(archive.profile.password_hash, undefined);
+      assert.equal(archive.devices.length, 1);
+      assert.equal(archive.daily_stats.length, 2);
+      assert.equal(archive.unlock_sessions.length, 2);
+      assert.equal(archive.unlock_extensions.length, 1);
+      assert.deepEqual(archive.achievements.map((a) => a.achievement_key), ['streak_7']);
+      assert.deepEqual(archive.settings.unlock_policy.tiers, [45, 90]);
+      assert.equal(archive.settings.app_groups[0].name, 'Social');
+      assert.equal(archive.settings.focus_schedules[0].name, 'Evenings');
+    });
+
+    it('exports a zip of CSVs alongside the JSON archive', async () => {
+      await seedAccount();
+      const res = await api.get('/api/auth/me/export?format=csv').set(auth).buffer(true).parse(binaryParser);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-type'], 'application/zip');
+      const files = readZip(res.body);
+      assert.deepEqual([...files.keys()].sort(), [
+        'achievements.csv', 'daily_stats.csv', 'devices.csv', 'export.json', 'leaderboard_entries.csv',
+        'profile.csv', 'unlock_extensions.csv', 'unlock_sessions.csv',
+      ]);
+
+      const lines = files.get('daily_stats.csv').toString('utf8').trim().split('\r\n');
+      assert.equal(lines[0], 'device_id,date,total_unlocks,total_ad_time_seconds,apps_blocked_count,time_saved_seconds,revision,updated_at');
+      assert.equal(lines.length, 3);
+    });
+
+    it('quotes CSV cells that need it', async () => {
+      await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Say "hi", friend', ad_duration_seconds: 60 });
+      const res = await api.get('/api/auth/me/export?format=csv').set(auth).buffer(true).parse(binaryParser);
+
+      const csv = readZip(res.body).get('unlock_sessions.csv').toString('utf8');
+      assert.ok(csv.includes('"Say ""hi"", friend"'));
+    });
+  });
+
+  describe('POST /api/auth/me/import', () => {
+    it('restores an archive into a fresh account', async () => {
+      await seedAccount();
+      const { body: archive } = await api.get('/api/auth/me/export').set(auth);
+
+      const fresh = await registerUser(api);
+      const freshAuth = bearer(fresh.token);
+      const res = await api.post('/api/auth/me/import').set(freshAuth).send(archive);
+
+      assert.equal(res.status, 200);
+      const { summary } = res.body.data;
+      assert.equal(summary.profile.updated, true);
+      assert.deepEqual(summary.daily_stats, { imported: 2, skipped: 0 });
+      assert.deepEqual(summary.unlock_sessions, { imported: 2, skipped: 0 });
+      assert.deepEqual(summary.unlock_extensions, { imported: 1, skipped: 0 });
+      assert.deepEqual(summary.achievements, { imported: 0, skipped: 1 });
+
+      const me = await api.get('/api/auth/me').set(freshAuth);
+      assert.equal(me.body.data.user.display_name, 'Source');
+      assert.equal(me.body.data.user.timezone, 'Europe/Berlin');
+
+      const restored = await api.get('/api/auth/me/export').set(freshAuth);
+      assert.equal(restored.body.devices[0].device_uid, 'phone-1');
+      assert.equal(restored.body.daily_stats.find((d) => d.date === '2026-03-02').device_id, restored.body.devices[0].id);
+      assert.deepEqual(restored.body.settings.unlock_policy.tiers, [45, 90]);
+      assert.deepEqual(restored.body.settings.focus_schedules[0].group_ids, [restored.body.settings.app_groups[0].id]);
+      const instagram = restored.body.unlock_sessions.find((s) => s.app_name === 'Instagram');
+      assert.equal(instagram.group_id, restored.body.settings.app_groups[0].id);
+      assert.equal(restored.body.unlock_extensions[0].session_id, instagram.id);
+      assert.deepEqual(restored.body.achievements, []);
+    });
+
+    it('skips rows the account already has', async () => {
+      await seedAccount();
+      const { body: archive } = await api.get('/api/auth/me/export').set(auth);
+
+      const res = await api.post('/api/auth/me/import').set(auth).send(archive);
+
+      const { summary } = res.body.data;
+      assert.equal(summary.profile.updated, false);
+      for (const section of ['devices', 'daily_stats', 'app_groups', 'focus_schedules', 'unlock_sessions', 'unlock_extensions', 'achievements']) {
+        assert.equal(summary[section].imported, 0, section);
+      }
+      assert.equal(summary.unlock_sessions.skipped, 2);
+
+      const stats = await api.get('/api/unlocks/stats').set(auth);
+      assert.equal(stats.body.data.overall.total_unlocks, 2);
+    });
+
+    it('earns achievements from the restored data instead of copying them', async () => {
+      const res = await api.post('/api/auth/me/import').set(auth).send({
+        format: 'screenbreak-export',
+        version: 1,
+        daily_stats: [{ ...statsFor('2026-03-01', { total_unlocks: 0 }), device_id: 0 }],
+        achievements: [{ achievement_key: 'total_100h_saved', earned_at: '2026-01-01 00:00:00' }],
+      });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.summary.achievements, { imported: 0, skipped: 1 });
+      assert.deepEqual(res.body.data.new_achievements.map((a) => a.key), ['zero_unlock_day']);
+
+      const achievements = await api.get('/api/auth/me/export').set(auth);
+      assert.deepEqual(achievements.body.achievements.map((a) => a.achievement_key), ['zero_unlock_day']);
+    });
+
+    it("rejects device and stats timestamps that aren't ISO 8601", async () => {
+      const res = await api.post('/api/auth/me/import').set(auth).send({
+        format: 'screenbreak-export',
+        version: 1,
+        devices: [{ id: 1, device_uid: 'phone-1', name: 'Phone', created_at: 'yesterday', last_seen_at: 'soon' }],
+        daily_stats: [{ ...statsFor('2026-03-01'), updated_at: '2026-W40-1' }],
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        res.body.data.map((e) => e.field).sort(),
+        ['daily_stats[0].updated_at', 'devices[0].created_at', 'devices[0].last_seen_at']
+      );
+    });
+
+    it('normalizes timestamps so re-imports match', async () => {
+      const archive = (unlocked_at) => ({
+        format: 'screenbreak-export',
+        version: 1,
+        unlock_sessions: [{ id: 1, app_name: 'Instagram', ad_duration_seconds: 30, unlocked_at, expires_at: null }],
+      });
+
+      const first = await api.post('/api/auth/me/import').set(auth).send(archive('2026-03-01T10:00:00+02:00'));
+      assert.deepEqual(first.body.data.summary.unlock_sessions, { imported: 1, skipped: 0 });
+      const again = await api.post('/api/auth/me/import').set(auth).send(archive('2026-03-01 08:00:00'));
+      assert.deepEqual(again.body.data.summary.unlock_sessions, { imported: 0, skipped: 1 });
+
+      const { body } = await api.get('/api/auth/me/export').set(auth);
+      assert.equal(body.unlock_sessions[0].unlocked_at, '2026-03-01 08:00:00');
+
+      const week = await api.post('/api/auth/me/import').set(auth).send(archive('2026-W40-1'));
+      assert.equal(week.status, 400);
+    });
+
+    it('imports the zip export', async () => {
+      await seedAccount();
+      const { body: zip } = await api.get('/api/auth/me/export?format=csv').set(auth).buffer(true).parse(binaryParser);
+
+      const fresh = await registerUser(api);
+      const res = await api.post('/api/auth/me/import')
+        .set(bearer(fresh.token))
+        .set('Content-Type', 'application/zip')
+        .send(zip);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.summary.unlock_sessions, { imported: 2, skipped: 0 });
+    });
+
+    it('does not carry over ad verification', async () => {
+      await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 60 });
+      const { body: archive } = await api.get('/api/auth/me/export').set(auth);
+      archive.unlock_sessions[0].verified = 1;
+
+      const fresh = await registerUser(api);
+      await api.post('/api/auth/me/import').set(bearer(fresh.token)).send(archive);
+
+      const recent = await api.get('/api/unlocks/recent').set(bearer(fresh.token));
+      assert.equal(recent.body.data.sessions[0].verified, 0);
+    });
+
+    it('validates the archive', async () => {
+      const res = await api.post('/api/auth/me/import').set(auth).send({
+        format: 'something-else',
+        version: 99,
+        daily_stats: [{ date: 'yesterday', total_unlocks: -1 }],
+      });
+
+      assert.equal(res.status, 400);
+      const fields = res.body.data.map((e) => e.field);
+      for (const field of ['format', 'version', 'daily_stats[0].date', 'daily_stats[0].total_unlocks']) {
+        assert.ok(fields.includes(field), field);
+      }
+    });
+
+    it('rejects zips without an archive', async () => {
+      const notAnExport = createZip([{ name: 'notes.txt', data: 'hello' }]);
+      const res = await api.post('/api/auth/me/import').set(auth).set('Content-Type', 'application/zip').send(notAnExport);
+      assert.equal(res.status, 400);
+
+      const garbage = await api.post('/api/auth/me/import').set(auth).set('Content-Type', 'application/zip').send(Buffer.from('nope'));
+      assert.equal(garbage.status, 400);
+    });
+
+    it('authenticates before reading the upload', async () => {
+      const res = await api.post('/api/auth/me/import').set('Content-Type', 'application/json').send('{"format": ');
+      assert.equal(res.status, 401);
+    });
+
+    it('accepts archives over the usual body limit', async () => {
+      const daily_stats = [];
+      for (let i = 0; i < 6000; i++) {
+        const date = new Date(Date.UTC(2000, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+        daily_stats.push({ ...statsFor(date), device_id: 0, revision: 0, updated_at: null, padding: 'x'.repeat(100) });
+      }
+
+      const res = await api.post('/api/auth/me/import').set(auth).send({ format: 'screenbreak-export', version: 1, daily_stats });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.summary.daily_stats.imported, 6000);
+    });
+  });
+});
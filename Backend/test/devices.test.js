@@ -0,0 +1,156 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, statsFor } from './helpers.js';
+
+describe('devices routes', () => {
+  let api;
+  let auth;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token } = await registerUser(api);
+    auth = bearer(token);
+  });
+
+  async function registerDevice(deviceUid, name = 'iPhone') {
+    const res = await api.post('/api/devices').set(auth).send({
+      device_uid: deviceUid,
+      name,
+      platform: 'ios',
+    });
+    return res.body.data.device;
+  }
+
+  describe('POST /api/devices', () => {
+    it('registers a device once per device_uid', async () => {
+      const first = await api.post('/api/devices').set(auth).send({ device_uid: 'uid-1', name: 'iPhone' });
+      assert.equal(first.status, 201);
+
+      const again = await api.post('/api/devices').set(auth).send({ device_uid: 'uid-1', name: 'Other name' });
+      assert.equal(again.status, 200);
+      assert.equal(again.body.data.device.id, first.body.data.device.id);
+      assert.equal(again.body.data.device.name, 'iPhone');
+
+      const list = await api.get('/api/devices').set(auth);
+      assert.equal(list.body.data.count, 1);
+    });
+
+    it('requires a device_uid', async () => {
+      const res = await api.post('/api/devices').set(auth).send({ name: 'iPhone' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('PUT /api/devices/:id', () => {
+    it('renames a device', async () => {
+      const device = await registerDevice('uid-1');
+      const res = await api.put(`/api/devices/${device.id}`).set(auth).send({ name: 'iPad' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.device.name, 'iPad');
+    });
+
+    it("can't touch another user's device", async () => {
+      const device = await registerDevice('uid-1');
+      const other = await registerUser(api);
+
+      const res = await api.put(`/api/devices/${device.id}`).set(bearer(other.token)).send({ name: 'Mine' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('per-device stats', () => {
+    it('sums devices syncing the same day instead of overwriting', async () => {
+      const phone = await registerDevice('uid-phone');
+      const tablet = await registerDevice('uid-tablet', 'iPad');
+
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { total_unlocks: 3 }), device_id: phone.id });
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { total_unlocks: 5 }), device_id: tablet.id });
+
+      const history = await api.get('/api/stats/history').set(auth);
+      assert.equal(history.body.data.count, 1);
+      assert.equal(history.body.data.history[0].total_unlocks, 8);
+      assert.equal(history.body.data.history[0].device_count, 2);
+      assert.equal(history.body.data.history[0].id, null);
+
+      const summary = await api.get('/api/stats/summary').set(auth);
+      assert.equal(summary.body.data.totals.days_tracked, 1);
+      assert.equal(summary.body.data.totals.total_unlocks, 8);
+    });
+
+    it('filters reads by device_id', async () => {
+      const phone = await registerDevice('uid-phone');
+      const tablet = await registerDevice('uid-tablet', 'iPad');
+
+      await api.post('/api/stats/sync/batch').set(auth).send({
+        device_id: phone.id,
+        days: [statsFor('2026-03-02', { revision: 1, total_unlocks: 3 })],
+      });
+      await api.post('/api/stats/sync/batch').set(auth).send({
+        device_id: tablet.id,
+        days: [statsFor('2026-03-02', { revision: 1, total_unlocks: 5 })],
+      });
+
+      const res = await api.get('/api/stats/history').query({ device_id: tablet.id }).set(auth);
+      assert.equal(res.body.data.history[0].total_unlocks, 5);
+    });
+
+    it('rejects a device_id the user does not own', async () => {
+      const other = await registerUser(api);
+      const foreign = await api.post('/api/devices').set(bearer(other.token)).send({ device_uid: 'uid-x', name: 'X' });
+
+      const res = await api.post('/api/stats/sync').set(auth).send({
+        ...statsFor('2026-03-02'),
+        device_id: foreign.body.data.device.id,
+      });
+      assert.equal(res.status, 404);
+    });
+
+    it('keeps stats when a device is removed', async () => {
+      const phone = await registerDevice('uid-phone');
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02'), device_id: phone.id });
+
+      const removed = await api.delete(`/api/devices/${phone.id}`).set(auth);
+      assert.equal(removed.status, 200);
+
+      const summary = await api.get('/api/stats/summary').set(auth);
+      assert.equal(summary.body.data.totals.days_tracked, 1);
+    });
+
+    it('takes the largest apps_blocked_count of a day instead of adding them up', async () => {
+      const phone = await registerDevice('uid-phone');
+      const tablet = await registerDevice('uid-tablet', 'iPad');
+
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { apps_blocked_count: 4 }), device_id: phone.id });
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { apps_blocked_count: 6 }), device_id: tablet.id });
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-03', { apps_blocked_count: 5 }), device_id: phone.id });
+
+      const history = await api.get('/api/stats/history').set(auth);
+      assert.deepEqual(history.body.data.history.map((day) => day.apps_blocked_count), [5, 6]);
+
+      const summary = await api.get('/api/stats/summary').set(auth);
+      assert.equal(summary.body.data.totals.total_apps_blocked, 11);
+    });
+
+    it('gives a removed device its old id back when it registers again', async () => {
+      const phone = await registerDevice('uid-phone');
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { total_unlocks: 3 }), device_id: phone.id });
+      await api.delete(`/api/devices/${phone.id}`).set(auth);
+
+      const list = await api.get('/api/devices').set(auth);
+      assert.equal(list.body.data.count, 0);
+      const gone = await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-03'), device_id: phone.id });
+      assert.equal(gone.status, 404);
+
+      const again = await registerDevice('uid-phone', 'New iPhone');
+      assert.equal(again.id, phone.id);
+      assert.equal(again.name, 'New iPhone');
+
+      // Re-syncing the same day replaces the old row rather than adding to it
+      await api.post('/api/stats/sync').set(auth).send({ ...statsFor('2026-03-02', { total_unlocks: 4 }), device_id: again.id });
+      const history = await api.get('/api/stats/history').set(auth);
+      assert.equal(history.body.data.history[0].total_unlocks, 4);
+      assert.equal(history.body.data.history[0].device_count, 1);
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Loaded before the app so module-level config picks these values up
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('friends routes', () => {
+  let api;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    alice = await registerUser(api, { username: 'alice' });
+    bob = await registerUser(api, { username: 'bob' });
+  });
+
+  async function befriend(from, to) {
+    await api.post('/api/friends/requests').set(bearer(from.token)).send({ username: to.user.username });
+    const { body } = await api.get('/api/friends/requests').set(bearer(to.token));
+    await api.post(`/api/friends/requests/${body.data.incoming[0].id}/accept`).set(bearer(to.token));
+  }
+
+  describe('requests', () => {
+    it('sends and accepts a request', async () => {
+      const sent = await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      assert.equal(sent.status, 201);
+
+      const pending = await api.get('/api/friends/requests').set(bearer(bob.token));
+      assert.equal(pending.body.data.incoming[0].username, 'alice');
+
+      const accepted = await api.post(`/api/friends/requests/${pending.body.data.incoming[0].id}/accept`)
+        .set(bearer(bob.token));
+      assert.equal(accepted.status, 200);
+
+      const friends = await api.get('/api/friends').set(bearer(alice.token));
+      assert.deepEqual(friends.body.data.friends.map((f) => f.username), ['bob']);
+    });
+
+    it('declines a request', async () => {
+      await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      const pending = await api.get('/api/friends/requests').set(bearer(bob.token));
+
+      // Only the recipient can answer
+      const byRequester = await api.post(`/api/friends/requests/${pending.body.data.incoming[0].id}/decline`)
+        .set(bearer(alice.token));
+      assert.equal(byRequester.status, 404);
+
+      await api.post(`/api/friends/requests/${pending.body.data.incoming[0].id}/decline`).set(bearer(bob.token));
+      const after = await api.get('/api/friends/requests').set(bearer(alice.token));
+      assert.equal(after.body.data.outgoing.length, 0);
+    });
+
+    it('lets the sender cancel a request', async () => {
+      await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      const pending = await api.get('/api/friends/requests').set(bearer(alice.token));
+      const requestId = pending.body.data.outgoing[0].id;
+
+      // Only the sender can cancel
+      const byRecipient = await api.delete(`/api/friends/requests/${requestId}`).set(bearer(bob.token));
+      assert.equal(byRecipient.status, 404);
+
+      const cancelled = await api.delete(`/api/friends/requests/${requestId}`).set(bearer(alice.token));
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.data.status, 'cancelled');
+
+      const incoming = await api.get('/api/friends/requests').set(bearer(bob.token));
+      assert.equal(incoming.body.data.incoming.length, 0);
+
+      const again = await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      assert.equal(again.status, 201);
+    });
+
+    it('accepts when both sides ask', async () => {
+      await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      const res = await api.post('/api/friends/requests').set(bearer(bob.token)).send({ username: 'alice' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.status, 'accepted');
+    });
+
+    it('rejects duplicates, self requests and unknown users', async () => {
+      await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+
+      const again = await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'bob' });
+      assert.equal(again.status, 409);
+
+      const self = await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'alice' });
+      assert.equal(self.status, 400);
+
+      const unknown = await api.post('/api/friends/requests').set(bearer(alice.token)).send({ username: 'nobody' });
+      assert.equal(unknown.status, 404);
+    });
+
+    it('removes a friend', async () => {
+      await befriend(alice, bob);
+
+      const res = await api.delete(`/api/friends/${bob.user.id}`).set(bearer(alice.token));
+      assert.equal(res.status, 200);
+
+      const friends = await api.get('/api/friends').set(bearer(bob.token));
+      assert.equal(friends.body.data.count, 0);
+    });
+  });
+
+  describe('invites', () => {
+    it('befriends the inviter', async () => {
+      const invite = await api.post('/api/friends/invites').set(bearer(alice.token));
+      assert.equal(invite.status, 201);
+      assert.match(invite.body.data.link, new RegExp(`/invite/${invite.body.data.code}$`));
+
+      const own = await api.post(`/api/friends/invites/${invite.body.data.code}/accept`).set(bearer(alice.token));
+      assert.equal(own.status, 400);
+
+      const res = await api.post(`/api/friends/invites/${invite.body.data.code}/accept`).set(bearer(bob.token));
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.friend_id, alice.user.id);
+
+      const friends = await api.get('/api/friends').set(bearer(alice.token));
+      assert.deepEqual(friends.body.data.friends.map((f) => f.username), ['bob']);
+    });
+
+    it('rejects unknown codes', async () => {
+      const res = await api.post('/api/friends/invites/nope/accept').set(bearer(bob.token));
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /api/leaderboard/friends', () => {
+    it('ranks only friends and always includes the caller', async () => {
+      const stranger = await registerUser(api, { username: 'stranger' });
+      await befriend(alice, bob);
+
+      for (const [session, seconds] of [[bob, 900], [stranger, 5000]]) {
+        await api.post('/api/stats/sync').set(bearer(session.token))
+          .send(statsFor(localDate(0), { time_saved_seconds: seconds }));
+      }
+
+      const res = await api.get('/api/leaderboard/friends').set(bearer(alice.token));
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.data.leaderboard.map((e) => [e.username, e.rank, e.total_time_saved]),
+        [['bob', 1, 900], ['alice', 2, 0]]
+      );
+    });
+  });
+});
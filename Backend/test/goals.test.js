@@ -0,0 +1,215 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+import { weekOf } from '../utils/dates.js';
+
+describe('goals routes', () => {
+  let api;
+  let session;
+  let auth;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    session = await registerUser(api);
+    auth = bearer(session.token);
+  });
+
+  async function create(overrides = {}) {
+    const res = await api.post('/api/goals').set(auth).send({
+      name: 'Fewer unlocks',
+      metric: 'total_unlocks',
+      comparison: 'at_most',
+      target: 5,
+      ...overrides,
+    });
+    assert.equal(res.status, 201);
+    return res.body.data.goal;
+  }
+
+  // Goals only look back to the day they were created
+  function backdate(goal, days) {
+    getDb().prepare(`UPDATE goals SET created_at = datetime('now', ?) WHERE id = ?`).run(`-${days} days`, goal.id);
+  }
+
+  async function sync(date, overrides) {
+    await api.post('/api/stats/sync').set(auth).send(statsFor(date, overrides));
+  }
+
+  async function progressOf(goal, query = '') {
+    const res = await api.get(`/api/goals/${goal.id}${query}`).set(auth);
+    assert.equal(res.status, 200);
+    return res.body.data.progress;
+  }
+
+  it('creates, lists and updates goals', async () => {
+    const goal = await create();
+    assert.equal(goal.period, 'daily');
+    assert.equal(goal.app_name, null);
+
+    const updated = await api.put(`/api/goals/${goal.id}`).set(auth).send({ target: 8, period: 'weekly' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.goal.target, 8);
+    assert.equal(updated.body.data.goal.period, 'weekly');
+    assert.equal(updated.body.data.goal.name, 'Fewer unlocks');
+
+    const list = await api.get('/api/goals').set(auth);
+    assert.equal(list.body.data.count, 1);
+  });
+
+  it('validates goals and keeps what they measure fixed', async () => {
+    const bad = await api.post('/api/goals').set(auth).send({
+      name: 'Bad',
+      metric: 'password_hash',
+      comparison: 'exactly',
+      target: -1,
+      period: 'monthly',
+    });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.data.map((e) => e.field).sort(), ['comparison', 'metric', 'period', 'target']);
+
+    const noApp = await api.post('/api/goals').set(auth).send({
+      name: 'Less Instagram', metric: 'app_unlocks', comparison: 'at_most', target: 3,
+    });
+    assert.equal(noApp.status, 400);
+    assert.equal(noApp.body.data[0].field, 'app_name');
+
+    const strayApp = await api.post('/api/goals').set(auth).send({
+      name: 'Fewer unlocks', metric: 'total_unlocks', app_name: 'Instagram', comparison: 'at_most', target: 3,
+    });
+    assert.equal(strayApp.status, 400);
+
+    const goal = await create();
+    const change = await api.put(`/api/goals/${goal.id}`).set(auth).send({ metric: 'apps_blocked_count' });
+    assert.equal(change.status, 400);
+
+    const empty = await api.put(`/api/goals/${goal.id}`).set(auth).send({});
+    assert.equal(empty.status, 400);
+  });
+
+  it("keeps other users' goals private", async () => {
+    const goal = await create();
+    const other = await registerUser(api);
+
+    const res = await api.get(`/api/goals/${goal.id}`).set(bearer(other.token));
+    assert.equal(res.status, 404);
+
+    const archive = await api.post(`/api/goals/${goal.id}/archive`).set(bearer(other.token));
+    assert.equal(archive.status, 404);
+  });
+
+  it('archives and restores goals', async () => {
+    const goal = await create();
+
+    const archived = await api.post(`/api/goals/${goal.id}/archive`).set(auth);
+    assert.equal(archived.status, 200);
+    assert.ok(archived.body.data.goal.archived_at);
+
+    const progress = await api.get('/api/goals/progress').set(auth);
+    assert.equal(progress.body.data.count, 0);
+
+    const all = await api.get('/api/goals?include_archived=true').set(auth);
+    assert.equal(all.body.data.count, 1);
+
+    const restored = await api.post(`/api/goals/${goal.id}/restore`).set(auth);
+    assert.equal(restored.body.data.goal.archived_at, null);
+  });
+
+  it('limits how many goals can be active', async () => {
+    const db = getDb();
+    const insert = db.prepare(`
+      INSERT INTO goals (user_id, name, metric, comparison, target) VALUES (?, 'Goal', 'total_unlocks', 'at_most', 5)
+    `);
+    for (let i = 0; i < 50; i++) insert.run(session.user.id);
+
+    const res = await api.post('/api/goals').set(auth).send({
+      name: 'One more', metric: 'total_unlocks', comparison: 'at_most', target: 5,
+    });
+    assert.equal(res.status, 409);
+  });
+
+  it('tracks daily hits, misses and streaks', async () => {
+    const goal = await create({ target: 5 });
+    backdate(goal, 5);
+
+    await sync(localDate(-5), { total_unlocks: 9 });
+    await sync(localDate(-4), { total_unlocks: 2 });
+    // Nothing synced three days ago
+    await sync(localDate(-2), { total_unlocks: 4 });
+    await sync(localDate(-1), { total_unlocks: 5 });
+    await sync(localDate(0), { total_unlocks: 1 });
+
+    const progress = await progressOf(goal);
+    assert.deepEqual(progress.history.map((period) => period.status), [
+      'on_track', 'hit', 'hit', 'no_data', 'hit', 'miss',
+    ]);
+    assert.equal(progress.current.value, 1);
+    assert.equal(progress.current.percent, 20);
+    assert.deepEqual(progress.streak, { current: 2, best: 2 });
+    assert.equal(progress.hit_count, 3);
+    assert.equal(progress.miss_count, 1);
+
+    const short = await progressOf(goal, '?periods=2');
+    assert.equal(short.history.length, 2);
+  });
+
+  it('breaks the streak once an at_most budget is blown today', async () => {
+    const goal = await create({ target: 5 });
+    backdate(goal, 1);
+
+    await sync(localDate(-1), { total_unlocks: 2 });
+    await sync(localDate(0), { total_unlocks: 6 });
+
+    const progress = await progressOf(goal);
+    assert.equal(progress.current.status, 'miss');
+    assert.deepEqual(progress.streak, { current: 0, best: 1 });
+  });
+
+  it('counts an at_least goal reached today towards the streak', async () => {
+    const goal = await create({ metric: 'apps_blocked_count', comparison: 'at_least', target: 3 });
+    backdate(goal, 1);
+
+    await sync(localDate(-1), { apps_blocked_count: 3 });
+    await sync(localDate(0), { apps_blocked_count: 1 });
+    assert.equal((await progressOf(goal)).current.status, 'in_progress');
+    assert.equal((await progressOf(goal)).streak.current, 1);
+
+    await sync(localDate(0), { apps_blocked_count: 4 });
+    const progress = await progressOf(goal);
+    assert.equal(progress.current.status, 'hit');
+    assert.deepEqual(progress.streak, { current: 2, best: 2 });
+  });
+
+  it('sums weekly goals over Monday-to-Sunday weeks', async () => {
+    const goal = await create({ target: 10, period: 'weekly' });
+    backdate(goal, 7);
+
+    const { weekStart } = weekOf(localDate(0));
+    await sync(localDate(0), { total_unlocks: 4 });
+    if (weekStart !== localDate(0)) await sync(weekStart, { total_unlocks: 4 });
+
+    const progress = await progressOf(goal);
+    assert.equal(progress.current.period_start, weekStart);
+    assert.equal(progress.current.value, weekStart === localDate(0) ? 4 : 8);
+    assert.equal(progress.history.length, 2);
+  });
+
+  it('tracks per-app unlocks and ad time', async () => {
+    const unlocks = await create({ name: 'Less Instagram', metric: 'app_unlocks', app_name: 'Instagram', target: 1 });
+    const adTime = await create({ name: 'Instagram ads', metric: 'app_ad_seconds', app_name: 'Instagram', target: 900 });
+
+    await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 600 });
+    await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 180 });
+    await api.post('/api/unlocks/log').set(auth).send({ app_name: 'TikTok', ad_duration_seconds: 600 });
+
+    const res = await api.get('/api/goals/progress').set(auth);
+    assert.equal(res.status, 200);
+    const [unlockGoal, adGoal] = res.body.data.goals;
+    assert.equal(unlockGoal.id, unlocks.id);
+    assert.equal(unlockGoal.progress.current.value, 2);
+    assert.equal(unlockGoal.progress.current.status, 'miss');
+    assert.equal(adGoal.id, adTime.id);
+    assert.equal(adGoal.progress.current.value, 780);
+    assert.equal(adGoal.progress.current.status, 'on_track');
+  });
+});
@@ -0,0 +1,60 @@
+import './env.js';
+import request from 'supertest';
+import { createApp } from '../app.js';
+import { DEFAULT_TIMEZONE, addDays, todayIn } from '../utils/dates.js';
+
+// Fresh app + in-memory database. Mail is captured in `mailbox` instead of sent.
+export function createTestApp(options = {}) {
+  const mailbox = [];
+  const app = createApp({
+    dbPath: ':memory:',
+    enableRateLimit: false,
+    enableLogging: false,
+    mailer: {
+      send: async (message) => {
+        mailbox.push(message);
+      },
+    },
+    ...options,
+  });
+
+  return { app, api: request(app), mailbox };
+}
+
+let userCounter = 0;
+
+// Register a user and return { token, refresh_token, user }
+export async function registerUser(api, overrides = {}) {
+  userCounter += 1;
+  const res = await api.post('/api/auth/register').send({
+    username: `user${userCounter}`,
+    password: 'password123',
+    ...overrides,
+  });
+
+  if (res.status !== 201) {
+    throw new Error(`Registration failed: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+}
+
+export function bearer(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+// Calendar date `offsetDays` from today in `timeZone` (users default to UTC),
+// as YYYY-MM-DD
+export function localDate(offsetDays = 0, timeZone = DEFAULT_TIMEZONE) {
+  return addDays(todayIn(timeZone), offsetDays);
+}
+
+export function statsFor(date, overrides = {}) {
+  return {
+    date,
+    total_unlocks: 3,
+    total_ad_time_seconds: 120,
+    apps_blocked_count: 4,
+    time_saved_seconds: 600,
+    ...overrides,
+  };
+}
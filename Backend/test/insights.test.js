@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('insights routes', () => {
+  let api;
+  let session;
+  let auth;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    session = await registerUser(api);
+    auth = bearer(session.token);
+  });
+
+  // `count` unlocks of `app` on the day `daysAgo` days back, at `hour` UTC
+  // (the user's timezone)
+  function unlocks(app, daysAgo, count, hour = 12) {
+    const insert = getDb().prepare(
+      'INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at) VALUES (?, ?, 30, ?)'
+    );
+    const at = `${localDate(-daysAgo)} ${String(hour).padStart(2, '0')}:00:00`;
+    for (let i = 0; i < count; i++) insert.run(session.user.id, app, at);
+  }
+
+  async function insights(query = '') {
+    const res = await api.get(`/api/insights${query}`).set(auth);
+    assert.equal(res.status, 200);
+    return res.body.data.insights;
+  }
+
+  it('returns no insights without data', async () => {
+    assert.deepEqual(await insights(), []);
+  });
+
+  it('reports week-over-week and month-over-month app trends', async () => {
+    unlocks('Instagram', 2, 10);
+    unlocks('Instagram', 9, 4);
+    unlocks('Safari', 10, 8);
+
+    const trends = await insights('?types=app_trend');
+    const week = trends.filter((insight) => insight.details.period === 'week');
+
+    const instagram = week.find((insight) => insight.details.app_name === 'Instagram');
+    assert.equal(instagram.severity, 'warning');
+    assert.deepEqual(
+      [instagram.details.current, instagram.details.previous, instagram.details.change_percent, instagram.details.direction],
+      [10, 4, 150, 'up']
+    );
+
+    const safari = week.find((insight) => insight.details.app_name === 'Safari');
+    assert.equal(safari.severity, 'positive');
+    assert.equal(safari.details.direction, 'down');
+
+    // Nothing is older than 30 days, so there's no month to compare with
+    assert.equal(trends.filter((insight) => insight.details.period === 'month').length, 0);
+    // Warnings come first
+    assert.equal(trends[0].severity, 'warning');
+  });
+
+  it('finds the riskiest hour and weekday', async () => {
+    unlocks('Instagram', 1, 8, 22);
+    unlocks('Instagram', 3, 4, 9);
+
+    const found = await insights('?types=riskiest_hour,riskiest_weekday');
+    const hour = found.find((insight) => insight.type === 'riskiest_hour');
+    assert.equal(hour.details.hour, 22);
+    assert.equal(hour.details.unlock_count, 8);
+    assert.equal(hour.severity, 'warning');
+
+    const weekday = found.find((insight) => insight.type === 'riskiest_weekday');
+    assert.equal(weekday.details.day_of_week, new Date(`${localDate(-1)}T00:00:00Z`).getUTCDay());
+    assert.equal(weekday.details.total_unlocks, 12);
+  });
+
+  it('flags days that stand out from the rolling baseline', async () => {
+    for (let daysAgo = 3; daysAgo <= 20; daysAgo++) {
+      await api.post('/api/stats/sync').set(auth).send(statsFor(localDate(-daysAgo), {
+        total_unlocks: 10 + (daysAgo % 2),
+        total_ad_time_seconds: 300,
+      }));
+    }
+    await api.post('/api/stats/sync').set(auth).send(statsFor(localDate(-1), {
+      total_unlocks: 30,
+      total_ad_time_seconds: 300,
+    }));
+
+    const [day, ...rest] = await insights('?types=unusual_day');
+    assert.equal(rest.length, 0);
+    assert.equal(day.severity, 'warning');
+    assert.equal(day.details.date, localDate(-1));
+    assert.equal(day.details.metric, 'total_unlocks');
+    assert.equal(day.details.direction, 'above');
+    assert.equal(day.details.baseline_days, 18);
+    assert.ok(day.details.z_score > 2);
+  });
+
+  it("leaves today's partial numbers out of anomalies and trends", async () => {
+    for (let daysAgo = 1; daysAgo <= 20; daysAgo++) {
+      await api.post('/api/stats/sync').set(auth).send(statsFor(localDate(-daysAgo), {
+        total_unlocks: 10 + (daysAgo % 2),
+        total_ad_time_seconds: 300,
+      }));
+    }
+    // Only the morning has synced so far
+    await api.post('/api/stats/sync').set(auth).send(statsFor(localDate(0), {
+      total_unlocks: 1,
+      total_ad_time_seconds: 30,
+    }));
+    unlocks('Instagram', 0, 1);
+    unlocks('Instagram', 8, 6);
+
+    const found = await insights('?types=unusual_day,app_trend');
+    assert.equal(found.length, 1);
+    assert.equal(found[0].type, 'app_trend');
+    assert.deepEqual([found[0].details.current, found[0].details.previous], [0, 6]);
+  });
+
+  it('lists the fastest-growing apps', async () => {
+    unlocks('TikTok', 1, 12);
+    unlocks('TikTok', 20, 2);
+    unlocks('Instagram', 1, 6);
+    unlocks('Safari', 1, 2);
+
+    const [growth] = await insights('?types=fastest_growing_apps');
+    assert.equal(growth.details.window_days, 14);
+    assert.deepEqual(growth.details.apps.map((app) => [app.app_name, app.change]), [['TikTok', 10], ['Instagram', 6]]);
+  });
+
+  it('validates the types filter', async () => {
+    const res = await api.get('/api/insights?types=app_trend,horoscope').set(auth);
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+import { addDays, currentWeek } from '../utils/dates.js';
+import { getDb } from '../config/database.js';
+import { snapshotFinishedWeeks } from '../services/jobs.js';
+
+describe('leaderboard routes', () => {
+  let api;
+  let alice;
+  let bob;
+
+  async function sync(session, date, timeSaved) {
+    const res = await api.post('/api/stats/sync').set(bearer(session.token))
+      .send(statsFor(date, { time_saved_seconds: timeSaved }));
+    assert.equal(res.status, 200);
+  }
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    alice = await registerUser(api, { username: 'alice' });
+    bob = await registerUser(api, { username: 'bob' });
+    await registerUser(api, { username: 'idle' });
+
+    await sync(alice, localDate(0), 500);
+    await sync(bob, localDate(0), 900);
+  });
+
+  it('GET / ranks users live when the cache is empty', async () => {
+    const res = await api.get('/api/leaderboard');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['bob', 'alice']);
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.rank), [1, 2]);
+    assert.equal(res.body.data.leaderboard[0].streak_days, 0);
+  });
+
+  it('GET /weekly includes unlock totals and active days', async () => {
+    const res = await api.get('/api/leaderboard/weekly');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.count, 2);
+    assert.equal(res.body.data.leaderboard[0].total_unlocks, 3);
+    assert.equal(res.body.data.leaderboard[0].days_active, 1);
+  });
+
+  it('POST /refresh requires authentication', async () => {
+    const res = await api.post('/api/leaderboard/refresh');
+    assert.equal(res.status, 401);
+  });
+
+  it('POST /refresh is limited to admins', async () => {
+    const res = await api.post('/api/leaderboard/refresh').set(bearer(alice.token));
+    assert.equal(res.status, 403);
+  });
+
+  it('POST /refresh fills the cache with streaks', async () => {
+    await sync(alice, localDate(-1), 100);
+    getDb().prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(alice.user.id);
+
+    const refresh = await api.post('/api/leaderboard/refresh').set(bearer(alice.token));
+    assert.equal(refresh.status, 200);
+    assert.equal(refresh.body.data.entries_cached, 2);
+
+    const res = await api.get('/api/leaderboard');
+    const aliceEntry = res.body.data.leaderboard.find((e) => e.username === 'alice');
+    assert.equal(aliceEntry.streak_days, 2);
+  });
+
+  it('GET / pages with limit and offset', async () => {
+    const first = await api.get('/api/leaderboard').query({ limit: 1 });
+    assert.equal(first.body.data.total, 2);
+    assert.equal(first.body.data.leaderboard[0].username, 'bob');
+    assert.equal(first.body.data.next_offset, 1);
+
+    const second = await api.get('/api/leaderboard').query({ limit: 1, offset: 1 });
+    assert.equal(second.body.data.leaderboard[0].username, 'alice');
+    assert.equal(second.body.data.next_offset, null);
+  });
+
+  it("GET / reports the caller's own rank", async () => {
+    const res = await api.get('/api/leaderboard').query({ limit: 1 }).set(bearer(alice.token));
+
+    assert.deepEqual(res.body.data.me, { rank: 2, total_time_saved: 500, percentile: 50 });
+  });
+
+  it('GET / ranks all-time totals', async () => {
+    await sync(alice, '2025-01-06', 5000);
+
+    const res = await api.get('/api/leaderboard').query({ period: 'all-time' });
+    assert.equal(res.body.data.period, 'all-time');
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['alice', 'bob']);
+  });
+
+  it('GET / reads past weeks from the snapshot once the job has frozen them', async () => {
+    const lastWeek = addDays(currentWeek().weekStart, -7);
+    await sync(alice, lastWeek, 300);
+    snapshotFinishedWeeks();
+
+    const first = await api.get('/api/leaderboard').query({ week_start: lastWeek });
+    assert.equal(first.body.data.frozen, true);
+    assert.deepEqual(first.body.data.leaderboard.map((e) => e.username), ['alice']);
+
+    // A late sync for a finished week doesn't reshuffle it
+    await sync(bob, lastWeek, 900);
+    const again = await api.get('/api/leaderboard').query({ week_start: lastWeek });
+    assert.deepEqual(again.body.data.leaderboard.map((e) => e.username), ['alice']);
+    assert.equal(again.body.data.leaderboard[0].total_time_saved, 300);
+  });
+
+  it('freezes a week whose Monday run was missed on the next run', async () => {
+    const lastWeek = addDays(currentWeek().weekStart, -7);
+    const twoWeeksAgo = addDays(lastWeek, -7);
+    await sync(alice, twoWeeksAgo, 300);
+    await sync(bob, lastWeek, 900);
+
+    // Only the run after last week happens
+    assert.deepEqual(snapshotFinishedWeeks(), { week_starts: [twoWeeksAgo, lastWeek] });
+    assert.deepEqual(snapshotFinishedWeeks(), { week_starts: [] });
+
+    await sync(bob, twoWeeksAgo, 5000);
+    const res = await api.get('/api/leaderboard').query({ week_start: twoWeeksAgo });
+    assert.equal(res.body.data.frozen, true);
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['alice']);
+  });
+
+  it('GET / shows an unfrozen past week live without storing anything', async () => {
+    await sync(alice, '1900-01-01', 300);
+
+    const res = await api.get('/api/leaderboard').query({ week_start: '1900-01-01' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.frozen, false);
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['alice']);
+
+    const db = getDb();
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM leaderboard_snapshots').get().n, 0);
+    assert.equal(db.prepare(`SELECT COUNT(*) AS n FROM leaderboard_cache WHERE week_start = '1900-01-01'`).get().n, 0);
+  });
+
+  it('GET / validates the period', async () => {
+    const res = await api.get('/api/leaderboard').query({ period: 'decade', week_start: '2026-03-03' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['period', 'week_start']);
+  });
+});
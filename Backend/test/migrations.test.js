@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../config/database.js';
+import { getCurrentVersion, getMigrationStatus, migrateUp, migrateDown } from '../config/migrator.js';
+import migrations from '../migrations/index.js';
+
+function tableNames(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+    .all().map((row) => row.name);
+}
+
+describe('migrator', () => {
+  it('applies every migration to an empty database', () => {
+    const db = openDatabase(':memory:');
+    const ran = migrateUp(db);
+
+    assert.equal(ran.length, migrations.length);
+    assert.equal(getCurrentVersion(db), migrations.at(-1).version);
+    assert.ok(getMigrationStatus(db).every((m) => m.applied));
+    assert.ok(tableNames(db).includes('users'));
+    assert.deepEqual(migrateUp(db), []);
+  });
+
+  it('migrates down and back up', () => {
+    const db = openDatabase(':memory:');
+    migrateUp(db);
+
+    migrateDown(db, { to: 0 });
+    assert.equal(getCurrentVersion(db), 0);
+    assert.deepEqual(tableNames(db), ['schema_migrations']);
+
+    migrateUp(db, { to: 1 });
+    assert.equal(getCurrentVersion(db), 1);
+  });
+
+  it('rejects an invalid down target', () => {
+    const db = openDatabase(':memory:');
+    assert.throws(() => migrateDown(db, { to: -1 }));
+  });
+
+  it('upgrades a pre-migration users table without losing rows', () => {
+    const db = openDatabase(':memory:');
+    db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      INSERT INTO users (username, email, password_hash) VALUES ('legacy', 'legacy@example.com', 'hash');
+    `);
+
+    migrateUp(db);
+
+    const email = db.prepare('PRAGMA table_info(users)').all().find((c) => c.name === 'email');
+    assert.equal(email.notnull, 0);
+    assert.equal(db.prepare('SELECT username FROM users').get().username, 'legacy');
+  });
+
+  it('gives quotes seeded before the catalog their category and a created_at', () => {
+    const db = openDatabase(':memory:');
+    migrateUp(db, { to: 17 });
+    db.prepare('INSERT INTO motivational_quotes (text, author) VALUES (?, ?)').run('Disconnect to reconnect.', 'Unknown');
+    db.prepare('INSERT INTO motivational_quotes (text, author) VALUES (?, ?)').run('An admin-added quote.', 'Someone');
+
+    migrateUp(db);
+
+    const quotes = db.prepare('SELECT text, category, created_at FROM motivational_quotes ORDER BY id').all();
+    assert.deepEqual(quotes.map((q) => q.category), ['digital-wellbeing', null]);
+    assert.ok(quotes.every((q) => q.created_at));
+  });
+
+  it('rolls back a failing migration', () => {
+    const db = openDatabase(':memory:');
+    const broken = {
+      version: 1,
+      name: 'broken',
+      up(conn) {
+        conn.exec('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('boom');
+      },
+      down() {},
+    };
+
+    assert.throws(() => migrateUp(db, { migrations: [broken] }), /boom/);
+    assert.equal(getCurrentVersion(db), 0);
+    assert.ok(!tableNames(db).includes('half_done'));
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+import { addDays, currentWeek } from '../utils/dates.js';
+import { getDb } from '../config/database.js';
+
+describe('leaderboard privacy', () => {
+  let api;
+  let alice;
+  let bob;
+  let carol;
+
+  async function sync(session, date, timeSaved) {
+    const res = await api.post('/api/stats/sync').set(bearer(session.token))
+      .send(statsFor(date, { time_saved_seconds: timeSaved }));
+    assert.equal(res.status, 200);
+  }
+
+  function updateProfile(session, fields) {
+    return api.put('/api/auth/me').set(bearer(session.token)).send(fields);
+  }
+
+  async function befriend(from, to) {
+    await api.post('/api/friends/requests').set(bearer(from.token)).send({ username: to.user.username });
+    const { body } = await api.get('/api/friends/requests').set(bearer(to.token));
+    await api.post(`/api/friends/requests/${body.data.incoming[0].id}/accept`).set(bearer(to.token));
+  }
+
+  async function globalIds(path = '/api/leaderboard', query = {}) {
+    const res = await api.get(path).query(query);
+    return res.body.data.leaderboard.map((entry) => entry.user_id);
+  }
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    alice = await registerUser(api, { username: 'alice' });
+    bob = await registerUser(api, { username: 'bob' });
+    carol = await registerUser(api, { username: 'carol' });
+
+    await sync(alice, localDate(0), 500);
+    await sync(bob, localDate(0), 900);
+    await sync(carol, localDate(0), 700);
+  });
+
+  describe('PUT /api/auth/me', () => {
+    it('defaults to public with no alias', async () => {
+      const res = await api.get('/api/auth/me').set(bearer(alice.token));
+
+      assert.equal(res.body.data.user.leaderboard_visibility, 'public');
+      assert.equal(res.body.data.user.show_alias, false);
+      assert.equal(res.body.data.user.alias, null);
+    });
+
+    it('updates visibility and generates an alias once', async () => {
+      const res = await updateProfile(alice, { leaderboard_visibility: 'friends', show_alias: true });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.leaderboard_visibility, 'friends');
+      assert.equal(res.body.data.user.show_alias, true);
+      assert.match(res.body.data.user.alias, /^Anonymous-[0-9A-F]{6}$/);
+
+      await updateProfile(alice, { show_alias: false });
+      const again = await updateProfile(alice, { show_alias: true });
+      assert.equal(again.body.data.user.alias, res.body.data.user.alias);
+    });
+
+    it('validates the settings', async () => {
+      const res = await updateProfile(alice, { leaderboard_visibility: 'secret', show_alias: 'yes' });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['leaderboard_visibility', 'show_alias']);
+    });
+  });
+
+  it('leaves hidden and friends-only users off the global boards', async () => {
+    await updateProfile(bob, { leaderboard_visibility: 'hidden' });
+    await updateProfile(carol, { leaderboard_visibility: 'friends' });
+
+    assert.deepEqual(await globalIds(), [alice.user.id]);
+    assert.deepEqual(await globalIds('/api/leaderboard/weekly'), [alice.user.id]);
+    assert.deepEqual(await globalIds('/api/leaderboard', { period: 'all-time' }), [alice.user.id]);
+  });
+
+  it('shows friends-only users to their friends but never hidden ones', async () => {
+    await befriend(alice, bob);
+    await befriend(alice, carol);
+    await updateProfile(bob, { leaderboard_visibility: 'hidden' });
+    await updateProfile(carol, { leaderboard_visibility: 'friends' });
+
+    const res = await api.get('/api/leaderboard/friends').set(bearer(alice.token));
+    assert.deepEqual(res.body.data.leaderboard.map((e) => e.username), ['carol', 'alice']);
+
+    // Hidden users still see themselves
+    const own = await api.get('/api/leaderboard/friends').set(bearer(bob.token));
+    assert.deepEqual(own.body.data.leaderboard.map((e) => e.username), ['bob', 'alice']);
+  });
+
+  it('shows the alias instead of the username and display name', async () => {
+    const { body } = await updateProfile(bob, { show_alias: true });
+
+    const res = await api.get('/api/leaderboard');
+    const entry = res.body.data.leaderboard.find((e) => e.user_id === bob.user.id);
+    assert.equal(entry.username, body.data.user.alias);
+    assert.equal(entry.display_name, null);
+  });
+
+  it('leaves hidden users out of cache rebuilds and applies settings to frozen weeks', async () => {
+    getDb().prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(alice.user.id);
+    await updateProfile(bob, { leaderboard_visibility: 'hidden' });
+    await updateProfile(carol, { show_alias: true });
+
+    const refresh = await api.post('/api/leaderboard/refresh').set(bearer(alice.token));
+    assert.equal(refresh.body.data.entries_cached, 2);
+    const cached = getDb().prepare('SELECT user_id, username FROM leaderboard_cache ORDER BY user_id').all();
+    assert.deepEqual(cached.map((row) => row.user_id), [alice.user.id, carol.user.id]);
+    assert.notEqual(cached[1].username, 'carol');
+
+    const lastWeek = addDays(currentWeek().weekStart, -7);
+    await sync(alice, lastWeek, 300);
+    await sync(carol, lastWeek, 200);
+    assert.deepEqual(await globalIds('/api/leaderboard', { week_start: lastWeek }), [alice.user.id, carol.user.id]);
+
+    // Hiding after the week was frozen still takes effect
+    await updateProfile(carol, { leaderboard_visibility: 'hidden' });
+    assert.deepEqual(await globalIds('/api/leaderboard', { week_start: lastWeek }), [alice.user.id]);
+  });
+});
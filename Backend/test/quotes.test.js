@@ -0,0 +1,331 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer } from './helpers.js';
+
+describe('quotes routes', () => {
+  let api;
+
+  beforeEach(() => {
+    ({ api } = createTestApp());
+  });
+
+  it('GET /random returns a seeded quote', async () => {
+    const res = await api.get('/api/quotes/random');
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.quote.text);
+    assert.ok(res.body.data.quote.author);
+  });
+
+  it('GET /daily returns the same quote for the whole day', async () => {
+    const first = await api.get('/api/quotes/daily');
+    const second = await api.get('/api/quotes/daily');
+
+    assert.equal(first.status, 200);
+    assert.match(first.body.data.date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.deepEqual(first.body.data.quote, second.body.data.quote);
+  });
+
+  it('returns 404 when there are no quotes', async () => {
+    getDb().prepare('DELETE FROM motivational_quotes').run();
+
+    const random = await api.get('/api/quotes/random');
+    const daily = await api.get('/api/quotes/daily');
+    assert.equal(random.status, 404);
+    assert.equal(daily.status, 404);
+  });
+
+  describe('catalog', () => {
+    let admin;
+    let user;
+
+    beforeEach(async () => {
+      admin = await registerUser(api, { username: 'admin' });
+      user = await registerUser(api, { username: 'reader' });
+      getDb().prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(admin.user.id);
+    });
+
+    function create(fields, session = admin) {
+      return api.post('/api/quotes').set(bearer(session.token)).send(fields);
+    }
+
+    it('limits writes to admins', async () => {
+      const anonymous = await api.post('/api/quotes').send({ text: 'Nope' });
+      assert.equal(anonymous.status, 401);
+
+      const res = await create({ text: 'Nope' }, user);
+      assert.equal(res.status, 403);
+    });
+
+    it('creates, updates and deletes a quote', async () => {
+      const created = await create({ text: 'Rest is productive.', category: 'Sleep', tags: ['rest', 'night'], locale: 'en-GB' });
+
+      assert.equal(created.status, 201);
+      const { quote } = created.body.data;
+      assert.equal(quote.author, 'Unknown');
+      assert.equal(quote.category, 'sleep');
+      assert.deepEqual(quote.tags, ['night', 'rest']);
+
+      const updated = await api.put(`/api/quotes/${quote.id}`).set(bearer(admin.token))
+        .send({ author: 'Anon', tags: ['rest'] });
+      assert.equal(updated.body.data.quote.author, 'Anon');
+      assert.equal(updated.body.data.quote.category, 'sleep');
+      assert.deepEqual(updated.body.data.quote.tags, ['rest']);
+
+      const removed = await api.delete(`/api/quotes/${quote.id}`).set(bearer(admin.token));
+      assert.equal(removed.status, 200);
+      const gone = await api.get(`/api/quotes/${quote.id}`);
+      assert.equal(gone.status, 404);
+    });
+
+    it('rejects duplicate text and invalid fields', async () => {
+      const duplicate = await create({ text: 'Where focus goes, energy flows.' });
+      assert.equal(duplicate.status, 409);
+
+      const invalid = await create({ text: '', category: 'not a slug', tags: 'focus', locale: 'english' });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.data.map((e) => e.field).sort(), ['category', 'locale', 'tags', 'text']);
+    });
+
+    it('filters random, daily and the list by category, tag and lang', async () => {
+      await create({ text: 'Dormir bien es avanzar.', category: 'sleep', tags: ['night'], locale: 'es' });
+      await create({ text: 'Sleep is a skill.', category: 'sleep', tags: ['night'], locale: 'en-US' });
+
+      const spanish = await api.get('/api/quotes/random').query({ category: 'sleep', lang: 'es-MX' });
+      assert.equal(spanish.body.data.quote.text, 'Dormir bien es avanzar.');
+
+      const english = await api.get('/api/quotes/daily').query({ tag: 'night', lang: 'en' });
+      assert.equal(english.body.data.quote.text, 'Sleep is a skill.');
+
+      const list = await api.get('/api/quotes').query({ category: 'sleep' });
+      assert.equal(list.body.data.total, 2);
+
+      const none = await api.get('/api/quotes/random').query({ category: 'sleep', lang: 'fr' });
+      assert.equal(none.status, 404);
+    });
+
+    it('lists categories and tags with counts', async () => {
+      await create({ text: 'Sleep is a skill.', category: 'sleep', tags: ['night'] });
+
+      const categories = await api.get('/api/quotes/categories');
+      assert.deepEqual(
+        categories.body.data.categories.find((c) => c.category === 'sleep'),
+        { category: 'sleep', quote_count: 1 }
+      );
+      assert.ok(categories.body.data.categories.some((c) => c.category === 'focus'));
+
+      const tags = await api.get('/api/quotes/tags');
+      assert.deepEqual(tags.body.data.tags, [{ tag: 'night', quote_count: 1 }]);
+    });
+
+    describe('POST /import', () => {
+      it('creates new quotes and updates existing ones from JSON', async () => {
+        const res = await api.post('/api/quotes/import').set(bearer(admin.token)).send({
+          quotes: [
+            { text: 'Sleep is a skill.', category: 'sleep' },
+            { text: 'Disconnect to reconnect.', tags: ['offline'] },
+          ],
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.summary, { created: 1, updated: 1 });
+
+        const tagged = await api.get('/api/quotes').query({ tag: 'offline' });
+        assert.equal(tagged.body.data.quotes[0].category, 'digital-wellbeing');
+      });
+
+      it('reads CSV with quoted fields and ;-separated tags', async () => {
+        const csv = [
+          'text,author,category,tags,locale',
+          '"Less, but better.",Dieter Rams,focus,minimalism;design,',
+          '"Say ""no"" more often.",,discipline,,de',
+        ].join('\r\n');
+
+        const res = await api.post('/api/quotes/import').set(bearer(admin.token))
+          .set('Content-Type', 'text/csv').send(csv);
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data.summary, { created: 2, updated: 0 });
+
+        const { body } = await api.get('/api/quotes').query({ q: 'better' });
+        assert.equal(body.data.quotes[0].text, 'Less, but better.');
+        assert.deepEqual(body.data.quotes[0].tags, ['design', 'minimalism']);
+        assert.equal(body.data.quotes[0].locale, 'en');
+
+        const german = await api.get('/api/quotes/random').query({ lang: 'de' });
+        assert.equal(german.body.data.quote.text, 'Say "no" more often.');
+        assert.equal(german.body.data.quote.author, 'Unknown');
+      });
+
+      it('imports nothing when a row is invalid', async () => {
+        const res = await api.post('/api/quotes/import').set(bearer(admin.token)).send({
+          quotes: [{ text: 'Fine.' }, { author: 'No text' }],
+        });
+
+        assert.equal(res.status, 400);
+        assert.deepEqual(res.body.data.map((e) => e.field), ['quotes[1].text']);
+        const list = await api.get('/api/quotes').query({ q: 'Fine.' });
+        assert.equal(list.body.data.total, 0);
+      });
+
+      it('rejects CSV without a text column', async () => {
+        const res = await api.post('/api/quotes/import').set(bearer(admin.token))
+          .set('Content-Type', 'text/csv').send('quote,author\r\nHello,Me\r\n');
+        assert.equal(res.status, 400);
+      });
+
+      it('checks the caller is an admin before reading the upload', async () => {
+        const res = await api.post('/api/quotes/import').set(bearer(user.token))
+          .set('Content-Type', 'application/json').send('{"quotes": ');
+        assert.equal(res.status, 403);
+      });
+    });
+
+    it('records quote changes in the audit log', async () => {
+      const { body } = await create({ text: 'Sleep is a skill.' });
+      await api.delete(`/api/quotes/${body.data.quote.id}`).set(bearer(admin.token));
+
+      const actions = getDb().prepare('SELECT action FROM admin_audit_log ORDER BY id').all();
+      assert.deepEqual(actions.map((row) => row.action), ['quote.create', 'quote.delete']);
+    });
+  });
+
+  describe('personal delivery', () => {
+    let admin;
+    let user;
+    let ids;
+
+    beforeEach(async () => {
+      admin = await registerUser(api, { username: 'admin' });
+      user = await registerUser(api, { username: 'reader' });
+      getDb().prepare(`UPDATE users SET role = 'admin' WHERE id = ?`).run(admin.user.id);
+
+      const res = await api.post('/api/quotes/import').set(bearer(admin.token)).send({
+        quotes: ['One.', 'Two.', 'Three.'].map((text) => ({ text, category: 'test' })),
+      });
+      assert.equal(res.status, 200);
+      ids = getDb().prepare(`SELECT id FROM motivational_quotes WHERE category = 'test' ORDER BY id`)
+        .all().map((row) => row.id);
+    });
+
+    async function randomTest(session = user) {
+      const res = await api.get('/api/quotes/random').set(bearer(session.token)).query({ category: 'test' });
+      return res.body.data.quote.id;
+    }
+
+    function mark(quoteId, preference, method = 'put') {
+      return api[method](`/api/quotes/${quoteId}/${preference}`).set(bearer(user.token));
+    }
+
+    it("doesn't repeat a quote until every matching one was shown", async () => {
+      const shown = [await randomTest(), await randomTest(), await randomTest()];
+      assert.deepEqual([...shown].sort((a, b) => a - b), ids);
+
+      // The next cycle doesn't start with the quote just shown
+      const next = await randomTest();
+      assert.notEqual(next, shown[2]);
+
+      const history = await api.get('/api/quotes/history').set(bearer(user.token));
+      assert.equal(history.body.data.total, 3);
+      assert.equal(history.body.data.history[0].id, next);
+      assert.equal(history.body.data.history[0].times_shown, 2);
+    });
+
+    it('never delivers hidden quotes', async () => {
+      await mark(ids[0], 'hidden');
+      await mark(ids[1], 'hidden');
+
+      for (let i = 0; i < 3; i++) {
+        assert.equal(await randomTest(), ids[2]);
+      }
+
+      await mark(ids[2], 'hidden');
+      const none = await api.get('/api/quotes/random').set(bearer(user.token)).query({ category: 'test' });
+      assert.equal(none.status, 404);
+
+      const hidden = await api.get('/api/quotes/hidden').set(bearer(user.token));
+      assert.equal(hidden.body.data.count, 3);
+    });
+
+    it('keeps a quote either a favorite or hidden', async () => {
+      await mark(ids[0], 'hidden');
+      const res = await mark(ids[0], 'favorite');
+      assert.equal(res.status, 200);
+
+      const favorites = await api.get('/api/quotes/favorites').set(bearer(user.token));
+      assert.deepEqual(favorites.body.data.quotes.map((q) => q.id), [ids[0]]);
+      const hidden = await api.get('/api/quotes/hidden').set(bearer(user.token));
+      assert.equal(hidden.body.data.count, 0);
+
+      const unmarked = await mark(ids[0], 'favorite', 'delete');
+      assert.equal(unmarked.status, 200);
+      const again = await mark(ids[0], 'favorite', 'delete');
+      assert.equal(again.status, 404);
+
+      const missing = await mark(9999, 'favorite');
+      assert.equal(missing.status, 404);
+    });
+
+    it('flags favorites and accepts weighted selection', async () => {
+      await mark(ids[0], 'hidden');
+      await mark(ids[1], 'favorite');
+      await mark(ids[2], 'hidden');
+
+      const res = await api.get('/api/quotes/random').set(bearer(user.token))
+        .query({ category: 'test', weighted: 'true' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.quote.id, ids[1]);
+      assert.equal(res.body.data.quote.favorite, true);
+    });
+
+    it('DELETE /history starts over', async () => {
+      await randomTest();
+      const res = await api.delete('/api/quotes/history').set(bearer(user.token));
+      assert.equal(res.body.data.entries_cleared, 1);
+
+      const history = await api.get('/api/quotes/history').set(bearer(user.token));
+      assert.equal(history.body.data.total, 0);
+    });
+
+    describe('GET /daily', () => {
+      async function daily(session) {
+        const req = api.get('/api/quotes/daily').query({ category: 'test' });
+        const res = session ? await req.set(bearer(session.token)) : await req;
+        assert.equal(res.status, 200);
+        return res.body.data.quote.id;
+      }
+
+      it('stays the same when quotes are added', async () => {
+        const first = await daily();
+
+        await api.post('/api/quotes/import').set(bearer(admin.token)).send({
+          quotes: ['Four.', 'Five.', 'Six.', 'Seven.'].map((text) => ({ text, category: 'test' })),
+        });
+
+        assert.equal(await daily(), first);
+      });
+
+      it('picks again once the quote is deleted', async () => {
+        const first = await daily();
+        await api.delete(`/api/quotes/${first}`).set(bearer(admin.token));
+
+        const second = await daily();
+        assert.notEqual(second, first);
+        assert.equal(await daily(), second);
+      });
+
+      it("gives a signed-in user another quote if they hid the day's", async () => {
+        const first = await daily();
+        await mark(first, 'hidden');
+
+        const own = await daily(user);
+        assert.notEqual(own, first);
+        assert.equal(await daily(), first);
+
+        const history = await api.get('/api/quotes/history').set(bearer(user.token));
+        assert.deepEqual(history.body.data.history.map((q) => q.id), [own]);
+      });
+    });
+  });
+});
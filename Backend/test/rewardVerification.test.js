@@ -0,0 +1,234 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { getDb } from '../config/database.js';
+import { createFileKeyProvider, createHttpKeyProvider } from '../services/rewardVerification.js';
+import { createTestApp, registerUser, bearer } from './helpers.js';
+
+const KEY_ID = '1234567890';
+
+describe('rewarded-ad verification', () => {
+  let keysDir;
+  let privateKey;
+  let api;
+  let auth;
+  let userId;
+  let transactionCounter = 0;
+
+  before(() => {
+    const pair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    privateKey = pair.privateKey;
+
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssv-keys-'));
+    fs.writeFileSync(path.join(keysDir, 'keys.json'), JSON.stringify({
+      keys: [{ keyId: Number(KEY_ID), pem: pair.publicKey.export({ type: 'spki', format: 'pem' }) }],
+    }));
+  });
+
+  after(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    ({ api } = createTestApp({ rewardKeyProvider: createFileKeyProvider(path.join(keysDir, 'keys.json')) }));
+    const { token, user } = await registerUser(api);
+    auth = bearer(token);
+    userId = user.id;
+  });
+
+  // Query string for a callback, signed the way the ad network signs it
+  function signedCallback(overrides = {}, signingKey = privateKey) {
+    transactionCounter += 1;
+    const message = new URLSearchParams({
+      ad_network: '5450213213286189855',
+      ad_unit: '1234567890',
+      custom_data: 'nonce-abcdefgh',
+      reward_amount: '1',
+      reward_item: 'unlock',
+      timestamp: String(Date.now()),
+      transaction_id: `txn-${transactionCounter}`,
+      user_id: String(userId),
+      ...overrides,
+    }).toString();
+
+    const signature = crypto.sign('sha256', Buffer.from(message), signingKey).toString('base64url');
+    return `${message}&signature=${signature}&key_id=${KEY_ID}`;
+  }
+
+  function logUnlock(fields = {}) {
+    return api.post('/api/unlocks/log').set(auth).send({
+      app_name: 'Instagram',
+      // Long enough for any tier
+      ad_duration_seconds: 300,
+      ...fields,
+    });
+  }
+
+  describe('GET /api/unlocks/ssv', () => {
+    it('stores a correctly signed reward', async () => {
+      const res = await api.get(`/api/unlocks/ssv?${signedCallback({ transaction_id: 'abc' })}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.duplicate, false);
+      assert.equal(res.body.data.transaction.transaction_id, 'abc');
+      assert.equal(res.body.data.transaction.user_id, userId);
+      assert.equal(res.body.data.transaction.reward_amount, 1);
+      assert.equal(res.body.data.transaction.key_id, KEY_ID);
+    });
+
+    it('is idempotent by transaction id', async () => {
+      const callback = signedCallback();
+      const first = await api.get(`/api/unlocks/ssv?${callback}`);
+      const second = await api.get(`/api/unlocks/ssv?${callback}`);
+
+      assert.equal(second.status, 200);
+      assert.equal(second.body.data.duplicate, true);
+      assert.equal(second.body.data.transaction.id, first.body.data.transaction.id);
+      assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM reward_transactions').get().n, 1);
+    });
+
+    it('rejects a tampered callback', async () => {
+      const callback = signedCallback({ reward_amount: '1' }).replace('reward_amount=1', 'reward_amount=50');
+      const res = await api.get(`/api/unlocks/ssv?${callback}`);
+
+      assert.equal(res.status, 403);
+      assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM reward_transactions').get().n, 0);
+    });
+
+    it('rejects callbacks signed with another key', async () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const res = await api.get(`/api/unlocks/ssv?${signedCallback({}, otherKey)}`);
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects unknown key ids', async () => {
+      const callback = signedCallback().replace(`key_id=${KEY_ID}`, 'key_id=999');
+      const res = await api.get(`/api/unlocks/ssv?${callback}`);
+      assert.equal(res.status, 403);
+    });
+
+    it('rejects unsigned callbacks', async () => {
+      const res = await api.get('/api/unlocks/ssv?transaction_id=abc&user_id=1');
+      assert.equal(res.status, 400);
+    });
+
+    it('keeps rewards for unknown users without linking them', async () => {
+      const res = await api.get(`/api/unlocks/ssv?${signedCallback({ user_id: 'someone-else' })}`);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.transaction.user_id, null);
+    });
+  });
+
+  describe('linking rewards to unlocks', () => {
+    it('leaves unlocks without a reward unverified', async () => {
+      const res = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.session.verified, 0);
+    });
+
+    it('verifies an unlock when the reward arrives after it', async () => {
+      const logged = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+      const res = await api.get(`/api/unlocks/ssv?${signedCallback({ custom_data: 'nonce-abcdefgh' })}`);
+
+      assert.equal(res.body.data.transaction.unlock_session_id, logged.body.data.session.id);
+      const session = getDb().prepare('SELECT verified FROM unlock_sessions WHERE id = ?').get(logged.body.data.session.id);
+      assert.equal(session.verified, 1);
+    });
+
+    it('verifies an unlock when the reward arrived first', async () => {
+      await api.get(`/api/unlocks/ssv?${signedCallback({ custom_data: 'nonce-abcdefgh' })}`);
+      const res = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+
+      assert.equal(res.body.data.session.verified, 1);
+      const reward = getDb().prepare('SELECT unlock_session_id FROM reward_transactions').get();
+      assert.equal(reward.unlock_session_id, res.body.data.session.id);
+    });
+
+    it('does not link another user\'s reward', async () => {
+      const other = await registerUser(api);
+      await api.get(`/api/unlocks/ssv?${signedCallback({ custom_data: 'nonce-abcdefgh', user_id: String(other.user.id) })}`);
+      const res = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+
+      assert.equal(res.body.data.session.verified, 0);
+    });
+
+    it('uses each reward for one unlock only', async () => {
+      await api.get(`/api/unlocks/ssv?${signedCallback({ custom_data: 'nonce-abcdefgh' })}`);
+      const first = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+      const second = await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+
+      assert.equal(first.body.data.session.verified, 1);
+      assert.equal(second.body.data.session.verified, 0);
+    });
+
+    it('counts verified unlocks in stats', async () => {
+      await api.get(`/api/unlocks/ssv?${signedCallback({ custom_data: 'nonce-abcdefgh' })}`);
+      await logUnlock({ ssv_nonce: 'nonce-abcdefgh' });
+      await logUnlock();
+
+      const res = await api.get('/api/unlocks/stats').set(auth);
+      assert.equal(res.body.data.overall.total_unlocks, 2);
+      assert.equal(res.body.data.overall.verified_count, 1);
+    });
+  });
+
+  describe('fetched keys', () => {
+    let server;
+    let url;
+    let fetches = 0;
+    let failing = false;
+
+    before(async () => {
+      const body = fs.readFileSync(path.join(keysDir, 'keys.json'));
+      server = http.createServer((req, res) => {
+        fetches += 1;
+        if (failing) {
+          res.statusCode = 503;
+          return res.end();
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(body);
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/keys.json`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it('refetches for unknown key ids at most once a minute', async () => {
+      const provider = createHttpKeyProvider(url);
+
+      assert.ok(await provider.getKey(KEY_ID));
+      assert.equal(await provider.getKey('made-up-1'), null);
+      assert.equal(await provider.getKey('made-up-2'), null);
+      assert.ok(await provider.getKey(KEY_ID));
+      assert.equal(fetches, 1);
+    });
+
+    it('keeps using cached keys when a refresh fails', async (t) => {
+      const provider = createHttpKeyProvider(url);
+      assert.ok(await provider.getKey(KEY_ID));
+
+      failing = true;
+      t.after(() => { failing = false; });
+      t.mock.method(console, 'error', () => {});
+      mock.timers.enable({ apis: ['Date'], now: Date.now() });
+      t.after(() => mock.timers.reset());
+
+      // A day later the cache is stale and the key server is down
+      mock.timers.tick(25 * 60 * 60 * 1000);
+      assert.ok(await provider.getKey(KEY_ID));
+      const logged = console.error.mock.calls.map((call) => call.arguments[0]);
+      assert.ok(logged.includes('Reward verifier key refresh error:'));
+
+      // Without anything cached there's nothing to fall back on
+      await assert.rejects(createHttpKeyProvider(url).getKey(KEY_ID), /status 503/);
+    });
+  });
+});
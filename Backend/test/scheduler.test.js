@@ -0,0 +1,106 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createScheduler, parseCron, cronMatches } from '../services/scheduler.js';
+import { pruneUnlockSessions } from '../services/jobs.js';
+import { createTestApp, registerUser } from './helpers.js';
+
+const silent = { warn() {}, error() {} };
+
+describe('cron expressions', () => {
+  it('matches minutes, steps, ranges and lists', () => {
+    const everyQuarter = parseCron('*/15 * * * *');
+    assert.equal(cronMatches(everyQuarter, new Date('2026-03-02T10:45:00Z')), true);
+    assert.equal(cronMatches(everyQuarter, new Date('2026-03-02T10:46:00Z')), false);
+
+    const weekdayMornings = parseCron('0 8-9 * * 1-5');
+    assert.equal(cronMatches(weekdayMornings, new Date('2026-03-02T09:00:00Z')), true);
+    assert.equal(cronMatches(weekdayMornings, new Date('2026-03-01T09:00:00Z')), false);
+
+    const firstOrMonday = parseCron('0 0 1 * 1');
+    assert.equal(cronMatches(firstOrMonday, new Date('2026-03-02T00:00:00Z')), true);
+    assert.equal(cronMatches(firstOrMonday, new Date('2026-04-01T00:00:00Z')), true);
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), /Invalid cron minute/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute/);
+  });
+});
+
+describe('scheduler', () => {
+  beforeEach(() => {
+    createTestApp();
+  });
+
+  it('records each run in job_runs', async () => {
+    const scheduler = createScheduler({
+      logger: silent,
+      jobs: [
+        { name: 'ok', schedule: '* * * * *', run: () => ({ done: 1 }) },
+        { name: 'broken', schedule: '* * * * *', run: () => { throw new Error('boom'); } },
+      ],
+    });
+
+    assert.equal((await scheduler.runJob('ok')).status, 'succeeded');
+    assert.equal((await scheduler.runJob('broken')).status, 'failed');
+
+    const runs = getDb().prepare('SELECT job_name, status, result, error FROM job_runs ORDER BY id').all();
+    assert.deepEqual(runs, [
+      { job_name: 'ok', status: 'succeeded', result: '{"done":1}', error: null },
+      { job_name: 'broken', status: 'failed', result: null, error: 'boom' },
+    ]);
+  });
+
+  it("doesn't let runs of the same job overlap", async () => {
+    let release;
+    const scheduler = createScheduler({
+      logger: silent,
+      jobs: [{ name: 'slow', schedule: '* * * * *', run: () => new Promise((resolve) => { release = resolve; }) }],
+    });
+
+    const first = scheduler.runJob('slow');
+    const second = await scheduler.runJob('slow');
+    assert.equal(second.status, 'skipped');
+
+    release();
+    assert.equal((await first).status, 'succeeded');
+
+    // The lock is released once the run finishes
+    assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM job_locks').get().n, 0);
+  });
+
+  it('runs runOnStart jobs when started', async () => {
+    const scheduler = createScheduler({
+      logger: silent,
+      jobs: [
+        { name: 'catch-up', schedule: '0 0 1 1 *', runOnStart: true, run: () => 'caught up' },
+        { name: 'yearly', schedule: '0 0 1 1 *', run: () => 'too early' },
+      ],
+    });
+
+    scheduler.start();
+    scheduler.stop();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const runs = getDb().prepare('SELECT job_name, status FROM job_runs').all();
+    assert.deepEqual(runs, [{ job_name: 'catch-up', status: 'succeeded' }]);
+  });
+});
+
+describe('jobs', () => {
+  it('prunes unlock sessions past the retention window', async () => {
+    const { api } = createTestApp();
+    const { user } = await registerUser(api);
+
+    const insert = getDb().prepare(`
+      INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at)
+      VALUES (?, 'Instagram', 30, datetime('now', ?))
+    `);
+    insert.run(user.id, '-400 days');
+    insert.run(user.id, '-1 days');
+
+    assert.deepEqual(pruneUnlockSessions(365), { deleted: 1 });
+  });
+});
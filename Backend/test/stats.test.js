@@ -0,0 +1,194 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+describe('stats routes', () => {
+  let api;
+  let auth;
+
+  async function sync(date, overrides) {
+    const res = await api.post('/api/stats/sync').set(auth).send(statsFor(date, overrides));
+    assert.equal(res.status, 200);
+    return res;
+  }
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token } = await registerUser(api);
+    auth = bearer(token);
+  });
+
+  describe('POST /api/stats/sync', () => {
+    it('stores a day and overwrites it on re-sync', async () => {
+      const first = await sync('2026-01-05');
+      assert.equal(first.body.data.stats.total_unlocks, 3);
+
+      const second = await sync('2026-01-05', { total_unlocks: 7 });
+      assert.equal(second.body.data.stats.total_unlocks, 7);
+
+      const history = await api.get('/api/stats/history').set(auth);
+      assert.equal(history.body.data.count, 1);
+    });
+
+    it("doesn't let a stale revision lower newer numbers", async () => {
+      await sync('2026-01-05', { total_unlocks: 9, time_saved_seconds: 600, revision: 4 });
+
+      const stale = await sync('2026-01-05', { total_unlocks: 2, time_saved_seconds: 900, revision: 3 });
+      assert.equal(stale.body.data.sync.status, 'merged');
+      assert.equal(stale.body.data.stats.total_unlocks, 9);
+      assert.equal(stale.body.data.stats.time_saved_seconds, 900);
+
+      const unchanged = await sync('2026-01-05', { total_unlocks: 1, time_saved_seconds: 100 });
+      assert.equal(unchanged.body.data.sync.status, 'rejected');
+      assert.equal(unchanged.body.data.sync.reason, 'stale_revision');
+      assert.equal(unchanged.body.data.stats.total_unlocks, 9);
+
+      const newer = await sync('2026-01-05', { total_unlocks: 5, time_saved_seconds: 300, revision: 5 });
+      assert.equal(newer.body.data.sync.status, 'accepted');
+      assert.equal(newer.body.data.stats.total_unlocks, 5);
+      assert.equal(newer.body.data.stats.revision, 5);
+    });
+
+    it('validates the payload', async () => {
+      const res = await api.post('/api/stats/sync').set(auth).send({
+        date: '05/01/2026',
+        total_unlocks: -1,
+        total_ad_time_seconds: 'lots',
+        apps_blocked_count: 1.5,
+      });
+
+      assert.equal(res.status, 400);
+      const fields = res.body.data.map((e) => e.field).sort();
+      assert.deepEqual(fields, [
+        'apps_blocked_count',
+        'date',
+        'time_saved_seconds',
+        'total_ad_time_seconds',
+        'total_unlocks',
+      ]);
+    });
+
+    it('requires authentication', async () => {
+      const res = await api.post('/api/stats/sync').send(statsFor('2026-01-05'));
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('GET /api/stats/summary', () => {
+    it('returns zeros for a new user', async () => {
+      const res = await api.get('/api/stats/summary').set(auth);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.totals.days_tracked, 0);
+      assert.equal(res.body.data.streaks.current_streak_days, 0);
+      assert.equal(res.body.data.streaks.best_streak_days, 0);
+      assert.equal(res.body.data.averages.avg_daily_unlocks, 0);
+    });
+
+    it('totals and averages every tracked day', async () => {
+      await sync(localDate(0), { total_unlocks: 2, time_saved_seconds: 100 });
+      await sync(localDate(-1), { total_unlocks: 5, time_saved_seconds: 300 });
+
+      const { totals, averages } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(totals.total_unlocks, 7);
+      assert.equal(totals.total_time_saved_seconds, 400);
+      assert.equal(totals.days_tracked, 2);
+      assert.equal(averages.avg_daily_unlocks, 3.5);
+    });
+
+    it('counts a streak ending today', async () => {
+      await sync(localDate(0));
+      await sync(localDate(-1));
+      await sync(localDate(-2));
+
+      const { streaks } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(streaks.current_streak_days, 3);
+      assert.equal(streaks.best_streak_days, 3);
+    });
+
+    it('keeps a streak alive when the last day is yesterday', async () => {
+      await sync(localDate(-1));
+      await sync(localDate(-2));
+
+      const { streaks } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(streaks.current_streak_days, 2);
+    });
+
+    it('breaks the current streak after a missed day but keeps the best', async () => {
+      await sync(localDate(-2));
+      await sync(localDate(-3));
+      await sync(localDate(-4));
+
+      const { streaks } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(streaks.current_streak_days, 0);
+      assert.equal(streaks.best_streak_days, 3);
+    });
+
+    it('stops the streak at a gap', async () => {
+      await sync(localDate(0));
+      await sync(localDate(-1));
+      await sync(localDate(-3));
+      await sync(localDate(-4));
+      await sync(localDate(-5));
+
+      const { streaks } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(streaks.current_streak_days, 2);
+      assert.equal(streaks.best_streak_days, 3);
+    });
+
+    it('ignores days without time saved', async () => {
+      await sync(localDate(0), { time_saved_seconds: 0 });
+      await sync(localDate(-1));
+
+      const { streaks } = (await api.get('/api/stats/summary').set(auth)).body.data;
+      assert.equal(streaks.current_streak_days, 1);
+    });
+  });
+
+  describe('GET /api/stats/history', () => {
+    beforeEach(async () => {
+      for (const date of ['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04']) {
+        await sync(date);
+      }
+    });
+
+    it('returns days newest first', async () => {
+      const res = await api.get('/api/stats/history').set(auth);
+      assert.equal(res.body.data.count, 4);
+      assert.equal(res.body.data.history[0].date, '2026-01-04');
+    });
+
+    it('filters by date range and limit', async () => {
+      const range = await api.get('/api/stats/history?start_date=2026-01-02&end_date=2026-01-03').set(auth);
+      assert.deepEqual(range.body.data.history.map((d) => d.date), ['2026-01-03', '2026-01-02']);
+
+      const limited = await api.get('/api/stats/history?limit=1').set(auth);
+      assert.equal(limited.body.data.count, 1);
+    });
+
+    it('validates query parameters', async () => {
+      const res = await api.get('/api/stats/history?start_date=yesterday&limit=1000').set(auth);
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['limit', 'start_date']);
+    });
+  });
+
+  describe('GET /api/stats/weekly', () => {
+    it('sums the current Monday-to-Sunday week', async () => {
+      const now = new Date();
+      const dayOfWeek = now.getDay();
+      const mondayOffset = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
+
+      await sync(localDate(mondayOffset), { time_saved_seconds: 100 });
+      await sync(localDate(0), { time_saved_seconds: 200 });
+      await sync(localDate(mondayOffset - 1), { time_saved_seconds: 5000 });
+
+      const res = await api.get('/api/stats/weekly').set(auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.week_start, localDate(mondayOffset));
+      assert.equal(res.body.data.week_end, localDate(mondayOffset + 6));
+      assert.equal(res.body.data.totals.total_time_saved_seconds, mondayOffset === 0 ? 200 : 300);
+      assert.equal(res.body.data.daily_breakdown.length, mondayOffset === 0 ? 1 : 2);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestApp, registerUser, bearer, statsFor } from './helpers.js';
+
+describe('POST /api/stats/sync/batch', () => {
+  let api;
+  let auth;
+
+  function batch(body) {
+    return api.post('/api/stats/sync/batch').set(auth).send(body);
+  }
+
+  async function storedDay(date) {
+    const res = await api.get(`/api/stats/history?start_date=${date}&end_date=${date}`).set(auth);
+    return res.body.data.history[0];
+  }
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token } = await registerUser(api);
+    auth = bearer(token);
+  });
+
+  it('stores a week of days and unlock events in one request', async () => {
+    const days = [1, 2, 3, 4, 5, 6, 7].map((d) => statsFor(`2026-02-0${d}`, { revision: 1 }));
+    const unlocks = [
+      { client_event_id: 'evt-1', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-02-01T08:00:00Z' },
+      { client_event_id: 'evt-2', app_name: 'TikTok', ad_duration_seconds: 180, unlocked_at: '2026-02-02T21:30:00+02:00' },
+    ];
+
+    const res = await batch({ days, unlocks });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.summary, { accepted: 9, merged: 0, rejected: 0 });
+    assert.ok(res.body.data.days.every((d) => d.status === 'accepted'));
+
+    const recent = await api.get('/api/unlocks/recent').set(auth);
+    const tiktok = recent.body.data.sessions.find((s) => s.app_name === 'TikTok');
+    assert.equal(tiktok.unlocked_at, '2026-02-02 19:30:00');
+  });
+
+  it('lets a newer revision replace the stored day', async () => {
+    await batch({ days: [statsFor('2026-02-01', { revision: 1, total_unlocks: 10 })] });
+    const res = await batch({ days: [statsFor('2026-02-01', { revision: 2, total_unlocks: 4 })] });
+
+    assert.equal(res.body.data.days[0].status, 'accepted');
+    assert.equal((await storedDay('2026-02-01')).total_unlocks, 4);
+  });
+
+  it('merges a stale revision by keeping the larger counters', async () => {
+    await batch({ days: [statsFor('2026-02-01', { revision: 5, total_unlocks: 4, time_saved_seconds: 100 })] });
+    const res = await batch({ days: [statsFor('2026-02-01', { revision: 3, total_unlocks: 9, time_saved_seconds: 50 })] });
+
+    assert.equal(res.body.data.days[0].status, 'merged');
+    assert.equal(res.body.data.days[0].revision, 5);
+
+    const stored = await storedDay('2026-02-01');
+    assert.equal(stored.total_unlocks, 9);
+    assert.equal(stored.time_saved_seconds, 100);
+    assert.equal(stored.revision, 5);
+  });
+
+  it('rejects a stale revision that adds nothing', async () => {
+    await batch({ days: [statsFor('2026-02-01', { revision: 5 })] });
+    const res = await batch({ days: [statsFor('2026-02-01', { revision: 2, total_unlocks: 1 })] });
+
+    assert.equal(res.body.data.days[0].status, 'rejected');
+    assert.equal(res.body.data.days[0].reason, 'stale_revision');
+  });
+
+  it('ignores retried unlock events', async () => {
+    const event = { client_event_id: 'evt-1', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-02-01T08:00:00Z' };
+    await batch({ unlocks: [event] });
+    const retry = await batch({ unlocks: [event] });
+
+    assert.equal(retry.body.data.unlocks[0].status, 'rejected');
+    assert.equal(retry.body.data.unlocks[0].reason, 'duplicate');
+
+    const recent = await api.get('/api/unlocks/recent').set(auth);
+    assert.equal(recent.body.data.count, 1);
+  });
+
+  it('validates every item', async () => {
+    const res = await batch({
+      days: [{ date: 'bad', total_unlocks: -1 }],
+      unlocks: [{ app_name: 'Instagram', ad_duration_seconds: 5 }],
+    });
+
+    assert.equal(res.status, 400);
+    const fields = res.body.data.map((e) => e.field);
+    assert.ok(fields.includes('days[0].date'));
+    assert.ok(fields.includes('days[0].revision'));
+    assert.ok(fields.includes('unlocks[0].client_event_id'));
+    assert.ok(fields.includes('unlocks[0].unlocked_at'));
+  });
+
+  it('rejects an empty batch', async () => {
+    const res = await batch({ days: [], unlocks: [] });
+    assert.equal(res.status, 400);
+  });
+
+  it('rejects the whole batch when one item is invalid', async () => {
+    const res = await batch({
+      days: [statsFor('2026-02-01', { revision: 1 })],
+      unlocks: [{ client_event_id: 'evt-1', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-02-30T25:00:00Z' }],
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(await storedDay('2026-02-01'), undefined);
+  });
+
+  it('only takes calendar datetimes SQLite can read', async () => {
+    const res = await batch({
+      unlocks: [
+        { client_event_id: 'evt-1', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-W40-1' },
+        { client_event_id: 'evt-2', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-060T10:00:00Z' },
+        { client_event_id: 'evt-3', app_name: 'Instagram', ad_duration_seconds: 60, unlocked_at: '2026-03-01T10:00:00+0200' },
+      ],
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.data.map((e) => e.field), ['unlocks[0].unlocked_at', 'unlocks[1].unlocked_at', 'unlocks[2].unlocked_at']);
+  });
+
+  it('normalizes expires_at to UTC like unlocked_at', async () => {
+    const res = await batch({
+      unlocks: [{
+        client_event_id: 'evt-1',
+        app_name: 'Instagram',
+        ad_duration_seconds: 60,
+        unlocked_at: '2026-03-01T10:00:00+02:00',
+        expires_at: '2026-03-01T10:15:00.500+02:00',
+      }],
+    });
+    assert.equal(res.status, 200);
+
+    const recent = await api.get('/api/unlocks/recent').set(auth);
+    const [session] = recent.body.data.sessions;
+    assert.equal(session.unlocked_at, '2026-03-01 08:00:00');
+    assert.equal(session.expires_at, '2026-03-01 08:15:00');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { computeStreaks, weekOf, zonedParts } from '../utils/dates.js';
+import { createTestApp, registerUser, bearer, localDate, statsFor } from './helpers.js';
+
+// UTC-11 and UTC+14 never share a calendar day
+const BEHIND = 'Pacific/Pago_Pago';
+const AHEAD = 'Pacific/Kiritimati';
+
+describe('date utilities', () => {
+  it('finds the Monday-to-Sunday week of a date', () => {
+    assert.deepEqual(weekOf('2026-03-01'), { weekStart: '2026-02-23', weekEnd: '2026-03-01' });
+    assert.deepEqual(weekOf('2026-03-02'), { weekStart: '2026-03-02', weekEnd: '2026-03-08' });
+  });
+
+  it('computes current and best streaks', () => {
+    const dates = ['2026-03-10', '2026-03-09', '2026-03-05', '2026-03-04', '2026-03-03'];
+    assert.deepEqual(computeStreaks(dates, '2026-03-11'), { current: 2, best: 3 });
+    assert.deepEqual(computeStreaks(dates, '2026-03-12'), { current: 0, best: 3 });
+    assert.deepEqual(computeStreaks([], '2026-03-12'), { current: 0, best: 0 });
+  });
+
+  it('reads wall-clock time in a timezone', () => {
+    const instant = new Date('2026-03-02T23:30:00Z');
+    assert.deepEqual(zonedParts(instant, 'UTC'), { date: '2026-03-02', hour: 23, dayOfWeek: 1 });
+    assert.deepEqual(zonedParts(instant, 'Europe/Berlin'), { date: '2026-03-03', hour: 0, dayOfWeek: 2 });
+  });
+});
+
+describe('timezone-aware stats', () => {
+  let api;
+  let auth;
+  let userId;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token, user } = await registerUser(api);
+    auth = bearer(token);
+    userId = user.id;
+  });
+
+  it('stores the timezone on the profile', async () => {
+    const res = await api.put('/api/auth/me').set(auth).send({ timezone: 'America/New_York' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.timezone, 'America/New_York');
+
+    const invalid = await api.put('/api/auth/me').set(auth).send({ timezone: 'Mars/Olympus_Mons' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('defaults new users to UTC', async () => {
+    const me = await api.get('/api/auth/me').set(auth);
+    assert.equal(me.body.data.user.timezone, 'UTC');
+  });
+
+  it("counts streaks from the user's own today", async () => {
+    await api.post('/api/stats/sync').set(auth).send(statsFor(localDate(-1, BEHIND)));
+
+    await api.put('/api/auth/me').set(auth).send({ timezone: BEHIND });
+    let summary = await api.get('/api/stats/summary').set(auth);
+    assert.equal(summary.body.data.streaks.current_streak_days, 1);
+
+    // For someone a day or more ahead, that date is no longer yesterday
+    await api.put('/api/auth/me').set(auth).send({ timezone: AHEAD });
+    summary = await api.get('/api/stats/summary').set(auth);
+    assert.equal(summary.body.data.streaks.current_streak_days, 0);
+  });
+
+  it("uses the user's week for /api/stats/weekly", async () => {
+    await api.put('/api/auth/me').set(auth).send({ timezone: AHEAD });
+    const res = await api.get('/api/stats/weekly').set(auth);
+    assert.deepEqual(
+      { weekStart: res.body.data.week_start, weekEnd: res.body.data.week_end },
+      weekOf(localDate(0, AHEAD))
+    );
+  });
+
+  it('buckets unlock charts in the user timezone', async () => {
+    // Monday 23:30 UTC is Tuesday 08:30 in Tokyo
+    getDb().prepare(`
+      INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at)
+      VALUES (?, 'Instagram', 30, '2026-03-02 23:30:00')
+    `).run(userId);
+
+    await api.put('/api/auth/me').set(auth).send({ timezone: 'Asia/Tokyo' });
+    const res = await api.get('/api/unlocks/stats').set(auth);
+
+    assert.deepEqual(res.body.data.hourly_frequency, [{ hour: 8, unlock_count: 1 }]);
+    assert.equal(res.body.data.daily_frequency[0].day_name, 'Tuesday');
+  });
+});
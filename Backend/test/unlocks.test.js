@@ -0,0 +1,268 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDb } from '../config/database.js';
+import { createTestApp, registerUser, bearer } from './helpers.js';
+
+describe('unlocks routes', () => {
+  let api;
+  let auth;
+  let userId;
+
+  beforeEach(async () => {
+    ({ api } = createTestApp());
+    const { token, user } = await registerUser(api);
+    auth = bearer(token);
+    userId = user.id;
+  });
+
+  function insertUnlock(appName, unlockedAtModifier, adSeconds = 60) {
+    getDb().prepare(`
+      INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `).run(userId, appName, adSeconds, unlockedAtModifier);
+  }
+
+  describe('POST /api/unlocks/log', () => {
+    it('records an unlock', async () => {
+      const res = await api.post('/api/unlocks/log').set(auth).send({
+        app_name: 'Instagram',
+        ad_duration_seconds: 60,
+        expires_at: '2026-01-01T10:15:00Z',
+      });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.data.session.app_name, 'Instagram');
+      assert.equal(res.body.data.session.user_id, userId);
+      assert.equal(res.body.data.session.expires_at, '2026-01-01 10:15:00');
+    });
+
+    it("doesn't unlock for an ad shorter than the tier asks for", async () => {
+      const res = await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 0 });
+
+      assert.equal(res.status, 402);
+      assert.equal(res.body.data.quote.required_ad_seconds, 60);
+      assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM unlock_sessions').get().n, 0);
+    });
+
+    it("keeps a client expires_at within the tier's access window", async () => {
+      const res = await api.post('/api/unlocks/log').set(auth).send({
+        app_name: 'Instagram',
+        ad_duration_seconds: 60,
+        expires_at: '2999-01-01T00:00:00Z',
+      });
+
+      assert.equal(res.status, 201);
+      const { remaining } = getDb().prepare(`
+        SELECT ROUND((julianday(expires_at) - julianday('now')) * 86400) AS remaining FROM unlock_sessions
+      `).get();
+      assert.ok(remaining > 890 && remaining <= 900, String(remaining));
+    });
+
+    it('validates the payload', async () => {
+      const res = await api.post('/api/unlocks/log').set(auth).send({
+        app_name: '   ',
+        ad_duration_seconds: -5,
+        expires_at: 'tomorrow',
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['ad_duration_seconds', 'app_name', 'expires_at']);
+    });
+
+    it('rejects app names over 255 characters', async () => {
+      const res = await api.post('/api/unlocks/log').set(auth).send({
+        app_name: 'x'.repeat(256),
+        ad_duration_seconds: 0,
+      });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /api/unlocks/recent', () => {
+    it('lists only the caller\'s unlocks, newest first', async () => {
+      insertUnlock('TikTok', '-2 hours');
+      insertUnlock('Instagram', '-1 hours');
+
+      const other = await registerUser(api);
+      await api.post('/api/unlocks/log').set(bearer(other.token)).send({ app_name: 'Reddit', ad_duration_seconds: 60 });
+
+      const res = await api.get('/api/unlocks/recent').set(auth);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.sessions.map((s) => s.app_name), ['Instagram', 'TikTok']);
+    });
+  });
+
+  describe('GET /api/unlocks/stats', () => {
+    it('returns empty statistics for a new user', async () => {
+      const res = await api.get('/api/unlocks/stats').set(auth);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.overall.total_unlocks, 0);
+      assert.deepEqual(res.body.data.top_apps, []);
+      assert.equal(res.body.data.trend.change_percent, 0);
+    });
+
+    it('ranks apps and computes the weekly trend', async () => {
+      insertUnlock('Instagram', '-1 hours', 60);
+      insertUnlock('Instagram', '-2 days', 180);
+      insertUnlock('Instagram', '-3 days', 120);
+      insertUnlock('TikTok', '-10 days', 60);
+
+      const { data } = (await api.get('/api/unlocks/stats').set(auth)).body;
+
+      assert.equal(data.overall.total_unlocks, 4);
+      assert.equal(data.top_apps[0].app_name, 'Instagram');
+      assert.equal(data.top_apps[0].unlock_count, 3);
+      assert.equal(data.top_apps[0].avg_ad_duration_seconds, 120);
+      assert.equal(data.trend.last_7_days, 3);
+      assert.equal(data.trend.previous_7_days, 1);
+      assert.equal(data.trend.change_percent, 200);
+
+      const hourTotal = data.hourly_frequency.reduce((sum, h) => sum + h.unlock_count, 0);
+      assert.equal(hourTotal, 4);
+      assert.ok(data.daily_frequency.every((d) => typeof d.day_name === 'string'));
+    });
+  });
+
+  describe('escalation policy', () => {
+    const quote = async (appName = 'Instagram') =>
+      (await api.post('/api/unlocks/quote').set(auth).send({ app_name: appName })).body.data.quote;
+
+    // Logs an unlock paid with exactly the ad the quote asks for
+    const log = async (appName = 'Instagram') => {
+      const { required_ad_seconds } = await quote(appName);
+      return api.post('/api/unlocks/log').set(auth).send({ app_name: appName, ad_duration_seconds: required_ad_seconds });
+    };
+
+    it('escalates per app within the reset window', async () => {
+      assert.equal((await quote()).required_ad_seconds, 60);
+
+      const first = await log();
+      assert.equal(first.body.data.session.tier, 1);
+      assert.ok(first.body.data.session.expires_at);
+
+      const second = await quote();
+      assert.equal(second.tier, 2);
+      assert.equal(second.required_ad_seconds, 180);
+      assert.ok(second.window_resets_at);
+
+      await log();
+      await log();
+      assert.equal((await quote()).required_ad_seconds, 300);
+
+      // Other apps are priced separately
+      assert.equal((await quote('TikTok')).tier, 1);
+    });
+
+    it('forgets unlocks older than the window', async () => {
+      insertUnlock('Instagram', '-2 hours');
+      assert.equal((await quote()).tier, 1);
+    });
+
+    it('uses the per-user policy', async () => {
+      const res = await api.put('/api/unlocks/policy').set(auth).send({
+        tiers: [30, 600],
+        reset_window_minutes: 180,
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.data.policy.tiers, [30, 600]);
+      assert.equal(res.body.data.policy.access_seconds, 900);
+
+      insertUnlock('Instagram', '-2 hours');
+      const next = await quote();
+      assert.equal(next.required_ad_seconds, 600);
+
+      const logged = await log();
+      assert.equal(logged.body.data.session.required_ad_seconds, 600);
+    });
+
+    it('validates the policy', async () => {
+      const res = await api.put('/api/unlocks/policy').set(auth).send({ tiers: [], access_seconds: 5 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.data.map((e) => e.field).sort(), ['access_seconds', 'tiers']);
+    });
+  });
+
+  describe('session lifecycle', () => {
+    async function logSession(expiresModifier = '+15 minutes') {
+      const res = await api.post('/api/unlocks/log').set(auth).send({ app_name: 'Instagram', ad_duration_seconds: 300 });
+      const id = res.body.data.session.id;
+      getDb().prepare(`UPDATE unlock_sessions SET expires_at = datetime('now', ?) WHERE id = ?`)
+        .run(expiresModifier, id);
+      return id;
+    }
+
+    it('lists only unexpired, unended sessions', async () => {
+      const active = await logSession();
+      await logSession('-1 minutes');
+
+      const res = await api.get('/api/unlocks/active').set(auth);
+      assert.deepEqual(res.body.data.sessions.map((s) => s.id), [active]);
+      assert.ok(res.body.data.sessions[0].remaining_seconds > 800);
+    });
+
+    it('relocks a session early', async () => {
+      const id = await logSession();
+
+      const res = await api.post(`/api/unlocks/${id}/end`).set(auth);
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.session.ended_at);
+
+      const again = await api.post(`/api/unlocks/${id}/end`).set(auth);
+      assert.equal(again.status, 409);
+
+      const active = await api.get('/api/unlocks/active').set(auth);
+      assert.equal(active.body.data.count, 0);
+    });
+
+    it('extends a session at the next escalation tier', async () => {
+      const id = await logSession();
+
+      const res = await api.post(`/api/unlocks/${id}/extend`).set(auth).send({ ad_duration_seconds: 180 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.extension.tier, 2);
+      assert.equal(res.body.data.extension.required_ad_seconds, 180);
+      assert.ok(res.body.data.session.remaining_seconds > 1700);
+
+      // The extension counts towards the next quote
+      const quote = await api.post('/api/unlocks/quote').set(auth).send({ app_name: 'Instagram' });
+      assert.equal(quote.body.data.quote.tier, 3);
+    });
+
+    it("doesn't extend a session for an ad shorter than the next tier", async () => {
+      const id = await logSession();
+      const before = await api.get('/api/unlocks/active').set(auth);
+
+      const res = await api.post(`/api/unlocks/${id}/extend`).set(auth).send({ ad_duration_seconds: 0 });
+      assert.equal(res.status, 402);
+      assert.equal(res.body.data.quote.required_ad_seconds, 180);
+
+      const after = await api.get('/api/unlocks/active').set(auth);
+      assert.equal(after.body.data.sessions[0].expires_at, before.body.data.sessions[0].expires_at);
+      assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM unlock_extensions').get().n, 0);
+    });
+
+    it("can't touch expired or other users' sessions", async () => {
+      const expired = await logSession('-1 minutes');
+      const res = await api.post(`/api/unlocks/${expired}/extend`).set(auth).send({ ad_duration_seconds: 60 });
+      assert.equal(res.status, 409);
+
+      const other = await registerUser(api);
+      const foreign = await api.post(`/api/unlocks/${expired}/end`).set(bearer(other.token));
+      assert.equal(foreign.status, 404);
+    });
+
+    it('reports time actually spent unlocked', async () => {
+      getDb().prepare(`
+        INSERT INTO unlock_sessions (user_id, app_name, ad_duration_seconds, unlocked_at, expires_at, ended_at)
+        VALUES (?, 'Instagram', 60, datetime('now', '-2 hours'), datetime('now', '-105 minutes'), datetime('now', '-115 minutes'))
+      `).run(userId);
+      insertUnlock('TikTok', '-3 hours');
+
+      const { data } = (await api.get('/api/unlocks/stats').set(auth)).body;
+      assert.equal(data.overall.total_unlocked_seconds, 300);
+      assert.equal(data.overall.ended_early_count, 1);
+      assert.equal(data.top_apps.find((a) => a.app_name === 'Instagram').total_unlocked_seconds, 300);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks.
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Parse CSV text into an array of records (arrays of strings). Blank lines
+// are skipped. Throws on an unterminated quoted field.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+// Records as objects keyed by the header row. Header names are trimmed and
+// lower-cased; missing trailing cells are left out.
+export function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return rows.map((row) => Object.fromEntries(
+    row.slice(0, columns.length).map((value, index) => [columns[index], value])
+  ));
+}
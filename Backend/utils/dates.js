@@ -0,0 +1,111 @@
+// Calendar helpers. Dates are plain 'YYYY-MM-DD' strings in the user's own
+// timezone (that's what the app syncs); timestamps from SQLite are UTC
+// 'YYYY-MM-DD HH:MM:SS'. Day arithmetic is done on UTC midnights so it never
+// depends on the server's local timezone or DST.
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock parts of `instant` in `timeZone`: { date, hour, dayOfWeek }
+// with dayOfWeek 0=Sunday through 6=Saturday
+export function zonedParts(instant, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    dayOfWeek: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// Parse a SQLite UTC timestamp ('YYYY-MM-DD HH:MM:SS')
+export function parseUtcTimestamp(value) {
+  return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+// Today's date in `timeZone`
+export function todayIn(timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  return zonedParts(now, timeZone).date;
+}
+
+function toUtcMidnight(date) {
+  return Date.parse(date + 'T00:00:00Z');
+}
+
+export function addDays(date, days) {
+  return new Date(toUtcMidnight(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole days from `from` to `to` (positive when `to` is later)
+export function daysBetween(from, to) {
+  return Math.round((toUtcMidnight(to) - toUtcMidnight(from)) / DAY_MS);
+}
+
+// Monday-to-Sunday week containing `date`
+export function weekOf(date) {
+  const dayOfWeek = new Date(toUtcMidnight(date)).getUTCDay();
+  const weekStart = addDays(date, dayOfWeek === 0 ? -6 : 1 - dayOfWeek);
+  return { weekStart, weekEnd: addDays(weekStart, 6) };
+}
+
+export function currentWeek(timeZone = DEFAULT_TIMEZONE) {
+  return weekOf(todayIn(timeZone));
+}
+
+// Current and best run of consecutive dates. `datesDesc` is newest first; the
+// current streak only counts if it reaches today or yesterday.
+export function computeStreaks(datesDesc, today) {
+  if (datesDesc.length === 0) return { current: 0, best: 0 };
+
+  let current = 0;
+  if (daysBetween(datesDesc[0], today) <= 1) {
+    current = 1;
+    for (let i = 1; i < datesDesc.length; i++) {
+      if (daysBetween(datesDesc[i], datesDesc[i - 1]) !== 1) break;
+      current++;
+    }
+  }
+
+  let best = 1;
+  let run = 1;
+  for (let i = 1; i < datesDesc.length; i++) {
+    run = daysBetween(datesDesc[i], datesDesc[i - 1]) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  }
+
+  return { current, best };
+}
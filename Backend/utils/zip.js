@@ -0,0 +1,149 @@
+// Minimal ZIP archives on top of zlib: enough to write the data export and
+// read it back on import. No zip64, encryption or multi-disk archives.
+import zlib from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in local time as the format expects
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// files: [{ name, data }] where data is a Buffer or string. Returns a Buffer.
+export function createZip(files, modifiedAt = new Date()) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Returns a Map of entry name to contents. Throws on anything malformed, or
+// if the entries would inflate past `maxSize` bytes in total.
+export function readZip(buffer, { maxSize = 50 * 1024 * 1024 } = {}) {
+  // The end record sits at the very end, before an optional comment
+  let endAt = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt === -1) throw new Error('Not a zip archive');
+
+  const entryCount = buffer.readUInt16LE(endAt + 10);
+  let position = buffer.readUInt32LE(endAt + 16);
+  const entries = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = buffer.readUInt16LE(position + 10);
+    const crc = buffer.readUInt32LE(position + 16);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const size = buffer.readUInt32LE(position + 24);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localAt = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    totalSize += size;
+    if (totalSize > maxSize) throw new Error('Zip archive is too large');
+
+    if (localAt + 30 > buffer.length || buffer.readUInt32LE(localAt) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip entry "${name}"`);
+    }
+    const dataAt = localAt + 30 + buffer.readUInt16LE(localAt + 26) + buffer.readUInt16LE(localAt + 28);
+    const raw = buffer.subarray(dataAt, dataAt + compressedSize);
+
+    let data;
+    if (method === STORED) {
+      data = Buffer.from(raw);
+    } else if (method === DEFLATED) {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for "${name}"`);
+    }
+
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new Error(`Corrupt zip entry "${name}"`);
+    }
+    entries.set(name, data);
+  }
+
+  return entries;
+}